@@ -0,0 +1,70 @@
+/**
+ * Dahua HTTP event push (JSON) — a single event or { Events:[...] }:
+ *   { Code, Action:"Start"|"Stop"|"Pulse", Index, DeviceID|SerialNo, UTC, Time,
+ *     Data:{ UTC?, Object?:{ObjectType}, TrafficCar?:{PlateNumber}, ImageURL?, EventID? } }
+ * Index is the 0-based channel, so camera IDs are "<device>-<Index+1>".
+ */
+
+const TYPE_MAP = {
+  videomotion:          "motion_detected",
+  facedetection:        "person_detected",
+  facerecognition:      "person_detected",
+  humantrait:           "person_detected",
+  trafficjunction:      "vehicle_detected",
+  trafficparking:       "vehicle_detected",
+  vehicledetection:     "vehicle_detected",
+  wanderdetection:      "loitering",
+  crowddetection:       "crowd_detected",
+  rioterdetection:      "crowd_detected",
+  videoloss:            "camera_offline",
+  netabort:             "camera_offline",
+  heartbeat:            "heartbeat",
+};
+// IVS rules — classed by the detected object type
+const IVS_EVENTS = ["crosslinedetection", "crossregiondetection", "leftdetection", "smartmotionhuman", "smartmotionvehicle"];
+
+function splitEvents(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.Events)) return body.Events;
+  return [body];
+}
+
+function integrationRef(body) {
+  const first = splitEvents(body)[0] || {};
+  return String(body?.DeviceID || first.DeviceID || first.SerialNo || "");
+}
+
+function mapEventType(ev) {
+  const code = String(ev.Code || "").toLowerCase();
+  if (IVS_EVENTS.includes(code)) {
+    const obj = String(ev.Data?.Object?.ObjectType || "").toLowerCase();
+    if (code === "smartmotionhuman" || obj === "human") return "person_detected";
+    if (code === "smartmotionvehicle" || ["vehicle","motorvehicle","nonmotor"].includes(obj)) return "vehicle_detected";
+    return "motion_detected";
+  }
+  return TYPE_MAP[code] || null;
+}
+
+function normalize(raw) {
+  const code = String(raw.Code || "").toLowerCase();
+  const action = String(raw.Action || "Start").toLowerCase();
+  // "Stop" ends an alarm; only video loss / network abort carry meaning when they end
+  const recovered = action === "stop" && (code === "videoloss" || code === "netabort");
+  if (action === "stop" && !recovered) return null;
+  const utc = raw.Data?.UTC || raw.UTC;
+  return {
+    camera_id:      `${raw.DeviceID || raw.SerialNo || "UNKNOWN"}-${(parseInt(raw.Index) || 0) + 1}`,
+    event_type:     recovered ? "camera_online" : mapEventType(raw),
+    event_type_raw: raw.Code || "unknown",
+    timestamp_utc:  utc ? new Date(utc * 1000).toISOString() : null,
+    object_count:   raw.Data?.Object ? 1 : (Array.isArray(raw.Data?.Objects) ? raw.Data.Objects.length : 0),
+    confidence:     raw.Data?.Object?.Confidence ? raw.Data.Object.Confidence / 100 : null,
+    thumbnail_url:  raw.Data?.ImageURL || null,
+    video_url:      null,
+    metadata:       raw.Data || {},
+    plate:          raw.Data?.TrafficCar?.PlateNumber || null,
+    source_id:      String(raw.Data?.EventID ?? raw.EventID ?? ""),
+  };
+}
+
+module.exports = { vendor:"dahua", splitEvents, integrationRef, normalize };
@@ -0,0 +1,69 @@
+/**
+ * Hikvision ISAPI HTTP alarm host (JSON) — EventNotificationAlert, optionally wrapped:
+ *   { EventNotificationAlert:{ deviceID, macAddress, ipAddress, channelID, channelName, dateTime,
+ *     eventType, eventState, eventDescription, targetType?, ANPR?:{licensePlate}, picUri? } }
+ * Camera IDs are "<deviceID or MAC>-<channel>" so one NVR maps to one camera row per channel.
+ */
+
+const TYPE_MAP = {
+  vmd:             "motion_detected",
+  motiondetection: "motion_detected",
+  facedetection:   "person_detected",
+  facesnap:        "person_detected",
+  anpr:            "vehicle_detected",
+  vehicledetection:"vehicle_detected",
+  loitering:       "loitering",
+  peoplegathering: "crowd_detected",
+  videoloss:       "camera_offline",
+  videoheartbeat:  "heartbeat",
+};
+// Smart (AcuSense) events — intrusion/line crossing — are classed by what crossed the line
+const TARGET_EVENTS = ["linedetection", "fielddetection", "regionentrance", "regionexiting"];
+
+function alertOf(raw) {
+  return raw?.EventNotificationAlert || raw || {};
+}
+
+function splitEvents(body) {
+  return Array.isArray(body) ? body : [body];
+}
+
+function integrationRef(body) {
+  const alert = alertOf(splitEvents(body)[0]);
+  return String(alert.deviceID || alert.macAddress || "");
+}
+
+function mapEventType(alert) {
+  const t = String(alert.eventType || "").toLowerCase();
+  if (TARGET_EVENTS.includes(t)) {
+    const target = String(alert.targetType || alert.DetectionRegionList?.[0]?.targetType || "").toLowerCase();
+    if (target === "human") return "person_detected";
+    if (target === "vehicle") return "vehicle_detected";
+    return "motion_detected";
+  }
+  return TYPE_MAP[t] || null;
+}
+
+function normalize(raw) {
+  const alert = alertOf(raw);
+  const type = String(alert.eventType || "").toLowerCase();
+  const inactive = String(alert.eventState || "active").toLowerCase() === "inactive";
+  // Inactive = alarm ended; only video loss has a meaningful "ended" state (camera back online)
+  if (inactive && type !== "videoloss") return null;
+  const ts = new Date(alert.dateTime);
+  return {
+    camera_id:      `${alert.deviceID || alert.macAddress || alert.ipAddress || "UNKNOWN"}-${alert.channelID || 1}`,
+    event_type:     inactive ? "camera_online" : mapEventType(alert),
+    event_type_raw: alert.eventType || "unknown",
+    timestamp_utc:  !alert.dateTime ? null : isNaN(ts) ? alert.dateTime : ts.toISOString(),
+    object_count:   parseInt(alert.activePostCount) || 0,
+    confidence:     null,
+    thumbnail_url:  alert.picUri || alert.ANPR?.picUri || null,
+    video_url:      null,
+    metadata:       alert,
+    plate:          alert.ANPR?.licensePlate || null,
+    source_id:      String(alert.UUID || alert.uuid || ""),
+  };
+}
+
+module.exports = { vendor:"hikvision", splitEvents, integrationRef, normalize };
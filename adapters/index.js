@@ -0,0 +1,44 @@
+/**
+ * SocietyGuard - VMS adapter registry
+ *
+ * Every adapter turns one vendor's webhook body into rows of the common `events` shape:
+ *   vendor                     lowercase key used in POST /webhook/:vendor
+ *   splitEvents(body)          -> array of raw vendor events in one request
+ *   integrationRef(body)       -> external ID of the sending site/NVR, if the payload carries one
+ *   normalize(raw)             -> null to ignore the event, otherwise
+ *     { camera_id, event_type, event_type_raw, timestamp_utc, object_count, confidence,
+ *       thumbnail_url, video_url, metadata, plate, source_id }
+ *   timestamp_utc is null when the vendor sent no time; the server stamps the event on receipt and
+ *   dedupes it by delivery rather than by time (see ingestKey in server.js).
+ *   plate is the raw ANPR/ALPR plate text when the vendor reports one (else null).
+ *   event_type must be one of EVENT_TYPES, or null when the vendor type is not mapped yet
+ *   (the event is then stored as "unknown" and counted in the unmapped-types report).
+ *   "heartbeat" only refreshes the camera's last-seen time and is never stored as an event.
+ */
+
+const EVENT_TYPES = [
+  "person_detected", "vehicle_detected", "crowd_detected", "motion_detected",
+  "loitering", "camera_offline", "camera_online", "heartbeat",
+];
+
+const adapters = {};
+
+function registerAdapter(adapter) {
+  for (const fn of ["splitEvents", "integrationRef", "normalize"]) {
+    if (typeof adapter[fn] !== "function") throw new Error(`Adapter ${adapter.vendor} is missing ${fn}()`);
+  }
+  adapters[adapter.vendor] = adapter;
+}
+function getAdapter(vendor) {
+  return adapters[String(vendor||"").toLowerCase()] || null;
+}
+function listVendors() {
+  return Object.keys(adapters);
+}
+
+registerAdapter(require("./threedeye"));
+registerAdapter(require("./hikvision"));
+registerAdapter(require("./dahua"));
+registerAdapter(require("./onvif"));
+
+module.exports = { EVENT_TYPES, registerAdapter, getAdapter, listVendors };
@@ -0,0 +1,65 @@
+/**
+ * Generic ONVIF events, as relayed to us in JSON by an on-site ONVIF bridge:
+ *   { device, source:{ VideoSourceToken|VideoSourceConfigurationToken }, topic:"tns1:RuleEngine/...",
+ *     utcTime, data:{ IsMotion|State|ClassTypes|Count|... }, messageId? }
+ * ONVIF topics are state changes, so a "false" state is either ignored or (for signal loss) a recovery.
+ */
+
+function splitEvents(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.events)) return body.events;
+  return [body];
+}
+
+function integrationRef(body) {
+  const first = splitEvents(body)[0] || {};
+  return String(body?.site || first.site || first.device || "");
+}
+
+// Returns the state flag an ONVIF topic reports (undefined for pulse-style topics)
+function stateOf(data) {
+  for (const key of ["IsMotion", "State", "IsInside", "IsTamper", "IsLoitering"]) {
+    if (data && key in data) return data[key] === true || data[key] === "true";
+  }
+  return undefined;
+}
+
+function mapEventType(topic, data) {
+  const t = topic.toLowerCase();
+  if (t.includes("signalloss")) return "camera_offline";
+  if (t.includes("loiter"))     return "loitering";
+  if (t.includes("crowd"))      return "crowd_detected";
+  if (t.includes("objectdetection") || t.includes("fielddetector") || t.includes("linedetector")) {
+    const classes = String(data?.ClassTypes || data?.ClassType || "").toLowerCase();
+    if (classes.includes("human") || classes.includes("person") || classes.includes("face")) return "person_detected";
+    if (classes.includes("vehicle") || classes.includes("licenseplate")) return "vehicle_detected";
+    return "motion_detected";
+  }
+  if (t.includes("motion"))     return "motion_detected";
+  return null;
+}
+
+function normalize(raw) {
+  const topic = String(raw.topic || "");
+  const data = raw.data || {};
+  const state = stateOf(data);
+  const signalTopic = topic.toLowerCase().includes("signalloss");
+  if (state === false && !signalTopic) return null;
+  const ts = new Date(raw.utcTime);
+  const source = raw.source?.VideoSourceToken || raw.source?.VideoSourceConfigurationToken || "1";
+  return {
+    camera_id:      `${raw.device || "UNKNOWN"}-${source}`,
+    event_type:     signalTopic && state === false ? "camera_online" : mapEventType(topic, data),
+    event_type_raw: topic || "unknown",
+    timestamp_utc:  !raw.utcTime ? null : isNaN(ts) ? raw.utcTime : ts.toISOString(),
+    object_count:   parseInt(data.Count) || 0,
+    confidence:     data.Likelihood != null ? parseFloat(data.Likelihood) : null,
+    thumbnail_url:  raw.snapshotUrl || null,
+    video_url:      null,
+    metadata:       { topic, source:raw.source || {}, ...data },
+    plate:          data.PlateNumber || data.LicensePlate || null,
+    source_id:      String(raw.messageId || ""),
+  };
+}
+
+module.exports = { vendor:"onvif", splitEvents, integrationRef, normalize };
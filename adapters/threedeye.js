@@ -0,0 +1,59 @@
+/**
+ * 3deye cloud VMS webhooks — one event object (or an array of them) per request:
+ *   { id, type, deviceId, confidence, integration:{clientId|siteId|integrationId},
+ *     data:{ timestampUtc|startTimeUtc|endTimeUtc, objectsFound:[{type}], thumbnailUrl, sharedVideoUrl } }
+ */
+
+function mapEventType(type, raw) {
+  if (!type) return null;
+  const t = type.toLowerCase();
+  // Handle Analytic events — check objectsFound for actual type
+  if (t === "analytic" || t.includes("analytic")) {
+    const objects = raw?.data?.objectsFound || raw?.objectsFound || [];
+    const types = objects.map(o => (o.type||"").toLowerCase());
+    if (types.some(x => x.includes("person")||x.includes("people"))) return "person_detected";
+    if (types.some(x => x.includes("vehicle")||x.includes("car")))   return "vehicle_detected";
+    if (types.some(x => x.includes("crowd")))                         return "crowd_detected";
+    if (types.some(x => x.includes("face")))                          return "person_detected";
+    return null;
+  }
+  if (t.includes("heartbeat")) return "heartbeat";
+  if (t.includes("person")||t.includes("people")) return "person_detected";
+  if (t.includes("motion")) return "motion_detected";
+  if (t.includes("vehicle")||t.includes("car")||t.includes("alpr"))     return "vehicle_detected";
+  if (t.includes("crowd"))    return "crowd_detected";
+  if (t.includes("loiter"))   return "loitering";
+  if (t.includes("offline")||t.includes("disconnect")) return "camera_offline";
+  if (t.includes("online")||t.includes("connect"))     return "camera_online";
+  return null;
+}
+
+function splitEvents(body) {
+  return Array.isArray(body) ? body : [body];
+}
+
+function integrationRef(body) {
+  const integration = splitEvents(body)[0]?.integration;
+  if (!integration) return "";
+  return String(integration.clientId || integration.siteId || integration.integrationId || "");
+}
+
+function normalize(raw) {
+  const objects = raw?.data?.objectsFound || raw?.objectsFound || [];
+  const event_type_raw = raw.type || raw.event_type || "unknown";
+  return {
+    camera_id:      String(raw.deviceId || raw.camera_id || "UNKNOWN"),
+    event_type:     mapEventType(event_type_raw, raw),
+    event_type_raw,
+    timestamp_utc:  raw.data?.timestampUtc || raw.data?.startTimeUtc || raw.data?.endTimeUtc || raw.timestamp_utc || null,
+    object_count:   objects.filter(o => ["person","people","face"].includes((o.type||"").toLowerCase())).length,
+    confidence:     raw.confidence || null,
+    thumbnail_url:  raw.data?.thumbnailUrl   || null,
+    video_url:      raw.data?.sharedVideoUrl || null,
+    metadata:       raw.data || {},
+    plate:          raw.data?.plateNumber || raw.data?.licensePlate || objects.map(o => o.plateNumber || o.licensePlate || o.plate).find(Boolean) || null,
+    source_id:      String(raw.id || ""),
+  };
+}
+
+module.exports = { vendor:"3deye", splitEvents, integrationRef, normalize };
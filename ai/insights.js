@@ -0,0 +1,66 @@
+/**
+ * SocietyGuard - AI insight sets: prompt and output schema
+ *
+ * The server builds `context` from the society's own data and buildInsightPrompt() wraps it; nothing in the
+ * prompt comes from the client. The model must answer with
+ *   { "summary": string, "insights": [{ priority, category, title, finding, action, metric, metric_label }] }
+ * parseInsights() accepts a reply only when it has that shape (extra keys are dropped) and otherwise throws an
+ * InsightSchemaError naming the first problem, which the caller feeds back to the model on retry.
+ */
+
+const PRIORITIES = ["high","medium","low"];
+const CATEGORIES = ["Security","Operations","Maintenance","Pattern","Recommendation","Alert"];
+const MIN_INSIGHTS = 3;
+const MAX_INSIGHTS = 8;
+const TEXT_FIELDS = { title:120, finding:600, action:600, metric:40, metric_label:60 };
+const SUMMARY_MAX = 1500;
+
+class InsightSchemaError extends Error {}
+
+function buildInsightPrompt(context) {
+  const system = "You are a security intelligence analyst for residential societies. You only use the data you are given and answer with a single JSON object, no prose and no code fences.";
+  const prompt = `Analyze this data for ${context.society.name} (${context.period.days} days, ${context.period.from} to ${context.period.to}, times in ${context.society.timezone}) and give actionable insights for the society committee.
+
+DATA:
+${JSON.stringify(context, null, 2)}
+
+Respond with ONLY this JSON shape, with ${MIN_INSIGHTS}-${MAX_INSIGHTS} insights:
+{"summary":"Executive summary paragraph","insights":[{"priority":"${PRIORITIES.join("|")}","category":"${CATEGORIES.join("|")}","title":"Short title","finding":"What the data shows","action":"Specific action for the committee","metric":"Key number","metric_label":"Label"}]}`;
+  return { system, prompt };
+}
+
+function fail(message) {
+  throw new InsightSchemaError(message);
+}
+function text(value, field, max, required=true) {
+  if (value==null || value==="") return required ? fail(`${field} is missing`) : "";
+  if (typeof value==="number") value = String(value);
+  if (typeof value!=="string") fail(`${field} must be a string`);
+  if (value.length > max) fail(`${field} is longer than ${max} characters`);
+  return value.trim();
+}
+
+// Returns { summary, insights } with ids 1..n
+function parseInsights(reply) {
+  const s = String(reply || "");
+  const start = s.indexOf("{"), end = s.lastIndexOf("}");
+  if (start < 0 || end < start) fail("reply contains no JSON object");
+  let data;
+  try { data = JSON.parse(s.slice(start, end + 1)); }
+  catch(e) { fail(`reply is not valid JSON (${e.message})`); }
+  const summary = text(data.summary, "summary", SUMMARY_MAX);
+  if (!Array.isArray(data.insights)) fail("insights must be an array");
+  if (data.insights.length < MIN_INSIGHTS || data.insights.length > MAX_INSIGHTS) fail(`insights must have ${MIN_INSIGHTS}-${MAX_INSIGHTS} items, got ${data.insights.length}`);
+  const insights = data.insights.map((ins, i) => {
+    const at = `insights[${i}]`;
+    if (!ins || typeof ins!=="object") fail(`${at} must be an object`);
+    if (!PRIORITIES.includes(ins.priority)) fail(`${at}.priority must be one of ${PRIORITIES.join(", ")}`);
+    if (!CATEGORIES.includes(ins.category)) fail(`${at}.category must be one of ${CATEGORIES.join(", ")}`);
+    const out = { id:i + 1, priority:ins.priority, category:ins.category };
+    for (const [field, max] of Object.entries(TEXT_FIELDS)) out[field] = text(ins[field], `${at}.${field}`, max, !field.startsWith("metric"));
+    return out;
+  });
+  return { summary, insights };
+}
+
+module.exports = { PRIORITIES, CATEGORIES, InsightSchemaError, buildInsightPrompt, parseInsights };
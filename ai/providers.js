@@ -0,0 +1,80 @@
+/**
+ * SocietyGuard - AI providers for insight generation
+ *
+ * A provider is { name, model, complete({ system, messages, maxTokens, context }) -> { text, usage } } where
+ * messages are [{ role:"user"|"assistant", content }] and usage is { input_tokens, output_tokens }; it throws
+ * when the provider rejects the request. AI_PROVIDER picks one explicitly:
+ *   anthropic   Messages API (ANTHROPIC_API_KEY, AI_MODEL, ANTHROPIC_API_URL to point at a mock server)
+ *   stub        deterministic insights computed from `context` — for tests and local development
+ * Without AI_PROVIDER, anthropic is used when ANTHROPIC_API_KEY is set; otherwise AI is off (null).
+ */
+
+const TIMEOUT_MS = 60 * 1000;
+
+function anthropicProvider(env) {
+  const model = env.AI_MODEL || "claude-haiku-4-5-20251001";
+  const url = env.ANTHROPIC_API_URL || "https://api.anthropic.com/v1/messages";
+  return {
+    name: "anthropic",
+    model,
+    async complete({ system, messages, maxTokens=1500 }) {
+      const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type":"application/json", "x-api-key":env.ANTHROPIC_API_KEY, "anthropic-version":"2023-06-01" },
+        body: JSON.stringify({ model, max_tokens:maxTokens, system, messages }),
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(`Anthropic ${res.status}: ${data.error?.message || JSON.stringify(data).slice(0, 300)}`);
+      return {
+        text: (data.content || []).map(c => c.text || "").join(""),
+        usage: { input_tokens:data.usage?.input_tokens || 0, output_tokens:data.usage?.output_tokens || 0 },
+      };
+    },
+  };
+}
+
+// Same input, same answer: a few rule-of-thumb findings over the context numbers
+function stubInsights(ctx) {
+  const busiest = [...(ctx.camera_activity || [])].sort((a, b) => b.events - a.events)[0];
+  const worst = [...(ctx.camera_downtime || [])].sort((a, b) => b.downtime_minutes - a.downtime_minutes)[0];
+  const hours = Object.entries(ctx.visitors_by_hour || {}).sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+  const alerts = Object.values(ctx.alerts_by_severity || {}).reduce((n, c) => n + c, 0);
+  const insights = [
+    { priority:"medium", category:"Pattern", title:"Peak visitor hour",
+      finding: hours.length ? `Most visitors arrived around ${hours[0][0]}:00 (${hours[0][1]} visitors).` : "No visitors were recorded in this period.",
+      action: "Schedule an extra guard at the gate during the peak hour.",
+      metric: hours.length ? `${hours[0][0]}:00` : "—", metric_label:"Peak hour" },
+    { priority: worst && worst.downtime_minutes > 60 ? "high" : "low", category:"Maintenance", title:"Camera downtime",
+      finding: worst ? `${worst.camera} was down for ${worst.downtime_minutes} minutes (${worst.uptime_pct}% uptime).` : "No camera outages were measured.",
+      action: worst ? `Check power and network for ${worst.camera}.` : "No action needed.",
+      metric: worst ? `${worst.downtime_minutes} min` : "0 min", metric_label:"Worst downtime" },
+    { priority: alerts ? "medium" : "low", category:"Security", title:"Alert activity",
+      finding: `${alerts} alert(s) fired; busiest camera was ${busiest ? `${busiest.camera} (${busiest.events} events)` : "none"}.`,
+      action: alerts ? "Review the alert history with the guard team." : "Keep the current alert rules.",
+      metric: String(alerts), metric_label:"Alerts" },
+  ];
+  return { summary:`${ctx.visitors_total || 0} visitors over ${ctx.period?.days || 0} day(s) at ${ctx.society?.name || "the society"}.`, insights };
+}
+
+function stubProvider() {
+  return {
+    name: "stub",
+    model: "stub",
+    async complete({ context }) {
+      return { text:JSON.stringify(stubInsights(context || {})), usage:{ input_tokens:0, output_tokens:0 } };
+    },
+  };
+}
+
+const PROVIDERS = { anthropic:anthropicProvider, stub:stubProvider };
+
+function selectAiProvider(env=process.env) {
+  const name = (env.AI_PROVIDER || (env.ANTHROPIC_API_KEY ? "anthropic" : "")).toLowerCase();
+  if (!name) return null;
+  if (!PROVIDERS[name]) throw new Error(`Unknown AI_PROVIDER "${name}" (use ${Object.keys(PROVIDERS).join(", ")})`);
+  if (name==="anthropic" && !env.ANTHROPIC_API_KEY) throw new Error("AI_PROVIDER=anthropic needs ANTHROPIC_API_KEY");
+  return PROVIDERS[name](env);
+}
+
+module.exports = { selectAiProvider, stubInsights };
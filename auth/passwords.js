@@ -0,0 +1,26 @@
+/**
+ * SocietyGuard - password policy
+ *
+ * Shared by the API (set / reset / change password) and `db/seed.js`. PASSWORD_MIN_LENGTH is configurable;
+ * bcrypt only looks at the first 72 bytes, so longer passwords are refused rather than silently truncated.
+ */
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || 10);
+const COMMON_PASSWORDS = ["password","qwerty","qwertyuiop","asdfgh","letmein","welcome","admin","administrator","iloveyou","monkey","dragon","abc","society","societyguard"];
+
+// What is wrong with a new password (null = acceptable)
+function passwordProblem(password, user={}) {
+  const p = String(password||"");
+  if (p.length < PASSWORD_MIN_LENGTH) return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  if (Buffer.byteLength(p) > 72) return "Password must be at most 72 bytes";
+  if ([/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9]/].filter(re => re.test(p)).length < 3) return "Password must mix at least three of: lowercase, uppercase, digits, symbols";
+  const lower = p.toLowerCase();
+  const letters = lower.replace(/[^a-z]/g, "");
+  if (COMMON_PASSWORDS.includes(letters) || /^(.)\1*$/.test(letters)) return "Password is too common";   // "Password123!" and "Aaaaaa1!" alike
+  for (const part of [user.username, String(user.email||"").split("@")[0], ...String(user.name||"").split(/\s+/)]) {
+    if (part && part.length>=3 && lower.includes(part.toLowerCase())) return "Password must not contain your username, name or email";
+  }
+  return null;
+}
+
+module.exports = { PASSWORD_MIN_LENGTH, passwordProblem };
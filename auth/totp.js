@@ -0,0 +1,90 @@
+/**
+ * SocietyGuard - TOTP (RFC 6238) for two-factor login
+ *
+ * Secrets are 20 random bytes, shown to the user as base32 inside an otpauth:// URI that
+ * authenticator apps read from a QR code. Codes are 6 digits, HMAC-SHA1, 30-second steps —
+ * the defaults every authenticator app supports. verifyTotp() returns the matched time step so
+ * the caller can store it and refuse the same code a second time.
+ * Recovery codes are one-time fallbacks; only their SHA-256 hashes are stored.
+ */
+
+const crypto = require("crypto");
+
+const STEP_S = 30;
+const DIGITS = 6;
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+function base32Decode(str) {
+  const clean = String(str||"").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = ALPHABET.indexOf(ch);
+    if (idx < 0) throw new Error("Invalid base32 secret");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function totpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const mac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = mac[mac.length - 1] & 15;
+  const bin = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(bin % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+function currentStep(now=Date.now()) {
+  return Math.floor(now / 1000 / STEP_S);
+}
+
+// Accepts codes from `window` steps either side of now (clock drift); steps at or before lastStep are replays
+function verifyTotp(secret, code, { window=1, lastStep=null, now=Date.now() }={}) {
+  const c = String(code||"").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(c)) return null;
+  const step = currentStep(now);
+  for (let s = step - window; s <= step + window; s++) {
+    if (lastStep != null && s <= lastStep) continue;
+    if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, s)), Buffer.from(c))) return s;
+  }
+  return null;
+}
+
+function otpauthUri({ issuer, account, secret }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm:"SHA1", digits:String(DIGITS), period:String(STEP_S) });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// "a1b2-c3d4" style; normalizeRecoveryCode() makes user input comparable before hashing
+function generateRecoveryCodes(count=10) {
+  return Array.from({ length:count }, () => crypto.randomBytes(4).toString("hex").replace(/^(.{4})/, "$1-"));
+}
+function normalizeRecoveryCode(code) {
+  return String(code||"").toLowerCase().replace(/[^0-9a-f]/g, "");
+}
+
+module.exports = { generateSecret, totpCode, currentStep, verifyTotp, otpauthUri, generateRecoveryCodes, normalizeRecoveryCode, base32Encode, base32Decode };
@@ -0,0 +1,132 @@
+/**
+ * SocietyGuard - versioned schema migrations
+ *
+ * Migrations are db/migrations/NNN_name.js files exporting up(client) and down(client). Each one runs in its
+ * own transaction together with its schema_migrations row, and an advisory lock keeps two deploys from
+ * migrating at the same time. The server refuses to start while any migration is pending.
+ *
+ *   node db/migrate.js status          list applied and pending migrations
+ *   node db/migrate.js up [version]    apply pending migrations (optionally only up to version)
+ *   node db/migrate.js down [steps]    roll back the last `steps` applied migrations (default 1)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createPool } = require("./pool");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const LOCK_KEY = 7241052;                        // any constant, as long as every migrator uses the same one
+
+function loadMigrations(dir=MIGRATIONS_DIR) {
+  const list = fs.readdirSync(dir).filter(f => /^\d+_[\w-]+\.js$/.test(f)).map(file => {
+    const m = require(path.join(dir, file));
+    if (typeof m.up!=="function" || typeof m.down!=="function") throw new Error(`Migration ${file} must export up() and down()`);
+    return { version:parseInt(file), name:file.replace(/^\d+_|\.js$/g, ""), up:m.up, down:m.down };
+  }).sort((a, b) => a.version - b.version);
+  list.forEach((m, i) => { if (i && m.version===list[i-1].version) throw new Error(`Two migrations share version ${m.version}`); });
+  return list;
+}
+const label = m => `${String(m.version).padStart(3, "0")}_${m.name}`;
+
+// version -> applied_at; empty when the table does not exist yet
+async function appliedVersions(db) {
+  const { rows: [t] } = await db.query("SELECT to_regclass('schema_migrations') IS NOT NULL as present");
+  if (!t.present) return new Map();
+  const { rows } = await db.query("SELECT version,applied_at FROM schema_migrations");
+  return new Map(rows.map(r => [r.version, r.applied_at]));
+}
+
+// Every known migration with applied_at (null = pending), plus applied versions whose file is gone (missing:true)
+async function migrationStatus(db) {
+  const applied = await appliedVersions(db);
+  const known = loadMigrations();
+  const list = known.map(m => ({ version:m.version, name:m.name, applied_at:applied.get(m.version) || null }));
+  for (const [version, applied_at] of applied) {
+    if (!known.some(m => m.version===version)) list.push({ version, name:"?", applied_at, missing:true });
+  }
+  return list.sort((a, b) => a.version - b.version);
+}
+async function pendingMigrations(db) {
+  return (await migrationStatus(db)).filter(m => !m.applied_at);
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [LOCK_KEY]);
+    await client.query("CREATE TABLE IF NOT EXISTS schema_migrations (version INT PRIMARY KEY, name TEXT NOT NULL, applied_at TIMESTAMPTZ DEFAULT NOW())");
+    return await fn(client);
+  } finally {
+    await client.query("SELECT pg_advisory_unlock($1)", [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+async function runStep(client, m, direction) {
+  await client.query("BEGIN");
+  try {
+    await m[direction](client);
+    if (direction==="up") await client.query("INSERT INTO schema_migrations (version,name) VALUES ($1,$2)", [m.version, m.name]);
+    else await client.query("DELETE FROM schema_migrations WHERE version=$1", [m.version]);
+    await client.query("COMMIT");
+  } catch(e) {
+    await client.query("ROLLBACK");
+    throw new Error(`Migration ${label(m)} ${direction} failed: ${e.message}`);
+  }
+}
+
+// Returns the migrations applied
+async function migrateUp(pool, { to=null, log=console.log }={}) {
+  return withLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const todo = loadMigrations().filter(m => !applied.has(m.version) && (to==null || m.version<=to));
+    for (const m of todo) {
+      await runStep(client, m, "up");
+      log(`▲ ${label(m)}`);
+    }
+    return todo;
+  });
+}
+// Returns the migrations rolled back, newest first
+async function migrateDown(pool, { steps=1, log=console.log }={}) {
+  return withLock(pool, async client => {
+    const known = loadMigrations();
+    const versions = [...(await appliedVersions(client)).keys()].sort((a, b) => b - a).slice(0, steps);
+    const todo = versions.map(version => {
+      const m = known.find(k => k.version===version);
+      if (!m) throw new Error(`Migration ${version} is applied but its file is missing — cannot roll it back`);
+      return m;
+    });
+    for (const m of todo) {
+      await runStep(client, m, "down");
+      log(`▼ ${label(m)}`);
+    }
+    return todo;
+  });
+}
+
+async function main([command="status", arg]) {
+  const n = arg===undefined ? null : parseInt(arg);
+  if (arg!==undefined && !(n > 0)) throw new Error(`Expected a positive number, got "${arg}"`);
+  const pool = createPool();
+  try {
+    if (command==="up") {
+      const done = await migrateUp(pool, { to:n });
+      console.log(done.length ? `Applied ${done.length} migration(s)` : "Nothing to migrate");
+    } else if (command==="down") {
+      const done = await migrateDown(pool, { steps:n || 1 });
+      console.log(done.length ? `Rolled back ${done.length} migration(s)` : "Nothing to roll back");
+    } else if (command==="status") {
+      for (const m of await migrationStatus(pool)) {
+        const state = m.missing ? "applied, file missing" : m.applied_at ? `applied ${m.applied_at.toISOString()}` : "pending";
+        console.log(`${label(m).padEnd(32)} ${state}`);
+      }
+    } else {
+      console.log("Usage: node db/migrate.js status | up [version] | down [steps]");
+      process.exitCode = 2;
+    }
+  } finally { await pool.end(); }
+}
+
+if (require.main===module) main(process.argv.slice(2)).catch(e => { console.error(e.message); process.exit(1); });
+
+module.exports = { loadMigrations, migrationStatus, pendingMigrations, migrateUp, migrateDown };
@@ -0,0 +1,621 @@
+// Schema as initDB built it before versioned migrations. Everything is IF NOT EXISTS, so databases initDB
+// already created adopt this as-is; only a fresh database actually gets its tables from here.
+
+exports.up = async client => {
+  await client.query(`
+    -- Societies table
+    CREATE TABLE IF NOT EXISTS societies (
+      id          SERIAL PRIMARY KEY,
+      code        TEXT UNIQUE NOT NULL,
+      name        TEXT NOT NULL,
+      address     TEXT,
+      logo_url    TEXT,
+      is_active   BOOLEAN DEFAULT true,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Wings/sub-groups inside a society
+    CREATE TABLE IF NOT EXISTS wings (
+      id          SERIAL PRIMARY KEY,
+      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
+      name        TEXT NOT NULL,
+      description TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Flats inside a wing
+    CREATE TABLE IF NOT EXISTS flats (
+      id          SERIAL PRIMARY KEY,
+      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
+      wing_id     INT REFERENCES wings(id) ON DELETE CASCADE,
+      number      TEXT NOT NULL,
+      floor       INT,
+      created_at  TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (wing_id, number)
+    );
+
+    -- Cameras
+    CREATE TABLE IF NOT EXISTS cameras (
+      id             SERIAL PRIMARY KEY,
+      camera_uid     TEXT UNIQUE NOT NULL,
+      name           TEXT NOT NULL,
+      society_id     INT REFERENCES societies(id) ON DELETE SET NULL,
+      wing_id        INT REFERENCES wings(id) ON DELETE SET NULL,
+      location       TEXT,
+      is_active      BOOLEAN DEFAULT true,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Users
+    CREATE TABLE IF NOT EXISTS users (
+      id            SERIAL PRIMARY KEY,
+      username      TEXT UNIQUE NOT NULL,
+      password_hash TEXT,
+      role          TEXT NOT NULL,
+      name          TEXT NOT NULL,
+      email         TEXT UNIQUE NOT NULL,
+      society_id    INT REFERENCES societies(id) ON DELETE SET NULL,
+      is_active     BOOLEAN DEFAULT true,
+      invite_token  TEXT,
+      invite_expires TIMESTAMPTZ,
+      last_login    TIMESTAMPTZ,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Owners/tenants living in a flat; user_id is set once they are invited to log in (role "resident")
+    CREATE TABLE IF NOT EXISTS residents (
+      id             SERIAL PRIMARY KEY,
+      society_id     INT REFERENCES societies(id) ON DELETE CASCADE,
+      flat_id        INT REFERENCES flats(id) ON DELETE CASCADE,
+      name           TEXT NOT NULL,
+      resident_type  TEXT NOT NULL DEFAULT 'owner',
+      phone          TEXT,
+      email          TEXT,
+      user_id        INT REFERENCES users(id) ON DELETE SET NULL,
+      is_active      BOOLEAN DEFAULT true,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Committee notices, society-wide or for one wing
+    CREATE TABLE IF NOT EXISTS notices (
+      id          SERIAL PRIMARY KEY,
+      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
+      wing_id     INT REFERENCES wings(id) ON DELETE CASCADE,
+      title       TEXT NOT NULL,
+      body        TEXT,
+      expires_at  TIMESTAMPTZ,
+      created_by  INT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Events
+    CREATE TABLE IF NOT EXISTS events (
+      id              SERIAL PRIMARY KEY,
+      event_uid       TEXT UNIQUE,
+      camera_id       TEXT NOT NULL,
+      camera_location TEXT,
+      event_type      TEXT NOT NULL,
+      event_type_raw  TEXT,
+      visitor_count   INT DEFAULT 0,
+      confidence      FLOAT,
+      client_id       TEXT NOT NULL,
+      thumbnail_url   TEXT,
+      video_url       TEXT,
+      metadata        JSONB,
+      timestamp_utc   TIMESTAMPTZ,
+      received_at     TIMESTAMPTZ DEFAULT NOW(),
+      source_id       TEXT
+    );
+
+    -- Current health per camera, driven by offline/online events and last-seen heartbeats
+    CREATE TABLE IF NOT EXISTS camera_status (
+      camera_uid      TEXT PRIMARY KEY,
+      society_code    TEXT,
+      status          TEXT NOT NULL DEFAULT 'unknown',
+      last_seen_at    TIMESTAMPTZ,
+      last_event_type TEXT,
+      status_since    TIMESTAMPTZ DEFAULT NOW(),
+      updated_at      TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Measured outage intervals (ended_at NULL = still down)
+    CREATE TABLE IF NOT EXISTS camera_outages (
+      id            SERIAL PRIMARY KEY,
+      camera_uid    TEXT NOT NULL,
+      society_code  TEXT,
+      reason        TEXT NOT NULL,
+      started_at    TIMESTAMPTZ NOT NULL,
+      ended_at      TIMESTAMPTZ,
+      duration_s    INT
+    );
+
+    -- Per-society alert rules (condition_type + params, see validateAlertRule)
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id               SERIAL PRIMARY KEY,
+      society_id       INT REFERENCES societies(id) ON DELETE CASCADE,
+      name             TEXT NOT NULL,
+      condition_type   TEXT NOT NULL,
+      params           JSONB NOT NULL DEFAULT '{}',
+      recipients       JSONB NOT NULL DEFAULT '[]',
+      severity         TEXT DEFAULT 'medium',
+      cooldown_minutes INT DEFAULT 30,
+      quiet_start      TEXT,
+      quiet_end        TEXT,
+      is_active        BOOLEAN DEFAULT true,
+      created_by       INT,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Every rule firing (sent, or held back by quiet hours)
+    CREATE TABLE IF NOT EXISTS alert_history (
+      id           SERIAL PRIMARY KEY,
+      rule_id      INT REFERENCES alert_rules(id) ON DELETE SET NULL,
+      society_id   INT,
+      event_uid    TEXT,
+      camera_id    TEXT,
+      dedupe_key   TEXT,
+      severity     TEXT,
+      status       TEXT NOT NULL,
+      message      TEXT,
+      recipients   JSONB,
+      fired_at     TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Incidents raised from events or alert firings and worked by guards/committee
+    CREATE TABLE IF NOT EXISTS incidents (
+      id               SERIAL PRIMARY KEY,
+      society_id       INT REFERENCES societies(id) ON DELETE CASCADE,
+      title            TEXT NOT NULL,
+      severity         TEXT DEFAULT 'medium',
+      status           TEXT NOT NULL DEFAULT 'open',
+      source           TEXT DEFAULT 'manual',
+      alert_id         INT REFERENCES alert_history(id) ON DELETE SET NULL,
+      assignee_id      INT REFERENCES users(id) ON DELETE SET NULL,
+      sla_minutes      INT,
+      due_at           TIMESTAMPTZ,
+      acknowledged_at  TIMESTAMPTZ,
+      acknowledged_by  INT,
+      resolved_at      TIMESTAMPTZ,
+      resolved_by      INT,
+      resolution       TEXT,
+      created_by       INT,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      updated_at       TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE TABLE IF NOT EXISTS incident_events (
+      incident_id  INT REFERENCES incidents(id) ON DELETE CASCADE,
+      event_id     INT REFERENCES events(id) ON DELETE CASCADE,
+      PRIMARY KEY (incident_id, event_id)
+    );
+    CREATE TABLE IF NOT EXISTS incident_notes (
+      id           SERIAL PRIMARY KEY,
+      incident_id  INT REFERENCES incidents(id) ON DELETE CASCADE,
+      user_id      INT,
+      username     TEXT,
+      note         TEXT NOT NULL,
+      created_at   TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Items pushed to /api/stream; kept for a day so clients can resume with Last-Event-ID
+    CREATE TABLE IF NOT EXISTS stream_events (
+      id            BIGSERIAL PRIMARY KEY,
+      kind          TEXT NOT NULL,
+      society_code  TEXT,
+      payload       JSONB,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Visitor passes: pre-registered guests (and guard-logged walk-ins) with a one-time pass code
+    CREATE TABLE IF NOT EXISTS visitor_passes (
+      id              SERIAL PRIMARY KEY,
+      society_id      INT REFERENCES societies(id) ON DELETE CASCADE,
+      flat            TEXT,
+      guest_name      TEXT NOT NULL,
+      guest_phone     TEXT,
+      purpose         TEXT,
+      source          TEXT DEFAULT 'pre_registered',
+      expected_from   TIMESTAMPTZ NOT NULL,
+      expected_to     TIMESTAMPTZ NOT NULL,
+      pass_hash       TEXT,
+      status          TEXT NOT NULL DEFAULT 'expected',
+      created_by      INT,
+      checked_in_at   TIMESTAMPTZ,
+      checked_in_by   INT,
+      checked_out_at  TIMESTAMPTZ,
+      checked_out_by  INT,
+      gate_event_id   INT REFERENCES events(id) ON DELETE SET NULL,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Per-society vehicle registry: residents' cars, known visitor vehicles, and blocked plates
+    CREATE TABLE IF NOT EXISTS vehicles (
+      id            SERIAL PRIMARY KEY,
+      society_id    INT REFERENCES societies(id) ON DELETE CASCADE,
+      plate         TEXT NOT NULL,
+      list_type     TEXT NOT NULL DEFAULT 'resident',
+      wing_id       INT REFERENCES wings(id) ON DELETE SET NULL,
+      flat          TEXT,
+      owner_name    TEXT,
+      vehicle_type  TEXT,
+      notes         TEXT,
+      valid_until   TIMESTAMPTZ,
+      created_by    INT,
+      created_at    TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (society_id, plate)
+    );
+
+    -- Analytics rollups: event and visitor counts per society/camera/type, bucketed by the society's local hour and day
+    CREATE TABLE IF NOT EXISTS event_rollups_hourly (
+      society_code TEXT NOT NULL,
+      camera_id    TEXT NOT NULL,
+      event_type   TEXT NOT NULL,
+      bucket       TIMESTAMP NOT NULL,
+      events       INT NOT NULL DEFAULT 0,
+      visitors     INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (society_code, camera_id, event_type, bucket)
+    );
+    CREATE TABLE IF NOT EXISTS event_rollups_daily (
+      society_code TEXT NOT NULL,
+      camera_id    TEXT NOT NULL,
+      event_type   TEXT NOT NULL,
+      day          DATE NOT NULL,
+      events       INT NOT NULL DEFAULT 0,
+      visitors     INT NOT NULL DEFAULT 0,
+      PRIMARY KEY (society_code, camera_id, event_type, day)
+    );
+
+    -- Scheduled jobs: cron evaluated in the job's timezone, lease (locked_by/locked_until) held by the running instance
+    CREATE TABLE IF NOT EXISTS jobs (
+      id            SERIAL PRIMARY KEY,
+      name          TEXT UNIQUE NOT NULL,
+      handler       TEXT NOT NULL,
+      society_id    INT REFERENCES societies(id) ON DELETE CASCADE,
+      cron          TEXT NOT NULL,
+      timezone      TEXT NOT NULL DEFAULT 'UTC',
+      is_enabled    BOOLEAN DEFAULT true,
+      max_attempts  INT DEFAULT 3,
+      attempts      INT DEFAULT 0,
+      next_run_at   TIMESTAMPTZ,
+      locked_by     TEXT,
+      locked_until  TIMESTAMPTZ,
+      last_run_at   TIMESTAMPTZ,
+      last_status   TEXT,
+      last_error    TEXT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- One row per job execution
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id            SERIAL PRIMARY KEY,
+      job_id        INT REFERENCES jobs(id) ON DELETE CASCADE,
+      attempt       INT DEFAULT 1,
+      trigger_type  TEXT DEFAULT 'schedule',    -- schedule | retry | manual
+      triggered_by  INT REFERENCES users(id) ON DELETE SET NULL,
+      instance      TEXT,
+      status        TEXT DEFAULT 'running',     -- running | succeeded | failed
+      error         TEXT,
+      started_at    TIMESTAMPTZ DEFAULT NOW(),
+      finished_at   TIMESTAMPTZ
+    );
+
+    -- Outgoing email queue (see sendEmail / deliverEmails)
+    CREATE TABLE IF NOT EXISTS email_outbox (
+      id              SERIAL PRIMARY KEY,
+      to_address      TEXT NOT NULL,
+      subject         TEXT NOT NULL,
+      html            TEXT NOT NULL,
+      template        TEXT,
+      society_id      INT REFERENCES societies(id) ON DELETE SET NULL,
+      status          TEXT DEFAULT 'pending',    -- pending | sending | sent | failed
+      attempts        INT DEFAULT 0,
+      max_attempts    INT DEFAULT 5,
+      next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+      locked_until    TIMESTAMPTZ,
+      transport       TEXT,
+      provider_id     TEXT,
+      last_error      TEXT,
+      created_at      TIMESTAMPTZ DEFAULT NOW(),
+      sent_at         TIMESTAMPTZ
+    );
+
+    -- Signed outbound webhooks a society subscribes to alerts with
+    CREATE TABLE IF NOT EXISTS notification_webhooks (
+      id          SERIAL PRIMARY KEY,
+      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
+      name        TEXT NOT NULL,
+      url         TEXT NOT NULL,
+      secret      TEXT NOT NULL,
+      severities  JSONB NOT NULL DEFAULT '["low","medium","high"]',
+      is_active   BOOLEAN DEFAULT true,
+      created_by  INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- One row per delivery attempt on any channel (email, sms, whatsapp, webhook)
+    CREATE TABLE IF NOT EXISTS notification_deliveries (
+      id            SERIAL PRIMARY KEY,
+      channel       TEXT NOT NULL,
+      provider      TEXT,
+      target        TEXT,
+      status        TEXT NOT NULL,              -- sent | failed | skipped
+      attempt       INT DEFAULT 1,
+      response_code INT,
+      response_body TEXT,
+      error         TEXT,
+      provider_id   TEXT,
+      society_id    INT REFERENCES societies(id) ON DELETE SET NULL,
+      user_id       INT REFERENCES users(id) ON DELETE SET NULL,
+      alert_id      INT,
+      webhook_id    INT REFERENCES notification_webhooks(id) ON DELETE SET NULL,
+      email_id      INT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Login / reset attempts, for the per-IP failure limit
+    CREATE TABLE IF NOT EXISTS auth_attempts (
+      id          SERIAL PRIMARY KEY,
+      kind        TEXT NOT NULL,
+      ip_address  TEXT,
+      username    TEXT,
+      success     BOOLEAN NOT NULL,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Evidence copied off the vendors' expiring thumbnail / clip links (event_id is kept NULL once the event is purged)
+    CREATE TABLE IF NOT EXISTS event_media (
+      id               SERIAL PRIMARY KEY,
+      event_id         INT REFERENCES events(id) ON DELETE SET NULL,
+      society_code     TEXT NOT NULL,
+      kind             TEXT NOT NULL,                     -- thumbnail | clip
+      source_url       TEXT NOT NULL,
+      status           TEXT NOT NULL DEFAULT 'pending',   -- pending | fetching | stored | failed
+      attempts         INT NOT NULL DEFAULT 0,
+      next_attempt_at  TIMESTAMPTZ DEFAULT NOW(),
+      locked_until     TIMESTAMPTZ,
+      storage          TEXT,
+      object_key       TEXT,
+      content_type     TEXT,
+      bytes            BIGINT,
+      sha256           TEXT,
+      retention_tag    TEXT NOT NULL DEFAULT 'standard',  -- standard | hold
+      retain_until     TIMESTAMPTZ,
+      last_error       TEXT,
+      created_at       TIMESTAMPTZ DEFAULT NOW(),
+      stored_at        TIMESTAMPTZ
+    );
+
+    -- AI insight sets (weekly report or on demand); context is the exact data the model was given
+    CREATE TABLE IF NOT EXISTS ai_insights (
+      id             SERIAL PRIMARY KEY,
+      society_id     INT REFERENCES societies(id) ON DELETE CASCADE,
+      kind           TEXT NOT NULL,                 -- weekly | on_demand
+      status         TEXT NOT NULL,                 -- ok | failed
+      period_from    DATE,
+      period_to      DATE,
+      provider       TEXT,
+      model          TEXT,
+      summary        TEXT,
+      insights       JSONB NOT NULL DEFAULT '[]',
+      context        JSONB,
+      attempts       INT NOT NULL DEFAULT 0,
+      input_tokens   INT NOT NULL DEFAULT 0,
+      output_tokens  INT NOT NULL DEFAULT 0,
+      error          TEXT,
+      requested_by   INT REFERENCES users(id) ON DELETE SET NULL,
+      created_at     TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Bursts of motion / person events from one camera, grouped while they keep arriving within SESSION_GAP_S
+    CREATE TABLE IF NOT EXISTS activity_sessions (
+      id                      SERIAL PRIMARY KEY,
+      society_code            TEXT NOT NULL,
+      camera_id               TEXT NOT NULL,
+      started_at              TIMESTAMPTZ NOT NULL,
+      ended_at                TIMESTAMPTZ NOT NULL,
+      event_count             INT NOT NULL DEFAULT 0,
+      peak_count              INT NOT NULL DEFAULT 0,
+      event_types             JSONB NOT NULL DEFAULT '[]',
+      thumbnail_url           TEXT,
+      representative_event_id INT REFERENCES events(id) ON DELETE SET NULL,
+      created_at              TIMESTAMPTZ DEFAULT NOW(),
+      updated_at              TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- VMS integrations (one per 3deye account/site), each with its own webhook secret
+    CREATE TABLE IF NOT EXISTS integrations (
+      id           SERIAL PRIMARY KEY,
+      vendor       TEXT NOT NULL DEFAULT '3deye',
+      external_id  TEXT NOT NULL,
+      society_id   INT REFERENCES societies(id) ON DELETE CASCADE,
+      name         TEXT,
+      secret       TEXT NOT NULL,
+      is_active    BOOLEAN DEFAULT true,
+      last_seen_at TIMESTAMPTZ,
+      created_at   TIMESTAMPTZ DEFAULT NOW(),
+      UNIQUE (vendor, external_id)
+    );
+
+    -- Webhook payloads we could not attribute to an integration, held for superuser review
+    CREATE TABLE IF NOT EXISTS webhook_quarantine (
+      id           SERIAL PRIMARY KEY,
+      vendor       TEXT,
+      external_id  TEXT,
+      reason       TEXT NOT NULL,
+      payload      JSONB,
+      ip_address   TEXT,
+      status       TEXT DEFAULT 'pending',
+      reviewed_by  INT,
+      reviewed_at  TIMESTAMPTZ,
+      received_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Vendor event types no adapter knows yet (stored as "unknown" until mapped)
+    CREATE TABLE IF NOT EXISTS unmapped_event_types (
+      vendor       TEXT NOT NULL,
+      raw_type     TEXT NOT NULL,
+      occurrences  INT DEFAULT 0,
+      sample       JSONB,
+      first_seen   TIMESTAMPTZ DEFAULT NOW(),
+      last_seen    TIMESTAMPTZ DEFAULT NOW(),
+      PRIMARY KEY (vendor, raw_type)
+    );
+
+    -- Signatures already accepted inside the timestamp window (replay protection)
+    CREATE TABLE IF NOT EXISTS webhook_signatures (
+      signature    TEXT PRIMARY KEY,
+      received_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Vendor event ids already ingested per integration, so retried deliveries are not stored twice
+    CREATE TABLE IF NOT EXISTS ingest_keys (
+      integration_id  INT NOT NULL REFERENCES integrations(id) ON DELETE CASCADE,
+      source_key      TEXT NOT NULL,
+      event_id        INT,
+      first_seen_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (integration_id, source_key)
+    );
+
+    -- Audit Logs
+    CREATE TABLE IF NOT EXISTS audit_logs (
+      id          SERIAL PRIMARY KEY,
+      user_id     INT,
+      username    TEXT,
+      role        TEXT,
+      action      TEXT NOT NULL,
+      entity      TEXT,
+      entity_id   TEXT,
+      details     JSONB,
+      ip_address  TEXT,
+      society_id  INT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- User-Society access (multi-society support)
+    CREATE TABLE IF NOT EXISTS user_societies (
+      user_id     INT REFERENCES users(id) ON DELETE CASCADE,
+      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
+      PRIMARY KEY (user_id, society_id)
+    );
+
+    -- Login sessions (one row per refresh token, rotated on every refresh)
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      id            SERIAL PRIMARY KEY,
+      user_id       INT REFERENCES users(id) ON DELETE CASCADE,
+      refresh_hash  TEXT UNIQUE NOT NULL,
+      expires_at    TIMESTAMPTZ NOT NULL,
+      revoked_at    TIMESTAMPTZ,
+      replaced_by   INT,
+      user_agent    TEXT,
+      ip_address    TEXT,
+      created_at    TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- App settings (logo etc)
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key         TEXT PRIMARY KEY,
+      value       TEXT,
+      updated_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Columns v2 databases were missing
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_token TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_expires TIMESTAMPTZ;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login TIMESTAMPTZ;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS society_id INT;
+    -- Invite-based users have no password until they set one
+    ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+    -- Indexes
+    CREATE INDEX IF NOT EXISTS idx_events_client   ON events(client_id);
+    CREATE INDEX IF NOT EXISTS idx_events_cam      ON events(camera_id);
+    CREATE INDEX IF NOT EXISTS idx_events_type     ON events(event_type);
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS external_id TEXT;
+    ALTER TABLE events ADD COLUMN IF NOT EXISTS integration_id INT;
+    ALTER TABLE cameras ADD COLUMN IF NOT EXISTS stale_after_minutes INT;
+    CREATE INDEX IF NOT EXISTS idx_alert_rules_soc ON alert_rules(society_id);
+    CREATE INDEX IF NOT EXISTS idx_alert_hist_rule ON alert_history(rule_id,dedupe_key,fired_at);
+    CREATE INDEX IF NOT EXISTS idx_alert_hist_soc  ON alert_history(society_id,fired_at);
+    ALTER TABLE alert_rules ADD COLUMN IF NOT EXISTS auto_incident BOOLEAN DEFAULT false;
+    CREATE INDEX IF NOT EXISTS idx_incidents_soc   ON incidents(society_id,status);
+    CREATE INDEX IF NOT EXISTS idx_incidents_asgn  ON incidents(assignee_id);
+    CREATE INDEX IF NOT EXISTS idx_stream_created  ON stream_events(created_at);
+    ALTER TABLE cameras ADD COLUMN IF NOT EXISTS is_gate BOOLEAN DEFAULT false;
+    CREATE INDEX IF NOT EXISTS idx_visitors_soc    ON visitor_passes(society_id,expected_from);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_visitors_pass ON visitor_passes(pass_hash) WHERE status='expected';
+    ALTER TABLE events ADD COLUMN IF NOT EXISTS plate_number TEXT;
+    ALTER TABLE events ADD COLUMN IF NOT EXISTS vehicle_class TEXT;
+    ALTER TABLE visitor_passes ADD COLUMN IF NOT EXISTS vehicle_plate TEXT;
+    CREATE INDEX IF NOT EXISTS idx_events_plate    ON events(plate_number) WHERE plate_number IS NOT NULL;
+    ALTER TABLE visitor_passes ADD COLUMN IF NOT EXISTS flat_id INT REFERENCES flats(id) ON DELETE SET NULL;
+    ALTER TABLE vehicles ADD COLUMN IF NOT EXISTS flat_id INT REFERENCES flats(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_flats_wing      ON flats(wing_id);
+    CREATE INDEX IF NOT EXISTS idx_residents_flat  ON residents(flat_id);
+    CREATE INDEX IF NOT EXISTS idx_residents_user  ON residents(user_id);
+    CREATE INDEX IF NOT EXISTS idx_notices_soc     ON notices(society_id,created_at);
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Asia/Kolkata';
+    ALTER TABLE societies DROP COLUMN IF EXISTS last_daily_report_on;
+    ALTER TABLE societies DROP COLUMN IF EXISTS last_weekly_report_on;
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS report_frequency TEXT NOT NULL DEFAULT 'daily';
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS retention JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS evidence_types JSONB NOT NULL DEFAULT '[]';
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS report_recipients JSONB NOT NULL DEFAULT '[]';
+    ALTER TABLE societies ADD COLUMN IF NOT EXISTS ai_monthly_quota INT;
+    CREATE INDEX IF NOT EXISTS idx_ai_insights_soc ON ai_insights(society_id,created_at);
+    CREATE INDEX IF NOT EXISTS idx_jobs_due        ON jobs(next_run_at) WHERE is_enabled;
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job    ON job_runs(job_id,started_at);
+    CREATE INDEX IF NOT EXISTS idx_email_due       ON email_outbox(next_attempt_at) WHERE status IN ('pending','sending');
+    CREATE INDEX IF NOT EXISTS idx_email_created   ON email_outbox(created_at);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS phone TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS notification_prefs JSONB NOT NULL DEFAULT '{}';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_logins INT NOT NULL DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_token_hash TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS reset_expires TIMESTAMPTZ;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_recovery_hashes JSONB NOT NULL DEFAULT '[]';
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+    CREATE INDEX IF NOT EXISTS idx_media_event     ON event_media(event_id);
+    CREATE INDEX IF NOT EXISTS idx_media_due       ON event_media(status,next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_media_expiry    ON event_media(retain_until) WHERE retention_tag='standard';
+    ALTER TABLE events ADD COLUMN IF NOT EXISTS session_id INT REFERENCES activity_sessions(id) ON DELETE SET NULL;
+    CREATE INDEX IF NOT EXISTS idx_events_session  ON events(session_id) WHERE session_id IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_sessions_cam    ON activity_sessions(society_code,camera_id,ended_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_start  ON activity_sessions(society_code,started_at);
+    CREATE INDEX IF NOT EXISTS idx_ingest_keys_seen ON ingest_keys(first_seen_at);
+    CREATE INDEX IF NOT EXISTS idx_users_reset     ON users(reset_token_hash) WHERE reset_token_hash IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts(ip_address,created_at);
+    CREATE INDEX IF NOT EXISTS idx_deliveries_soc  ON notification_deliveries(society_id,created_at);
+    CREATE INDEX IF NOT EXISTS idx_deliveries_alert ON notification_deliveries(alert_id);
+    CREATE INDEX IF NOT EXISTS idx_notify_hooks_soc ON notification_webhooks(society_id);
+    ALTER TABLE events DROP COLUMN IF EXISTS timestamp_ist;
+    CREATE INDEX IF NOT EXISTS idx_rollup_h_bucket ON event_rollups_hourly(bucket);
+    CREATE INDEX IF NOT EXISTS idx_rollup_d_day    ON event_rollups_daily(day);
+    CREATE INDEX IF NOT EXISTS idx_outages_cam     ON camera_outages(camera_uid,started_at);
+    CREATE INDEX IF NOT EXISTS idx_outages_open    ON camera_outages(camera_uid) WHERE ended_at IS NULL;
+    CREATE INDEX IF NOT EXISTS idx_quarantine_status ON webhook_quarantine(status);
+    CREATE INDEX IF NOT EXISTS idx_webhook_sig_ts  ON webhook_signatures(received_at);
+    CREATE INDEX IF NOT EXISTS idx_events_ts       ON events(timestamp_utc);
+    CREATE INDEX IF NOT EXISTS idx_audit_user      ON audit_logs(user_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_created   ON audit_logs(created_at);
+    CREATE INDEX IF NOT EXISTS idx_sessions_user   ON user_sessions(user_id);
+  `);
+};
+
+exports.down = async client => {
+  await client.query(`
+    DROP TABLE IF EXISTS
+    app_settings, user_sessions, user_societies, audit_logs, ingest_keys, webhook_signatures,
+    unmapped_event_types, webhook_quarantine, integrations, activity_sessions, ai_insights, event_media,
+    auth_attempts, notification_deliveries, notification_webhooks, email_outbox, job_runs, jobs,
+    event_rollups_daily, event_rollups_hourly, vehicles, visitor_passes, stream_events, incident_notes,
+    incident_events, incidents, alert_history, alert_rules, camera_outages, camera_status, events, notices,
+    residents, users, cameras, flats, wings, societies
+    CASCADE`);
+};
@@ -0,0 +1,31 @@
+// Data fixes initDB used to repeat on every boot, now applied once
+const crypto = require("crypto");
+
+exports.up = async client => {
+  // 3deye client ids stored on events before societies had codes
+  await client.query("UPDATE societies SET external_id='54321' WHERE code='C01' AND (external_id IS NULL OR external_id='')");
+  await client.query("UPDATE events SET client_id='C01' WHERE client_id='54321'");
+  await client.query("UPDATE events SET client_id='C02' WHERE client_id='54322'");
+  await client.query("UPDATE events SET client_id='C03' WHERE client_id='54323'");
+  // Pull plates that older rows only kept in metadata into the indexed column
+  await client.query(`UPDATE events SET plate_number=UPPER(REGEXP_REPLACE(COALESCE(metadata->>'plateNumber',metadata->>'licensePlate',metadata->'ANPR'->>'licensePlate',metadata->'TrafficCar'->>'PlateNumber'),'[^A-Za-z0-9]','','g'))
+    WHERE plate_number IS NULL AND event_type='vehicle_detected' AND COALESCE(metadata->>'plateNumber',metadata->>'licensePlate',metadata->'ANPR'->>'licensePlate',metadata->'TrafficCar'->>'PlateNumber') IS NOT NULL`);
+  // Legacy ALERT_EMAIL becomes a camera-offline rule per society (only when no rules exist yet)
+  const { rowCount: ruleCount } = await client.query("SELECT 1 FROM alert_rules LIMIT 1");
+  if (ruleCount === 0 && process.env.ALERT_EMAIL) {
+    await client.query(`INSERT INTO alert_rules (society_id,name,condition_type,params,recipients,severity,cooldown_minutes)
+      SELECT id,'Camera offline','event_match','{"event_types":["camera_offline"]}',$1,'high',0 FROM societies`, [JSON.stringify([process.env.ALERT_EMAIL])]);
+    console.log("ALERT_EMAIL migrated to camera-offline alert rules");
+  }
+  // Carry legacy societies.external_id mappings over to integrations (secret must then be configured in the VMS)
+  const { rows: unmapped } = await client.query("SELECT s.id,s.external_id,s.name FROM societies s WHERE COALESCE(s.external_id,'')<>'' AND NOT EXISTS (SELECT 1 FROM integrations i WHERE i.vendor='3deye' AND i.external_id=s.external_id)");
+  for (const s of unmapped) {
+    await client.query("INSERT INTO integrations (vendor,external_id,society_id,name,secret) VALUES ('3deye',$1,$2,$3,$4) ON CONFLICT DO NOTHING", [s.external_id, s.id, `${s.name} (3deye)`, crypto.randomBytes(32).toString("hex")]);
+    console.log(`Integration created for society ${s.id} (external_id ${s.external_id}) — copy its secret into the VMS webhook settings`);
+  }
+  // Users from before multi-society access only have users.society_id
+  await client.query("INSERT INTO user_societies (user_id,society_id) SELECT id,society_id FROM users WHERE society_id IS NOT NULL ON CONFLICT DO NOTHING");
+};
+
+// Nothing to undo: the fixed data is correct either way
+exports.down = async () => {};
@@ -0,0 +1,40 @@
+// Hash-chained audit rows with before / after snapshots, and webhook deliveries moved to their own log
+
+exports.up = async client => {
+  await client.query(`
+    ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS before JSONB;
+    ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS after JSONB;
+    ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS prev_hash TEXT;
+    ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS hash TEXT;
+    CREATE INDEX IF NOT EXISTS idx_audit_entity    ON audit_logs(entity,entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_soc       ON audit_logs(society_id,created_at);
+
+    -- One row per webhook delivery (what used to be a webhook_event audit row per event)
+    CREATE TABLE IF NOT EXISTS ingest_log (
+      id              BIGSERIAL PRIMARY KEY,
+      vendor          TEXT,
+      integration_id  INT REFERENCES integrations(id) ON DELETE SET NULL,
+      society_id      INT REFERENCES societies(id) ON DELETE SET NULL,
+      status          TEXT NOT NULL,              -- accepted | rejected | quarantined | failed
+      received        INT NOT NULL DEFAULT 0,
+      stored          INT NOT NULL DEFAULT 0,
+      duplicates      INT NOT NULL DEFAULT 0,
+      failed          INT NOT NULL DEFAULT 0,
+      error           TEXT,
+      ip_address      TEXT,
+      duration_ms     INT,
+      created_at      TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_ingest_log_soc  ON ingest_log(society_id,created_at);
+    CREATE INDEX IF NOT EXISTS idx_ingest_log_created ON ingest_log(created_at);
+  `);
+};
+
+exports.down = async client => {
+  await client.query(`
+    DROP TABLE IF EXISTS ingest_log;
+    DROP INDEX IF EXISTS idx_audit_entity;
+    DROP INDEX IF EXISTS idx_audit_soc;
+    ALTER TABLE audit_logs DROP COLUMN IF EXISTS before, DROP COLUMN IF EXISTS after, DROP COLUMN IF EXISTS prev_hash, DROP COLUMN IF EXISTS hash;
+  `);
+};
@@ -0,0 +1,10 @@
+// Receivers' response bodies are no longer kept: an admin-registered webhook URL must not become a way to read
+// what some other server answered. Only the status code stays in notification_deliveries.
+
+exports.up = async client => {
+  await client.query("ALTER TABLE notification_deliveries DROP COLUMN IF EXISTS response_body");
+};
+
+exports.down = async client => {
+  await client.query("ALTER TABLE notification_deliveries ADD COLUMN IF NOT EXISTS response_body TEXT");
+};
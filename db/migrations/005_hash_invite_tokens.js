@@ -0,0 +1,21 @@
+// Invite tokens are kept only as SHA-256 hashes, like reset and refresh tokens. Pending invites keep working:
+// the stored plaintext is hashed in place (same hex digest as hashToken() in server.js).
+
+exports.up = async client => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_token_hash TEXT;
+    UPDATE users SET invite_token_hash=encode(sha256(convert_to(invite_token,'UTF8')),'hex') WHERE invite_token IS NOT NULL;
+    ALTER TABLE users DROP COLUMN IF EXISTS invite_token;
+    CREATE INDEX IF NOT EXISTS idx_users_invite ON users(invite_token_hash) WHERE invite_token_hash IS NOT NULL;
+  `);
+};
+
+// Hashes cannot be turned back into tokens, so pending invites have to be resent after rolling back
+exports.down = async client => {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_token TEXT;
+    UPDATE users SET invite_expires=NULL WHERE invite_token_hash IS NOT NULL;
+    DROP INDEX IF EXISTS idx_users_invite;
+    ALTER TABLE users DROP COLUMN IF EXISTS invite_token_hash;
+  `);
+};
@@ -0,0 +1,20 @@
+// Wrong visitor pass codes / QR scans, for the lockout that stops guessing the 6-digit codes.
+// Kept apart from auth_attempts so a guard mistyping codes never counts against the gate network's login limit.
+
+exports.up = async client => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pass_code_failures (
+      id          BIGSERIAL PRIMARY KEY,
+      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
+      user_id     INT REFERENCES users(id) ON DELETE CASCADE,
+      ip_address  TEXT,
+      created_at  TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS idx_pass_code_failures_soc  ON pass_code_failures(society_id,created_at);
+    CREATE INDEX IF NOT EXISTS idx_pass_code_failures_user ON pass_code_failures(user_id,created_at);
+  `);
+};
+
+exports.down = async client => {
+  await client.query("DROP TABLE IF EXISTS pass_code_failures");
+};
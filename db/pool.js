@@ -0,0 +1,11 @@
+// Connection pool shared by the server and the db/ command-line tools
+const { Pool } = require("pg");
+
+function createPool(env=process.env) {
+  return new Pool({
+    connectionString: env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false },
+  });
+}
+
+module.exports = { createPool };
@@ -0,0 +1,61 @@
+/**
+ * SocietyGuard - initial data, run once after `node db/migrate.js up`
+ *
+ *   node db/seed.js          the first superuser, from SEED_SUPERUSER_PASSWORD (required), SEED_SUPERUSER_EMAIL
+ *                            (required), SEED_SUPERUSER_USERNAME (default superadmin) and SEED_SUPERUSER_NAME
+ *   node db/seed.js --demo   also the demo societies C01-C03 and three cameras for C01
+ * Existing rows are never changed: a username, society code or camera uid that is already there is skipped.
+ * The superuser is asked to set up two-factor authentication at first login.
+ */
+
+const bcrypt = require("bcryptjs");
+const { createPool } = require("./pool");
+const { pendingMigrations } = require("./migrate");
+const { passwordProblem } = require("../auth/passwords");
+
+const DEMO_SOCIETIES = [
+  { code:"C01", name:"Green Valley Society", address:"Mumbai" },
+  { code:"C02", name:"Sunrise Heights", address:"Mumbai" },
+  { code:"C03", name:"Royal Palms", address:"Mumbai" },
+];
+const DEMO_CAMERAS = [
+  { camera_uid:"93518", name:"Main Gate", location:"Main Entrance" },
+  { camera_uid:"98308", name:"Parking Lot", location:"Parking Area" },
+  { camera_uid:"93515", name:"Lobby Entrance", location:"Building Lobby" },
+];
+
+async function seedSuperuser(pool, env) {
+  const user = { username:env.SEED_SUPERUSER_USERNAME || "superadmin", name:env.SEED_SUPERUSER_NAME || "Administrator", email:env.SEED_SUPERUSER_EMAIL };
+  const { rowCount } = await pool.query("SELECT 1 FROM users WHERE username=$1", [user.username]);
+  if (rowCount) return console.log(`User ${user.username} already exists — left unchanged`);
+  if (!env.SEED_SUPERUSER_PASSWORD || !user.email) throw new Error("Set SEED_SUPERUSER_PASSWORD and SEED_SUPERUSER_EMAIL");
+  const problem = passwordProblem(env.SEED_SUPERUSER_PASSWORD, user);
+  if (problem) throw new Error(`SEED_SUPERUSER_PASSWORD: ${problem}`);
+  await pool.query("INSERT INTO users (username,password_hash,role,name,email,password_changed_at) VALUES ($1,$2,'superuser',$3,$4,NOW())",
+    [user.username, await bcrypt.hash(env.SEED_SUPERUSER_PASSWORD, 12), user.name, user.email]);
+  console.log(`Superuser ${user.username} created`);
+}
+
+async function seedDemo(pool) {
+  for (const s of DEMO_SOCIETIES) {
+    const { rowCount } = await pool.query("INSERT INTO societies (code,name,address) VALUES ($1,$2,$3) ON CONFLICT (code) DO NOTHING", [s.code, s.name, s.address]);
+    console.log(rowCount ? `Society ${s.code} created` : `Society ${s.code} already exists — left unchanged`);
+  }
+  const { rows: [c01] } = await pool.query("SELECT id FROM societies WHERE code='C01'");
+  for (const c of DEMO_CAMERAS) {
+    const { rowCount } = await pool.query("INSERT INTO cameras (camera_uid,name,society_id,location) VALUES ($1,$2,$3,$4) ON CONFLICT (camera_uid) DO NOTHING", [c.camera_uid, c.name, c01.id, c.location]);
+    if (rowCount) console.log(`Camera ${c.camera_uid} (${c.name}) created`);
+  }
+}
+
+async function main(args, env=process.env) {
+  const pool = createPool(env);
+  try {
+    const pending = await pendingMigrations(pool);
+    if (pending.length) throw new Error(`${pending.length} pending migration(s) — run "node db/migrate.js up" first`);
+    await seedSuperuser(pool, env);
+    if (args.includes("--demo")) await seedDemo(pool);
+  } finally { await pool.end(); }
+}
+
+if (require.main===module) main(process.argv.slice(2)).catch(e => { console.error(e.message); process.exit(1); });
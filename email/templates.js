@@ -0,0 +1,227 @@
+/**
+ * SocietyGuard - email templates
+ *
+ * Every template returns { subject, html } wrapped in the shared layout. Values interpolated into
+ * the html`` tag are HTML-escaped; only fragments built with html`` (or marked with raw()) pass
+ * through as markup, so names, camera labels and AI text can never inject HTML.
+ */
+
+const ESCAPES = { "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" };
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+function raw(value) {
+  return new SafeHtml(String(value ?? ""));
+}
+function render(value) {
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join("");
+  return escapeHtml(value);
+}
+function html(strings, ...values) {
+  return raw(strings.reduce((out, str, i) => out + str + (i < values.length ? render(values[i]) : ""), ""));
+}
+
+function layout({ tagline="Security Intelligence Platform", body }) {
+  return html`<div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;background:#f8fafc;border-radius:16px;overflow:hidden;box-shadow:0 4px 24px rgba(0,0,0,0.08)">
+  <div style="background:#0f1923;padding:28px 32px;text-align:center;border-bottom:3px solid #38bdf8">
+    <span style="font-size:26px;font-weight:900;color:#38bdf8;letter-spacing:-1px">Society<span style="color:#e2e8f0">Guard</span></span>
+    <div style="font-size:10px;color:#64748b;letter-spacing:3px;text-transform:uppercase;margin-top:4px">${tagline}</div>
+  </div>
+  <div style="background:#ffffff;padding:36px 32px">${body}</div>
+  <div style="background:#0f1923;padding:20px 32px;text-align:center">
+    <p style="margin:0 0 6px;font-size:12px;color:#64748b">Powered by <strong style="color:#38bdf8">Securizen Technologies</strong></p>
+    <p style="margin:0;font-size:11px;color:#334155">This is an automated message from SocietyGuard. Please do not reply.</p>
+    <p style="margin:8px 0 0;font-size:11px;color:#334155">© ${new Date().getFullYear()} Securizen Technologies. All rights reserved.</p>
+  </div>
+</div>`.value;
+}
+
+const CELL = "padding:10px 0;border-bottom:1px solid #e2e8f0";
+const ROW  = "padding:8px 12px;border-bottom:1px solid #e2e8f0";
+
+function inviteEmail({ name, username, role, link }) {
+  return {
+    subject: "You've been invited to SocietyGuard",
+    html: layout({ body: html`
+      <h2 style="color:#0f1923;font-size:22px;font-weight:800;margin:0 0 8px">Welcome to SocietyGuard! 🏢</h2>
+      <p style="color:#475569;font-size:14px;margin:0 0 24px">You have been invited to join the platform</p>
+      <p style="color:#1e293b;font-size:15px;margin:0 0 8px">Hi <strong>${name}</strong>,</p>
+      <p style="color:#475569;font-size:14px;line-height:1.6;margin:0 0 24px">You've been added as <strong style="color:#0ea5e9">${role}</strong> on SocietyGuard. Click the button below to set your password and activate your account.</p>
+      <div style="text-align:center;margin:28px 0">
+        <a href="${link}" style="display:inline-block;padding:14px 32px;background:linear-gradient(135deg,#0ea5e9,#38bdf8);color:#0a0c10;border-radius:10px;font-weight:800;font-size:15px;text-decoration:none;letter-spacing:0.3px">Set My Password →</a>
+      </div>
+      <div style="background:#f1f5f9;border-radius:8px;padding:14px 18px;margin-top:24px">
+        <p style="margin:0;font-size:12px;color:#64748b">🔐 Your username: <strong style="color:#0ea5e9;font-size:13px">${username}</strong></p>
+        <p style="margin:6px 0 0;font-size:11px;color:#94a3b8">⏰ This link expires in 24 hours. Do not share this email with anyone.</p>
+      </div>` }),
+  };
+}
+
+function passwordResetEmail({ name, username, link, minutes }) {
+  return {
+    subject: "Reset your SocietyGuard password",
+    html: layout({ body: html`
+      <h2 style="color:#0f1923;font-size:22px;font-weight:800;margin:0 0 8px">Password reset requested 🔑</h2>
+      <p style="color:#1e293b;font-size:15px;margin:0 0 8px">Hi <strong>${name}</strong>,</p>
+      <p style="color:#475569;font-size:14px;line-height:1.6;margin:0 0 24px">Someone asked to reset the password for <strong style="color:#0ea5e9">${username}</strong>. If it was you, choose a new password below. All your signed-in devices will be logged out.</p>
+      <div style="text-align:center;margin:28px 0">
+        <a href="${link}" style="display:inline-block;padding:14px 32px;background:linear-gradient(135deg,#0ea5e9,#38bdf8);color:#0a0c10;border-radius:10px;font-weight:800;font-size:15px;text-decoration:none;letter-spacing:0.3px">Reset Password →</a>
+      </div>
+      <div style="background:#f1f5f9;border-radius:8px;padding:14px 18px;margin-top:24px">
+        <p style="margin:0;font-size:11px;color:#94a3b8">⏰ This link works once and expires in ${minutes} minutes. If you did not ask for it, ignore this email — your password stays the same.</p>
+      </div>` }),
+  };
+}
+
+const SEVERITY_STYLES = {
+  high:   { bg:"#fef2f2", border:"#fecaca", color:"#ef4444", icon:"🚨" },
+  medium: { bg:"#fffbeb", border:"#fde68a", color:"#f59e0b", icon:"⚠️" },
+  low:    { bg:"#f0f9ff", border:"#bae6fd", color:"#0ea5e9", icon:"ℹ️" },
+};
+
+// rule: { name, severity }, ctx: { camera_id, camera_location, event_type, timestamp_utc, message }
+function alertEmail({ rule, ctx, tz }) {
+  const sev = SEVERITY_STYLES[rule.severity] || SEVERITY_STYLES.high;
+  return {
+    subject: `${sev.icon} ${rule.name}: ${ctx.camera_location||ctx.camera_id}`,
+    html: layout({ body: html`
+      <div style="display:inline-block;background:${sev.bg};border:1px solid ${sev.border};border-radius:8px;padding:8px 16px;margin-bottom:20px">
+        <span style="color:${sev.color};font-weight:700;font-size:13px">${sev.icon} ${String(rule.severity||"high").toUpperCase()} ALERT</span>
+      </div>
+      <h2 style="color:#0f1923;font-size:20px;font-weight:800;margin:0 0 20px">${rule.name}</h2>
+      <table style="width:100%;border-collapse:collapse">
+        <tr><td style="${CELL};color:#64748b;font-size:13px;width:40%">Camera ID</td><td style="${CELL};color:#0ea5e9;font-weight:700">${ctx.camera_id}</td></tr>
+        <tr><td style="${CELL};color:#64748b;font-size:13px">Location</td><td style="${CELL};color:#1e293b;font-weight:600">${ctx.camera_location}</td></tr>
+        <tr><td style="${CELL};color:#64748b;font-size:13px">Event</td><td style="${CELL};color:#1e293b">${ctx.event_type}</td></tr>
+        <tr><td style="padding:10px 0;color:#64748b;font-size:13px">Time (${tz})</td><td style="padding:10px 0;color:#1e293b">${new Date(ctx.timestamp_utc).toLocaleString("en-IN",{timeZone:tz})}</td></tr>
+      </table>
+      <div style="background:${sev.bg};border-left:4px solid ${sev.color};padding:14px 18px;margin-top:24px;border-radius:4px">
+        <p style="margin:0;font-size:13px;color:#1e293b">${ctx.message}</p>
+      </div>` }),
+  };
+}
+
+// cameras: [{ camera_id, location, count }], downtime: [{ location, incidents, downtime_minutes, ongoing }],
+// passes: { expected, arrived, no_show, walk_ins }
+function dailyReportEmail({ societyName, date, today, yesterday, cameras, downtime, passes }) {
+  const delta = today - yesterday;
+  const cameraRows = cameras.length
+    ? cameras.map(r => html`<tr><td style="${ROW};color:#1e293b">${r.camera_id}</td><td style="${ROW};color:#1e293b">${r.location}</td><td style="${ROW};color:#0ea5e9;font-weight:700">${r.count}</td></tr>`)
+    : html`<tr><td colspan="3" style="${ROW};color:#64748b">No events today</td></tr>`;
+  const downRows = downtime.length
+    ? downtime.map(r => html`<tr><td style="${ROW};color:#1e293b">${r.location}</td><td style="${ROW};color:#ef4444;font-weight:700">${r.incidents} incident(s) · ${r.downtime_minutes} min${r.ongoing?" · still down":""}</td></tr>`)
+    : html`<tr><td colspan="2" style="${ROW};color:#16a34a">All cameras online ✅</td></tr>`;
+  const passRow = (label, value, color) => html`<tr><td style="${ROW};color:#64748b">${label}</td><td style="${ROW};color:${color};font-weight:700">${value}</td></tr>`;
+  return {
+    subject: `📊 Daily Report — ${societyName} — ${date}`,
+    html: layout({ tagline:"Daily Security Report", body: html`
+      <h2 style="color:#0f1923;margin:0 0 4px">Daily Security Report</h2>
+      <p style="color:#64748b;margin:0 0 24px;font-size:13px">${societyName} · ${date}</p>
+      <table style="width:100%;border-collapse:separate;border-spacing:8px 0;margin:0 -8px 24px"><tr>
+        <td style="background:#f0f9ff;padding:16px;border-radius:8px;border:1px solid #bae6fd;width:50%">
+          <div style="color:#64748b;font-size:12px;margin-bottom:4px">TODAY'S VISITORS</div>
+          <div style="font-size:32px;font-weight:800;color:#0ea5e9">${today}</div>
+          <div style="font-size:12px;color:${delta>=0?"#16a34a":"#ef4444"}">${delta>=0?"▲":"▼"} ${Math.abs(delta)} vs yesterday</div>
+        </td>
+        <td style="background:#f5f3ff;padding:16px;border-radius:8px;border:1px solid #ddd6fe;width:50%">
+          <div style="color:#64748b;font-size:12px;margin-bottom:4px">YESTERDAY</div>
+          <div style="font-size:32px;font-weight:800;color:#818cf8">${yesterday}</div>
+        </td>
+      </tr></table>
+      <h3 style="color:#0f1923;margin:0 0 12px">Camera Activity</h3>
+      <table style="width:100%;border-collapse:collapse;margin-bottom:24px">
+        <thead><tr style="background:#f1f5f9"><th style="padding:8px 12px;text-align:left;color:#64748b;font-size:11px">CAMERA</th><th style="padding:8px 12px;text-align:left;color:#64748b;font-size:11px">LOCATION</th><th style="padding:8px 12px;text-align:left;color:#64748b;font-size:11px">EVENTS</th></tr></thead>
+        <tbody>${cameraRows}</tbody>
+      </table>
+      <h3 style="color:#0f1923;margin:0 0 12px">Visitor Passes (last 24h)</h3>
+      <table style="width:100%;border-collapse:collapse;margin-bottom:24px"><tbody>
+        ${passRow("Expected", passes.expected, "#1e293b")}
+        ${passRow("Arrived", passes.arrived, "#16a34a")}
+        ${passRow("No-shows", passes.no_show, "#ef4444")}
+        ${passRow("Walk-ins", passes.walk_ins, "#818cf8")}
+      </tbody></table>
+      <h3 style="color:#0f1923;margin:0 0 12px">Camera Downtime</h3>
+      <table style="width:100%;border-collapse:collapse"><tbody>${downRows}</tbody></table>` }),
+  };
+}
+
+// Same sections as the daily report over a calendar month, plus per-day and per-type breakdowns
+function monthlyReportEmail({ societyName, month, totals, days, eventTypes, cameras, downtime, passes }) {
+  const TH = "padding:8px 12px;text-align:left;color:#64748b;font-size:11px";
+  const table = (heads, rows, empty) => html`
+      <table style="width:100%;border-collapse:collapse;margin-bottom:24px">
+        <thead><tr style="background:#f1f5f9">${heads.map(h => html`<th style="${TH}">${h}</th>`)}</tr></thead>
+        <tbody>${rows.length ? rows.map(cells => html`<tr>${cells.map(c => html`<td style="${ROW};color:#1e293b">${c}</td>`)}</tr>`) : html`<tr><td colspan="${heads.length}" style="${ROW};color:#64748b">${empty}</td></tr>`}</tbody>
+      </table>`;
+  const figure = (label, value, color, note="") => html`
+        <td style="background:#f8fafc;padding:16px;border-radius:8px;border:1px solid #e2e8f0;width:33%">
+          <div style="color:#64748b;font-size:12px;margin-bottom:4px">${label}</div>
+          <div style="font-size:28px;font-weight:800;color:${color}">${value}</div>
+          <div style="font-size:12px;color:#64748b">${note}</div>
+        </td>`;
+  return {
+    subject: `📅 Monthly Report — ${societyName} — ${month}`,
+    html: layout({ tagline:"Monthly Security Report", body: html`
+      <h2 style="color:#0f1923;margin:0 0 4px">Monthly Security Report</h2>
+      <p style="color:#64748b;margin:0 0 24px;font-size:13px">${societyName} · ${month}</p>
+      <table style="width:100%;border-collapse:separate;border-spacing:8px 0;margin:0 -8px 24px"><tr>
+        ${figure("VISITORS", totals.visitors, "#0ea5e9")}
+        ${figure("EVENTS", totals.events, "#818cf8")}
+        ${figure("BUSIEST DAY", totals.busiest_day?.visitors || 0, "#0f1923", totals.busiest_day?.day || "")}
+      </tr></table>
+      <h3 style="color:#0f1923;margin:0 0 12px">Visitors per Day</h3>
+      ${table(["DAY","VISITORS","EVENTS"], days.map(d => [d.day, d.visitors, d.events]), "No activity")}
+      <h3 style="color:#0f1923;margin:0 0 12px">Events by Type</h3>
+      ${table(["TYPE","EVENTS"], eventTypes.map(t => [t.event_type, t.events]), "No events")}
+      <h3 style="color:#0f1923;margin:0 0 12px">Camera Activity</h3>
+      ${table(["CAMERA","LOCATION","EVENTS"], cameras.map(r => [r.camera_id, r.location, r.count]), "No events")}
+      <h3 style="color:#0f1923;margin:0 0 12px">Visitor Passes</h3>
+      ${table(["STATUS","PASSES"], [["Expected", passes.expected], ["Arrived", passes.arrived], ["No-shows", passes.no_show], ["Walk-ins", passes.walk_ins]], "")}
+      <h3 style="color:#0f1923;margin:0 0 12px">Camera Downtime</h3>
+      ${table(["CAMERA","INCIDENTS","MINUTES","UPTIME"], downtime.map(r => [r.location, r.incidents, r.downtime_minutes, `${r.uptime_pct}%`]), "No outages this month ✅")}` }),
+  };
+}
+
+const PRIORITY_LABELS = { high:"🔴 Urgent", medium:"🟡 Watch", low:"🟢 Good" };
+const PRIORITY_COLORS = { high:"#ef4444", medium:"#f59e0b", low:"#4ade80" };
+
+// insights: [{ priority, category, title, finding, action, metric, metric_label }] as returned by the AI
+function weeklyReportEmail({ societyName, date, summary, insights }) {
+  const cards = insights.map(ins => html`
+      <div style="margin-bottom:16px;padding:16px;border:1px solid #e2e8f0;border-radius:8px;border-left:4px solid ${PRIORITY_COLORS[ins.priority]||"#38bdf8"}">
+        <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:8px">
+          <div>
+            <span style="font-size:11px;font-weight:700;color:${PRIORITY_COLORS[ins.priority]||"#38bdf8"}">${PRIORITY_LABELS[ins.priority]||ins.priority}</span>
+            <span style="font-size:11px;color:#64748b;margin-left:8px">${ins.category}</span>
+          </div>
+          ${ins.metric ? html`<div style="text-align:right"><div style="font-size:20px;font-weight:900;color:#0ea5e9">${ins.metric}</div><div style="font-size:10px;color:#64748b">${ins.metric_label}</div></div>` : ""}
+        </div>
+        <h4 style="margin:0 0 6px;font-size:14px;color:#0f1923">${ins.title}</h4>
+        <p style="margin:0 0 8px;font-size:12px;color:#475569">${ins.finding}</p>
+        <div style="background:#f0f9ff;padding:10px 12px;border-radius:6px">
+          <div style="font-size:10px;font-weight:700;color:#0ea5e9;margin-bottom:4px">RECOMMENDED ACTION</div>
+          <p style="margin:0;font-size:12px;color:#0f1923">${ins.action}</p>
+        </div>
+      </div>`);
+  return {
+    subject: `🤖 Weekly AI Security Report — ${societyName} — ${date}`,
+    html: layout({ tagline:"Weekly AI Security Report", body: html`
+      <h2 style="color:#0f1923;margin:0 0 4px">${societyName}</h2>
+      <p style="color:#64748b;margin:0 0 20px;font-size:13px">${date} · Weekly Analysis</p>
+      <div style="background:#f0f9ff;border-radius:8px;padding:16px 20px;margin-bottom:24px;border:1px solid #bae6fd">
+        <div style="font-size:11px;font-weight:700;color:#0ea5e9;letter-spacing:2px;text-transform:uppercase;margin-bottom:8px">Executive Summary</div>
+        <p style="margin:0;font-size:13px;color:#1e293b;line-height:1.6">${summary}</p>
+      </div>
+      <h3 style="color:#0f1923;margin:0 0 16px;font-size:14px;text-transform:uppercase;letter-spacing:1px">Security Insights & Recommendations</h3>
+      ${cards}` }),
+  };
+}
+
+module.exports = { escapeHtml, html, raw, layout, inviteEmail, passwordResetEmail, alertEmail, dailyReportEmail, monthlyReportEmail, weeklyReportEmail };
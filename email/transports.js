@@ -0,0 +1,102 @@
+/**
+ * SocietyGuard - email transports
+ *
+ * A transport is { name, send({ from, to, subject, html }) -> { id } } and throws when the provider
+ * rejects the message, so the outbox can retry it. EMAIL_TRANSPORT picks one explicitly
+ * (smtp, sendgrid, resend, file, console); otherwise the first configured of SMTP_HOST,
+ * SENDGRID_API_KEY and RESEND_API_KEY is used, falling back to the console sink.
+ */
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+// "SocietyGuard <noreply@x.app>" -> { name:"SocietyGuard", email:"noreply@x.app" }
+function parseAddress(address) {
+  const m = String(address).match(/^\s*(.*?)\s*<(.+)>\s*$/);
+  return m ? { name:m[1].replace(/^"|"$/g, "") || undefined, email:m[2].trim() } : { email:String(address).trim() };
+}
+
+function smtpTransport(env) {
+  const nodemailer = require("nodemailer");
+  const port = parseInt(env.SMTP_PORT || 587);
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    auth: env.SMTP_USER ? { user:env.SMTP_USER, pass:env.SMTP_PASS } : undefined,
+  });
+  return {
+    name: "smtp",
+    async send({ from, to, subject, html }) {
+      const info = await transporter.sendMail({ from, to, subject, html });
+      return { id: info.messageId };
+    },
+  };
+}
+
+function sendgridTransport(env) {
+  return {
+    name: "sendgrid",
+    async send({ from, to, subject, html }) {
+      const res = await fetch("https://api.sendgrid.com/v3/mail/send", {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${env.SENDGRID_API_KEY}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ personalizations:[{ to:[{ email:to }] }], from:parseAddress(from), subject, content:[{ type:"text/html", value:html }] }),
+      });
+      if (!res.ok) throw new Error(`SendGrid ${res.status}: ${await res.text()}`);
+      return { id: res.headers.get("x-message-id") };
+    },
+  };
+}
+
+function resendTransport(env) {
+  return {
+    name: "resend",
+    async send({ from, to, subject, html }) {
+      const res = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: { "Authorization": `Bearer ${env.RESEND_API_KEY}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ from, to, subject, html }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(`Resend ${res.status}: ${data.message || JSON.stringify(data)}`);
+      return { id: data.id };
+    },
+  };
+}
+
+// Writes each message to EMAIL_FILE_DIR as JSON — for tests and local development
+function fileTransport(env) {
+  const dir = env.EMAIL_FILE_DIR || path.join(os.tmpdir(), "societyguard-mail");
+  return {
+    name: "file",
+    async send(message) {
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.mkdir(dir, { recursive:true });
+      await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+      return { id };
+    },
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send({ to, subject }) {
+      console.log(`✉️  [console transport] ${to}: ${subject}`);
+      return { id: null };
+    },
+  };
+}
+
+const TRANSPORTS = { smtp:smtpTransport, sendgrid:sendgridTransport, resend:resendTransport, file:fileTransport, console:consoleTransport };
+
+function selectTransport(env=process.env) {
+  const name = (env.EMAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : env.SENDGRID_API_KEY ? "sendgrid" : env.RESEND_API_KEY ? "resend" : "console")).toLowerCase();
+  if (!TRANSPORTS[name]) throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(", ")})`);
+  return TRANSPORTS[name](env);
+}
+
+module.exports = { selectTransport, parseAddress };
@@ -0,0 +1,206 @@
+/**
+ * SocietyGuard - notification channels used alongside email
+ *
+ * A channel is { name, provider, send(target, message) -> { status, id } }.
+ *   sms        MSG91 flow API or Twilio Messages API (SMS_PROVIDER), target = phone in E.164
+ *   whatsapp   WhatsApp Business Cloud API template message, target = phone in E.164
+ *   webhook    signed JSON POST, target = { url, secret }
+ * message = { event, text, vars, params, payload }: SMS/WhatsApp use text/vars/params, webhooks post payload.
+ * send() throws a ChannelError on failure; `retryable` is false for 4xx answers that will not change on retry.
+ * Only status codes come back — response bodies are never passed on, so a receiver's answer cannot be read
+ * back through the delivery log.
+ * Every provider base URL can be overridden (…_API_URL) so channels can be exercised against a local mock server.
+ *
+ * Webhook URLs are entered by society admins, so the webhook channel only connects to public addresses: the host
+ * is resolved and loopback, private, link-local (cloud metadata), CGNAT and reserved ranges are refused — at
+ * connect time too, so DNS rebinding cannot slip past the check — and redirects are not followed.
+ * WEBHOOK_ALLOW_PRIVATE_NETWORKS=true lifts this for on-premise receivers.
+ */
+
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const http = require("http");
+const https = require("https");
+
+const TIMEOUT_MS = 10 * 1000;
+
+class ChannelError extends Error {
+  constructor(message, { status=null, retryable }={}) {
+    super(message);
+    this.status = status;
+    this.retryable = retryable ?? (!status || status===429 || status>=500);
+  }
+}
+
+// { status, json } of a 2xx answer; anything else throws. The body is only read to pick out provider ids.
+function answer(status, text) {
+  if (status<200 || status>=300) throw new ChannelError(`HTTP ${status}`, { status });
+  let json = null;
+  try { json = JSON.parse(text); } catch(e) {}
+  return { status, json };
+}
+async function post(url, { headers={}, body }) {
+  let res;
+  try {
+    res = await fetch(url, { method:"POST", headers, body, signal:AbortSignal.timeout(TIMEOUT_MS) });
+  } catch(e) {
+    throw new ChannelError(e.name==="TimeoutError" ? `No response within ${TIMEOUT_MS/1000}s` : e.message);
+  }
+  return answer(res.status, (await res.text()).slice(0, 2000));
+}
+
+const BLOCKED = new net.BlockList();
+for (const [range, bits] of [["0.0.0.0",8], ["10.0.0.0",8], ["100.64.0.0",10], ["127.0.0.0",8], ["169.254.0.0",16], ["172.16.0.0",12],
+  ["192.0.0.0",24], ["192.0.2.0",24], ["192.168.0.0",16], ["198.18.0.0",15], ["198.51.100.0",24], ["203.0.113.0",24], ["224.0.0.0",3]]) BLOCKED.addSubnet(range, bits, "ipv4");
+for (const [range, bits] of [["::",127], ["64:ff9b::",96], ["100::",64], ["2001:db8::",32], ["fc00::",7], ["fe80::",10], ["ff00::",8]]) BLOCKED.addSubnet(range, bits, "ipv6");
+function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1 / ::ffff:7f00:1) is judged as the IPv4 address it carries
+  const mapped = String(address).match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (mapped) address = mapped[1] || [mapped[2], mapped[3]].flatMap(h => [parseInt(h, 16) >> 8, parseInt(h, 16) & 255]).join(".");
+  if (!net.isIP(address)) return false;
+  return !BLOCKED.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+}
+// dns.lookup replacement for outbound sockets: fails when any address the host resolves to is not public
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all:true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => !isPublicAddress(a.address));
+    if (blocked) return callback(new ChannelError(`${hostname} resolves to a non-public address`, { retryable:false }));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+// Error message when url may not be used as a webhook target, else null
+async function urlProblem(url, { allowPrivate=false }={}) {
+  let u;
+  try { u = new URL(url); } catch(e) { return "url must be an http(s) URL"; }
+  if (!["http:","https:"].includes(u.protocol)) return "url must be an http(s) URL";
+  if (allowPrivate) return null;
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return isPublicAddress(host) ? null : "url must point to a public address";
+  try {
+    const addresses = await dns.promises.lookup(host, { all:true });
+    return addresses.every(a => isPublicAddress(a.address)) ? null : "url must point to a public address";
+  } catch(e) { return `Cannot resolve ${host}`; }
+}
+// POST with Node's http(s) so the connection goes through publicLookup; redirects come back as non-2xx answers
+async function postPublic(url, { headers={}, body, allowPrivate=false }) {
+  const problem = await urlProblem(url, { allowPrivate });
+  if (problem) throw new ChannelError(problem, { retryable:false });
+  const u = new URL(url);
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol==="https:" ? https : http).request(u, { method:"POST", headers:{ ...headers, "Content-Length":Buffer.byteLength(body) }, ...(allowPrivate ? {} : { lookup:publicLookup }), timeout:TIMEOUT_MS }, res => {
+      let text = "";
+      res.setEncoding("utf8");
+      res.on("data", chunk => { if (text.length < 2000) text += chunk; });
+      res.on("end", () => { try { resolve(answer(res.statusCode, text)); } catch(e) { reject(e); } });
+    });
+    req.on("timeout", () => req.destroy(new ChannelError(`No response within ${TIMEOUT_MS/1000}s`)));
+    req.on("error", e => reject(e instanceof ChannelError ? e : new ChannelError(e.message)));
+    req.end(body);
+  });
+}
+
+// Indian numbers may be stored as 10 digits; providers want the country code without "+"
+function digits(phone) {
+  const d = String(phone||"").replace(/[^0-9]/g, "");
+  return d.length===10 ? `91${d}` : d;
+}
+
+function msg91(env) {
+  const base = env.MSG91_API_URL || "https://control.msg91.com";
+  return {
+    name: "sms", provider: "msg91",
+    // DLT rules mean Indian SMS goes out as a pre-approved flow; vars fill its ##placeholders##
+    async send(phone, message) {
+      const r = await post(`${base}/api/v5/flow/`, {
+        headers: { "authkey":env.MSG91_AUTH_KEY, "Content-Type":"application/json" },
+        body: JSON.stringify({ template_id:env.MSG91_FLOW_ID, short_url:"0", recipients:[{ mobiles:digits(phone), ...message.vars }] }),
+      });
+      if (r.json?.type==="error") throw new ChannelError(r.json.message || "MSG91 rejected the message", { status:r.status });
+      return { status:r.status, id:r.json?.message || null };
+    },
+  };
+}
+
+function twilio(env) {
+  const base = env.TWILIO_API_URL || "https://api.twilio.com";
+  const auth = Buffer.from(`${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`).toString("base64");
+  return {
+    name: "sms", provider: "twilio",
+    async send(phone, message) {
+      const r = await post(`${base}/2010-04-01/Accounts/${env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+        headers: { "Authorization":`Basic ${auth}`, "Content-Type":"application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ To:`+${digits(phone)}`, From:env.TWILIO_FROM, Body:message.text }).toString(),
+      });
+      return { status:r.status, id:r.json?.sid || null };
+    },
+  };
+}
+
+function whatsapp(env) {
+  const base = env.WHATSAPP_API_URL || "https://graph.facebook.com/v19.0";
+  return {
+    name: "whatsapp", provider: "meta",
+    // Business-initiated messages must use an approved template; params fill its {{1}}, {{2}} … in order
+    async send(phone, message) {
+      const r = await post(`${base}/${env.WHATSAPP_PHONE_NUMBER_ID}/messages`, {
+        headers: { "Authorization":`Bearer ${env.WHATSAPP_TOKEN}`, "Content-Type":"application/json" },
+        body: JSON.stringify({
+          messaging_product: "whatsapp", to: digits(phone), type: "template",
+          template: {
+            name: env.WHATSAPP_ALERT_TEMPLATE || "security_alert",
+            language: { code: env.WHATSAPP_TEMPLATE_LANG || "en" },
+            components: [{ type:"body", parameters:message.params.map(text => ({ type:"text", text:String(text) })) }],
+          },
+        }),
+      });
+      return { status:r.status, id:r.json?.messages?.[0]?.id || null };
+    },
+  };
+}
+
+// Same scheme receivers already use for our inbound webhooks:
+// x-sg-signature = "sha256=" + hex HMAC-SHA256(secret, "<x-sg-timestamp>.<raw body>")
+function signPayload(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(body).digest("hex");
+}
+
+function webhook(env) {
+  const allowPrivate = env.WEBHOOK_ALLOW_PRIVATE_NETWORKS==="true";
+  return {
+    name: "webhook", provider: "http",
+    // Checked when a webhook is saved, for a clear 400 instead of failed deliveries
+    urlProblem: url => urlProblem(url, { allowPrivate }),
+    async send({ url, secret }, message) {
+      const body = JSON.stringify(message.payload);
+      const ts = Math.floor(Date.now()/1000);
+      const r = await postPublic(url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SocietyGuard-Webhooks/1.0",
+          "x-sg-event": message.event,
+          "x-sg-delivery": crypto.randomUUID(),
+          "x-sg-timestamp": String(ts),
+          "x-sg-signature": signPayload(secret, ts, body),
+        },
+        body, allowPrivate,
+      });
+      return { status:r.status, id:null };
+    },
+  };
+}
+
+// Channels whose credentials are present in env; sms/whatsapp are null when not configured
+function createChannels(env=process.env) {
+  const smsProvider = (env.SMS_PROVIDER || (env.MSG91_AUTH_KEY ? "msg91" : env.TWILIO_ACCOUNT_SID ? "twilio" : "")).toLowerCase();
+  if (smsProvider && !["msg91","twilio"].includes(smsProvider)) throw new Error(`Unknown SMS_PROVIDER "${smsProvider}" (use msg91 or twilio)`);
+  return {
+    sms:      smsProvider==="msg91" ? msg91(env) : smsProvider==="twilio" ? twilio(env) : null,
+    whatsapp: env.WHATSAPP_TOKEN && env.WHATSAPP_PHONE_NUMBER_ID ? whatsapp(env) : null,
+    webhook:  webhook(env),
+  };
+}
+
+module.exports = { createChannels, signPayload, isPublicAddress, ChannelError };
@@ -0,0 +1,204 @@
+/**
+ * SocietyGuard - printable PDF reports
+ *
+ * A small PDF 1.4 writer (A4, built-in Helvetica, WinAnsi text) — enough for headed reports with
+ * figures and tables, without pulling a layout engine into the backend. Characters outside Latin-1
+ * (emoji, Indic scripts) cannot be drawn with the built-in fonts and are replaced.
+ *   createPdf({ title }) -> { heading, subheading, text, figures, table, space, toBuffer }
+ * dailyReportPdf / monthlyReportPdf take the same data as the daily / monthly report emails.
+ */
+
+const PAGE_W = 595, PAGE_H = 842, MARGIN = 50;
+const COLORS = { ink:"#0f1923", body:"#1e293b", muted:"#64748b", accent:"#0ea5e9", good:"#16a34a", bad:"#ef4444", rule:"#e2e8f0", band:"#f1f5f9" };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126
+const WIDTHS = [278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,278,278,584,584,584,556,
+  1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,
+  333,556,556,500,556,556,278,556,556,222,222,500,222,833,556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584];
+const REPLACEMENTS = { "—":"-", "–":"-", "…":"...", "‘":"'", "’":"'", "“":"\"", "”":"\"", "₹":"Rs ", "▲":"+", "▼":"-", "✅":"" };
+
+function latin1(text) {
+  return String(text ?? "").replace(/[^\x00-\xff]/gu, ch => REPLACEMENTS[ch] ?? "?");
+}
+function textWidth(text, size, bold=false) {
+  let w = 0;
+  for (const ch of latin1(text)) { const c = ch.charCodeAt(0); w += c>=32 && c<=126 ? WIDTHS[c-32] : 556; }
+  return w * size / 1000 * (bold ? 1.05 : 1);
+}
+function escapePdf(text) {
+  return latin1(text).replace(/[\\()]/g, "\\$&").replace(/[\r\n\t]/g, " ");
+}
+function rgb(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [(n>>16)&255, (n>>8)&255, n&255].map(v => (v/255).toFixed(3)).join(" ");
+}
+// Cuts text to fit `width`, marking the cut with "..."
+function fit(text, width, size, bold) {
+  let t = latin1(text);
+  if (textWidth(t, size, bold) <= width) return t;
+  while (t && textWidth(t+"...", size, bold) > width) t = t.slice(0, -1);
+  return t + "...";
+}
+function wrap(text, width, size, bold) {
+  const lines = [];
+  for (const para of latin1(text).split("\n")) {
+    let line = "";
+    for (const word of para.split(/\s+/)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && textWidth(next, size, bold) > width) { lines.push(line); line = word; } else line = next;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function createPdf({ title="Report" }={}) {
+  const pages = [];
+  let ops, y;
+  const newPage = () => { ops = []; pages.push(ops); y = PAGE_H - MARGIN; };
+  const ensure = h => { if (!ops || y - h < MARGIN + 20) newPage(); };
+  const draw = (text, x, size, { bold=false, color=COLORS.body }={}) =>
+    ops.push(`BT /${bold?"F2":"F1"} ${size} Tf ${rgb(color)} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdf(text)}) Tj ET`);
+  const rect = (x, top, w, h, color) => ops.push(`${rgb(color)} rg ${x.toFixed(2)} ${(top-h).toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+
+  const doc = {
+    heading(text) { ensure(30); y -= 20; draw(text, MARGIN, 18, { bold:true, color:COLORS.ink }); y -= 10; return doc; },
+    subheading(text) { ensure(40); y -= 22; draw(text, MARGIN, 12, { bold:true, color:COLORS.ink }); y -= 8; return doc; },
+    text(text, { size=10, color=COLORS.body, bold=false }={}) {
+      for (const line of wrap(text, PAGE_W - 2*MARGIN, size, bold)) { ensure(size+4); y -= size+4; draw(line, MARGIN, size, { bold, color }); }
+      return doc;
+    },
+    // Big numbers side by side: [{ label, value, note, color }]
+    figures(items) {
+      ensure(64);
+      const w = (PAGE_W - 2*MARGIN - 10*(items.length-1)) / items.length;
+      items.forEach((it, i) => {
+        const x = MARGIN + i*(w+10), top = y;
+        rect(x, top, w, 58, COLORS.band);
+        y = top - 16; draw(String(it.label).toUpperCase(), x+10, 8, { color:COLORS.muted });
+        y = top - 38; draw(String(it.value), x+10, 20, { bold:true, color:it.color || COLORS.accent });
+        if (it.note) { y = top - 51; draw(it.note, x+10, 8, { color:it.noteColor || COLORS.muted }); }
+        y = top;
+      });
+      y -= 66;
+      return doc;
+    },
+    // columns: [{ title, width (fraction of the line), align:"right"? }], rows: arrays of cell values
+    table(columns, rows, { empty="No data" }={}) {
+      const full = PAGE_W - 2*MARGIN, size = 9, rowH = 16;
+      const xs = [], ws = columns.map(c => c.width * full);
+      ws.reduce((x, w) => { xs.push(x); return x + w; }, MARGIN);
+      const cell = (value, i, opts) => {
+        const text = fit(value, ws[i]-12, size, opts.bold);
+        const x = columns[i].align==="right" ? xs[i] + ws[i] - 6 - textWidth(text, size, opts.bold) : xs[i] + 6;
+        draw(text, x, size, opts);
+      };
+      const header = () => {
+        ensure(rowH*2);
+        rect(MARGIN, y, full, rowH, COLORS.band);
+        y -= rowH - 4.5;
+        columns.forEach((c, i) => cell(c.title.toUpperCase(), i, { bold:true, color:COLORS.muted }));
+        y -= 4.5;
+      };
+      header();
+      if (!rows.length) { y -= rowH - 4.5; draw(empty, MARGIN+6, size, { color:COLORS.muted }); y -= 4.5; }
+      for (const row of rows) {
+        if (y - rowH < MARGIN + 20) { newPage(); header(); }
+        y -= rowH - 4.5;
+        row.forEach((v, i) => cell(v, i, { color:COLORS.body }));
+        y -= 4.5;
+        rect(MARGIN, y, full, 0.5, COLORS.rule);
+      }
+      y -= 6;
+      return doc;
+    },
+    space(h=10) { y -= h; return doc; },
+
+    toBuffer() {
+      if (!pages.length) newPage();
+      pages.forEach((p, i) => {
+        y = MARGIN - 10;
+        ops = p;
+        draw(latin1(title), MARGIN, 8, { color:COLORS.muted });
+        const label = `Page ${i+1} of ${pages.length}`;
+        draw(label, PAGE_W - MARGIN - textWidth(label, 8), 8, { color:COLORS.muted });
+      });
+      const objects = [];   // index + 1 = object number
+      const add = body => { objects.push(body); return objects.length; };
+      add("<< /Type /Catalog /Pages 2 0 R >>");
+      add(null);            // page tree, filled in once the page objects exist
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+      add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+      const stamp = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+      const info = add(`<< /Title (${escapePdf(title)}) /Producer (SocietyGuard) /CreationDate (D:${stamp}Z) >>`);
+      const kids = pages.map(p => {
+        const stream = p.join("\n");
+        const content = add(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${content} 0 R >>`);
+      });
+      objects[1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(" ")}] /Count ${kids.length} >>`;
+      let out = "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n";
+      const offsets = objects.map((body, i) => {
+        const at = Buffer.byteLength(out, "latin1");
+        out += `${i+1} 0 obj\n${body}\nendobj\n`;
+        return at;
+      });
+      const xref = Buffer.byteLength(out, "latin1");
+      out += `xref\n0 ${objects.length+1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+      out += `trailer\n<< /Size ${objects.length+1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Buffer.from(out, "latin1");
+    },
+  };
+  return doc;
+}
+
+function dailyReportPdf({ societyName, date, today, yesterday, cameras, downtime, passes }) {
+  const delta = today - yesterday;
+  return createPdf({ title:`Daily Security Report - ${societyName} - ${date}` })
+    .heading("Daily Security Report")
+    .text(`${societyName} · ${date}`, { color:COLORS.muted })
+    .space(8)
+    .figures([
+      { label:"Today's visitors", value:today, note:`${delta>=0?"+":"-"}${Math.abs(delta)} vs yesterday`, noteColor:delta>=0 ? COLORS.good : COLORS.bad },
+      { label:"Yesterday", value:yesterday, color:"#818cf8" },
+    ])
+    .subheading("Camera Activity")
+    .table([{ title:"Camera", width:0.25 }, { title:"Location", width:0.55 }, { title:"Events", width:0.2, align:"right" }],
+      cameras.map(r => [r.camera_id, r.location, r.count]), { empty:"No events today" })
+    .subheading("Visitor Passes (last 24h)")
+    .table([{ title:"Status", width:0.6 }, { title:"Passes", width:0.4, align:"right" }],
+      [["Expected", passes.expected], ["Arrived", passes.arrived], ["No-shows", passes.no_show], ["Walk-ins", passes.walk_ins]])
+    .subheading("Camera Downtime")
+    .table([{ title:"Camera", width:0.5 }, { title:"Incidents", width:0.15, align:"right" }, { title:"Minutes", width:0.15, align:"right" }, { title:"Status", width:0.2 }],
+      downtime.map(r => [r.location, r.incidents, r.downtime_minutes, r.ongoing ? "Still down" : "Recovered"]), { empty:"All cameras online" })
+    .toBuffer();
+}
+
+function monthlyReportPdf({ societyName, month, totals, days, eventTypes, cameras, downtime, passes }) {
+  return createPdf({ title:`Monthly Security Report - ${societyName} - ${month}` })
+    .heading("Monthly Security Report")
+    .text(`${societyName} · ${month}`, { color:COLORS.muted })
+    .space(8)
+    .figures([
+      { label:"Visitors", value:totals.visitors },
+      { label:"Events", value:totals.events, color:"#818cf8" },
+      { label:"Busiest day", value:totals.busiest_day ? totals.busiest_day.visitors : 0, note:totals.busiest_day?.day || "", color:COLORS.ink },
+    ])
+    .subheading("Visitors per Day")
+    .table([{ title:"Day", width:0.5 }, { title:"Visitors", width:0.25, align:"right" }, { title:"Events", width:0.25, align:"right" }],
+      days.map(d => [d.day, d.visitors, d.events]))
+    .subheading("Events by Type")
+    .table([{ title:"Type", width:0.7 }, { title:"Events", width:0.3, align:"right" }], eventTypes.map(t => [t.event_type, t.events]))
+    .subheading("Camera Activity")
+    .table([{ title:"Camera", width:0.25 }, { title:"Location", width:0.55 }, { title:"Events", width:0.2, align:"right" }],
+      cameras.map(r => [r.camera_id, r.location, r.count]))
+    .subheading("Visitor Passes")
+    .table([{ title:"Status", width:0.6 }, { title:"Passes", width:0.4, align:"right" }],
+      [["Expected", passes.expected], ["Arrived", passes.arrived], ["No-shows", passes.no_show], ["Walk-ins", passes.walk_ins]])
+    .subheading("Camera Downtime")
+    .table([{ title:"Camera", width:0.45 }, { title:"Incidents", width:0.15, align:"right" }, { title:"Minutes", width:0.2, align:"right" }, { title:"Uptime", width:0.2, align:"right" }],
+      downtime.map(r => [r.location, r.incidents, r.downtime_minutes, `${r.uptime_pct}%`]), { empty:"No outages this month" })
+    .toBuffer();
+}
+
+module.exports = { createPdf, dailyReportPdf, monthlyReportPdf };
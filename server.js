@@ -1,700 +1,3172 @@
 /**
  * SocietyGuard - Full Backend v3
- * Features: PostgreSQL, 3deye mapping, email alerts, strong passwords,
- *           society/wing/user management, audit logs, daily report cron
+ * Features: PostgreSQL, VMS adapters (3deye, Hikvision, Dahua, ONVIF), email alerts, strong passwords,
+ *           society/wing/user management, audit logs, scheduled reports,
+ *           signed access tokens + rotating refresh tokens, signed webhooks,
+ *           camera health (outage intervals, stale detection, uptime), alert rules engine,
+ *           incident management, live SSE stream,
+ *           visitor passes with guard check-in/out,
+ *           vehicle registry with ANPR plate matching,
+ *           wings/flats/residents with resident self-service logins,
+ *           multi-society access scoping (user_societies) on every route,
+ *           analytics API on hourly/daily rollups, per-society timezones,
+ *           DB-backed cron job scheduler with per-society report schedules,
+ *           email outbox with retries, shared templates and pluggable transports (SMTP, SendGrid, Resend, file),
+ *           SMS / WhatsApp / signed webhook notifications with per-user severity preferences and a delivery log,
+ *           password policy, self-service reset / change password, account and IP lockout,
+ *           TOTP two-factor login with recovery codes (mandatory for superusers),
+ *           per-society retention policies with nightly purge / NDJSON archive, confirmed scoped event purge,
+ *           streaming CSV / NDJSON exports, downloadable daily / monthly reports (PDF / HTML),
+ *           evidence store for thumbnails / clips (local or S3-compatible) behind signed URLs,
+ *           idempotent webhook ingestion, motion / person bursts grouped into activity sessions,
+ *           server-built AI insights with schema-checked replies, stored history and monthly quotas,
+ *           versioned migrations (db/migrate.js) and an explicit seed command (db/seed.js),
+ *           hash-chained audit trail with before / after snapshots and a separate webhook ingest log
  */
 
 const express    = require("express");
 const cors       = require("cors");
-const { Pool }   = require("pg");
 const bcrypt     = require("bcryptjs");
 const crypto     = require("crypto");
+const fs         = require("fs/promises");
+const path       = require("path");
+const zlib       = require("zlib");
+const { promisify } = require("util");
+const { EVENT_TYPES, getAdapter, listVendors } = require("./adapters");
+const { selectTransport } = require("./email/transports");
+const { escapeHtml, inviteEmail, passwordResetEmail, alertEmail, dailyReportEmail, monthlyReportEmail, weeklyReportEmail } = require("./email/templates");
+const { dailyReportPdf, monthlyReportPdf } = require("./reports/pdf");
+const { createChannels } = require("./notifications/channels");
+const { selectStorage } = require("./storage");
+const totp = require("./auth/totp");
+const { passwordProblem } = require("./auth/passwords");
+const { createPool } = require("./db/pool");
+const { pendingMigrations } = require("./db/migrate");
+const { selectAiProvider } = require("./ai/providers");
+const { InsightSchemaError, buildInsightPrompt, parseInsights } = require("./ai/insights");
 
 const app  = express();
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS || 1));   // req.ip = client address behind Render's proxy (IP lockout, audit)
 const PORT = process.env.PORT || 3001;
 const API_KEY = process.env.API_KEY || "sg-mysociety-2026";
-const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "Asia/Kolkata";          // for societies created without a timezone
+const REPORT_HOUR = 9;                                                             // daily/weekly reports go out at 09:00 society-local time
 const FRONTEND_URL = process.env.FRONTEND_URL || "https://societyguard.vercel.app";
+const CAMERA_STALE_MINUTES = parseInt(process.env.CAMERA_STALE_MINUTES || 60);    // no event/heartbeat for this long = stale
+const VISITOR_MATCH_WINDOW_MIN = parseInt(process.env.VISITOR_MATCH_WINDOW_MIN || 10); // gate detection must be this close to check-in
+const STREAM_HEARTBEAT_MS = 25 * 1000;                                             // SSE keep-alive comment interval
+const WEBHOOK_TOLERANCE_S = parseInt(process.env.WEBHOOK_TOLERANCE_S || 300);     // max clock skew for signed webhooks
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+const ACCESS_TOKEN_TTL_S  = parseInt(process.env.ACCESS_TOKEN_TTL_S  || 15*60);        // 15 minutes
+const REFRESH_TOKEN_TTL_S = parseInt(process.env.REFRESH_TOKEN_TTL_S || 30*24*60*60);  // 30 days
+if (!process.env.SESSION_SECRET) console.warn("SESSION_SECRET not set — using a random secret, sessions will not survive a restart");
 
 // ── DATABASE ──
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
+// The schema is owned by the numbered migrations in db/migrations (`node db/migrate.js up`) and initial data by
+// `node db/seed.js`; boot only checks that the database is up to date and refuses to start otherwise.
+const pool = createPool();
+
+async function initDB() {
+  const pending = await pendingMigrations(pool);
+  if (pending.length) throw new Error(`${pending.length} pending migration(s) (${pending.map(m => `${String(m.version).padStart(3,"0")}_${m.name}`).join(", ")}) — run "node db/migrate.js up" first`);
+  // First boot with analytics: build rollups from the events already stored
+  const { rowCount: rollupCount } = await pool.query("SELECT 1 FROM event_rollups_hourly LIMIT 1");
+  if (rollupCount === 0) {
+    await rebuildRollups(null);
+    console.log("Analytics rollups built from existing events");
+  }
+  console.log("Database ready");
+}
+
+// ── EMAIL ──
+// Every message goes through email_outbox: sendEmail stores it and tries it straight away, and the
+// email_outbox job retries failures with backoff until max_attempts, after which the row stays
+// "failed" for GET /api/emails. Templates (shared layout + escaping) live in ./email/templates.
+const mailer = selectTransport();
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.RESEND_FROM || "SocietyGuard <noreply@cloudcctv.app>";
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS || 5);
+const EMAIL_RETRY_BASE_S = 60;                   // retries after 1, 2, 4 … minutes
+const EMAIL_LEASE_S = 5 * 60;                    // a "sending" row older than this is picked up again
+
+// message = { subject, html } from one of the templates
+async function sendEmail(to, message, { template=null, societyId=null }={}) {
+  const address = String(to||"").trim();
+  if (!address.includes("@")) { console.error("Invalid email address:", JSON.stringify(to)); return null; }
+  const { rows } = await pool.query("INSERT INTO email_outbox (to_address,subject,html,template,society_id,max_attempts) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id",
+    [address, message.subject, message.html, template, societyId, EMAIL_MAX_ATTEMPTS]);
+  deliverEmails(rows[0].id).catch(e => console.error("Email delivery error:", e.message));
+  return rows[0].id;
+}
+// Sends due outbox rows (or just one, right after it is queued); returns how many were attempted
+async function deliverEmails(id=null) {
+  const { rows } = await pool.query(`UPDATE email_outbox SET status='sending',attempts=attempts+1,locked_until=NOW()+$1*INTERVAL '1 second'
+    WHERE id IN (SELECT id FROM email_outbox
+                 WHERE ${id ? "id=$2 AND " : ""}((status='pending' AND next_attempt_at<=NOW()) OR (status='sending' AND locked_until<NOW()))
+                 ORDER BY next_attempt_at LIMIT 50 FOR UPDATE SKIP LOCKED)
+    RETURNING *`, id ? [EMAIL_LEASE_S, id] : [EMAIL_LEASE_S]);
+  for (const mail of rows) {
+    try {
+      const { id: providerId } = await mailer.send({ from:EMAIL_FROM, to:mail.to_address, subject:mail.subject, html:mail.html });
+      await pool.query("UPDATE email_outbox SET status='sent',sent_at=NOW(),provider_id=$2,transport=$3,last_error=NULL,locked_until=NULL WHERE id=$1", [mail.id, providerId||null, mailer.name]);
+      await logDelivery({ channel:"email", provider:mailer.name, target:mail.to_address, status:"sent", attempt:mail.attempts, provider_id:providerId, society_id:mail.society_id, email_id:mail.id });
+      console.log(`✉️  Email sent via ${mailer.name} to ${mail.to_address}: ${mail.subject}`);
+    } catch(e) {
+      const failed = mail.attempts >= mail.max_attempts;
+      await pool.query("UPDATE email_outbox SET status=$2,last_error=$3,transport=$4,locked_until=NULL,next_attempt_at=NOW()+$5*INTERVAL '1 second' WHERE id=$1",
+        [mail.id, failed?"failed":"pending", e.message, mailer.name, EMAIL_RETRY_BASE_S*2**(mail.attempts-1)]);
+      await logDelivery({ channel:"email", provider:mailer.name, target:mail.to_address, status:"failed", attempt:mail.attempts, error:e.message, society_id:mail.society_id, email_id:mail.id });
+      console.error(`Email to ${mail.to_address} failed (attempt ${mail.attempts}/${mail.max_attempts}):`, e.message);
+    }
+  }
+  return rows.length;
+}
+
+async function sendInviteEmail(user, token) {
+  await sendEmail(user.email, inviteEmail({ name:user.name, username:user.username, role:user.role, link:`${FRONTEND_URL}?invite=${token}` }), { template:"invite", societyId:user.society_id||null });
+}
+
+async function sendAlertEmail(to, rule, ctx) {
+  await sendEmail(to, alertEmail({ rule, ctx, tz:rule.timezone || DEFAULT_TIMEZONE }), { template:"alert", societyId:rule.society_id||null });
+}
+
+// ── NOTIFICATIONS (SMS / WhatsApp / outbound webhooks) ──
+// Users choose channels per alert severity in users.notification_prefs, e.g. {"high":["sms","whatsapp","email"]};
+// societies register signed webhooks in notification_webhooks. Every delivery attempt, email included,
+// is written to notification_deliveries. Channel implementations live in ./notifications/channels.
+const channels = createChannels();
+const NOTIFY_CHANNELS = ["email","sms","whatsapp"];   // what a user can pick per severity
+const NOTIFY_MAX_ATTEMPTS = 3;
+const NOTIFY_RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS || 2000);   // retries after 2s, 4s
+const PHONE_RE = /^\+?[0-9][0-9 -]{8,15}$/;
+
+async function logDelivery(d) {
+  try {
+    await pool.query(`INSERT INTO notification_deliveries (channel,provider,target,status,attempt,response_code,error,provider_id,society_id,user_id,alert_id,webhook_id,email_id)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)`,
+      [d.channel, d.provider||null, d.target||null, d.status, d.attempt||1, d.response_code||null, d.error||null, d.provider_id||null, d.society_id||null, d.user_id||null, d.alert_id||null, d.webhook_id||null, d.email_id||null]);
+  } catch(e) { console.error("Delivery log error:", e.message); }
+}
+// Sends through one channel, retrying failures the channel marks retryable; every attempt is logged.
+// Test sends pass maxAttempts:1 so the caller hears back at once instead of after the backoff.
+async function deliverNotification(channel, target, message, meta={}, { maxAttempts=NOTIFY_MAX_ATTEMPTS }={}) {
+  const entry = { ...meta, channel:channel.name, provider:channel.provider, target:typeof target==="string" ? target : target.url };
+  for (let attempt=1; ; attempt++) {
+    try {
+      const r = await channel.send(target, message);
+      await logDelivery({ ...entry, status:"sent", attempt, response_code:r.status, provider_id:r.id });
+      return true;
+    } catch(e) {
+      await logDelivery({ ...entry, status:"failed", attempt, response_code:e.status, error:e.message });
+      console.error(`${channel.name} delivery to ${entry.target} failed (attempt ${attempt}):`, e.message);
+      if (!e.retryable || attempt>=maxAttempts) return false;
+      await new Promise(r => setTimeout(r, NOTIFY_RETRY_BASE_MS*2**(attempt-1)));
+    }
+  }
+}
+function alertNotification(rule, ctx, alert) {
+  const time = new Date(ctx.timestamp_utc).toLocaleString("en-IN",{timeZone:rule.timezone || DEFAULT_TIMEZONE});
+  const where = ctx.camera_location || ctx.camera_id;
+  return {
+    event: "alert.fired",
+    text: `SocietyGuard ${String(rule.severity).toUpperCase()} alert — ${rule.name}: ${ctx.message} (${time})`,
+    vars: { severity:rule.severity, rule:rule.name, location:where, message:ctx.message, time },
+    params: [rule.name, where, ctx.message, time],
+    payload: { event:"alert.fired", alert:{ id:alert.id, rule_id:rule.id, rule_name:rule.name, severity:rule.severity, society_id:rule.society_id,
+      camera_id:ctx.camera_id, camera_location:ctx.camera_location, event_type:ctx.event_type, message:ctx.message, timestamp_utc:ctx.timestamp_utc, fired_at:alert.fired_at } },
+  };
+}
+// Staff of the society (not residents) who picked at least one channel for this severity
+async function alertSubscribers(societyId, severity) {
+  const { rows } = await pool.query(`
+    SELECT u.id,u.email,u.phone,u.notification_prefs->$2 as channels FROM users u
+    WHERE u.is_active=true AND u.role<>'resident' AND jsonb_array_length(COALESCE(u.notification_prefs->$2,'[]'))>0
+      AND (u.society_id=$1 OR EXISTS (SELECT 1 FROM user_societies us WHERE us.user_id=u.id AND us.society_id=$1))
+  `, [societyId, severity]);
+  return rows;
+}
+// Rule recipients plus users who chose email get the alert email (via the outbox); SMS, WhatsApp and
+// webhooks go out directly. fireAlert does not await this, so ingestion never waits on a provider.
+async function notifyAlert(rule, ctx, alert) {
+  const message = alertNotification(rule, ctx, alert);
+  const meta = { society_id:rule.society_id, alert_id:alert.id };
+  const emails = new Set(rule.recipients || []);
+  const sends = [];
+  for (const u of await alertSubscribers(rule.society_id, rule.severity)) {
+    for (const ch of u.channels) {
+      if (ch==="email") { if (u.email) emails.add(u.email); continue; }
+      if (!channels[ch] || !u.phone) {
+        await logDelivery({ ...meta, channel:ch, user_id:u.id, status:"skipped", error:!channels[ch] ? `${ch} is not configured on the server` : "User has no phone number" });
+        continue;
+      }
+      sends.push(deliverNotification(channels[ch], u.phone, message, { ...meta, user_id:u.id }));
+    }
+  }
+  const { rows: hooks } = await pool.query("SELECT * FROM notification_webhooks WHERE society_id=$1 AND is_active=true AND severities ? $2", [rule.society_id, rule.severity]);
+  for (const h of hooks) sends.push(deliverNotification(channels.webhook, { url:h.url, secret:h.secret }, message, { ...meta, webhook_id:h.id }));
+  for (const to of emails) await sendAlertEmail(to, rule, ctx);
+  await Promise.all(sends);
+}
+
+// Who gets a society's scheduled reports: its report_recipients, else its active admins
+async function reportRecipients(society) {
+  if (society.report_recipients?.length) return society.report_recipients;
+  const { rows } = await pool.query(`
+    SELECT DISTINCT u.email FROM users u
+    WHERE u.role='admin' AND u.is_active=true AND u.email IS NOT NULL
+      AND (u.society_id=$1 OR u.id IN (SELECT user_id FROM user_societies WHERE society_id=$1))
+  `, [society.id]);
+  return rows.map(r => r.email);
+}
+
+// Figures behind the daily report: the last 24 hours by default, or one whole local day (YYYY-MM-DD)
+async function dailyReportData(society, day=null) {
+  const codes = [society.code], tz = society.timezone;
+  const today = day || localStamp(tz).slice(0,10);
+  const start = day ? zonedInstant(Date.parse(`${day}T00:00:00Z`), tz) : new Date(Date.now()-24*60*60*1000);
+  const end = day ? zonedInstant(Date.parse(`${shiftDays(day, 1)}T00:00:00Z`), tz) : new Date();
+  const [dailyR, camsR, downR, passes] = await Promise.all([
+    queryAnalytics({ codes, from:shiftDays(today, -1), to:shiftDays(today, 1), granularity:"day", eventTypes:VISITOR_EVENT_TYPES, tz }),
+    queryAnalytics({ codes, from:day || localStamp(tz, start).slice(0,13)+":00:00", to:shiftDays(today, 1), granularity:"hour", groupBy:["camera"], tz }),
+    getDowntime(1, codes, end),
+    getVisitorSummary(society.id, start, end),
+  ]);
+  return {
+    societyName: society.name,
+    date:      new Date(day ? `${day}T12:00:00Z` : Date.now()).toLocaleDateString("en-IN",{weekday:"long",year:"numeric",month:"long",day:"numeric",timeZone:day ? "UTC" : tz}),
+    today:     dailyR.find(r => r.bucket.startsWith(today))?.visitors || 0,
+    yesterday: dailyR.find(r => !r.bucket.startsWith(today))?.visitors || 0,
+    cameras:   await cameraActivity(camsR),
+    downtime:  downR,
+    passes,
+  };
+}
+// One calendar month (YYYY-MM) in the society's timezone; the current month runs up to now
+async function monthlyReportData(society, month) {
+  const codes = [society.code], tz = society.timezone;
+  const [y, m] = month.split("-").map(Number);
+  const from = `${month}-01`, to = new Date(Date.UTC(y, m, 1)).toISOString().slice(0,10);
+  const start = zonedInstant(Date.parse(`${from}T00:00:00Z`), tz);
+  const end = new Date(Math.min(zonedInstant(Date.parse(`${to}T00:00:00Z`), tz), Date.now()));
+  const days = (end - start) / (24*60*60*1000);
+  const [dayR, typeR, camsR, downR, passes] = await Promise.all([
+    queryAnalytics({ codes, from, to, granularity:"day", tz }),
+    queryAnalytics({ codes, from, to, granularity:"month", groupBy:["event_type"], tz }),
+    queryAnalytics({ codes, from, to, granularity:"month", groupBy:["camera"], tz }),
+    getDowntime(days, codes, end),
+    getVisitorSummary(society.id, start, end),
+  ]);
+  const byDay = {};
+  dayR.forEach(r => byDay[r.bucket.slice(0,10)] = r);
+  const lastDay = localStamp(tz, new Date(end - 1)).slice(0,10);
+  const perDay = [];
+  for (let d = from; d <= lastDay && d < to; d = shiftDays(d, 1)) perDay.push({ day:d, visitors:byDay[d]?.visitors || 0, events:byDay[d]?.events || 0 });
+  const busiest = perDay.reduce((best, d) => d.visitors > (best?.visitors || 0) ? d : best, null);
+  return {
+    societyName: society.name,
+    month:      new Date(Date.UTC(y, m-1, 1)).toLocaleDateString("en-IN",{month:"long",year:"numeric",timeZone:"UTC"}),
+    totals:     { visitors:perDay.reduce((n, d) => n+d.visitors, 0), events:perDay.reduce((n, d) => n+d.events, 0), busiest_day:busiest },
+    days:       perDay,
+    eventTypes: typeR.map(r => ({ event_type:r.event_type, events:r.events })).sort((a, b) => b.events-a.events),
+    cameras:    await cameraActivity(camsR),
+    downtime:   downR.map(r => ({ ...r, uptime_pct:uptimePct(r.downtime_minutes, days) })),
+    passes,
+  };
+}
+
+// Daily report for one society, run by its daily_report job at REPORT_HOUR society-local.
+// Errors are left to propagate so the scheduler retries the run.
+async function sendDailyReports(society) {
+  const recipients = await reportRecipients(society);
+  if (!recipients.length) { console.log(`No report recipients for ${society.code} — daily report skipped`); return; }
+  const message = dailyReportEmail(await dailyReportData(society));
+  for (const to of recipients) await sendEmail(to, message, { template:"daily_report", societyId:society.id });
+  console.log(`Daily report for ${society.code} queued for ${recipients.length} recipient(s)`);
+}
+
+// ── AI INSIGHTS ──
+// One service behind the weekly AI email and POST /api/ai-insights. The context is built here from the society's
+// own data, the reply has to pass the ./ai/insights schema (an invalid reply is retried with the problem fed
+// back, up to AI_MAX_ATTEMPTS calls) and every run, good or failed, is kept in ai_insights. On-demand runs are
+// limited per society and local calendar month (societies.ai_monthly_quota, else AI_MONTHLY_QUOTA); scheduled
+// weekly reports count towards the month but are never refused.
+const aiProvider = selectAiProvider();
+const AI_MAX_ATTEMPTS = 3;
+const AI_MAX_TOKENS = 1500;
+const AI_MONTHLY_QUOTA = parseInt(process.env.AI_MONTHLY_QUOTA || 30);
+const AI_MAX_DAYS = 31;
+
+async function insightContext(society, days=7) {
+  const codes = [society.code], tz = society.timezone;
+  const day = localStamp(tz).slice(0,10);
+  const range = { codes, from:shiftDays(day, -(days-1)), to:shiftDays(day, 1), tz };
+  const [camsR, downR, hourR, alertsR, incidentsR] = await Promise.all([
+    queryAnalytics({ ...range, granularity:"day", groupBy:["camera"] }),
+    getDowntime(days, codes),
+    queryAnalytics({ ...range, granularity:"hour", eventTypes:VISITOR_EVENT_TYPES }),
+    pool.query("SELECT COALESCE(severity,'unknown') as severity,COUNT(*)::int as n FROM alert_history WHERE society_id=$1 AND fired_at>=NOW()-$2*INTERVAL '1 day' GROUP BY 1", [society.id, days]),
+    pool.query("SELECT COUNT(*) FILTER (WHERE created_at>=NOW()-$2*INTERVAL '1 day')::int as opened,COUNT(*) FILTER (WHERE status<>'resolved')::int as open_now FROM incidents WHERE society_id=$1", [society.id, days]),
+  ]);
+  const hourData = {};
+  hourR.forEach(r => { const h = parseInt(r.bucket.slice(11,13)); hourData[h] = (hourData[h]||0) + r.visitors; });
+  return {
+    society: { name:society.name, timezone:tz },
+    period: { days, from:range.from, to:day },
+    visitors_total: hourR.reduce((n,r) => n+r.visitors, 0),
+    visitors_by_hour: hourData,
+    camera_activity: (await cameraActivity(camsR)).map(r => ({ camera:r.location, events:r.count })),
+    camera_downtime: downR.map(r => ({ camera:r.location, incidents:r.incidents, downtime_minutes:r.downtime_minutes, uptime_pct:uptimePct(r.downtime_minutes, days) })),
+    alerts_by_severity: Object.fromEntries(alertsR.rows.map(r => [r.severity, r.n])),
+    incidents: incidentsR.rows[0],
+  };
+}
+// Runs this local month (every kind and outcome) against the society's quota
+async function aiUsage(society) {
+  const { rows } = await pool.query("SELECT COUNT(*)::int as used FROM ai_insights WHERE society_id=$1 AND created_at>=date_trunc('month', NOW() AT TIME ZONE $2) AT TIME ZONE $2", [society.id, society.timezone]);
+  return { used:rows[0].used, limit:society.ai_monthly_quota ?? AI_MONTHLY_QUOTA };
+}
+// Stores and returns the ai_insights row; status is "failed" (with error) when no valid reply came back
+async function generateInsights(society, { kind, days=7, user=null }) {
+  const context = await insightContext(society, days);
+  const { system, prompt } = buildInsightPrompt(context);
+  const messages = [{ role:"user", content:prompt }];
+  const usage = { input_tokens:0, output_tokens:0 };
+  let result = null, error = null, attempts = 0;
+  while (!result && attempts < AI_MAX_ATTEMPTS) {
+    attempts++;
+    let reply;
+    try { reply = await aiProvider.complete({ system, messages, maxTokens:AI_MAX_TOKENS, context }); }
+    catch(e) { error = e.message; continue; }
+    usage.input_tokens += reply.usage?.input_tokens || 0;
+    usage.output_tokens += reply.usage?.output_tokens || 0;
+    try { result = parseInsights(reply.text); }
+    catch(e) {
+      if (!(e instanceof InsightSchemaError)) throw e;
+      error = `Invalid reply: ${e.message}`;
+      messages.push({ role:"assistant", content:reply.text }, { role:"user", content:`That reply was rejected: ${e.message}. Answer again with only the corrected JSON object.` });
+    }
+  }
+  const { rows } = await pool.query(`
+    INSERT INTO ai_insights (society_id,kind,status,period_from,period_to,provider,model,summary,insights,context,attempts,input_tokens,output_tokens,error,requested_by)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15) RETURNING *`,
+    [society.id, kind, result ? "ok" : "failed", context.period.from, context.period.to, aiProvider.name, aiProvider.model, result?.summary || null, JSON.stringify(result?.insights || []),
+     JSON.stringify(context), attempts, usage.input_tokens, usage.output_tokens, result ? null : error, user?.id || null]);
+  if (!result) console.error(`AI insights for ${society.code} failed after ${attempts} attempt(s): ${error}`);
+  return rows[0];
+}
+
+// ── WEEKLY AI REPORT (Monday 9 AM society-local, run by the society's weekly_ai_report job) ──
+async function sendWeeklyAIReport(society) {
+  if (!aiProvider) { console.log("AI provider not configured - skipping weekly AI report"); return; }
+  const recipients = await reportRecipients(society);
+  if (!recipients.length) { console.log(`No report recipients for ${society.code} — weekly AI report skipped`); return; }
+  const run = await generateInsights(society, { kind:"weekly", days:7 });
+  if (run.status!=="ok") throw new Error(`AI insights failed: ${run.error}`);
+  const date = new Date().toLocaleDateString("en-IN",{weekday:"long",year:"numeric",month:"long",day:"numeric",timeZone:society.timezone});
+  const message = weeklyReportEmail({ societyName:society.name, date, summary:run.summary, insights:run.insights });
+  for (const to of recipients) await sendEmail(to, message, { template:"weekly_ai_report", societyId:society.id });
+  console.log(`Weekly AI report for ${society.code} queued for ${recipients.length} recipient(s)`);
+}
+
+// ── DATA RETENTION / EVENT PURGE ──
+// societies.retention maps event types (or "default") to days kept, e.g. { "default":90, "camera_offline":365 };
+// a type set to null is kept forever. Types without an entry fall back to "default", then RETENTION_DEFAULT_DAYS.
+// Rollups are left alone, so analytics keep the history after raw events go, and events attached to an
+// incident are never purged. With an archive file, each batch is appended to it as a gzip member of NDJSON
+// (the file reads back with zcat / gunzip) before that batch is deleted.
+const RETENTION_DEFAULT_DAYS = process.env.RETENTION_DEFAULT_DAYS ? parseInt(process.env.RETENTION_DEFAULT_DAYS) : null;
+const RETENTION_MIN_DAYS = 7;
+const RETENTION_ARCHIVE_DIR = process.env.RETENTION_ARCHIVE_DIR || null;
+const RETENTION_JOB_CRON = "0 3 * * *";                     // society-local, after the night's reports
+const RETENTION_KEYS = ["default", "unknown", ...EVENT_TYPES.filter(t => t!=="heartbeat")];
+const PURGE_BATCH = 5000;
+const PURGE_CONFIRM_TTL_S = 10 * 60;
+const gzip = promisify(zlib.gzip);
+
+function retentionError(retention) {
+  if (retention===undefined) return null;
+  if (!retention || typeof retention!=="object" || Array.isArray(retention)) return "retention must be an object of event type → days";
+  for (const [key, days] of Object.entries(retention)) {
+    if (!RETENTION_KEYS.includes(key)) return `Unknown retention key "${key}" (use ${RETENTION_KEYS.join(", ")})`;
+    if (days!==null && !(Number.isInteger(days) && days>=RETENTION_MIN_DAYS)) return `retention.${key} must be null (keep forever) or at least ${RETENTION_MIN_DAYS} days`;
+  }
+  return null;
+}
+function retentionPolicy(society) {
+  return { ...(RETENTION_DEFAULT_DAYS ? { default:RETENTION_DEFAULT_DAYS } : {}), ...(society.retention || {}) };
+}
+function archivePath(label) {
+  return path.join(RETENTION_ARCHIVE_DIR, `events-${label}-${new Date().toISOString().replace(/[:.]/g, "-")}.ndjson.gz`);
+}
+// filter = { codes, event_types, exclude_types, from, to } over events e (timestamps: from inclusive, to exclusive)
+function purgeWhere(filter) {
+  const params = [], where = ["NOT EXISTS (SELECT 1 FROM incident_events ie WHERE ie.event_id=e.id)"];
+  if (filter.codes) { params.push(filter.codes); where.push(`e.client_id=ANY($${params.length})`); }
+  if (filter.event_types) { params.push(filter.event_types); where.push(`e.event_type=ANY($${params.length})`); }
+  if (filter.exclude_types?.length) { params.push(filter.exclude_types); where.push(`NOT (e.event_type=ANY($${params.length}))`); }
+  if (filter.from) { params.push(filter.from); where.push(`e.timestamp_utc>=$${params.length}`); }
+  if (filter.to) { params.push(filter.to); where.push(`e.timestamp_utc<$${params.length}`); }
+  return { where:where.join(" AND "), params };
+}
+async function countPurge(filter) {
+  const { where, params } = purgeWhere(filter);
+  const { rows } = await pool.query(`SELECT e.client_id as society_code,COUNT(*)::int as events FROM events e WHERE ${where} GROUP BY 1 ORDER BY 1`, params);
+  return { total:rows.reduce((n, r) => n+r.events, 0), by_society:rows };
+}
+// Deletes matching events in batches, archiving each batch first when archiveFile is given
+async function purgeEvents(filter, archiveFile=null) {
+  const { where, params } = purgeWhere(filter);
+  let deleted = 0;
+  for (;;) {
+    const { rows } = await pool.query(`SELECT e.* FROM events e WHERE ${where} ORDER BY e.id LIMIT ${PURGE_BATCH}`, params);
+    if (!rows.length) break;
+    if (archiveFile) {
+      await fs.mkdir(path.dirname(archiveFile), { recursive:true });
+      await fs.appendFile(archiveFile, await gzip(rows.map(r => JSON.stringify(r)).join("\n")+"\n"));
+    }
+    const { rowCount } = await pool.query("DELETE FROM events WHERE id=ANY($1)", [rows.map(r => r.id)]);
+    deleted += rowCount;
+    if (rows.length < PURGE_BATCH) break;
+  }
+  return deleted;
+}
+// One society's nightly purge: explicit types first, then "default" for every type without its own entry
+async function applyRetention(society) {
+  const policy = retentionPolicy(society);
+  const ownTypes = Object.keys(policy).filter(k => k!=="default");
+  const rules = Object.entries(policy).filter(([k, days]) => k!=="default" && days);
+  if (policy.default) rules.push(["default", policy.default]);
+  const archiveFile = RETENTION_ARCHIVE_DIR ? archivePath(society.code) : null;
+  const deleted = {};
+  for (const [key, days] of rules) {
+    const filter = { codes:[society.code], to:new Date(Date.now()-days*24*60*60*1000).toISOString() };
+    if (key==="default") filter.exclude_types = ownTypes; else filter.event_types = [key];
+    const n = await purgeEvents(filter, archiveFile);
+    if (n) deleted[key] = n;
+  }
+  const total = Object.values(deleted).reduce((a, b) => a+b, 0);
+  if (total) {
+    await auditLog("retention_purge", "society", society.id, { policy, deleted, archive_file:archiveFile }, null, null, society.id);
+    console.log(`🧹 Retention: purged ${total} events for ${society.code}`);
+  }
+  return { deleted };
+}
+
+// ── EVIDENCE STORE (thumbnails / clips) ──
+// Vendor media links expire, so for the event types a society lists in evidence_types the files are copied
+// into our own storage (./storage: local disk or S3-compatible) with a SHA-256 checksum. Capture works like
+// the email outbox: rows start pending, are leased, and retry with backoff. retention_tag "standard" media is
+// removed after retain_until (the event type's retention, else MEDIA_RETENTION_DAYS) unless its event is part of
+// an incident; "hold" keeps it until the tag is changed. The dashboard only ever gets short-lived signed URLs.
+const storage = selectStorage();
+const MEDIA_KINDS = { thumbnail:"thumbnail_url", clip:"video_url" };
+const MEDIA_TAGS = ["standard","hold"];
+const MEDIA_RETENTION_DAYS = parseInt(process.env.MEDIA_RETENTION_DAYS || 90);
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || 50*1024*1024);
+const MEDIA_MAX_ATTEMPTS = 5;
+const MEDIA_RETRY_BASE_S = 60;                   // vendor links expire, so retry soon: 1, 2, 4, 8 minutes
+const MEDIA_LEASE_S = 5 * 60;
+const MEDIA_URL_TTL_S = 10 * 60;
+const MEDIA_EXTENSIONS = { "image/jpeg":".jpg", "image/png":".png", "image/webp":".webp", "video/mp4":".mp4", "video/webm":".webm", "video/quicktime":".mov" };
+
+function evidenceTypesError(types) {
+  if (types===undefined) return null;
+  const allowed = RETENTION_KEYS.filter(k => k!=="default");
+  if (!Array.isArray(types) || types.some(t => !allowed.includes(t))) return `evidence_types must be a list of: ${allowed.join(", ")}`;
+  return null;
+}
+// Called for every stored event; integration carries the society's evidence_types and retention
+async function queueEventMedia(event, integration) {
+  if (!(integration.society_evidence_types || []).includes(event.event_type)) return;
+  const policy = retentionPolicy({ retention:integration.society_retention });
+  const days = event.event_type in policy ? policy[event.event_type] : (policy.default || MEDIA_RETENTION_DAYS);
+  const retainUntil = days ? new Date(new Date(event.timestamp_utc).getTime() + days*24*60*60*1000) : null;
+  let queued = 0;
+  for (const [kind, field] of Object.entries(MEDIA_KINDS)) {
+    if (!/^https?:\/\//i.test(event[field] || "")) continue;
+    await pool.query("INSERT INTO event_media (event_id,society_code,kind,source_url,retain_until) VALUES ($1,$2,$3,$4,$5)", [event.id, event.client_id, kind, event[field], retainUntil]);
+    queued++;
+  }
+  if (queued) captureMedia(event.id).catch(e => console.error("Evidence capture error:", e.message));
+}
+// Downloads up to MEDIA_MAX_BYTES; errors marked permanent (gone, too large) are not retried
+async function fetchMedia(url) {
+  const fail = (message, permanent=false) => Object.assign(new Error(message), { permanent });
+  let res;
+  try { res = await fetch(url, { signal:AbortSignal.timeout(60*1000) }); }
+  catch(e) { throw fail(e.name==="TimeoutError" ? "No response within 60s" : e.message); }
+  if (!res.ok) throw fail(`HTTP ${res.status}`, [403,404,410].includes(res.status));
+  if (parseInt(res.headers.get("content-length")) > MEDIA_MAX_BYTES) throw fail(`Larger than ${MEDIA_MAX_BYTES} bytes`, true);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res.body) {
+    size += chunk.length;
+    if (size > MEDIA_MAX_BYTES) throw fail(`Larger than ${MEDIA_MAX_BYTES} bytes`, true);
+    chunks.push(chunk);
+  }
+  return { body:Buffer.concat(chunks), contentType:(res.headers.get("content-type") || "application/octet-stream").split(";")[0].trim() };
+}
+// Leases pending captures (all due ones, or one event's) and copies them into storage
+async function captureMedia(eventId=null) {
+  const { rows } = await pool.query(`UPDATE event_media SET status='fetching',attempts=attempts+1,locked_until=NOW()+$1*INTERVAL '1 second'
+    WHERE id IN (SELECT id FROM event_media
+                 WHERE ${eventId ? "event_id=$2 AND " : ""}((status='pending' AND next_attempt_at<=NOW()) OR (status='fetching' AND locked_until<NOW()))
+                 ORDER BY next_attempt_at LIMIT 20 FOR UPDATE SKIP LOCKED)
+    RETURNING *`, eventId ? [MEDIA_LEASE_S, eventId] : [MEDIA_LEASE_S]);
+  for (const m of rows) {
+    try {
+      const { body, contentType } = await fetchMedia(m.source_url);
+      const sha256 = crypto.createHash("sha256").update(body).digest("hex");
+      const key = `${m.society_code}/${new Date().toISOString().slice(0,10).replace(/-/g, "/")}/${m.event_id}-${m.kind}-${sha256.slice(0,12)}${MEDIA_EXTENSIONS[contentType] || ""}`;
+      await storage.put(key, body, contentType);
+      await pool.query("UPDATE event_media SET status='stored',storage=$2,object_key=$3,content_type=$4,bytes=$5,sha256=$6,stored_at=NOW(),locked_until=NULL,last_error=NULL WHERE id=$1",
+        [m.id, storage.name, key, contentType, body.length, sha256]);
+    } catch(e) {
+      const failed = e.permanent || m.attempts >= MEDIA_MAX_ATTEMPTS;
+      await pool.query("UPDATE event_media SET status=$2,last_error=$3,locked_until=NULL,next_attempt_at=NOW()+$4*INTERVAL '1 second' WHERE id=$1",
+        [m.id, failed?"failed":"pending", e.message, MEDIA_RETRY_BASE_S*2**(m.attempts-1)]);
+      console.error(`Evidence ${m.kind} for event ${m.event_id} failed (attempt ${m.attempts}/${MEDIA_MAX_ATTEMPTS}):`, e.message);
+    }
+  }
+  return rows.length;
+}
+// Expired "standard" media outside any incident: remove the object, then the row
+async function cleanupMedia() {
+  const { rows } = await pool.query(`SELECT * FROM event_media m WHERE m.retention_tag='standard' AND m.retain_until < NOW()
+    AND NOT EXISTS (SELECT 1 FROM incident_events ie WHERE ie.event_id=m.event_id) ORDER BY m.retain_until LIMIT 500`);
+  let removed = 0;
+  for (const m of rows) {
+    if (m.object_key) {
+      if (m.storage!==storage.name) { console.error(`Evidence ${m.id} lives in ${m.storage} storage, not ${storage.name} — left in place`); continue; }
+      await storage.remove(m.object_key);
+    }
+    await pool.query("DELETE FROM event_media WHERE id=$1", [m.id]);
+    removed++;
+  }
+  if (removed) console.log(`🧹 Evidence: removed ${removed} expired item(s)`);
+  return removed;
+}
+function mediaSignature(id, expires) {
+  return crypto.createHmac("sha256", SESSION_SECRET).update(`media:${id}:${expires}`).digest("hex");
+}
+// Time-limited URL for a stored item: presigned by S3, or served by GET /media/:id for local storage
+function mediaUrl(m) {
+  if (m.status!=="stored" || m.storage!==storage.name) return null;
+  if (storage.presign) return storage.presign(m.object_key, MEDIA_URL_TTL_S, { filename:path.basename(m.object_key) });
+  const expires = Math.floor(Date.now()/1000) + MEDIA_URL_TTL_S;
+  return `${SELF_URL}/media/${m.id}?expires=${expires}&signature=${mediaSignature(m.id, expires)}`;
+}
+
+// ── KEEP-ALIVE PING (prevents Render free tier spin-down) ──
+const SELF_URL = process.env.RENDER_EXTERNAL_URL || "https://societyguard-backend.onrender.com";
+function startKeepAlive() {
+  setInterval(async () => {
+    try {
+      await fetch(SELF_URL + "/health");
+      console.log("Keep-alive ping sent");
+    } catch(e) { console.log("Keep-alive ping failed:", e.message); }
+  }, 14 * 60 * 1000); // every 14 minutes
+}
+
+// ── JOB SCHEDULER ──
+// Periodic work lives in the jobs table. Each tick an instance leases one due job at a time
+// (FOR UPDATE SKIP LOCKED + locked_until), so a job runs on one instance only and survives restarts.
+// Failed runs retry with exponential backoff up to max_attempts, then wait for the next cron slot.
+const JOB_INSTANCE = `${require("os").hostname()}:${process.pid}`;
+const JOB_TICK_MS = 30 * 1000;
+const JOB_LEASE_S = 15 * 60;                     // a run still holding its lease after this is presumed dead
+const JOB_RETRY_BASE_S = 60;                     // retries after 1, 2, 4 … minutes
+const JOB_HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS || 14);
+const CRON_RANGES = [[0,59], [0,23], [1,31], [1,12], [0,7]];
+// daily = daily report + weekly AI report, weekly = weekly AI report only, off = no scheduled reports
+const REPORT_FREQUENCIES = ["daily","weekly","off"];
+const REPORT_JOB_CRONS = { daily_report:`0 ${REPORT_HOUR} * * *`, weekly_ai_report:`0 ${REPORT_HOUR} * * 1` };
+
+const SYSTEM_JOBS = [
+  { name:"stale_sweep",         cron:"*/5 * * * *" },
+  { name:"offline_rules",       cron:"* * * * *" },
+  { name:"stream_cleanup",      cron:"0 * * * *" },
+  { name:"rollup_reconcile",    cron:"10 * * * *" },
+  { name:"signature_cleanup",   cron:"20 * * * *" },
+  { name:"job_history_cleanup", cron:"30 3 * * *" },
+  { name:"email_outbox",        cron:"* * * * *" },
+  { name:"auth_attempts_cleanup", cron:"40 * * * *" },
+  { name:"media_capture",       cron:"* * * * *" },
+  { name:"media_cleanup",       cron:"15 4 * * *" },
+  { name:"ingest_keys_cleanup", cron:"50 * * * *" },
+  { name:"session_cleanup",     cron:"45 4 * * *" },
+  { name:"ingest_log_cleanup",  cron:"55 4 * * *" },
+];
+const JOB_HANDLERS = {
+  // Mark cameras stale when nothing has been heard from them inside their window
+  stale_sweep:         () => sweepStaleCameras(),
+  // Offline-for-N-minutes alert rules
+  offline_rules:       () => evaluateOfflineDurationRules(),
+  // Stream items are only needed for Last-Event-ID resume
+  stream_cleanup:      () => pool.query("DELETE FROM stream_events WHERE created_at < NOW() - INTERVAL '1 day'"),
+  // Re-derive the last two days of rollups from events (repairs drift from deletes or concurrent ingestion)
+  rollup_reconcile:    () => rebuildRollups(2),
+  // Forget accepted webhook signatures once they are too old to pass the timestamp check anyway
+  signature_cleanup:   () => pool.query("DELETE FROM webhook_signatures WHERE received_at < NOW() - $1*INTERVAL '1 second'", [WEBHOOK_TOLERANCE_S*2]),
+  // Attempts only matter inside the IP and pass-code lockout windows
+  auth_attempts_cleanup: async () => {
+    await pool.query("DELETE FROM auth_attempts WHERE created_at < NOW() - INTERVAL '1 day'");
+    await pool.query("DELETE FROM pass_code_failures WHERE created_at < NOW() - INTERVAL '1 day'");
+  },
+  job_history_cleanup: () => pool.query("DELETE FROM job_runs WHERE started_at < NOW() - $1*INTERVAL '1 day' AND status<>'running'", [JOB_HISTORY_DAYS]),
+  // Retry queued emails whose backoff has passed
+  email_outbox:        () => deliverEmails(),
+  // Retry evidence downloads whose backoff has passed, and drop expired evidence
+  media_capture:       () => captureMedia(),
+  media_cleanup:       () => cleanupMedia(),
+  // Dedupe keys only matter inside the idempotency window
+  ingest_keys_cleanup: () => pool.query("DELETE FROM ingest_keys WHERE first_seen_at < NOW() - $1*INTERVAL '1 second'", [INGEST_DEDUPE_WINDOW_S]),
+  // Sessions whose events were all purged
+  session_cleanup:     () => pool.query("DELETE FROM activity_sessions a WHERE a.ended_at < NOW() - INTERVAL '1 day' AND NOT EXISTS (SELECT 1 FROM events e WHERE e.session_id=a.id)"),
+  // Webhook delivery log is operational, not audit — keep INGEST_LOG_DAYS of it
+  ingest_log_cleanup:  () => pool.query("DELETE FROM ingest_log WHERE created_at < NOW() - $1*INTERVAL '1 day'", [INGEST_LOG_DAYS]),
+  daily_report:        async job => sendDailyReports(await jobSociety(job)),
+  weekly_ai_report:    async job => sendWeeklyAIReport(await jobSociety(job)),
+  retention_purge:     async job => applyRetention(await jobSociety(job)),
+};
+
+// Parses "minute hour day-of-month month day-of-week" (*, lists, ranges, /steps; Sunday is 0 or 7)
+function parseCron(expr) {
+  const parts = String(expr||"").trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression "${expr}" must have 5 fields`);
+  return parts.map((part, i) => {
+    const [min, max] = CRON_RANGES[i], values = new Set();
+    for (const item of part.split(",")) {
+      const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`Bad cron field "${part}"`);
+      const lo = m[1]==="*" ? min : parseInt(m[2]);
+      const hi = m[1]==="*" ? max : m[3]!==undefined ? parseInt(m[3]) : m[4] ? max : lo;
+      const step = m[4] ? parseInt(m[4]) : 1;
+      if (lo<min || hi>max || lo>hi || step<1) throw new Error(`Cron field "${part}" is out of range`);
+      for (let v=lo; v<=hi; v+=step) values.add(i===4 ? v%7 : v);
+    }
+    return { values, any:part.startsWith("*") };
+  });
+}
+// UTC instant at which the wall clock in tz reads `wall` (a local time held as UTC milliseconds).
+// A time the clocks skip when they go forward runs that far after the change, e.g. 02:30 as 03:30.
+function zonedInstant(wall, tz) {
+  const offset = ms => Date.parse(localStamp(tz, new Date(ms))+"Z") - ms;
+  const first = offset(wall), second = offset(wall - first);
+  if (offset(wall - second)!==second) return new Date(wall - Math.min(first, second));
+  return new Date(wall - second);
+}
+// First instant after `after` whose wall-clock minute in tz matches the cron expression
+function nextCronRun(expr, tz, after=new Date()) {
+  const [mins, hours, doms, months, dows] = parseCron(expr);
+  // Walk local time in a UTC Date (no DST jumps inside the walk), skipping whole days/hours that cannot match
+  const t = new Date(Date.parse(localStamp(tz, after).slice(0,16)+":00Z") + 60*1000);
+  for (let steps=0; steps<50000; steps++) {
+    const d = t.getUTCDate(), w = t.getUTCDay();
+    // Standard cron: when both day fields are restricted, either one matching is enough
+    const dayOk = months.values.has(t.getUTCMonth()+1) &&
+      (doms.any ? dows.values.has(w) : dows.any ? doms.values.has(d) : doms.values.has(d)||dows.values.has(w));
+    if (!dayOk) { t.setUTCHours(24,0,0,0); continue; }
+    if (!hours.values.has(t.getUTCHours())) { t.setUTCHours(t.getUTCHours()+1,0,0,0); continue; }
+    if (!mins.values.has(t.getUTCMinutes())) { t.setUTCMinutes(t.getUTCMinutes()+1,0,0); continue; }
+    const at = zonedInstant(t.getTime(), tz);
+    if (at > after) return at;
+    t.setUTCMinutes(t.getUTCMinutes()+1,0,0);
+  }
+  throw new Error(`Cron expression "${expr}" never matches`);
+}
+
+// Inserts or refreshes a job definition; next_run_at is only recomputed when the schedule itself changed
+async function upsertJob(job) {
+  const tz = job.timezone || "UTC";
+  await pool.query(`INSERT INTO jobs (name,handler,society_id,cron,timezone,is_enabled,next_run_at) VALUES ($1,$2,$3,$4,$5,$6,$7)
+    ON CONFLICT (name) DO UPDATE SET handler=EXCLUDED.handler,cron=EXCLUDED.cron,timezone=EXCLUDED.timezone,is_enabled=EXCLUDED.is_enabled,
+      next_run_at=CASE WHEN jobs.next_run_at IS NULL OR jobs.cron<>EXCLUDED.cron OR jobs.timezone<>EXCLUDED.timezone OR jobs.is_enabled IS DISTINCT FROM EXCLUDED.is_enabled
+        THEN EXCLUDED.next_run_at ELSE jobs.next_run_at END`,
+    [job.name, job.handler, job.society_id||null, job.cron, tz, job.is_enabled!==false, nextCronRun(job.cron, tz)]);
+}
+// A society's report jobs follow its report_frequency and timezone, its purge job its retention policy;
+// called at boot and whenever the society changes
+async function syncSocietyJobs(society) {
+  const active = society.is_active !== false;
+  const enabled = { daily_report: active && society.report_frequency==="daily", weekly_ai_report: active && society.report_frequency!=="off" };
+  for (const handler of Object.keys(REPORT_JOB_CRONS)) {
+    await upsertJob({ name:`${handler}:${society.id}`, handler, society_id:society.id, cron:REPORT_JOB_CRONS[handler], timezone:society.timezone, is_enabled:enabled[handler] });
+  }
+  const purging = Object.values(retentionPolicy(society)).some(days => days);
+  await upsertJob({ name:`retention_purge:${society.id}`, handler:"retention_purge", society_id:society.id, cron:RETENTION_JOB_CRON, timezone:society.timezone, is_enabled:purging });
+}
+async function syncJobs() {
+  for (const job of SYSTEM_JOBS) await upsertJob({ ...job, handler:job.name });
+  const { rows: societies } = await pool.query("SELECT * FROM societies");
+  for (const soc of societies) await syncSocietyJobs(soc);
+}
+async function jobSociety(job) {
+  const { rows } = await pool.query("SELECT * FROM societies WHERE id=$1", [job.society_id]);
+  if (!rows.length) throw new Error(`Society ${job.society_id} not found`);
+  return rows[0];
+}
+
+// Leases the next due job (or a specific one for a manual run); null when nothing is due or it is already running
+async function claimJob(id=null) {
+  const { rows } = await pool.query(`UPDATE jobs SET locked_by=$1,locked_until=NOW()+$2*INTERVAL '1 second'
+    WHERE id=(SELECT id FROM jobs WHERE (locked_until IS NULL OR locked_until<NOW())
+                AND ${id ? "id=$3" : "is_enabled AND next_run_at<=NOW()"}
+              ORDER BY next_run_at LIMIT 1 FOR UPDATE SKIP LOCKED)
+    RETURNING *`, id ? [JOB_INSTANCE, JOB_LEASE_S, id] : [JOB_INSTANCE, JOB_LEASE_S]);
+  return rows[0] || null;
+}
+// Runs a leased job, records the run, then releases the lease and schedules the next attempt.
+// Manual runs leave attempts and next_run_at alone.
+async function runJob(job, { manual=false, user=null }={}) {
+  // Holding the lease means any run still marked running belongs to an instance that died
+  await pool.query("UPDATE job_runs SET status='failed',error='Lease expired',finished_at=NOW() WHERE job_id=$1 AND status='running'", [job.id]);
+  const attempt = manual ? 1 : job.attempts+1;
+  const { rows: [run] } = await pool.query("INSERT INTO job_runs (job_id,attempt,trigger_type,triggered_by,instance) VALUES ($1,$2,$3,$4,$5) RETURNING *",
+    [job.id, attempt, manual?"manual":job.attempts?"retry":"schedule", user?.id||null, JOB_INSTANCE]);
+  let error = null;
+  try {
+    if (!JOB_HANDLERS[job.handler]) throw new Error(`Unknown job handler "${job.handler}"`);
+    await JOB_HANDLERS[job.handler](job);
+  } catch(e) {
+    error = e.message || String(e);
+    console.error(`Job ${job.name} failed (attempt ${attempt}/${job.max_attempts}):`, error);
+  }
+  const status = error ? "failed" : "succeeded";
+  let attempts = 0, next = null;
+  if (!manual && error && attempt < job.max_attempts) { attempts = attempt; next = new Date(Date.now() + JOB_RETRY_BASE_S*1000*2**(attempt-1)); }
+  else if (!manual) next = nextCronRun(job.cron, job.timezone);
+  const { rows: [done] } = await pool.query("UPDATE job_runs SET status=$2,error=$3,finished_at=NOW() WHERE id=$1 RETURNING *", [run.id, status, error]);
+  await pool.query(`UPDATE jobs SET locked_by=NULL,locked_until=NULL,last_run_at=NOW(),last_status=$2,last_error=$3,
+    attempts=CASE WHEN $4::boolean THEN attempts ELSE $5 END,next_run_at=COALESCE($6::timestamptz,next_run_at) WHERE id=$1`,
+    [job.id, status, error, manual, attempts, next]);
+  return done;
+}
+let jobTickBusy = false;
+async function runDueJobs() {
+  if (jobTickBusy) return;   // a long job spans ticks; whatever is still due gets picked up after it
+  jobTickBusy = true;
+  try { for (let job; (job = await claimJob()); ) await runJob(job); }
+  finally { jobTickBusy = false; }
+}
+
+// ── HELPERS ──
+async function getCameraName(cameraUid) {
+  const { rows } = await pool.query("SELECT name FROM cameras WHERE camera_uid=$1", [cameraUid]);
+  return rows[0]?.name || `Camera ${cameraUid}`;
+}
+// ── CAMERA HEALTH ──
+// Any event other than camera_offline proves the camera is alive and closes its open outage.
+// Returns { camera_uid, from, to } when the status changed, else null.
+async function updateCameraHealth(camera_uid, society_code, event_type, ts) {
+  const { rows: prev } = await pool.query("SELECT status FROM camera_status WHERE camera_uid=$1", [camera_uid]);
+  const before = prev[0]?.status || "unknown";
+  await pool.query(
+    `INSERT INTO camera_status (camera_uid,society_code,last_seen_at,last_event_type,status_since) VALUES ($1,$2,$3,$4,$3)
+     ON CONFLICT (camera_uid) DO UPDATE SET society_code=$2,last_seen_at=GREATEST(camera_status.last_seen_at,$3),last_event_type=$4,updated_at=NOW()`,
+    [camera_uid, society_code, ts, event_type]
+  );
+  let status;
+  if (event_type==="camera_offline") {
+    await pool.query(
+      "INSERT INTO camera_outages (camera_uid,society_code,reason,started_at) SELECT $1,$2,'offline_event',$3 WHERE NOT EXISTS (SELECT 1 FROM camera_outages WHERE camera_uid=$1 AND ended_at IS NULL)",
+      [camera_uid, society_code, ts]
+    );
+    status = "offline";
+  } else {
+    await pool.query(
+      "UPDATE camera_outages SET ended_at=$2,duration_s=EXTRACT(EPOCH FROM ($2::timestamptz-started_at))::int WHERE camera_uid=$1 AND ended_at IS NULL AND started_at<=$2",
+      [camera_uid, ts]
+    );
+    status = "online";
+  }
+  if (status===before) return null;
+  await pool.query("UPDATE camera_status SET status=$2,status_since=$3 WHERE camera_uid=$1", [camera_uid, status, ts]);
+  const change = { camera_uid, society_code, from:before, to:status, at:ts };
+  await publishStream("camera_status", society_code, change);
+  return change;
+}
+// Online cameras silent for longer than their window go stale and start an outage from their last sighting
+async function sweepStaleCameras() {
+  const { rows } = await pool.query(`
+    UPDATE camera_status cs SET status='stale',status_since=NOW(),updated_at=NOW()
+    WHERE cs.status='online' AND cs.last_seen_at < NOW() - COALESCE((SELECT c.stale_after_minutes FROM cameras c WHERE c.camera_uid=cs.camera_uid),$1)*INTERVAL '1 minute'
+    RETURNING cs.camera_uid,cs.society_code,cs.last_seen_at
+  `, [CAMERA_STALE_MINUTES]);
+  for (const r of rows) {
+    await pool.query(
+      "INSERT INTO camera_outages (camera_uid,society_code,reason,started_at) SELECT $1,$2,'stale',$3 WHERE NOT EXISTS (SELECT 1 FROM camera_outages WHERE camera_uid=$1 AND ended_at IS NULL)",
+      [r.camera_uid, r.society_code, r.last_seen_at]
+    );
+    console.log(`⚠️ Camera ${r.camera_uid} stale — last seen ${new Date(r.last_seen_at).toISOString()}`);
+    await publishStream("camera_status", r.society_code, { camera_uid:r.camera_uid, society_code:r.society_code, from:"online", to:"stale", at:new Date().toISOString() });
+  }
+  return rows;
+}
+// Measured downtime per camera, clipped to the `days` days before `until` (default now; open outages count up to now)
+// societyCodes: one code, an array of codes, or null for every society
+async function getDowntime(days, societyCodes, until=null) {
+  const { rows } = await pool.query(`
+    SELECT o.camera_uid as camera_id,COALESCE(c.name,'Camera '||o.camera_uid) as location,COUNT(*) as incidents,
+      ROUND(SUM(EXTRACT(EPOCH FROM (LEAST(COALESCE(o.ended_at,NOW()),w.t) - GREATEST(o.started_at,w.t-$1*INTERVAL '1 day'))))/60) as downtime_minutes,
+      BOOL_OR(COALESCE(o.ended_at,'infinity') > w.t) as ongoing
+    FROM camera_outages o LEFT JOIN cameras c ON c.camera_uid=o.camera_uid
+    CROSS JOIN (SELECT COALESCE($3::timestamptz,NOW()) as t) w
+    WHERE COALESCE(o.ended_at,NOW()) > w.t-$1*INTERVAL '1 day' AND o.started_at < w.t AND ($2::text[] IS NULL OR o.society_code=ANY($2))
+    GROUP BY o.camera_uid,c.name ORDER BY downtime_minutes DESC
+  `, [days, societyCodes==null ? null : [].concat(societyCodes), until]);
+  return rows.map(r => ({ ...r, incidents:parseInt(r.incidents), downtime_minutes:parseInt(r.downtime_minutes) }));
+}
+function uptimePct(downtimeMinutes, days) {
+  return Math.max(0, Math.round((1 - downtimeMinutes/(days*24*60))*10000)/100);
+}
+
+// ── ANALYTICS ──
+const VISITOR_EVENT_TYPES = ["person_detected","vehicle_detected","crowd_detected"];
+const ANALYTICS_GRANULARITIES = ["hour","day","week","month"];
+const ANALYTICS_GROUPS = { society:"society_code", camera:"camera_id", event_type:"event_type" };
+const LOCAL_TS_RE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/;
+// Wall-clock "YYYY-MM-DDTHH:MM:SS" of a moment in the given IANA zone
+function localStamp(tz, date=new Date()) {
+  const p = {};
+  new Intl.DateTimeFormat("en-CA", { timeZone:tz, hourCycle:"h23", year:"numeric", month:"2-digit", day:"2-digit", hour:"2-digit", minute:"2-digit", second:"2-digit" })
+    .formatToParts(date).forEach(x => p[x.type] = x.value);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}:${p.second}`;
+}
+function shiftDays(day, n) {
+  return new Date(new Date(`${day}T00:00:00Z`).getTime() + n*24*60*60*1000).toISOString().slice(0,10);
+}
+function isTimeZone(tz) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone:tz }); return true; } catch(e) { return false; }
+}
+async function bumpRollups(event) {
+  const params = [event.client_id, event.camera_id, event.event_type, event.timestamp_utc, event.timezone, event.visitor_count||0];
+  await pool.query(`INSERT INTO event_rollups_hourly (society_code,camera_id,event_type,bucket,events,visitors)
+    VALUES ($1,$2,$3,date_trunc('hour',$4::timestamptz AT TIME ZONE $5),1,$6)
+    ON CONFLICT (society_code,camera_id,event_type,bucket) DO UPDATE SET events=event_rollups_hourly.events+1,visitors=event_rollups_hourly.visitors+EXCLUDED.visitors`, params);
+  await pool.query(`INSERT INTO event_rollups_daily (society_code,camera_id,event_type,day,events,visitors)
+    VALUES ($1,$2,$3,($4::timestamptz AT TIME ZONE $5)::date,1,$6)
+    ON CONFLICT (society_code,camera_id,event_type,day) DO UPDATE SET events=event_rollups_daily.events+1,visitors=event_rollups_daily.visitors+EXCLUDED.visitors`, params);
+}
+// Recomputes rollups from the events table for the last `days` local days (null = everything),
+// optionally for one society only (e.g. after its timezone changed)
+async function rebuildRollups(days, societyCode=null) {
+  const client = await pool.connect();
+  // Every society buckets in its own zone; `since` is local midnight `days` days ago in that zone
+  const zone = "COALESCE((SELECT timezone FROM societies WHERE code=r.society_code),$1)";
+  const since = `(date_trunc('day', NOW() AT TIME ZONE ${zone}) - $2::int*INTERVAL '1 day')`;
+  const scope = ts => `($2::int IS NULL OR ${ts} >= ${since}) AND ($3::text IS NULL OR r.society_code=$3)`;
+  const params = [DEFAULT_TIMEZONE, days, societyCode];
+  try {
+    await client.query("BEGIN");
+    await client.query(`DELETE FROM event_rollups_hourly r WHERE ${scope("r.bucket")}`, params);
+    await client.query(`DELETE FROM event_rollups_daily r WHERE ${scope("r.day")}`, params);
+    await client.query(`INSERT INTO event_rollups_hourly (society_code,camera_id,event_type,bucket,events,visitors)
+      SELECT r.society_code,r.camera_id,r.event_type,date_trunc('hour',r.ts),COUNT(*),COALESCE(SUM(r.visitor_count),0)
+      FROM (SELECT e.client_id as society_code,e.camera_id,e.event_type,e.visitor_count,e.timestamp_utc AT TIME ZONE COALESCE(s.timezone,$1) as ts
+            FROM events e LEFT JOIN societies s ON s.code=e.client_id WHERE e.timestamp_utc IS NOT NULL) r
+      WHERE ${scope("r.ts")}
+      GROUP BY 1,2,3,4`, params);
+    await client.query(`INSERT INTO event_rollups_daily (society_code,camera_id,event_type,day,events,visitors)
+      SELECT r.society_code,r.camera_id,r.event_type,r.bucket::date,SUM(r.events),SUM(r.visitors)
+      FROM event_rollups_hourly r WHERE ${scope("r.bucket")}
+      GROUP BY 1,2,3,4`, params);
+    await client.query("COMMIT");
+  } catch(e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally { client.release(); }
+}
+// The zone dashboards default to: the societies' own when they share one
+async function defaultTimezone(codes) {
+  const zones = await societyTimezones(codes);
+  return zones.length===1 ? zones[0] : DEFAULT_TIMEZONE;
+}
+// Distinct timezones of the given societies (null = all)
+async function societyTimezones(codes) {
+  const { rows } = await pool.query("SELECT DISTINCT timezone FROM societies WHERE ($1::text[] IS NULL OR code=ANY($1))", [codes]);
+  return rows.map(r => r.timezone);
+}
+// Event/visitor counts per local time bucket, optionally split by society, camera and/or event type.
+// from (inclusive) / to (exclusive) are local "YYYY-MM-DD[THH:MM[:SS]]" times in `tz`.
+// Served from the rollups when every society involved lives in `tz`, otherwise aggregated straight from events.
+async function queryAnalytics({ codes=null, from, to, granularity="day", groupBy=[], eventTypes=null, tz }) {
+  const cols = groupBy.map(g => ANALYTICS_GROUPS[g]);
+  const params = [granularity, from, to, codes, eventTypes];
+  let source;
+  if ((await societyTimezones(codes)).every(z => z===tz)) {
+    const dayAligned = [from, to].every(v => /^\d{4}-\d{2}-\d{2}(T00:00(:00)?)?$/.test(v));
+    source = granularity!=="hour" && dayAligned
+      ? "SELECT society_code,camera_id,event_type,day::timestamp as ts,events,visitors FROM event_rollups_daily"
+      : "SELECT society_code,camera_id,event_type,bucket as ts,events,visitors FROM event_rollups_hourly";
+  } else {
+    params.push(tz);
+    source = `SELECT client_id as society_code,camera_id,event_type,timestamp_utc AT TIME ZONE $6 as ts,1 as events,visitor_count as visitors FROM events
+      WHERE timestamp_utc >= $2::timestamp AT TIME ZONE $6 AND timestamp_utc < $3::timestamp AT TIME ZONE $6`;
+  }
+  const { rows } = await pool.query(`
+    SELECT to_char(date_trunc($1, ts),'YYYY-MM-DD"T"HH24:MI:SS') as bucket${cols.map(c => `,${c}`).join("")},
+      SUM(events)::int as events,SUM(visitors)::int as visitors
+    FROM (${source}) r
+    WHERE ts >= $2::timestamp AND ts < $3::timestamp
+      AND ($4::text[] IS NULL OR society_code=ANY($4)) AND ($5::text[] IS NULL OR event_type=ANY($5))
+    GROUP BY 1${cols.map((c, i) => `,${i+2}`).join("")} ORDER BY 1
+  `, params);
+  return rows;
+}
+// Per-camera event totals from analytics rows grouped by camera, busiest first
+async function cameraActivity(rows) {
+  const totals = {};
+  rows.forEach(r => totals[r.camera_id] = (totals[r.camera_id]||0) + r.events);
+  const { rows: cams } = await pool.query("SELECT camera_uid,name FROM cameras WHERE camera_uid=ANY($1)", [Object.keys(totals)]);
+  const names = {};
+  cams.forEach(c => names[c.camera_uid] = c.name);
+  return Object.entries(totals).map(([camera_id, count]) => ({ camera_id, location:names[camera_id]||`Camera ${camera_id}`, count })).sort((a,b) => b.count-a.count);
+}
+
+// ── ALERT RULES ──
+// condition_type → params:
+//   event_match              { event_types:[...], camera_ids?:[...], from?:"HH:MM", to?:"HH:MM", vehicle_classes?:[...] }
+//                            matching event inside a society-local time window (vehicle_classes narrows vehicle_detected by plate class)
+//   event_rate               { event_type, count, window_minutes, camera_ids?:[...] }              more than `count` events in the window
+//   camera_offline_duration  { minutes, camera_ids?:[...] }                                         camera still down `minutes` after it dropped (fires once per outage)
+// quiet_start/quiet_end ("HH:MM" society-local) hold back delivery; the firing is still recorded in alert_history.
+// auto_incident opens an incident for every firing.
+const ALERT_CONDITIONS = ["event_match","event_rate","camera_offline_duration"];
+const ALERT_SEVERITIES = ["low","medium","high"];
+const HHMM_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function hhmmToMinutes(v) {
+  const [h, m] = v.split(":").map(Number);
+  return h*60 + m;
+}
+function localMinuteOfDay(ts, tz) {
+  return hhmmToMinutes(localStamp(tz || DEFAULT_TIMEZONE, new Date(ts)).slice(11,16));
+}
+// Window may wrap midnight ("23:00"→"06:00"); a missing bound means start/end of day
+function inTimeWindow(minute, from, to) {
+  const a = from ? hhmmToMinutes(from) : 0, b = to ? hhmmToMinutes(to) : 24*60;
+  return a<=b ? (minute>=a && minute<b) : (minute>=a || minute<b);
+}
+function validateAlertRule(r) {
+  if (!r.name) return "Name required";
+  if (!ALERT_CONDITIONS.includes(r.condition_type)) return `condition_type must be one of: ${ALERT_CONDITIONS.join(", ")}`;
+  if (r.severity && !ALERT_SEVERITIES.includes(r.severity)) return `severity must be one of: ${ALERT_SEVERITIES.join(", ")}`;
+  if (!Array.isArray(r.recipients) || !r.recipients.length || r.recipients.some(e => !String(e).includes("@"))) return "recipients must be a non-empty list of email addresses";
+  for (const k of ["quiet_start","quiet_end"]) if (r[k] && !HHMM_RE.test(r[k])) return `${k} must be HH:MM`;
+  if (!!r.quiet_start !== !!r.quiet_end) return "quiet_start and quiet_end must be set together";
+  if (r.auto_incident!=null && typeof r.auto_incident!=="boolean") return "auto_incident must be true or false";
+  if (r.cooldown_minutes!=null && !(Number.isInteger(r.cooldown_minutes) && r.cooldown_minutes>=0)) return "cooldown_minutes must be a whole number ≥ 0";
+  const p = r.params || {};
+  if (p.camera_ids!=null && !Array.isArray(p.camera_ids)) return "params.camera_ids must be a list";
+  const posInt = v => Number.isInteger(v) && v>0;
+  if (r.condition_type==="event_match") {
+    if (!Array.isArray(p.event_types) || !p.event_types.length) return "params.event_types required";
+    for (const k of ["from","to"]) if (p[k] && !HHMM_RE.test(p[k])) return `params.${k} must be HH:MM`;
+    if (p.vehicle_classes!=null && !Array.isArray(p.vehicle_classes)) return "params.vehicle_classes must be a list";
+  }
+  if (r.condition_type==="event_rate") {
+    if (!p.event_type) return "params.event_type required";
+    if (!posInt(p.count) || !posInt(p.window_minutes)) return "params.count and params.window_minutes must be positive whole numbers";
+  }
+  if (r.condition_type==="camera_offline_duration" && !posInt(p.minutes)) return "params.minutes must be a positive whole number";
+  return null;
+}
+function cameraFilter(params) {
+  return Array.isArray(params?.camera_ids) && params.camera_ids.length ? params.camera_ids.map(String) : null;
+}
+// ctx: { camera_id, camera_location, event_type, event_uid, timestamp_utc, dedupe_key, message, once? }
+async function fireAlert(rule, ctx) {
+  const { rowCount: recent } = await pool.query(
+    "SELECT 1 FROM alert_history WHERE rule_id IS NOT DISTINCT FROM $1 AND dedupe_key=$2 AND ($3::int IS NULL OR fired_at > NOW()-$3*INTERVAL '1 minute') LIMIT 1",
+    [rule.id, ctx.dedupe_key, ctx.once ? null : (rule.cooldown_minutes||0)]
+  );
+  if (recent) return null;
+  const quiet = !!(rule.quiet_start && rule.quiet_end && inTimeWindow(localMinuteOfDay(Date.now(), rule.timezone), rule.quiet_start, rule.quiet_end));
+  const recipients = rule.recipients || [];
+  const { rows } = await pool.query(
+    "INSERT INTO alert_history (rule_id,society_id,event_uid,camera_id,dedupe_key,severity,status,message,recipients) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *",
+    [rule.id, rule.society_id, ctx.event_uid||null, ctx.camera_id, ctx.dedupe_key, rule.severity, quiet?"suppressed_quiet":"sent", ctx.message, JSON.stringify(recipients)]
+  );
+  if (!quiet) notifyAlert(rule, ctx, rows[0]).catch(e => console.error("Alert notification error:", e.message));
+  if (rule.auto_incident) {
+    const eventIds = ctx.id ? [ctx.id] : [];
+    await createIncident({ society_id:rule.society_id, title:`${rule.name}: ${ctx.camera_location||ctx.camera_id}`, severity:rule.severity, source:"alert", alert_id:rows[0].id, event_ids:eventIds }, null, null);
+  }
+  await publishStream("alert", ctx.client_id || rule.society_code, { ...rows[0], rule_name:rule.name, camera_location:ctx.camera_location, event_type:ctx.event_type });
+  console.log(`🔔 Alert rule ${rule.id} (${rule.name}) ${quiet?"held (quiet hours)":"fired"}: ${ctx.message}`);
+  return rows[0];
+}
+// Event-driven rules, called from the webhook pipeline for every stored event
+async function evaluateAlertRules(event, societyId) {
+  const { rows: rules } = await pool.query("SELECT r.*,s.timezone FROM alert_rules r JOIN societies s ON s.id=r.society_id WHERE r.society_id=$1 AND r.is_active=true AND r.condition_type IN ('event_match','event_rate')", [societyId]);
+  for (const rule of rules) {
+    const p = rule.params || {};
+    const cams = cameraFilter(p);
+    if (cams && !cams.includes(event.camera_id)) continue;
+    if (rule.condition_type==="event_match") {
+      if (!p.event_types.includes(event.event_type)) continue;
+      if (!inTimeWindow(localMinuteOfDay(event.timestamp_utc, rule.timezone), p.from, p.to)) continue;
+      if (p.vehicle_classes?.length && !p.vehicle_classes.includes(event.vehicle_class)) continue;
+      await fireAlert(rule, { ...event, dedupe_key:event.camera_id, message:`${event.event_type.replace(/_/g," ")} at ${event.camera_location}` });
+    } else {
+      if (event.event_type!==p.event_type) continue;
+      const { rows } = await pool.query(
+        "SELECT COUNT(*) as n FROM events WHERE client_id=$1 AND event_type=$2 AND timestamp_utc > $3::timestamptz-$4*INTERVAL '1 minute' AND timestamp_utc<=$3 AND ($5::text[] IS NULL OR camera_id=ANY($5))",
+        [event.client_id, p.event_type, event.timestamp_utc, p.window_minutes, cams]
+      );
+      const n = parseInt(rows[0].n);
+      if (n <= p.count) continue;
+      await fireAlert(rule, { ...event, dedupe_key:cams ? event.camera_id : "society", message:`${n} ${p.event_type.replace(/_/g," ")} events in the last ${p.window_minutes} minutes (threshold ${p.count})` });
+    }
+  }
+}
+// Time-driven rules — outages only become "long" while nothing is arriving, so these run on a timer
+async function evaluateOfflineDurationRules() {
+  const { rows: rules } = await pool.query("SELECT r.*,s.code as society_code,s.timezone FROM alert_rules r JOIN societies s ON s.id=r.society_id WHERE r.is_active=true AND r.condition_type='camera_offline_duration'");
+  for (const rule of rules) {
+    const { rows: outages } = await pool.query(`
+      SELECT o.id,o.camera_uid,o.reason,o.started_at,COALESCE(c.name,'Camera '||o.camera_uid) as location
+      FROM camera_outages o LEFT JOIN cameras c ON c.camera_uid=o.camera_uid
+      WHERE o.ended_at IS NULL AND o.society_code=$1 AND o.started_at<=NOW()-$2*INTERVAL '1 minute' AND ($3::text[] IS NULL OR o.camera_uid=ANY($3))
+    `, [rule.society_code, rule.params.minutes, cameraFilter(rule.params)]);
+    for (const o of outages) {
+      const mins = Math.round((Date.now()-new Date(o.started_at))/60000);
+      await fireAlert(rule, { camera_id:o.camera_uid, camera_location:o.location, event_type:o.reason==="stale"?"camera_stale":"camera_offline", timestamp_utc:o.started_at, dedupe_key:`outage:${o.id}`, once:true, message:`Camera has been down for ${mins} minutes` });
+    }
+  }
+}
+
+// ── VEHICLES ──
+const VEHICLE_LIST_TYPES = ["resident","visitor","blocked"];
+function normalizePlate(plate) {
+  const p = String(plate||"").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return p || null;
+}
+// resident | known_visitor | unknown | blocklisted — a blocklist entry wins over everything else
+async function classifyVehicle(societyId, plate) {
+  const { rows } = await pool.query("SELECT * FROM vehicles WHERE society_id=$1 AND plate=$2 AND (valid_until IS NULL OR valid_until>NOW())", [societyId, plate]);
+  const v = rows[0];
+  if (v) return { vehicle_class:{ blocked:"blocklisted", resident:"resident", visitor:"known_visitor" }[v.list_type] || "unknown", vehicle:v };
+  const { rows: passes } = await pool.query(
+    "SELECT id,guest_name,flat FROM visitor_passes WHERE society_id=$1 AND vehicle_plate=$2 AND status IN ('expected','checked_in') AND expected_from-$3*INTERVAL '1 minute'<=NOW() AND (expected_to>=NOW() OR status='checked_in') LIMIT 1",
+    [societyId, plate, VISITOR_EARLY_GRACE_MIN]
+  );
+  if (passes[0]) return { vehicle_class:"known_visitor", pass:passes[0] };
+  return { vehicle_class:"unknown" };
+}
+// Always alerts the society's admins, independent of configured rules (rules can add more via params.vehicle_classes)
+async function raiseBlocklistAlert(event, vehicle, societyId) {
+  const { rows: admins } = await pool.query(`
+    SELECT DISTINCT u.email FROM users u
+    WHERE u.role='admin' AND u.is_active=true AND u.email IS NOT NULL
+      AND (u.society_id=$1 OR EXISTS (SELECT 1 FROM user_societies us WHERE us.user_id=u.id AND us.society_id=$1))
+  `, [societyId]);
+  const rule = { id:null, society_id:societyId, timezone:event.timezone, name:"Blocklisted vehicle", severity:"high", cooldown_minutes:15, recipients:admins.map(a => a.email), auto_incident:true };
+  await fireAlert(rule, { ...event, dedupe_key:`plate:${event.plate_number}`, message:`Blocklisted vehicle ${event.plate_number} seen at ${event.camera_location}${vehicle.notes?` — ${vehicle.notes}`:""}` });
+}
+
+// ── ACTIVITY SESSIONS ──
+// A burst of motion / person events from one camera becomes one session: each event joins the session it
+// falls within SESSION_GAP_S of (extending its start or end), otherwise it opens a new one. The session keeps
+// its peak object count and, as its thumbnail, that of the highest-count event that had one.
+// A per-camera advisory lock keeps concurrent deliveries from opening two sessions for the same burst.
+const SESSION_EVENT_TYPES = ["motion_detected","person_detected"];
+const SESSION_GAP_S = parseInt(process.env.SESSION_GAP_S || 120);
+
+// Returns the session id the event was placed in
+async function assignSession(event, count) {
+  const client = await pool.connect();
+  const thumb = event.thumbnail_url || null;
+  try {
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [`session:${event.client_id}:${event.camera_id}`]);
+    const { rows: open } = await client.query(`
+      SELECT id FROM activity_sessions
+      WHERE society_code=$1 AND camera_id=$2 AND started_at-$4*INTERVAL '1 second'<=$3 AND ended_at+$4*INTERVAL '1 second'>=$3
+      ORDER BY ended_at DESC LIMIT 1`, [event.client_id, event.camera_id, event.timestamp_utc, SESSION_GAP_S]);
+    let sessionId;
+    if (open.length) {
+      sessionId = open[0].id;
+      // SET expressions all see the old row, so peak_count here is the peak before this event
+      const better = "$5::text IS NOT NULL AND (thumbnail_url IS NULL OR $4>peak_count)";
+      await client.query(`
+        UPDATE activity_sessions SET started_at=LEAST(started_at,$2),ended_at=GREATEST(ended_at,$2),event_count=event_count+1,
+          event_types=CASE WHEN event_types ? $3 THEN event_types ELSE event_types||jsonb_build_array($3::text) END,
+          thumbnail_url=CASE WHEN ${better} THEN $5 ELSE thumbnail_url END,
+          representative_event_id=CASE WHEN ${better} THEN $6 ELSE representative_event_id END,
+          peak_count=GREATEST(peak_count,$4),updated_at=NOW()
+        WHERE id=$1`, [sessionId, event.timestamp_utc, event.event_type, count, thumb, event.id]);
+    } else {
+      const { rows } = await client.query(`
+        INSERT INTO activity_sessions (society_code,camera_id,started_at,ended_at,event_count,peak_count,event_types,thumbnail_url,representative_event_id)
+        VALUES ($1,$2,$3,$3,1,$4,$5,$6,$7) RETURNING id`,
+        [event.client_id, event.camera_id, event.timestamp_utc, count, JSON.stringify([event.event_type]), thumb, event.id]);
+      sessionId = rows[0].id;
+    }
+    await client.query("UPDATE events SET session_id=$1 WHERE id=$2", [sessionId, event.id]);
+    await client.query("COMMIT");
+    return sessionId;
+  } catch(e) {
+    await client.query("ROLLBACK");
+    throw e;
+  } finally { client.release(); }
+}
+
+
+// ── LIVE STREAM (SSE) ──
+// publishStream stores the item and NOTIFYs its id; every instance LISTENs and fans it out to its own
+// connected clients, so the dashboard gets the same feed whichever instance it is attached to.
+const streamClients = new Set();   // { res, societyCodes (null = all), buffer (array while replaying) }
+
+async function publishStream(kind, societyCode, data) {
+  try {
+    const { rows } = await pool.query("INSERT INTO stream_events (kind,society_code,payload) VALUES ($1,$2,$3) RETURNING id", [kind, societyCode||null, JSON.stringify(data)]);
+    await pool.query("SELECT pg_notify('sg_stream',$1)", [String(rows[0].id)]);
+  } catch(e) { console.error("Stream publish error:", e.message); }
+}
+function formatStreamEvent(row) {
+  return `id: ${row.id}\nevent: ${row.kind}\ndata: ${JSON.stringify(row.payload)}\n\n`;
+}
+function writeStreamEvent(client, row) {
+  if (client.societyCodes && !client.societyCodes.includes(row.society_code)) return;
+  if (client.buffer) { client.buffer.push(row); return; }
+  client.res.write(formatStreamEvent(row));
+}
+async function deliverStreamEvent(id) {
+  if (!streamClients.size) return;
+  const { rows } = await pool.query("SELECT * FROM stream_events WHERE id=$1", [id]);
+  if (rows[0]) for (const c of streamClients) writeStreamEvent(c, rows[0]);
+}
+async function listenForStreamEvents() {
+  let client;
+  try {
+    client = await pool.connect();
+    client.on("notification", msg => deliverStreamEvent(msg.payload).catch(e => console.error("Stream delivery error:", e.message)));
+    client.on("error", err => {
+      console.error("Stream listener lost:", err.message);
+      client.release(true);
+      setTimeout(listenForStreamEvents, 5000);
+    });
+    await client.query("LISTEN sg_stream");
+    console.log("Live stream listening for notifications");
+  } catch(e) {
+    console.error("Stream listener failed:", e.message);
+    if (client) client.release(true);
+    setTimeout(listenForStreamEvents, 5000);
+  }
+}
+
+// ── VISITORS ──
+// Pass codes are 6 digits, shown once on creation and stored only as a hash scoped to the society.
+// The QR payload is "SG1:<pass id>:<code>" so a scan identifies the pass without a society lookup.
+function visitorPassHash(societyId, code) {
+  return hashToken(`${societyId}:${code}`);
+}
+function visitorQrPayload(passId, code) {
+  return `SG1:${passId}:${code}`;
+}
+// Person detection on one of the society's gate cameras closest to `at`, within VISITOR_MATCH_WINDOW_MIN
+async function nearestGateDetection(societyId, at) {
+  const { rows } = await pool.query(`
+    SELECT e.id,e.camera_id,e.timestamp_utc,e.thumbnail_url FROM events e
+    JOIN cameras c ON c.camera_uid=e.camera_id AND c.society_id=$1 AND c.is_gate=true
+    WHERE e.event_type='person_detected' AND e.timestamp_utc BETWEEN $2::timestamptz-$3*INTERVAL '1 minute' AND $2::timestamptz+$3*INTERVAL '1 minute'
+    ORDER BY ABS(EXTRACT(EPOCH FROM (e.timestamp_utc-$2::timestamptz))) LIMIT 1
+  `, [societyId, at, VISITOR_MATCH_WINDOW_MIN]);
+  return rows[0] || null;
+}
+// Expected vs. actual visitors for a society over [from, to)
+async function getVisitorSummary(societyId, from, to) {
+  const { rows } = await pool.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE source='pre_registered' AND status<>'cancelled' AND expected_from<$3 AND expected_to>=$2) as expected,
+      COUNT(*) FILTER (WHERE source='pre_registered' AND checked_in_at>=$2 AND checked_in_at<$3) as arrived,
+      COUNT(*) FILTER (WHERE source='pre_registered' AND status='expected' AND expected_to>=$2 AND expected_to<LEAST($3,NOW())) as no_show,
+      COUNT(*) FILTER (WHERE source='walk_in' AND checked_in_at>=$2 AND checked_in_at<$3) as walk_ins
+    FROM visitor_passes WHERE society_id=$1
+  `, [societyId, from, to]);
+  const r = rows[0];
+  return { expected:parseInt(r.expected), arrived:parseInt(r.arrived), no_show:parseInt(r.no_show), walk_ins:parseInt(r.walk_ins) };
+}
+
+// ── INCIDENTS ──
+// SLA = minutes from creation to resolution; defaults by severity unless the incident sets its own
+const INCIDENT_SLA_MINUTES = { high:30, medium:120, low:24*60 };
+const INCIDENT_STATUSES = ["open","acknowledged","resolved"];
+
+async function createIncident(inc, user, ip) {
+  const severity = ALERT_SEVERITIES.includes(inc.severity) ? inc.severity : "medium";
+  const sla = inc.sla_minutes || INCIDENT_SLA_MINUTES[severity];
+  const { rows } = await pool.query(
+    "INSERT INTO incidents (society_id,title,severity,source,alert_id,assignee_id,sla_minutes,due_at,created_by) VALUES ($1,$2,$3,$4,$5,$6,$7,NOW()+$7*INTERVAL '1 minute',$8) RETURNING *",
+    [inc.society_id, inc.title, severity, inc.source||"manual", inc.alert_id||null, inc.assignee_id||null, sla, user?.id||null]
+  );
+  for (const eid of inc.event_ids||[]) {
+    await pool.query("INSERT INTO incident_events (incident_id,event_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [rows[0].id, eid]);
+  }
+  await auditLog("create_incident", "incident", rows[0].id, { title:inc.title, severity, source:rows[0].source, alert_id:inc.alert_id, event_ids:inc.event_ids, assignee_id:inc.assignee_id }, user, ip, inc.society_id);
+  return rows[0];
+}
+function withSla(inc) {
+  const end = inc.resolved_at ? new Date(inc.resolved_at) : new Date();
+  return { ...inc, sla_breached:!!inc.due_at && end > new Date(inc.due_at), sla_remaining_minutes:inc.due_at && !inc.resolved_at ? Math.round((new Date(inc.due_at)-Date.now())/60000) : null };
+}
+
+async function findIntegration(vendor, externalId) {
+  if (!externalId) return null;
+  const { rows } = await pool.query(
+    "SELECT i.*,s.code as society_code,s.timezone as society_timezone,s.retention as society_retention,s.evidence_types as society_evidence_types FROM integrations i JOIN societies s ON s.id=i.society_id WHERE i.vendor=$1 AND i.external_id=$2 AND i.is_active=true", [vendor, String(externalId)]
+  );
+  return rows[0] || null;
+}
+// Signature = hex HMAC-SHA256(secret, "<x-sg-timestamp>.<raw body>"); returns { error } or { signature, replay }.
+// A signature seen before is a vendor retry of the same delivery (or a replay of it). While dedupe outlives the
+// timestamp window it goes through ingestion like any retry — every event it carries is already claimed, so it
+// gets the idempotent duplicate 200 — and is only refused when dedupe could not catch it.
+async function verifyWebhookSignature(req, integration) {
+  const ts  = parseInt(req.headers["x-sg-timestamp"]);
+  const sig = String(req.headers["x-sg-signature"]||"").replace(/^sha256=/, "");
+  if (!ts || !sig) return { error:"Missing signature headers" };
+  if (Math.abs(Date.now()/1000 - ts) > WEBHOOK_TOLERANCE_S) return { error:"Timestamp outside allowed window" };
+  const expected = crypto.createHmac("sha256", integration.secret).update(`${ts}.`).update(req.rawBody||"").digest("hex");
+  if (sig.length!==expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return { error:"Invalid signature" };
+  const { rowCount } = await pool.query("INSERT INTO webhook_signatures (signature) VALUES ($1) ON CONFLICT DO NOTHING", [expected]);
+  if (!rowCount && INGEST_DEDUPE_WINDOW_S < WEBHOOK_TOLERANCE_S) return { error:"Replayed request" };
+  return { signature:expected, replay:!rowCount };
+}
+async function recordUnmappedType(vendor, rawType, sample) {
+  try {
+    await pool.query(
+      `INSERT INTO unmapped_event_types (vendor,raw_type,occurrences,sample) VALUES ($1,$2,1,$3)
+       ON CONFLICT (vendor,raw_type) DO UPDATE SET occurrences=unmapped_event_types.occurrences+1,last_seen=NOW(),sample=$3`,
+      [vendor, String(rawType).slice(0,200), JSON.stringify(sample)]
+    );
+  } catch(e) { console.error("Unmapped type log error:", e.message); }
+}
+async function quarantineWebhook(vendor, externalId, reason, payload, ip) {
+  try {
+    await pool.query("INSERT INTO webhook_quarantine (vendor,external_id,reason,payload,ip_address) VALUES ($1,$2,$3,$4,$5)", [vendor, externalId||null, reason, JSON.stringify(payload), ip||null]);
+    console.log(`⚠️ Webhook quarantined: vendor=${vendor} external_id='${externalId||""}' reason=${reason}`);
+  } catch(e) { console.error("Quarantine error:", e.message); }
+}
+// ── AUDIT TRAIL ──
+// audit_logs is hash-chained: every row stores the previous row's hash and a SHA-256 over that hash plus its own
+// canonical content, written under an advisory lock so the chain has a single order. Editing or deleting a row
+// breaks the chain from that point on (GET /api/logs/verify); cutting off the newest rows only shows against a
+// head hash noted down earlier. Rows written before the chain existed have no hash and are counted, not checked.
+// before / after are snapshots of the changed row with credentials masked. Webhook traffic goes to ingest_log.
+const AUDIT_LOCK_KEY = 7241053;
+const AUDIT_VERIFY_BATCH = 5000;
+const AUDIT_REDACTED = ["password_hash","secret","totp_secret","totp_pending_secret","totp_recovery_hashes","reset_token_hash","invite_token_hash","refresh_hash","pass_hash"];
+
+// Sorted keys, so a row hashes the same after its JSON has been through JSONB
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v==="object") return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  return JSON.stringify(v ?? null);
+}
+const plainJson = v => v==null ? null : JSON.parse(JSON.stringify(v));
+function auditSnapshot(row) {
+  const snap = plainJson(row);
+  if (snap && typeof snap==="object") for (const k of AUDIT_REDACTED) if (k in snap) snap[k] = "[redacted]";
+  return snap;
+}
+function auditHash(prevHash, r) {
+  const content = canonicalJson({
+    created_at:new Date(r.created_at).toISOString(), user_id:r.user_id, username:r.username, role:r.role, action:r.action, entity:r.entity,
+    entity_id:r.entity_id, details:r.details, before:r.before, after:r.after, ip_address:r.ip_address, society_id:r.society_id,
+  });
+  return crypto.createHash("sha256").update(`${prevHash||""}\n${content}`).digest("hex");
+}
+// changes = { before, after } row snapshots for updates and deletes
+async function auditLog(action, entity, entity_id, details, user, ip, society_id, { before=null, after=null }={}) {
+  const row = {
+    created_at:new Date(), user_id:user?.id||null, username:user?.username||"system", role:user?.role||"system", action, entity:entity||null,
+    entity_id:entity_id?.toString()||null, details:plainJson(details||{}), before:auditSnapshot(before), after:auditSnapshot(after),
+    ip_address:ip||null, society_id:parseInt(society_id)||null,
+  };
+  let client;
+  try {
+    client = await pool.connect();
+    await client.query("BEGIN");
+    await client.query("SELECT pg_advisory_xact_lock($1)", [AUDIT_LOCK_KEY]);
+    const { rows: last } = await client.query("SELECT hash FROM audit_logs WHERE hash IS NOT NULL ORDER BY id DESC LIMIT 1");
+    const prevHash = last[0]?.hash || null;
+    await client.query(
+      "INSERT INTO audit_logs (created_at,user_id,username,role,action,entity,entity_id,details,before,after,ip_address,society_id,prev_hash,hash) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)",
+      [row.created_at, row.user_id, row.username, row.role, row.action, row.entity, row.entity_id, JSON.stringify(row.details), row.before==null ? null : JSON.stringify(row.before),
+       row.after==null ? null : JSON.stringify(row.after), row.ip_address, row.society_id, prevHash, auditHash(prevHash, row)]
+    );
+    await client.query("COMMIT");
+  } catch(e) {
+    if (client) await client.query("ROLLBACK").catch(() => {});
+    console.error("Audit log error:", e.message);
+  } finally { client?.release(); }
+}
+// Walks the chain in id order; stops at the first row that does not fit
+async function verifyAuditChain() {
+  const { rows: [counts] } = await pool.query(`SELECT COUNT(*) FILTER (WHERE hash IS NULL)::int as unchained,
+    COUNT(*) FILTER (WHERE hash IS NULL AND id > (SELECT MIN(id) FROM audit_logs WHERE hash IS NOT NULL))::int as unhashed_in_chain FROM audit_logs`);
+  let prev = null, lastId = 0, checked = 0;
+  const result = (ok, extra={}) => ({ ok, checked, unchained:counts.unchained, ...extra });
+  for (;;) {
+    const { rows } = await pool.query("SELECT * FROM audit_logs WHERE hash IS NOT NULL AND id>$1 ORDER BY id LIMIT $2", [lastId, AUDIT_VERIFY_BATCH]);
+    for (const r of rows) {
+      if (r.prev_hash!==prev) return result(false, { broken_at:r.id, reason:"the row before it was deleted or altered" });
+      if (auditHash(r.prev_hash, r)!==r.hash) return result(false, { broken_at:r.id, reason:"row content was altered" });
+      prev = r.hash; lastId = r.id; checked++;
+    }
+    if (rows.length < AUDIT_VERIFY_BATCH) break;
+  }
+  if (counts.unhashed_in_chain) return result(false, { reason:`${counts.unhashed_in_chain} row(s) inside the chain have no hash` });
+  return result(true, { head_id:lastId || null, head_hash:prev });
+}
+// One row per webhook delivery; never throws
+async function logIngest(entry) {
+  try {
+    await pool.query("INSERT INTO ingest_log (vendor,integration_id,society_id,status,received,stored,duplicates,failed,error,ip_address,duration_ms) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)",
+      [entry.vendor, entry.integration_id||null, entry.society_id||null, entry.status, entry.received||0, entry.stored||0, entry.duplicates||0, entry.failed||0, entry.error||null, entry.ip||null, entry.duration_ms??null]);
+  } catch(e) { console.error("Ingest log error:", e.message); }
+}
+
+// ── SESSIONS ──
+// Access tokens are stateless HMAC-signed payloads (base64url(payload).base64url(sig)).
+// Refresh tokens are random, stored only as SHA-256 hashes, and rotated on every use.
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+function signToken(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const sig  = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest("base64url");
+  return `${body}.${sig}`;
+}
+// Payload of a correctly signed, unexpired token (access or mfa), else null
+function verifySignedToken(token) {
+  const [body, sig] = String(token||"").split(".");
+  if (!body||!sig) return null;
+  const expected = crypto.createHmac("sha256", SESSION_SECRET).update(body).digest("base64url");
+  if (sig.length!==expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  let payload;
+  try { payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8")); } catch(e) { return null; }
+  if (!payload.sub || !payload.exp || payload.exp*1000 <= Date.now()) return null;
+  return payload;
+}
+function signAccessToken(user, sessionId) {
+  return signToken({ sub:user.id, sid:sessionId, role:user.role, exp:Math.floor(Date.now()/1000)+ACCESS_TOKEN_TTL_S });
+}
+function verifyAccessToken(token) {
+  const payload = verifySignedToken(token);
+  return payload?.sid ? payload : null;
+}
+async function createSession(user, req) {
+  const refresh_token = crypto.randomBytes(32).toString("hex");
+  const { rows } = await pool.query(
+    "INSERT INTO user_sessions (user_id,refresh_hash,expires_at,user_agent,ip_address) VALUES ($1,$2,NOW()+$3*INTERVAL '1 second',$4,$5) RETURNING id",
+    [user.id, hashToken(refresh_token), REFRESH_TOKEN_TTL_S, (req.headers["user-agent"]||"").slice(0,255), req.ip]
+  );
+  return { session_id:rows[0].id, access_token:signAccessToken(user, rows[0].id), refresh_token, token_type:"Bearer", expires_in:ACCESS_TOKEN_TTL_S };
+}
+async function revokeUserSessions(userId) {
+  await pool.query("UPDATE user_sessions SET revoked_at=NOW() WHERE user_id=$1 AND revoked_at IS NULL", [userId]);
+}
+async function getUserProfile(userId) {
+  const { rows } = await pool.query(`
+    SELECT u.id,u.username,u.role,u.name,u.email,u.society_id,u.last_login,u.totp_enabled,
+      COALESCE(json_agg(json_build_object('id',s.id,'name',s.name,'code',s.code)) FILTER (WHERE s.id IS NOT NULL),'[]') as societies
+    FROM users u
+    LEFT JOIN user_societies us ON us.user_id=u.id
+    LEFT JOIN societies s ON s.id=us.society_id
+    WHERE u.id=$1 AND u.is_active=true
+    GROUP BY u.id
+  `, [userId]);
+  return rows[0] || null;
+}
+function userPayload(user) {
+  const societies = user.societies || [];
+  return { id:user.id, username:user.username, role:user.role, name:user.name, societies, client:societies[0]?.code||null, society_name:societies[0]?.name||null };
+}
+
+// ── PASSWORDS / LOCKOUT ──
+// Accounts lock after LOGIN_MAX_FAILURES bad passwords in a row; an IP is refused for a while once it racks
+// up IP_MAX_FAILURES failed login/reset attempts (tracked in auth_attempts). Reset and invite tokens, like refresh
+// tokens, are stored only as SHA-256 hashes, expire, and are cleared on first use. The password policy is ./auth/passwords.
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCK_MINUTES = 15;
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+const RESET_TOKEN_TTL_MIN = 60;
+const INVITE_TTL_HOURS = 24;
+
+// A fresh invite: the token goes out in the email, only its hash is stored
+function newInvite() {
+  const token = crypto.randomBytes(32).toString("hex");
+  return { token, hash:hashToken(token), expires:new Date(Date.now()+INVITE_TTL_HOURS*60*60*1000) };
+}
+
+async function ipLockedOut(req) {
+  const { rows } = await pool.query("SELECT COUNT(*)::int as n FROM auth_attempts WHERE ip_address=$1 AND success=false AND created_at>NOW()-$2*INTERVAL '1 minute'", [req.ip, IP_WINDOW_MINUTES]);
+  return rows[0].n >= IP_MAX_FAILURES;
+}
+function ipLockedResponse(res) {
+  return res.status(429).json({ error:`Too many failed attempts from your network — try again in ${IP_WINDOW_MINUTES} minutes` });
+}
+// Records a failed attempt against the IP and audits it (plus the moment the IP limit trips)
+async function authFailure(req, action, username, reason, user=null) {
+  await pool.query("INSERT INTO auth_attempts (kind,ip_address,username,success) VALUES ($1,$2,$3,false)", [action, req.ip, username||null]);
+  await auditLog(action, "user", user?.id||null, { username, reason }, user, req.ip, user?.society_id);
+  const { rows } = await pool.query("SELECT COUNT(*)::int as n FROM auth_attempts WHERE ip_address=$1 AND success=false AND created_at>NOW()-$2*INTERVAL '1 minute'", [req.ip, IP_WINDOW_MINUTES]);
+  if (rows[0].n === IP_MAX_FAILURES) await auditLog("ip_locked_out", null, null, { ip:req.ip, window_minutes:IP_WINDOW_MINUTES }, null, req.ip, null);
+}
+// Counts a bad password against the account; the failure that reaches LOGIN_MAX_FAILURES locks it
+async function registerBadPassword(user, req) {
+  const { rows } = await pool.query(`UPDATE users SET
+      locked_until=CASE WHEN failed_logins+1>=$2 THEN NOW()+$3*INTERVAL '1 minute' ELSE locked_until END,
+      failed_logins=CASE WHEN failed_logins+1>=$2 THEN 0 ELSE failed_logins+1 END
+    WHERE id=$1 RETURNING locked_until>NOW() as locked`, [user.id, LOGIN_MAX_FAILURES, LOGIN_LOCK_MINUTES]);
+  if (rows[0]?.locked) {
+    await revokeUserSessions(user.id);
+    await auditLog("account_locked", "user", user.id, { failures:LOGIN_MAX_FAILURES, minutes:LOGIN_LOCK_MINUTES }, user, req.ip, user.society_id);
+  }
+}
+function lockedMinutes(user) {
+  return user.locked_until && new Date(user.locked_until) > new Date() ? Math.ceil((new Date(user.locked_until) - Date.now())/60000) : 0;
+}
+
+// ── TWO-FACTOR (TOTP) ──
+// With 2FA on, a correct password only earns a short-lived mfa_token; POST /api/login/2fa trades it plus a
+// TOTP or recovery code for a session. Superusers must enrol: until they do, their sessions can reach only
+// the enrolment routes. Secrets are AES-256-GCM sealed when TOTP_ENCRYPTION_KEY is set.
+const MFA_TOKEN_TTL_S = 5 * 60;
+const MFA_ROLES = ["superuser","admin"];            // may enrol
+const MFA_REQUIRED_ROLES = ["superuser"];           // must enrol
+const MFA_ENROLL_ROUTES = [/^\/api\/(me|logout)$/, /^\/api\/2fa(\/(enroll|verify))?$/];
+const TOTP_ISSUER = "SocietyGuard";
+const TOTP_KEY = process.env.TOTP_ENCRYPTION_KEY ? crypto.createHash("sha256").update(process.env.TOTP_ENCRYPTION_KEY).digest() : null;
+
+function sealSecret(secret) {
+  if (!TOTP_KEY) return secret;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", TOTP_KEY, iv);
+  const ct = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return ["enc", iv.toString("base64"), cipher.getAuthTag().toString("base64"), ct.toString("base64")].join(":");
+}
+function openSecret(stored) {
+  if (!stored || !stored.startsWith("enc:")) return stored;
+  if (!TOTP_KEY) throw new Error("TOTP_ENCRYPTION_KEY is required to read sealed 2FA secrets");
+  const [, iv, tag, ct] = stored.split(":");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", TOTP_KEY, Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(ct, "base64")), decipher.final()]).toString("utf8");
+}
+function signMfaToken(user) {
+  return signToken({ sub:user.id, mfa:true, exp:Math.floor(Date.now()/1000)+MFA_TOKEN_TTL_S });
+}
+function verifyMfaToken(token) {
+  const payload = verifySignedToken(token);
+  return payload?.mfa===true && payload.sub ? payload : null;
+}
+// Checks a TOTP code or recovery code for an enrolled user and burns it; returns the method used or null
+async function checkSecondFactor(user, { code, recovery_code }) {
+  if (code) {
+    const step = totp.verifyTotp(openSecret(user.totp_secret), code, { lastStep:user.totp_last_step==null ? null : parseInt(user.totp_last_step) });
+    if (step==null) return null;
+    const { rowCount } = await pool.query("UPDATE users SET totp_last_step=$1 WHERE id=$2 AND (totp_last_step IS NULL OR totp_last_step<$1)", [step, user.id]);
+    return rowCount ? "totp" : null;
+  }
+  if (recovery_code) {
+    const hash = hashToken(totp.normalizeRecoveryCode(recovery_code));
+    const { rowCount } = await pool.query("UPDATE users SET totp_recovery_hashes=totp_recovery_hashes-$1::text WHERE id=$2 AND totp_recovery_hashes ? $1::text", [hash, user.id]);
+    return rowCount ? "recovery_code" : null;
+  }
+  return null;
+}
+async function issueRecoveryCodes(userId) {
+  const codes = totp.generateRecoveryCodes();
+  await pool.query("UPDATE users SET totp_recovery_hashes=$1 WHERE id=$2", [JSON.stringify(codes.map(c => hashToken(totp.normalizeRecoveryCode(c)))), userId]);
+  return codes;
+}
+// The part of a users row the 2FA audit entries snapshot; the secrets themselves never leave the table
+const twoFactorState = u => ({ totp_enabled:u.totp_enabled, totp_enabled_at:u.totp_enabled_at });
+// Last step of every successful login, with or without a second factor
+async function completeLogin(user, req, res, details={}) {
+  await pool.query("UPDATE users SET last_login=NOW(),failed_logins=0,locked_until=NULL WHERE id=$1", [user.id]);
+  await pool.query("INSERT INTO auth_attempts (kind,ip_address,username,success) VALUES ('login',$1,$2,true)", [req.ip, user.username]);
+  const { session_id, ...tokens } = await createSession(user, req);
+  await auditLog("login", "user", user.id, { username:user.username, session_id, ...details }, user, req.ip, user.society_id);
+  const mfa_enrollment_required = MFA_REQUIRED_ROLES.includes(user.role) && !user.totp_enabled;
+  return res.json({ ...userPayload(user), ...tokens, ...(mfa_enrollment_required ? { mfa_enrollment_required } : {}) });
+}
+
+// ── WINGS / FLATS / RESIDENTS ──
+async function residentFlatIds(userId) {
+  const { rows } = await pool.query("SELECT DISTINCT flat_id FROM residents WHERE user_id=$1 AND is_active=true AND flat_id IS NOT NULL", [userId]);
+  return rows.map(r => r.flat_id);
+}
+const RESIDENT_TYPES = ["owner", "tenant", "family"];
+// Answers a failed query: constraint violations are the caller's mistake (409 for a duplicate, 400 for a missing,
+// malformed or dangling value); anything else is logged and answered 500 with `message`
+const PG_INPUT_ERRORS = {
+  "23502":"A required value is missing", "23503":"A referenced record does not exist", "23514":"A value is out of range",
+  "22P02":"A value has the wrong format", "22007":"Invalid date or time", "22008":"Date or time out of range", "22001":"A value is too long",
+};
+function dbError(res, err, message, duplicate="Already exists") {
+  if (err.code==="23505") return res.status(409).json({ error:duplicate });
+  if (PG_INPUT_ERRORS[err.code]) return res.status(400).json({ error:PG_INPUT_ERRORS[err.code] + (err.column ? ` (${err.column})` : "") });
+  console.error(`${message}:`, err.message);
+  return res.status(500).json({ error:message });
+}
+// Row from a society-owned table (wings, flats, residents, notices), or null if missing or outside the caller's society
+async function getScopedRow(table, id, req) {
+  if (!parseInt(id)) return null;
+  const { rows } = await pool.query(`SELECT * FROM ${table} WHERE id=$1`, [parseInt(id)]);
+  if (!rows[0] || !hasSocietyAccess(req, rows[0].society_id)) return null;
+  return rows[0];
+}
+// Creates (or re-invites) the resident's login and links it; the resident sets a password via the usual invite link
+async function inviteResident(resident, username) {
+  const invite = newInvite();
+  let user;
+  if (resident.user_id) {
+    const { rows } = await pool.query("UPDATE users SET invite_token_hash=$1,invite_expires=$2,is_active=true WHERE id=$3 RETURNING *", [invite.hash, invite.expires, resident.user_id]);
+    user = rows[0];
+  } else {
+    const { rows } = await pool.query(
+      "INSERT INTO users (username,role,name,email,society_id,invite_token_hash,invite_expires) VALUES ($1,'resident',$2,$3,$4,$5,$6) RETURNING *",
+      [username || resident.email, resident.name, resident.email, resident.society_id, invite.hash, invite.expires]
+    );
+    user = rows[0];
+    await pool.query("INSERT INTO user_societies (user_id,society_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [user.id, resident.society_id]);
+    await pool.query("UPDATE residents SET user_id=$1 WHERE id=$2", [user.id, resident.id]);
+  }
+  await sendInviteEmail(user, invite.token);
+  return user;
+}
+// Deactivates a resident login once it no longer belongs to any active resident record
+async function deactivateResidentUser(userId) {
+  const { rows } = await pool.query("SELECT 1 FROM residents WHERE user_id=$1 AND is_active=true", [userId]);
+  if (rows.length) return;
+  await pool.query("UPDATE users SET is_active=false WHERE id=$1 AND role='resident'", [userId]);
+  await revokeUserSessions(userId);
+}
+// Flat with its wing, or null if it is not in the given society; label is what passes/vehicles display ("A-101")
+async function resolveFlat(societyId, flatId) {
+  const { rows } = await pool.query("SELECT f.*,w.name as wing_name FROM flats f JOIN wings w ON w.id=f.wing_id WHERE f.id=$1 AND f.society_id=$2", [flatId, societyId]);
+  if (!rows[0]) return null;
+  return { ...rows[0], label:`${rows[0].wing_name}-${rows[0].number}` };
+}
+
+// ── SOCIETY ACCESS ──
+// Every role except superuser is confined to the societies granted in user_societies
+// (plus the legacy users.society_id). List routes filter by req.societyIds / req.societyCodes,
+// which requireAuth narrows to the ?society= (id or code) being asked for.
+async function userSocieties(userId) {
+  const { rows } = await pool.query(`
+    SELECT s.id,s.code FROM societies s
+    WHERE s.id IN (SELECT society_id FROM user_societies WHERE user_id=$1)
+       OR s.id=(SELECT society_id FROM users WHERE id=$1)
+    ORDER BY s.id
+  `, [userId]);
+  return rows;
+}
+// { ids, codes } to filter on (null = every society), or null when the requested society is out of scope
+async function resolveSocietyParam(req) {
+  const allowed = req.currentUser.societies;
+  const ref = req.query.society ?? req.query.society_id ?? req.query.client_id;
+  if (ref==null || ref==="") return allowed ? { ids:allowed.map(s => s.id), codes:allowed.map(s => s.code) } : { ids:null, codes:null };
+  const key = String(ref).trim();
+  const candidates = allowed || (await pool.query("SELECT id,code FROM societies")).rows;
+  const match = candidates.find(s => String(s.id)===key || s.code===key.toUpperCase());
+  return match ? { ids:[match.id], codes:[match.code] } : null;
+}
+function hasSocietyAccess(req, societyId) {
+  const ids = req.currentUser.society_ids;
+  return !ids || (societyId!=null && ids.includes(parseInt(societyId)));
+}
+// Society a write goes to: the one given (must be in scope), else the caller's only society
+function targetSociety(req, requested) {
+  if (requested) return parseInt(requested) || null;
+  const ids = req.currentUser.society_ids;
+  return ids?.length===1 ? ids[0] : null;
+}
+
+// ── MIDDLEWARE ──
+// Keep the raw bytes around so webhook signatures can be checked against exactly what was sent
+app.use(express.json({ limit: "10mb", verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(cors({ origin: true, methods:["GET","POST","PUT","DELETE"], allowedHeaders:["Content-Type","Authorization","x-api-key"] }));
+
+// Machine integrations only (e.g. GET /api/settings) — never identifies a user
+function requireApiKey(req, res, next) {
+  if (req.headers["x-api-key"] !== API_KEY) return res.status(401).json({ error:"Unauthorized" });
+  next();
+}
+// Residents are deny-by-default: only these self-service routes are open to them
+const RESIDENT_ROUTES = [
+  /^\/api\/(me|logout|change-password)$/,
+  /^\/api\/visitors(\/\d+)?$/,
+  /^\/api\/vehicles$/,
+  /^\/api\/notices$/,
+];
+// Resolves req.currentUser from a verified "Authorization: Bearer <access token>" only
+async function requireAuth(req, res, next) {
+  const header = req.headers["authorization"] || "";
+  const claims = verifyAccessToken(header.startsWith("Bearer ") ? header.slice(7) : null);
+  if (!claims) return res.status(401).json({ error:"Invalid or expired session" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT u.id,u.username,u.role,u.society_id,u.totp_enabled FROM users u
+      JOIN user_sessions s ON s.user_id=u.id
+      WHERE u.id=$1 AND s.id=$2 AND u.is_active=true AND s.revoked_at IS NULL AND s.expires_at>NOW()
+    `, [claims.sub, claims.sid]);
+    if (!rows.length) return res.status(401).json({ error:"Invalid or expired session" });
+    req.currentUser = rows[0];
+    req.sessionId = claims.sid;
+    req.tokenExpiresAt = claims.exp*1000;
+    if (MFA_REQUIRED_ROLES.includes(rows[0].role) && !rows[0].totp_enabled && !MFA_ENROLL_ROUTES.some(re => re.test(req.path)))
+      return res.status(403).json({ error:"Set up two-factor authentication to continue", mfa_enrollment_required:true });
+    if (rows[0].role==="resident") {
+      if (!RESIDENT_ROUTES.some(re => re.test(req.path))) return res.status(403).json({ error:"Forbidden" });
+      req.currentUser.flat_ids = await residentFlatIds(rows[0].id);
+    }
+    req.currentUser.societies = rows[0].role==="superuser" ? null : await userSocieties(rows[0].id);
+    req.currentUser.society_ids = req.currentUser.societies?.map(s => s.id) || null;
+    const scoped = await resolveSocietyParam(req);
+    if (!scoped) return res.status(403).json({ error:"No access to this society" });
+    req.societyIds = scoped.ids;
+    req.societyCodes = scoped.codes;
+    next();
+  } catch(err) { return res.status(500).json({ error:"Session check failed" }); }
+}
+// EventSource cannot send headers, so the stream also accepts ?access_token=
+function tokenFromQuery(req, res, next) {
+  if (!req.headers["authorization"] && req.query.access_token) req.headers["authorization"] = `Bearer ${req.query.access_token}`;
+  next();
+}
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.currentUser) return res.status(401).json({ error:"Not authenticated" });
+    if (!roles.includes(req.currentUser.role)) return res.status(403).json({ error:"Forbidden" });
+    next();
+  };
+}
+
+// ── POST /webhook/:vendor ──
+// Vendors retry deliveries they think failed. Each event is claimed under (integration, source_key) first —
+// the vendor's source_id, or else its place in the signed delivery (a retry resends the same body and signature)
+// — and a key seen within INGEST_DEDUPE_WINDOW_S is counted as a duplicate instead of being stored again. 0 turns
+// dedupe off. Camera/type/time is not a key: two distinct events in the same second would collapse into one.
+// Released quarantine payloads have neither and skip dedupe.
+const INGEST_DEDUPE_WINDOW_S = parseInt(process.env.INGEST_DEDUPE_WINDOW_S || 24*60*60);
+const INGEST_LOG_DAYS = parseInt(process.env.INGEST_LOG_DAYS || 30);
+const DUPLICATE = Symbol("duplicate");
+// delivery = { signature, index } of the event within a signed webhook body, when there is one
+function ingestKey(norm, delivery) {
+  if (norm.source_id) return `id:${norm.source_id}`;
+  return delivery?.signature ? `delivery:${delivery.signature}:${delivery.index}` : null;
+}
+// True when this delivery owns the key (new, or last seen outside the window)
+async function claimIngestKey(integrationId, key) {
+  if (!INGEST_DEDUPE_WINDOW_S) return true;
+  const { rowCount } = await pool.query(`
+    INSERT INTO ingest_keys (integration_id,source_key) VALUES ($1,$2)
+    ON CONFLICT (integration_id,source_key) DO UPDATE SET first_seen_at=NOW(),event_id=NULL
+      WHERE ingest_keys.first_seen_at < NOW() - $3*INTERVAL '1 second'`, [integrationId, key, INGEST_DEDUPE_WINDOW_S]);
+  return rowCount > 0;
+}
+// `norm` is an adapter-normalized event (see adapters/index.js). Returns the stored event, DUPLICATE, or null when skipped.
+async function ingestEvent(norm, integration, delivery=null) {
+  const { camera_id, event_type_raw } = norm;
+  const timestamp_utc  = norm.timestamp_utc || new Date().toISOString();
+  const event_type     = norm.event_type || "unknown";
+  const client_id      = integration.society_code;
+  const timezone       = integration.society_timezone || DEFAULT_TIMEZONE;
+  if (isNaN(new Date(timestamp_utc))) { console.log("⚠️ Skipping event - invalid timestamp:", timestamp_utc); return null; }
+  if (event_type==="heartbeat") { await updateCameraHealth(camera_id, client_id, event_type, timestamp_utc); return null; }
+  const sourceKey      = ingestKey(norm, delivery);
+  if (sourceKey && !await claimIngestKey(integration.id, sourceKey)) {
+    console.log(`↩️ Duplicate delivery: integration=${integration.id} camera=${camera_id} key=${sourceKey}`);
+    return DUPLICATE;
+  }
+  if (!norm.event_type) await recordUnmappedType(integration.vendor, event_type_raw, norm.metadata);
+  const camName        = await getCameraName(camera_id);
+  const event_uid      = `${camera_id}-${norm.source_id||Date.now()}-${Math.random().toString(36).slice(2,6)}`;
+  const visitorCount = VISITOR_EVENT_TYPES.includes(event_type) ? Math.max(1, norm.object_count||0) : 0;
+  const plate_number   = normalizePlate(norm.plate);
+  const plateMatch     = plate_number ? await classifyVehicle(integration.society_id, plate_number) : null;
+  const event = { event_uid, camera_id, camera_location:camName, event_type, event_type_raw, visitor_count:visitorCount, confidence:norm.confidence, client_id, thumbnail_url:norm.thumbnail_url, video_url:norm.video_url, metadata:norm.metadata||{}, timestamp_utc, timestamp_local:localStamp(timezone, new Date(timestamp_utc)), timezone, source_id:norm.source_id||"", integration_id:integration.id, plate_number, vehicle_class:plateMatch?.vehicle_class||null };
+  let inserted;
+  try {
+    ({ rows: inserted } = await pool.query(
+      `INSERT INTO events (event_uid,camera_id,camera_location,event_type,event_type_raw,visitor_count,confidence,client_id,thumbnail_url,video_url,metadata,timestamp_utc,source_id,integration_id,plate_number,vehicle_class)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16) ON CONFLICT (event_uid) DO NOTHING RETURNING id`,
+      [event.event_uid,event.camera_id,event.camera_location,event.event_type,event.event_type_raw,event.visitor_count,event.confidence,event.client_id,event.thumbnail_url,event.video_url,JSON.stringify(event.metadata),event.timestamp_utc,event.source_id,event.integration_id,event.plate_number,event.vehicle_class]
+    ));
+  } catch(e) {
+    // Not stored, so let the vendor's retry through
+    if (sourceKey) await pool.query("DELETE FROM ingest_keys WHERE integration_id=$1 AND source_key=$2", [integration.id, sourceKey]).catch(() => {});
+    throw e;
+  }
+  if (!inserted.length) return null;
+  event.id = inserted[0].id;
+  if (sourceKey) await pool.query("UPDATE ingest_keys SET event_id=$1 WHERE integration_id=$2 AND source_key=$3", [event.id, integration.id, sourceKey]);
+  try { await bumpRollups(event); }
+  catch(e) { console.error("Rollup update error:", e.message); }
+  if (SESSION_EVENT_TYPES.includes(event_type)) {
+    try { event.session_id = await assignSession(event, Math.max(1, norm.object_count||0)); }
+    catch(e) { console.error("Activity session error:", e.message); }
+  }
+  await publishStream("event", client_id, event);
+  console.log(`✅ Stored: camera=${camera_id} type=${event_type} client=${client_id} visitors=${visitorCount}`);
+  try { await updateCameraHealth(camera_id, client_id, event_type, timestamp_utc); }
+  catch(e) { console.error("Camera health update error:", e.message); }
+  try { await queueEventMedia(event, integration); }
+  catch(e) { console.error("Evidence queue error:", e.message); }
+  try {
+    await evaluateAlertRules(event, integration.society_id);
+    if (event.vehicle_class==="blocklisted") await raiseBlocklistAlert(event, plateMatch.vehicle, integration.society_id);
+  } catch(e) { console.error("Alert rule evaluation error:", e.message); }
+  return event;
+}
+// signature = the verified webhook signature, when the body came in a signed delivery
+async function ingestEvents(body, integration, signature=null) {
+  const adapter = getAdapter(integration.vendor);
+  let processed = 0, duplicates = 0, failed = 0;
+  for (const [index, raw] of adapter.splitEvents(body).entries()) {
+    try {
+      const norm = adapter.normalize(raw);
+      const result = norm && await ingestEvent(norm, integration, signature && { signature, index });
+      if (result===DUPLICATE) duplicates++;
+      else if (result) processed++;
+    } catch (err) {
+      failed++;
+      console.error("DB insert error:", err.message, JSON.stringify(raw).slice(0,200));
+    }
+  }
+  return { processed, duplicates, failed };
+}
+
+async function handleWebhook(vendor, req, res) {
+  console.log(`📡 Webhook received (${vendor}):`, JSON.stringify(req.body).slice(0,200));
+  const adapter = getAdapter(vendor);
+  if (!adapter) return res.status(404).json({ error:`Unsupported vendor. Use one of: ${listVendors().join(", ")}` });
+  const externalId = req.headers["x-sg-integration"] || adapter.integrationRef(req.body);
+  const started = Date.now();
+  const entry = { vendor:adapter.vendor, ip:req.ip };
+  const done = async (status, extra={}) => logIngest({ ...entry, status, ...extra, duration_ms:Date.now()-started });
+  try {
+    const integration = await findIntegration(adapter.vendor, externalId);
+    if (!integration) {
+      // Never guess a society — park the payload until a superuser maps the integration
+      await quarantineWebhook(adapter.vendor, externalId, externalId ? "unknown_integration" : "missing_integration", req.body, req.ip);
+      const quarantined = adapter.splitEvents(req.body).length;
+      await done("quarantined", { received:quarantined, error:externalId ? `Unknown integration ${externalId}` : "Missing integration reference" });
+      return res.status(202).json({ received:0, quarantined });
+    }
+    Object.assign(entry, { integration_id:integration.id, society_id:integration.society_id });
+    const { error:sigError, signature, replay } = await verifyWebhookSignature(req, integration);
+    if (sigError) {
+      console.log(`⛔ Webhook rejected for integration ${integration.id}: ${sigError}`);
+      await done("rejected", { error:sigError });
+      return res.status(401).json({ error:sigError });
+    }
+    await pool.query("UPDATE integrations SET last_seen_at=NOW() WHERE id=$1", [integration.id]);
+    // Duplicates still get a 200 so the vendor stops retrying them
+    if (replay) console.log(`↩️ Repeated delivery for integration ${integration.id}, deduplicating`);
+    const { processed, duplicates, failed } = await ingestEvents(req.body, integration, signature);
+    await done("accepted", { received:adapter.splitEvents(req.body).length, stored:processed, duplicates, failed });
+    return res.status(200).json({ received:processed, duplicates });
+  } catch (err) {
+    console.error("Webhook error:", err.message);
+    await done("failed", { error:err.message });
+    return res.status(500).json({ error:"Webhook processing failed" });
+  }
+}
+// Plain /webhook stays the 3deye endpoint for existing VMS configurations
+app.post("/webhook", (req, res) => handleWebhook("3deye", req, res));
+app.post("/webhook/:vendor", (req, res) => handleWebhook(req.params.vendor, req, res));
+
+// ── POST /api/login ──
+app.post("/api/login", async (req, res) => {
+  const { username, password } = req.body;
+  if (!username||!password) return res.status(400).json({ error:"Missing credentials" });
+  try {
+    if (await ipLockedOut(req)) return ipLockedResponse(res);
+    const { rows } = await pool.query(`
+      SELECT u.*,
+        COALESCE(json_agg(json_build_object('id',s.id,'name',s.name,'code',s.code)) FILTER (WHERE s.id IS NOT NULL),'[]') as societies
+      FROM users u
+      LEFT JOIN user_societies us ON us.user_id=u.id
+      LEFT JOIN societies s ON s.id=us.society_id
+      WHERE u.username=$1 AND u.is_active=true
+      GROUP BY u.id
+    `, [username]);
+    if (!rows.length) {
+      await authFailure(req, "login_failed", username, "unknown_user");
+      return res.status(401).json({ error:"Invalid credentials" });
+    }
+    const user = rows[0];
+    const locked = lockedMinutes(user);
+    if (locked) {
+      await authFailure(req, "login_failed", username, "account_locked", user);
+      return res.status(429).json({ error:`Account locked after too many failed attempts — try again in ${locked} minute(s) or reset your password` });
+    }
+    if (!user.password_hash) return res.status(401).json({ error:"Account not activated. Check your email." });
+    const match = await bcrypt.compare(password, user.password_hash);
+    if (!match) {
+      await registerBadPassword(user, req);
+      await authFailure(req, "login_failed", username, "bad_password", user);
+      return res.status(401).json({ error:"Invalid credentials" });
+    }
+    // The failure counter is left alone here so wrong codes keep counting towards the lock
+    if (user.totp_enabled) return res.json({ mfa_required:true, mfa_token:signMfaToken(user), methods:["totp","recovery_code"] });
+    return completeLogin(user, req, res);
+  } catch (err) { return res.status(500).json({ error:"Login failed" }); }
 });
 
-async function initDB() {
-  // Add missing columns for migration from v2
-  try {
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT true`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_token TEXT`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS invite_expires TIMESTAMPTZ`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login TIMESTAMPTZ`);
-    await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS society_id INT`);
-    // Critical: allow NULL password_hash for invite-based users (set password later)
-    await pool.query(`ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL`);
-    // Clean up any stuck users from failed invites (no password set, not the seeded ones)
-    await pool.query(`DELETE FROM users WHERE password_hash IS NULL AND invite_token IS NOT NULL AND created_at < NOW() - INTERVAL '1 minute'`);
-    console.log("Migration complete");
-  } catch(e) { console.log("Migration note:", e.message); }
-
-  await pool.query(`
-    -- Societies table
-    CREATE TABLE IF NOT EXISTS societies (
-      id          SERIAL PRIMARY KEY,
-      code        TEXT UNIQUE NOT NULL,
-      name        TEXT NOT NULL,
-      address     TEXT,
-      logo_url    TEXT,
-      is_active   BOOLEAN DEFAULT true,
-      created_at  TIMESTAMPTZ DEFAULT NOW()
-    );
+// ── POST /api/login/2fa (second step when two-factor is on) ──
+app.post("/api/login/2fa", async (req, res) => {
+  const { mfa_token, code, recovery_code } = req.body;
+  const claims = verifyMfaToken(mfa_token);
+  if (!claims) return res.status(401).json({ error:"Login expired — enter your password again" });
+  if (!code && !recovery_code) return res.status(400).json({ error:"Code required" });
+  try {
+    if (await ipLockedOut(req)) return ipLockedResponse(res);
+    const { rows } = await pool.query("SELECT * FROM users WHERE id=$1 AND is_active=true AND totp_enabled=true", [claims.sub]);
+    if (!rows.length) return res.status(401).json({ error:"Login expired — enter your password again" });
+    const locked = lockedMinutes(rows[0]);
+    if (locked) return res.status(429).json({ error:`Account locked after too many failed attempts — try again in ${locked} minute(s)` });
+    const method = await checkSecondFactor(rows[0], { code, recovery_code });
+    if (!method) {
+      await registerBadPassword(rows[0], req);
+      await authFailure(req, "login_2fa_failed", rows[0].username, "bad_code", rows[0]);
+      return res.status(401).json({ error:"Invalid code" });
+    }
+    const user = { ...rows[0], ...await getUserProfile(rows[0].id) };
+    return completeLogin(user, req, res, { mfa:method });
+  } catch (err) { return res.status(500).json({ error:"Login failed" }); }
+});
 
-    -- Wings/sub-groups inside a society
-    CREATE TABLE IF NOT EXISTS wings (
-      id          SERIAL PRIMARY KEY,
-      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
-      name        TEXT NOT NULL,
-      description TEXT,
-      created_at  TIMESTAMPTZ DEFAULT NOW()
-    );
+// ── POST /api/token/refresh (rotates the refresh token) ──
+app.post("/api/token/refresh", async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) return res.status(400).json({ error:"Missing refresh token" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT s.id,s.user_id,s.revoked_at,s.expires_at>NOW() as live,u.username,u.role,u.is_active
+      FROM user_sessions s JOIN users u ON u.id=s.user_id WHERE s.refresh_hash=$1
+    `, [hashToken(refresh_token)]);
+    const sess = rows[0];
+    if (!sess) return res.status(401).json({ error:"Invalid refresh token" });
+    if (sess.revoked_at) {
+      // A rotated token came back — assume it was stolen and kill every session for this user
+      await revokeUserSessions(sess.user_id);
+      await auditLog("refresh_token_reuse", "user", sess.user_id, { session_id:sess.id }, { id:sess.user_id, username:sess.username, role:sess.role }, req.ip, null);
+      return res.status(401).json({ error:"Refresh token already used — please log in again" });
+    }
+    if (!sess.live || !sess.is_active) return res.status(401).json({ error:"Session expired" });
+    const user = { id:sess.user_id, role:sess.role };
+    const { session_id, ...tokens } = await createSession(user, req);
+    const { rowCount } = await pool.query("UPDATE user_sessions SET revoked_at=NOW(),replaced_by=$1 WHERE id=$2 AND revoked_at IS NULL", [session_id, sess.id]);
+    if (!rowCount) {
+      // Lost a race with a concurrent refresh of the same token
+      await pool.query("UPDATE user_sessions SET revoked_at=NOW() WHERE id=$1", [session_id]);
+      return res.status(401).json({ error:"Refresh token already used — please log in again" });
+    }
+    return res.json(tokens);
+  } catch (err) { return res.status(500).json({ error:"Token refresh failed" }); }
+});
 
-    -- Cameras
-    CREATE TABLE IF NOT EXISTS cameras (
-      id             SERIAL PRIMARY KEY,
-      camera_uid     TEXT UNIQUE NOT NULL,
-      name           TEXT NOT NULL,
-      society_id     INT REFERENCES societies(id) ON DELETE SET NULL,
-      wing_id        INT REFERENCES wings(id) ON DELETE SET NULL,
-      location       TEXT,
-      is_active      BOOLEAN DEFAULT true,
-      created_at     TIMESTAMPTZ DEFAULT NOW()
-    );
+// ── POST /api/logout ──
+app.post("/api/logout", requireAuth, async (req, res) => {
+  const { all, refresh_token } = req.body || {};
+  try {
+    if (all) await revokeUserSessions(req.currentUser.id);
+    else {
+      await pool.query("UPDATE user_sessions SET revoked_at=NOW() WHERE id=$1 AND revoked_at IS NULL", [req.sessionId]);
+      if (refresh_token) await pool.query("UPDATE user_sessions SET revoked_at=NOW() WHERE refresh_hash=$1 AND user_id=$2 AND revoked_at IS NULL", [hashToken(refresh_token), req.currentUser.id]);
+    }
+    await auditLog("logout", "user", req.currentUser.id, { all:!!all }, req.currentUser, req.ip, req.currentUser.society_id);
+    return res.json({ logged_out:true });
+  } catch (err) {
+    console.error("Logout error:", err.message);
+    return res.status(500).json({ error:"Failed to log out" });
+  }
+});
 
-    -- Users
-    CREATE TABLE IF NOT EXISTS users (
-      id            SERIAL PRIMARY KEY,
-      username      TEXT UNIQUE NOT NULL,
-      password_hash TEXT,
-      role          TEXT NOT NULL,
-      name          TEXT NOT NULL,
-      email         TEXT UNIQUE NOT NULL,
-      society_id    INT REFERENCES societies(id) ON DELETE SET NULL,
-      is_active     BOOLEAN DEFAULT true,
-      invite_token  TEXT,
-      invite_expires TIMESTAMPTZ,
-      last_login    TIMESTAMPTZ,
-      created_at    TIMESTAMPTZ DEFAULT NOW()
-    );
+// ── GET /api/me ──
+app.get("/api/me", requireAuth, async (req, res) => {
+  try {
+    const user = await getUserProfile(req.currentUser.id);
+    if (!user) return res.status(404).json({ error:"User not found" });
+    const payload = { ...userPayload(user), email:user.email, last_login:user.last_login, two_factor_enabled:user.totp_enabled };
+    if (user.role==="resident") {
+      const { rows } = await pool.query(`
+        SELECT f.id,f.number,f.floor,w.id as wing_id,w.name as wing_name,r.resident_type FROM residents r
+        JOIN flats f ON f.id=r.flat_id JOIN wings w ON w.id=f.wing_id
+        WHERE r.user_id=$1 AND r.is_active=true ORDER BY w.name,f.number
+      `, [user.id]);
+      payload.flats = rows;
+    }
+    return res.json(payload);
+  } catch (err) {
+    console.error("Profile error:", err.message);
+    return res.status(500).json({ error:"Failed to load profile" });
+  }
+});
+
+// ── POST /api/set-password (invite token) ──
+app.post("/api/set-password", async (req, res) => {
+  const { token, password } = req.body;
+  if (!token||!password) return res.status(400).json({ error:"Missing fields" });
+  try {
+    if (await ipLockedOut(req)) return ipLockedResponse(res);
+    const { rows } = await pool.query("SELECT * FROM users WHERE invite_token_hash=$1 AND invite_expires>NOW()", [hashToken(token)]);
+    if (!rows.length) {
+      await authFailure(req, "set_password_failed", null, "invalid_token");
+      return res.status(400).json({ error:"Invalid or expired invite link" });
+    }
+    const problem = passwordProblem(password, rows[0]);
+    if (problem) return res.status(400).json({ error:problem });
+    const hash = await bcrypt.hash(password, 12);
+    // Matching on the token hash again makes the invite single-use even if two requests race
+    const { rowCount } = await pool.query("UPDATE users SET password_hash=$1,password_changed_at=NOW(),invite_token_hash=NULL,invite_expires=NULL WHERE id=$2 AND invite_token_hash=$3", [hash, rows[0].id, hashToken(token)]);
+    if (!rowCount) return res.status(400).json({ error:"Invalid or expired invite link" });
+    await auditLog("set_password", "user", rows[0].id, {}, rows[0], req.ip, rows[0].society_id);
+    return res.json({ message:"Password set! You can now log in." });
+  } catch (err) {
+    console.error("Set password error:", err.message);
+    return res.status(500).json({ error:"Failed to set password" });
+  }
+});
+
+// ── POST /api/forgot-password (always answers the same, so it cannot be used to probe usernames) ──
+app.post("/api/forgot-password", async (req, res) => {
+  const identifier = String(req.body.username || req.body.email || "").trim();
+  if (!identifier) return res.status(400).json({ error:"Username or email required" });
+  try {
+    if (await ipLockedOut(req)) return ipLockedResponse(res);
+    const reply = { message:"If that account exists, a reset link has been sent to its email address." };
+    const { rows } = await pool.query("SELECT * FROM users WHERE (username=$1 OR LOWER(email)=LOWER($1)) AND is_active=true AND password_hash IS NOT NULL AND email IS NOT NULL LIMIT 2", [identifier]);
+    if (rows.length !== 1) {
+      await authFailure(req, "password_reset_request_failed", identifier, rows.length ? "ambiguous" : "unknown_account");
+      return res.json(reply);
+    }
+    const user = rows[0], token = crypto.randomBytes(32).toString("hex");
+    await pool.query("UPDATE users SET reset_token_hash=$1,reset_expires=NOW()+$2*INTERVAL '1 minute' WHERE id=$3", [hashToken(token), RESET_TOKEN_TTL_MIN, user.id]);
+    await sendEmail(user.email, passwordResetEmail({ name:user.name, username:user.username, link:`${FRONTEND_URL}?reset=${token}`, minutes:RESET_TOKEN_TTL_MIN }), { template:"password_reset", societyId:user.society_id });
+    await auditLog("password_reset_requested", "user", user.id, {}, user, req.ip, user.society_id);
+    return res.json(reply);
+  } catch (err) {
+    console.error("Forgot password error:", err.message);
+    return res.status(500).json({ error:"Failed to request a password reset" });
+  }
+});
+
+// ── POST /api/reset-password (single-use token from the email) ──
+app.post("/api/reset-password", async (req, res) => {
+  const { token, password } = req.body;
+  if (!token||!password) return res.status(400).json({ error:"Missing fields" });
+  try {
+    if (await ipLockedOut(req)) return ipLockedResponse(res);
+    const { rows } = await pool.query("SELECT * FROM users WHERE reset_token_hash=$1 AND reset_expires>NOW() AND is_active=true", [hashToken(token)]);
+    if (!rows.length) {
+      await authFailure(req, "reset_password_failed", null, "invalid_token");
+      return res.status(400).json({ error:"Invalid or expired reset link" });
+    }
+    const user = rows[0];
+    const problem = passwordProblem(password, user);
+    if (problem) return res.status(400).json({ error:problem });
+    const hash = await bcrypt.hash(password, 12);
+    // Matching on the token hash again makes the token single-use even if two resets race
+    const { rowCount } = await pool.query("UPDATE users SET password_hash=$1,password_changed_at=NOW(),reset_token_hash=NULL,reset_expires=NULL,failed_logins=0,locked_until=NULL WHERE id=$2 AND reset_token_hash=$3", [hash, user.id, hashToken(token)]);
+    if (!rowCount) return res.status(400).json({ error:"Invalid or expired reset link" });
+    await revokeUserSessions(user.id);
+    await auditLog("reset_password", "user", user.id, {}, user, req.ip, user.society_id);
+    return res.json({ message:"Password updated. You can now log in." });
+  } catch (err) {
+    console.error("Reset password error:", err.message);
+    return res.status(500).json({ error:"Failed to reset password" });
+  }
+});
+
+// ── POST /api/change-password (signed in; other sessions are logged out) ──
+app.post("/api/change-password", requireAuth, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password||!new_password) return res.status(400).json({ error:"Current and new password required" });
+  try {
+    const { rows } = await pool.query("SELECT * FROM users WHERE id=$1", [req.currentUser.id]);
+    const user = rows[0];
+    if (!user.password_hash || !await bcrypt.compare(current_password, user.password_hash)) {
+      await registerBadPassword(user, req);
+      await authFailure(req, "change_password_failed", user.username, "wrong_current_password", user);
+      return res.status(400).json({ error:"Current password is incorrect" });
+    }
+    if (current_password===new_password) return res.status(400).json({ error:"New password must be different from the current one" });
+    const problem = passwordProblem(new_password, user);
+    if (problem) return res.status(400).json({ error:problem });
+    await pool.query("UPDATE users SET password_hash=$1,password_changed_at=NOW(),reset_token_hash=NULL,reset_expires=NULL WHERE id=$2", [await bcrypt.hash(new_password, 12), user.id]);
+    await pool.query("UPDATE user_sessions SET revoked_at=NOW() WHERE user_id=$1 AND id<>$2 AND revoked_at IS NULL", [user.id, req.sessionId]);
+    await auditLog("change_password", "user", user.id, {}, req.currentUser, req.ip, user.society_id);
+    return res.json({ message:"Password changed. Other devices have been logged out." });
+  } catch (err) {
+    console.error("Change password error:", err.message);
+    return res.status(500).json({ error:"Failed to change password" });
+  }
+});
+
+// ── TWO-FACTOR AUTH ──
+app.get("/api/2fa", requireAuth, requireRole(...MFA_ROLES), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT totp_enabled,totp_enabled_at,jsonb_array_length(totp_recovery_hashes) as recovery_codes_remaining FROM users WHERE id=$1", [req.currentUser.id]);
+    return res.json({ enabled:rows[0].totp_enabled, enabled_at:rows[0].totp_enabled_at, required:MFA_REQUIRED_ROLES.includes(req.currentUser.role),
+      recovery_codes_remaining:rows[0].totp_enabled ? rows[0].recovery_codes_remaining : 0 });
+  } catch (err) {
+    console.error("2FA status error:", err.message);
+    return res.status(500).json({ error:"Failed to load two-factor status" });
+  }
+});
+// Starts (or restarts) enrolment: the secret stays pending until /api/2fa/verify proves the app has it
+app.post("/api/2fa/enroll", requireAuth, requireRole(...MFA_ROLES), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT username,totp_enabled FROM users WHERE id=$1", [req.currentUser.id]);
+    if (rows[0].totp_enabled) return res.status(409).json({ error:"Two-factor authentication is already enabled" });
+    const secret = totp.generateSecret();
+    await pool.query("UPDATE users SET totp_pending_secret=$1 WHERE id=$2", [sealSecret(secret), req.currentUser.id]);
+    await auditLog("2fa_enroll_started", "user", req.currentUser.id, {}, req.currentUser, req.ip, req.currentUser.society_id);
+    return res.json({ secret, otpauth_uri:totp.otpauthUri({ issuer:TOTP_ISSUER, account:rows[0].username, secret }) });
+  } catch (err) {
+    console.error("2FA enrol error:", err.message);
+    return res.status(500).json({ error:"Failed to start enrolment" });
+  }
+});
+app.post("/api/2fa/verify", requireAuth, requireRole(...MFA_ROLES), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM users WHERE id=$1", [req.currentUser.id]);
+    const user = rows[0];
+    if (user.totp_enabled) return res.status(409).json({ error:"Two-factor authentication is already enabled" });
+    if (!user.totp_pending_secret) return res.status(400).json({ error:"Start enrolment first" });
+    const step = totp.verifyTotp(openSecret(user.totp_pending_secret), req.body.code);
+    if (step==null) {
+      await authFailure(req, "2fa_verify_failed", user.username, "bad_code", user);
+      return res.status(400).json({ error:"Invalid code — check the time on your phone and try again" });
+    }
+    const { rows: after } = await pool.query("UPDATE users SET totp_secret=totp_pending_secret,totp_pending_secret=NULL,totp_enabled=true,totp_enabled_at=NOW(),totp_last_step=$1 WHERE id=$2 RETURNING totp_enabled,totp_enabled_at", [step, user.id]);
+    const recovery_codes = await issueRecoveryCodes(user.id);
+    // Sessions that only ever proved the password are logged out
+    await pool.query("UPDATE user_sessions SET revoked_at=NOW() WHERE user_id=$1 AND id<>$2 AND revoked_at IS NULL", [user.id, req.sessionId]);
+    await auditLog("2fa_enabled", "user", user.id, {}, req.currentUser, req.ip, user.society_id, { before:twoFactorState(user), after:after[0] });
+    return res.json({ enabled:true, recovery_codes });
+  } catch (err) {
+    console.error("2FA verify error:", err.message);
+    return res.status(500).json({ error:"Failed to enable two-factor authentication" });
+  }
+});
+app.post("/api/2fa/recovery-codes", requireAuth, requireRole(...MFA_ROLES), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM users WHERE id=$1", [req.currentUser.id]);
+    const user = rows[0];
+    if (!user.totp_enabled) return res.status(400).json({ error:"Two-factor authentication is not enabled" });
+    if (await checkSecondFactor(user, { code:req.body.code })!=="totp") {
+      await authFailure(req, "2fa_recovery_codes_failed", user.username, "bad_code", user);
+      return res.status(400).json({ error:"Invalid code" });
+    }
+    const recovery_codes = await issueRecoveryCodes(user.id);
+    await auditLog("2fa_recovery_codes_regenerated", "user", user.id, {}, req.currentUser, req.ip, user.society_id);
+    return res.json({ recovery_codes });
+  } catch (err) {
+    console.error("2FA recovery codes error:", err.message);
+    return res.status(500).json({ error:"Failed to issue recovery codes" });
+  }
+});
+app.post("/api/2fa/disable", requireAuth, requireRole(...MFA_ROLES), async (req, res) => {
+  if (MFA_REQUIRED_ROLES.includes(req.currentUser.role)) return res.status(403).json({ error:`Two-factor authentication is required for ${req.currentUser.role} accounts` });
+  const { password, code, recovery_code } = req.body;
+  if (!password || (!code && !recovery_code)) return res.status(400).json({ error:"Password and a code are required" });
+  try {
+    const { rows } = await pool.query("SELECT * FROM users WHERE id=$1", [req.currentUser.id]);
+    const user = rows[0];
+    if (!user.totp_enabled) return res.status(400).json({ error:"Two-factor authentication is not enabled" });
+    if (!await bcrypt.compare(password, user.password_hash) || !await checkSecondFactor(user, { code, recovery_code })) {
+      await registerBadPassword(user, req);
+      await authFailure(req, "2fa_disable_failed", user.username, "bad_credentials", user);
+      return res.status(400).json({ error:"Password or code is incorrect" });
+    }
+    const { rows: after } = await pool.query("UPDATE users SET totp_enabled=false,totp_secret=NULL,totp_pending_secret=NULL,totp_last_step=NULL,totp_recovery_hashes='[]',totp_enabled_at=NULL WHERE id=$1 RETURNING totp_enabled,totp_enabled_at", [user.id]);
+    await auditLog("2fa_disabled", "user", user.id, {}, req.currentUser, req.ip, user.society_id, { before:twoFactorState(user), after:after[0] });
+    return res.json({ enabled:false });
+  } catch (err) {
+    console.error("2FA disable error:", err.message);
+    return res.status(500).json({ error:"Failed to disable two-factor authentication" });
+  }
+});
+
+// ── SOCIETIES ──
+app.get("/api/societies", requireAuth, async (req, res) => {
+  const { rows } = await pool.query(`SELECT s.*,COUNT(DISTINCT us.user_id) as user_count,COUNT(DISTINCT c.id) as camera_count FROM societies s LEFT JOIN user_societies us ON us.society_id=s.id LEFT JOIN cameras c ON c.society_id=s.id WHERE ($1::int[] IS NULL OR s.id=ANY($1)) GROUP BY s.id ORDER BY s.name`, [req.societyIds]);
+  return res.json(rows);
+});
+// report_frequency / report_recipients (empty list = the society's admins) drive the society's report jobs;
+// retention drives its purge job and evidence_types which events get their media stored
+function societySettingsError({ report_frequency, report_recipients, retention, evidence_types, ai_monthly_quota }) {
+  if (ai_monthly_quota!==undefined && ai_monthly_quota!==null && !(Number.isInteger(ai_monthly_quota) && ai_monthly_quota>=0)) return "ai_monthly_quota must be a whole number (0 turns on-demand insights off)";
+  if (report_frequency!==undefined && !REPORT_FREQUENCIES.includes(report_frequency)) return `report_frequency must be one of ${REPORT_FREQUENCIES.join(", ")}`;
+  if (report_recipients!==undefined && (!Array.isArray(report_recipients) || report_recipients.some(e => !String(e).includes("@")))) return "report_recipients must be a list of email addresses";
+  return retentionError(retention) || evidenceTypesError(evidence_types);
+}
+app.post("/api/societies", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { code, name, address, timezone=DEFAULT_TIMEZONE, report_frequency="daily", report_recipients=[], retention={}, evidence_types=[], ai_monthly_quota=null } = req.body;
+  if (!code||!name) return res.status(400).json({ error:"Code and name required" });
+  if (!isTimeZone(timezone)) return res.status(400).json({ error:"Unknown timezone (use an IANA name such as Asia/Dubai)" });
+  const invalid = societySettingsError(req.body);
+  if (invalid) return res.status(400).json({ error:invalid });
+  let rows;
+  try {
+    ({ rows } = await pool.query("INSERT INTO societies (code,name,address,timezone,report_frequency,report_recipients,retention,evidence_types,ai_monthly_quota) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9) RETURNING *", [code.toUpperCase(), name, address||"", timezone, report_frequency, JSON.stringify(report_recipients.map(e => String(e).trim())), JSON.stringify(retention), JSON.stringify(evidence_types), ai_monthly_quota]));
+  } catch(e) { return res.status(400).json({ error:"Society code already exists" }); }
+  await syncSocietyJobs(rows[0]);
+  await auditLog("create_society", "society", rows[0].id, {code, name, timezone, report_frequency, report_recipients, retention, evidence_types, ai_monthly_quota}, req.currentUser, req.ip, rows[0].id);
+  return res.json(rows[0]);
+});
+app.put("/api/societies/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { name, address, logo_url, is_active, timezone, report_frequency, report_recipients, retention, evidence_types, ai_monthly_quota } = req.body;
+  if (timezone && !isTimeZone(timezone)) return res.status(400).json({ error:"Unknown timezone (use an IANA name such as Asia/Dubai)" });
+  const invalid = societySettingsError(req.body);
+  if (invalid) return res.status(400).json({ error:invalid });
+  const { rows: cur } = await pool.query("SELECT * FROM societies WHERE id=$1", [req.params.id]);
+  if (!cur.length) return res.status(404).json({ error:"Society not found" });
+  const { rows } = await pool.query("UPDATE societies SET name=COALESCE($1,name),address=COALESCE($2,address),logo_url=COALESCE($3,logo_url),is_active=COALESCE($4,is_active),timezone=COALESCE($5,timezone),report_frequency=COALESCE($6,report_frequency),report_recipients=COALESCE($7,report_recipients),retention=COALESCE($8,retention),evidence_types=COALESCE($9,evidence_types),ai_monthly_quota=COALESCE($10,ai_monthly_quota) WHERE id=$11 RETURNING *",
+    [name, address, logo_url, is_active, timezone, report_frequency, report_recipients ? JSON.stringify(report_recipients.map(e => String(e).trim())) : null, retention ? JSON.stringify(retention) : null, evidence_types ? JSON.stringify(evidence_types) : null, ai_monthly_quota, req.params.id]);
+  // Rollup buckets are local hours/days, so a new timezone means re-bucketing this society's history
+  if (timezone && timezone!==cur[0].timezone) await rebuildRollups(null, rows[0].code);
+  await syncSocietyJobs(rows[0]);
+  await auditLog("update_society", "society", req.params.id, req.body, req.currentUser, req.ip, req.params.id, { before:cur[0], after:rows[0] });
+  return res.json(rows[0]);
+});
+app.delete("/api/societies/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("DELETE FROM societies WHERE id=$1 RETURNING *", [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Society not found" });
+  await auditLog("delete_society", "society", req.params.id, { code:rows[0].code, name:rows[0].name }, req.currentUser, req.ip, req.params.id, { before:rows[0] });
+  return res.json({ deleted:true });
+});
+
+// ── WINGS ──
+app.get("/api/wings", requireAuth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT w.*,COUNT(f.id)::int as flat_count FROM wings w LEFT JOIN flats f ON f.wing_id=w.id
+      WHERE ($1::int[] IS NULL OR w.society_id=ANY($1)) GROUP BY w.id ORDER BY w.name
+    `, [req.societyIds]);
+    return res.json(rows);
+  } catch (err) { return dbError(res, err, "Failed to load wings"); }
+});
+app.post("/api/wings", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { name, description } = req.body;
+  const society_id = targetSociety(req, req.body.society_id);
+  if (!society_id||!name) return res.status(400).json({ error:"Society and name required" });
+  if (!hasSocietyAccess(req, society_id)) return res.status(403).json({ error:"No access to this society" });
+  try {
+    const { rows } = await pool.query("INSERT INTO wings (society_id,name,description) VALUES ($1,$2,$3) RETURNING *", [society_id, name, description||""]);
+    await auditLog("create_wing", "wing", rows[0].id, {name, society_id}, req.currentUser, req.ip, society_id);
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to create wing"); }
+});
+app.put("/api/wings/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const wing = await getScopedRow("wings", req.params.id, req);
+    if (!wing) return res.status(404).json({ error:"Wing not found" });
+    const { name, description } = req.body;
+    const { rows } = await pool.query("UPDATE wings SET name=COALESCE($1,name),description=COALESCE($2,description) WHERE id=$3 RETURNING *", [name, description, wing.id]);
+    await auditLog("update_wing", "wing", wing.id, req.body, req.currentUser, req.ip, wing.society_id, { before:wing, after:rows[0] });
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to update wing"); }
+});
+app.delete("/api/wings/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const wing = await getScopedRow("wings", req.params.id, req);
+    if (!wing) return res.status(404).json({ error:"Wing not found" });
+    await pool.query("DELETE FROM wings WHERE id=$1", [wing.id]);
+    await auditLog("delete_wing", "wing", wing.id, { name:wing.name }, req.currentUser, req.ip, wing.society_id, { before:wing });
+    return res.json({ deleted:true });
+  } catch (err) { return dbError(res, err, "Failed to delete wing"); }
+});
+
+// ── FLATS ──
+app.get("/api/flats", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT f.*,w.name as wing_name,COUNT(r.id) FILTER (WHERE r.is_active)::int as resident_count
+      FROM flats f JOIN wings w ON w.id=f.wing_id LEFT JOIN residents r ON r.flat_id=f.id
+      WHERE ($1::int[] IS NULL OR f.society_id=ANY($1)) AND ($2::int IS NULL OR f.wing_id=$2)
+      GROUP BY f.id,w.name ORDER BY w.name,f.number
+    `, [req.societyIds, req.query.wing_id||null]);
+    return res.json(rows);
+  } catch (err) { return dbError(res, err, "Failed to load flats"); }
+});
+app.post("/api/flats", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { number, floor } = req.body;
+  try {
+    const wing = await getScopedRow("wings", req.body.wing_id, req);
+    if (!wing) return res.status(400).json({ error:"Wing not found" });
+    if (!number) return res.status(400).json({ error:"Flat number required" });
+    const { rows } = await pool.query("INSERT INTO flats (society_id,wing_id,number,floor) VALUES ($1,$2,$3,$4) RETURNING *", [wing.society_id, wing.id, String(number).trim(), floor ?? null]);
+    await auditLog("create_flat", "flat", rows[0].id, { wing:wing.name, number }, req.currentUser, req.ip, wing.society_id);
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to create flat", `Flat ${number} already exists in this wing`); }
+});
+app.put("/api/flats/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { number, floor } = req.body;
+  try {
+    const flat = await getScopedRow("flats", req.params.id, req);
+    if (!flat) return res.status(404).json({ error:"Flat not found" });
+    const { rows } = await pool.query("UPDATE flats SET number=COALESCE($1,number),floor=COALESCE($2,floor) WHERE id=$3 RETURNING *", [number, floor, flat.id]);
+    await auditLog("update_flat", "flat", flat.id, req.body, req.currentUser, req.ip, flat.society_id, { before:flat, after:rows[0] });
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to update flat", `Flat ${number} already exists in this wing`); }
+});
+app.delete("/api/flats/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const flat = await getScopedRow("flats", req.params.id, req);
+    if (!flat) return res.status(404).json({ error:"Flat not found" });
+    await pool.query("DELETE FROM flats WHERE id=$1", [flat.id]);
+    await auditLog("delete_flat", "flat", flat.id, { number:flat.number, wing_id:flat.wing_id }, req.currentUser, req.ip, flat.society_id, { before:flat });
+    return res.json({ deleted:true });
+  } catch (err) { return dbError(res, err, "Failed to delete flat"); }
+});
 
-    -- Events
-    CREATE TABLE IF NOT EXISTS events (
-      id              SERIAL PRIMARY KEY,
-      event_uid       TEXT UNIQUE,
-      camera_id       TEXT NOT NULL,
-      camera_location TEXT,
-      event_type      TEXT NOT NULL,
-      event_type_raw  TEXT,
-      visitor_count   INT DEFAULT 0,
-      confidence      FLOAT,
-      client_id       TEXT NOT NULL,
-      thumbnail_url   TEXT,
-      video_url       TEXT,
-      metadata        JSONB,
-      timestamp_utc   TIMESTAMPTZ,
-      timestamp_ist   TIMESTAMPTZ,
-      received_at     TIMESTAMPTZ DEFAULT NOW(),
-      source_id       TEXT
+// ── RESIDENTS ──
+app.get("/api/residents", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT r.*,f.number as flat_number,w.id as wing_id,w.name as wing_name,u.username,u.last_login,
+        (u.id IS NOT NULL AND u.password_hash IS NULL) as invite_pending
+      FROM residents r JOIN flats f ON f.id=r.flat_id JOIN wings w ON w.id=f.wing_id LEFT JOIN users u ON u.id=r.user_id
+      WHERE ($1::int[] IS NULL OR r.society_id=ANY($1)) AND ($2::int IS NULL OR r.flat_id=$2) AND ($3::int IS NULL OR f.wing_id=$3)
+      ORDER BY w.name,f.number,r.name
+    `, [req.societyIds, req.query.flat_id||null, req.query.wing_id||null]);
+    return res.json(rows);
+  } catch (err) { return dbError(res, err, "Failed to load residents"); }
+});
+app.post("/api/residents", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { name, phone, resident_type="owner", invite } = req.body;
+  const email = (req.body.email||"").trim() || null;
+  try {
+    const flat = await getScopedRow("flats", req.body.flat_id, req);
+    if (!flat) return res.status(400).json({ error:"Flat not found" });
+    if (!name) return res.status(400).json({ error:"Name required" });
+    if (!RESIDENT_TYPES.includes(resident_type)) return res.status(400).json({ error:`resident_type must be one of: ${RESIDENT_TYPES.join(", ")}` });
+    if (invite && !email) return res.status(400).json({ error:"Email required to invite a resident" });
+    const { rows } = await pool.query(
+      "INSERT INTO residents (society_id,flat_id,name,resident_type,phone,email) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
+      [flat.society_id, flat.id, name, resident_type, phone||null, email]
+    );
+    await auditLog("create_resident", "resident", rows[0].id, { name, flat_id:flat.id, resident_type }, req.currentUser, req.ip, flat.society_id);
+    if (!invite) return res.json(rows[0]);
+    try {
+      const user = await inviteResident(rows[0], req.body.username);
+      await auditLog("invite_resident", "resident", rows[0].id, { user_id:user.id, email }, req.currentUser, req.ip, flat.society_id);
+      return res.json({ ...rows[0], user_id:user.id, message:`Invite sent to ${email}` });
+    } catch(e) {
+      return res.status(400).json({ ...rows[0], error:`Resident saved, but invite failed: ${e.detail || e.message}` });
+    }
+  } catch (err) { return dbError(res, err, "Failed to create resident"); }
+});
+app.post("/api/residents/:id/invite", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const resident = await getScopedRow("residents", req.params.id, req);
+    if (!resident) return res.status(404).json({ error:"Resident not found" });
+    if (!resident.email) return res.status(400).json({ error:"Resident has no email address" });
+    const user = await inviteResident(resident, req.body.username);
+    await auditLog("invite_resident", "resident", resident.id, { user_id:user.id, email:resident.email }, req.currentUser, req.ip, resident.society_id);
+    return res.json({ user_id:user.id, message:`Invite sent to ${resident.email}` });
+  } catch (err) { return dbError(res, err, "Failed to invite resident", "That username or email already belongs to another login"); }
+});
+app.put("/api/residents/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const resident = await getScopedRow("residents", req.params.id, req);
+    if (!resident) return res.status(404).json({ error:"Resident not found" });
+    const { name, phone, email, resident_type, is_active } = req.body;
+    if (resident_type && !RESIDENT_TYPES.includes(resident_type)) return res.status(400).json({ error:`resident_type must be one of: ${RESIDENT_TYPES.join(", ")}` });
+    const flat = req.body.flat_id ? await getScopedRow("flats", req.body.flat_id, req) : null;
+    if (req.body.flat_id && (!flat || flat.society_id!==resident.society_id)) return res.status(400).json({ error:"Flat not found" });
+    const { rows } = await pool.query(
+      "UPDATE residents SET name=COALESCE($1,name),phone=COALESCE($2,phone),email=COALESCE($3,email),resident_type=COALESCE($4,resident_type),is_active=COALESCE($5,is_active),flat_id=COALESCE($6,flat_id) WHERE id=$7 RETURNING *",
+      [name, phone, email, resident_type, is_active, flat?.id, resident.id]
     );
+    // A resident who moves out loses their login along with the flat
+    if (is_active===false && resident.user_id) await deactivateResidentUser(resident.user_id);
+    await auditLog("update_resident", "resident", resident.id, req.body, req.currentUser, req.ip, resident.society_id, { before:resident, after:rows[0] });
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to update resident"); }
+});
+app.delete("/api/residents/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const resident = await getScopedRow("residents", req.params.id, req);
+    if (!resident) return res.status(404).json({ error:"Resident not found" });
+    await pool.query("DELETE FROM residents WHERE id=$1", [resident.id]);
+    if (resident.user_id) await deactivateResidentUser(resident.user_id);
+    await auditLog("delete_resident", "resident", resident.id, { name:resident.name, flat_id:resident.flat_id }, req.currentUser, req.ip, resident.society_id, { before:resident });
+    return res.json({ deleted:true });
+  } catch (err) { return dbError(res, err, "Failed to delete resident"); }
+});
 
-    -- Audit Logs
-    CREATE TABLE IF NOT EXISTS audit_logs (
-      id          SERIAL PRIMARY KEY,
-      user_id     INT,
-      username    TEXT,
-      role        TEXT,
-      action      TEXT NOT NULL,
-      entity      TEXT,
-      entity_id   TEXT,
-      details     JSONB,
-      ip_address  TEXT,
-      society_id  INT,
-      created_at  TIMESTAMPTZ DEFAULT NOW()
+// ── NOTICES ──
+app.get("/api/notices", requireAuth, async (req, res) => {
+  try {
+    // Residents see society-wide notices plus those for their own wing(s)
+    const wingIds = req.currentUser.role==="resident"
+      ? (await pool.query("SELECT DISTINCT wing_id FROM flats WHERE id=ANY($1)", [req.currentUser.flat_ids])).rows.map(r => r.wing_id)
+      : null;
+    const { rows } = await pool.query(`
+      SELECT n.*,w.name as wing_name FROM notices n LEFT JOIN wings w ON w.id=n.wing_id
+      WHERE ($1::int[] IS NULL OR n.society_id=ANY($1))
+        AND ($2::int[] IS NULL OR n.wing_id IS NULL OR n.wing_id=ANY($2))
+        AND ($3::boolean OR n.expires_at IS NULL OR n.expires_at>NOW())
+      ORDER BY n.created_at DESC
+    `, [req.societyIds, wingIds, req.query.include_expired==="true" && req.currentUser.role!=="resident"]);
+    return res.json(rows);
+  } catch (err) { return dbError(res, err, "Failed to load notices"); }
+});
+app.post("/api/notices", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { title, body, expires_at } = req.body;
+  const society_id = targetSociety(req, req.body.society_id);
+  if (!society_id||!title) return res.status(400).json({ error:"Society and title required" });
+  if (!hasSocietyAccess(req, society_id)) return res.status(403).json({ error:"No access to this society" });
+  try {
+    const wing = req.body.wing_id ? await getScopedRow("wings", req.body.wing_id, req) : null;
+    if (req.body.wing_id && (!wing || wing.society_id!==society_id)) return res.status(400).json({ error:"Wing not found" });
+    const { rows } = await pool.query(
+      "INSERT INTO notices (society_id,wing_id,title,body,expires_at,created_by) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
+      [society_id, wing?.id||null, title, body||null, expires_at||null, req.currentUser.id]
     );
+    await auditLog("create_notice", "notice", rows[0].id, { title, wing_id:wing?.id||null }, req.currentUser, req.ip, society_id);
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to create notice"); }
+});
+app.delete("/api/notices/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const notice = await getScopedRow("notices", req.params.id, req);
+    if (!notice) return res.status(404).json({ error:"Notice not found" });
+    await pool.query("DELETE FROM notices WHERE id=$1", [notice.id]);
+    await auditLog("delete_notice", "notice", notice.id, { title:notice.title }, req.currentUser, req.ip, notice.society_id, { before:notice });
+    return res.json({ deleted:true });
+  } catch (err) { return dbError(res, err, "Failed to delete notice"); }
+});
 
-    -- User-Society access (multi-society support)
-    CREATE TABLE IF NOT EXISTS user_societies (
-      user_id     INT REFERENCES users(id) ON DELETE CASCADE,
-      society_id  INT REFERENCES societies(id) ON DELETE CASCADE,
-      PRIMARY KEY (user_id, society_id)
+// ── CAMERAS ──
+app.get("/api/cameras", requireAuth, async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.uptime_days)||7, 1), 90);
+  const { rows } = await pool.query("SELECT c.*,s.name as society_name,w.name as wing_name,cs.status,cs.status_since,cs.last_seen_at FROM cameras c LEFT JOIN societies s ON c.society_id=s.id LEFT JOIN wings w ON c.wing_id=w.id LEFT JOIN camera_status cs ON cs.camera_uid=c.camera_uid WHERE ($1::int[] IS NULL OR c.society_id=ANY($1)) ORDER BY c.name", [req.societyIds]);
+  const down = {};
+  (await getDowntime(days, req.societyCodes)).forEach(d => down[d.camera_id] = d.downtime_minutes);
+  return res.json(rows.map(r => ({ ...r, status:r.status||"unknown", uptime_days:days, uptime_pct:r.status ? uptimePct(down[r.camera_uid]||0, days) : null })));
+});
+app.get("/api/cameras/:id/health", requireAuth, async (req, res) => {
+  const { rows } = await pool.query("SELECT c.*,cs.status,cs.status_since,cs.last_seen_at,cs.last_event_type FROM cameras c LEFT JOIN camera_status cs ON cs.camera_uid=c.camera_uid WHERE c.id=$1", [req.params.id]);
+  const cam = rows[0];
+  if (!cam) return res.status(404).json({ error:"Camera not found" });
+  if (!hasSocietyAccess(req, cam.society_id)) return res.status(403).json({ error:"Forbidden" });
+  const { rows: outages } = await pool.query(
+    "SELECT id,reason,started_at,ended_at,COALESCE(duration_s,EXTRACT(EPOCH FROM (NOW()-started_at))::int) as duration_s,ended_at IS NULL as ongoing FROM camera_outages WHERE camera_uid=$1 AND started_at>=NOW()-INTERVAL '30 days' ORDER BY started_at DESC",
+    [cam.camera_uid]
+  );
+  const uptime = {};
+  for (const days of [1, 7, 30]) {
+    const { rows: d } = await pool.query(
+      "SELECT COALESCE(SUM(EXTRACT(EPOCH FROM (COALESCE(ended_at,NOW()) - GREATEST(started_at,NOW()-$2*INTERVAL '1 day')))),0)/60 as m FROM camera_outages WHERE camera_uid=$1 AND COALESCE(ended_at,NOW()) > NOW()-$2*INTERVAL '1 day'",
+      [cam.camera_uid, days]
     );
+    const minutes = parseFloat(d[0].m);
+    uptime[`${days}d`] = { downtime_minutes:Math.round(minutes), uptime_pct:uptimePct(minutes, days) };
+  }
+  const staleAfter = cam.stale_after_minutes || CAMERA_STALE_MINUTES;
+  return res.json({
+    camera_id:cam.id, camera_uid:cam.camera_uid, name:cam.name,
+    status:cam.status||"unknown", status_since:cam.status_since, last_seen_at:cam.last_seen_at, last_event_type:cam.last_event_type,
+    stale_after_minutes:staleAfter, uptime,
+    outages:outages.map(o => ({ ...o, duration_minutes:Math.round(o.duration_s/60) })),
+  });
+});
+app.post("/api/cameras", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { camera_uid, name, society_id, wing_id, location, is_gate } = req.body;
+  if (!camera_uid||!name) return res.status(400).json({ error:"UID and name required" });
+  try {
+    const { rows } = await pool.query("INSERT INTO cameras (camera_uid,name,society_id,wing_id,location,is_gate) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *", [camera_uid, name, society_id||null, wing_id||null, location||"", !!is_gate]);
+    await auditLog("create_camera", "camera", rows[0].id, {camera_uid, name, society_id}, req.currentUser, req.ip, society_id);
+    return res.json(rows[0]);
+  } catch(e) { return res.status(400).json({ error:"Camera UID already exists" }); }
+});
+app.put("/api/cameras/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { name, society_id, wing_id, location, is_active, stale_after_minutes, is_gate } = req.body;
+  const { rows: cur } = await pool.query("SELECT * FROM cameras WHERE id=$1", [req.params.id]);
+  if (!cur.length) return res.status(404).json({ error:"Camera not found" });
+  const { rows } = await pool.query("UPDATE cameras SET name=COALESCE($1,name),society_id=COALESCE($2,society_id),wing_id=COALESCE($3,wing_id),location=COALESCE($4,location),is_active=COALESCE($5,is_active),stale_after_minutes=COALESCE($6,stale_after_minutes),is_gate=COALESCE($7,is_gate) WHERE id=$8 RETURNING *", [name,society_id,wing_id,location,is_active,stale_after_minutes,is_gate,req.params.id]);
+  await auditLog("update_camera", "camera", req.params.id, req.body, req.currentUser, req.ip, rows[0].society_id, { before:cur[0], after:rows[0] });
+  return res.json(rows[0]);
+});
+app.delete("/api/cameras/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("DELETE FROM cameras WHERE id=$1 RETURNING *", [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Camera not found" });
+  await auditLog("delete_camera", "camera", req.params.id, { camera_uid:rows[0].camera_uid, name:rows[0].name }, req.currentUser, req.ip, rows[0].society_id, { before:rows[0] });
+  return res.json({ deleted:true });
+});
+
+// ── INTEGRATIONS ──
+// Secrets are only returned in full on create / rotate; listings show the last 4 characters
+function maskIntegration(row) {
+  const { secret, ...rest } = row;
+  return { ...rest, secret_hint:`…${String(secret||"").slice(-4)}` };
+}
+app.get("/api/integrations", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("SELECT i.*,s.name as society_name,s.code as society_code FROM integrations i LEFT JOIN societies s ON s.id=i.society_id ORDER BY i.created_at DESC");
+  return res.json(rows.map(maskIntegration));
+});
+app.post("/api/integrations", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { vendor, external_id, society_id, name } = req.body;
+  if (!external_id||!society_id) return res.status(400).json({ error:"External ID and society required" });
+  if (vendor && !getAdapter(vendor)) return res.status(400).json({ error:`Unsupported vendor. Use one of: ${listVendors().join(", ")}` });
+  const secret = crypto.randomBytes(32).toString("hex");
+  try {
+    const { rows } = await pool.query("INSERT INTO integrations (vendor,external_id,society_id,name,secret) VALUES ($1,$2,$3,$4,$5) RETURNING *", [vendor ? getAdapter(vendor).vendor : "3deye", String(external_id), society_id, name||null, secret]);
+    await auditLog("create_integration", "integration", rows[0].id, {vendor:rows[0].vendor, external_id, society_id}, req.currentUser, req.ip, society_id);
+    return res.json(rows[0]);
+  } catch(e) { return res.status(400).json({ error:"Integration already exists for this vendor and external ID" }); }
+});
+app.put("/api/integrations/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { name, society_id, is_active } = req.body;
+  const { rows: cur } = await pool.query("SELECT * FROM integrations WHERE id=$1", [req.params.id]);
+  const { rows } = await pool.query("UPDATE integrations SET name=COALESCE($1,name),society_id=COALESCE($2,society_id),is_active=COALESCE($3,is_active) WHERE id=$4 RETURNING *", [name, society_id, is_active, req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Integration not found" });
+  await auditLog("update_integration", "integration", req.params.id, {name, society_id, is_active}, req.currentUser, req.ip, rows[0].society_id, { before:cur[0], after:rows[0] });
+  return res.json(maskIntegration(rows[0]));
+});
+app.post("/api/integrations/:id/rotate-secret", requireAuth, requireRole("superuser"), async (req, res) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  const { rows: cur } = await pool.query("SELECT * FROM integrations WHERE id=$1", [req.params.id]);
+  const { rows } = await pool.query("UPDATE integrations SET secret=$1 WHERE id=$2 RETURNING *", [secret, req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Integration not found" });
+  await auditLog("rotate_integration_secret", "integration", req.params.id, {}, req.currentUser, req.ip, rows[0].society_id, { before:cur[0], after:rows[0] });
+  return res.json(rows[0]);
+});
+app.delete("/api/integrations/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("DELETE FROM integrations WHERE id=$1 RETURNING *", [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Integration not found" });
+  await auditLog("delete_integration", "integration", req.params.id, {external_id:rows[0].external_id}, req.currentUser, req.ip, rows[0].society_id, { before:rows[0] });
+  return res.json({ deleted:true });
+});
 
-    -- App settings (logo etc)
-    CREATE TABLE IF NOT EXISTS app_settings (
-      key         TEXT PRIMARY KEY,
-      value       TEXT,
-      updated_at  TIMESTAMPTZ DEFAULT NOW()
+// ── WEBHOOK QUARANTINE ──
+app.get("/api/quarantine", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { status="pending", limit=100 } = req.query;
+  const { rows } = await pool.query("SELECT * FROM webhook_quarantine WHERE ($1::text='all' OR status=$1) ORDER BY received_at DESC LIMIT $2", [status, parseInt(limit)]);
+  return res.json(rows);
+});
+// Release = ingest the held payload under an integration the superuser picked (no signature check)
+app.post("/api/quarantine/:id/release", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { integration_id } = req.body;
+  if (!integration_id) return res.status(400).json({ error:"Integration required" });
+  const { rows: q } = await pool.query("SELECT * FROM webhook_quarantine WHERE id=$1 AND status='pending'", [req.params.id]);
+  if (!q.length) return res.status(404).json({ error:"Quarantined payload not found or already reviewed" });
+  const { rows: integ } = await pool.query("SELECT i.*,s.code as society_code,s.timezone as society_timezone,s.retention as society_retention,s.evidence_types as society_evidence_types FROM integrations i JOIN societies s ON s.id=i.society_id WHERE i.id=$1", [integration_id]);
+  if (!integ.length) return res.status(404).json({ error:"Integration not found" });
+  if (integ[0].vendor !== q[0].vendor) return res.status(400).json({ error:`Payload came from ${q[0].vendor}, integration is ${integ[0].vendor}` });
+  const { processed, duplicates } = await ingestEvents(q[0].payload, integ[0]);
+  const { rows } = await pool.query("UPDATE webhook_quarantine SET status='released',reviewed_by=$1,reviewed_at=NOW() WHERE id=$2 RETURNING status,reviewed_by,reviewed_at", [req.currentUser.id, req.params.id]);
+  await auditLog("release_quarantine", "webhook_quarantine", req.params.id, {integration_id, processed, duplicates}, req.currentUser, req.ip, integ[0].society_id,
+    { before:{ status:q[0].status, reviewed_by:q[0].reviewed_by, reviewed_at:q[0].reviewed_at }, after:rows[0] });
+  return res.json({ released:true, processed, duplicates });
+});
+app.post("/api/quarantine/:id/dismiss", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("UPDATE webhook_quarantine SET status='dismissed',reviewed_by=$1,reviewed_at=NOW() WHERE id=$2 AND status='pending' RETURNING status,reviewed_by,reviewed_at", [req.currentUser.id, req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Quarantined payload not found or already reviewed" });
+  await auditLog("dismiss_quarantine", "webhook_quarantine", req.params.id, {}, req.currentUser, req.ip, null, { before:{ status:"pending", reviewed_by:null, reviewed_at:null }, after:rows[0] });
+  return res.json({ dismissed:true });
+});
+
+// ── INGEST LOG ──
+// Routine webhook deliveries, kept out of the audit trail
+const INGEST_LOG_STATUSES = ["accepted","rejected","quarantined","failed"];
+app.get("/api/ingest-log", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { integration_id, status, from, to, limit=100 } = req.query;
+  if (status && !INGEST_LOG_STATUSES.includes(status)) return res.status(400).json({ error:`status must be one of: ${INGEST_LOG_STATUSES.join(", ")}` });
+  try {
+    const { rows } = await pool.query(
+      `SELECT l.*,i.name as integration_name,s.name as society_name FROM ingest_log l
+       LEFT JOIN integrations i ON i.id=l.integration_id LEFT JOIN societies s ON s.id=l.society_id
+       WHERE ($1::int[] IS NULL OR l.society_id=ANY($1)) AND ($2::int IS NULL OR l.integration_id=$2) AND ($3::text IS NULL OR l.status=$3)
+         AND ($4::timestamptz IS NULL OR l.created_at>=$4) AND ($5::timestamptz IS NULL OR l.created_at<=$5)
+       ORDER BY l.created_at DESC LIMIT $6`,
+      [req.societyIds, parseInt(integration_id)||null, status||null, from||null, to||null, Math.min(parseInt(limit)||100, 500)]
     );
+    return res.json(rows);
+  } catch(e) { console.error("Ingest log error:", e.message); return res.status(500).json({ error:"Failed to load ingest log" }); }
+});
 
-    -- Indexes
-    CREATE INDEX IF NOT EXISTS idx_events_client   ON events(client_id);
-    CREATE INDEX IF NOT EXISTS idx_events_cam      ON events(camera_id);
-    CREATE INDEX IF NOT EXISTS idx_events_type     ON events(event_type);
-    ALTER TABLE societies ADD COLUMN IF NOT EXISTS external_id TEXT;
-    CREATE INDEX IF NOT EXISTS idx_events_ts       ON events(timestamp_utc);
-    CREATE INDEX IF NOT EXISTS idx_audit_user      ON audit_logs(user_id);
-    CREATE INDEX IF NOT EXISTS idx_audit_created   ON audit_logs(created_at);
-  `);
+// ── ALERT RULES ──
+// Admins manage the rules of the societies they have access to; superusers any society
+app.get("/api/alert-rules", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows } = await pool.query("SELECT r.*,s.name as society_name FROM alert_rules r LEFT JOIN societies s ON s.id=r.society_id WHERE ($1::int[] IS NULL OR r.society_id=ANY($1)) ORDER BY r.society_id,r.name", [req.societyIds]);
+  return res.json(rows);
+});
+app.post("/api/alert-rules", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const rule = { severity:"medium", cooldown_minutes:30, params:{}, ...req.body, society_id:targetSociety(req, req.body.society_id) };
+  if (!rule.society_id) return res.status(400).json({ error:"Society required" });
+  if (!hasSocietyAccess(req, rule.society_id)) return res.status(403).json({ error:"No access to this society" });
+  const err = validateAlertRule(rule);
+  if (err) return res.status(400).json({ error:err });
+  const { rows } = await pool.query(
+    "INSERT INTO alert_rules (society_id,name,condition_type,params,recipients,severity,cooldown_minutes,quiet_start,quiet_end,is_active,auto_incident,created_by) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,COALESCE($10,true),COALESCE($11,false),$12) RETURNING *",
+    [rule.society_id, rule.name, rule.condition_type, JSON.stringify(rule.params), JSON.stringify(rule.recipients), rule.severity, rule.cooldown_minutes, rule.quiet_start||null, rule.quiet_end||null, rule.is_active, rule.auto_incident, req.currentUser.id]
+  );
+  await auditLog("create_alert_rule", "alert_rule", rows[0].id, req.body, req.currentUser, req.ip, rule.society_id);
+  return res.json(rows[0]);
+});
+app.put("/api/alert-rules/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows: cur } = await pool.query("SELECT * FROM alert_rules WHERE id=$1", [req.params.id]);
+  if (!cur.length) return res.status(404).json({ error:"Alert rule not found" });
+  if (!hasSocietyAccess(req, cur[0].society_id)) return res.status(403).json({ error:"Forbidden" });
+  const { id, society_id, created_by, created_at, updated_at, ...changes } = req.body;
+  const rule = { ...cur[0], ...changes };
+  const err = validateAlertRule(rule);
+  if (err) return res.status(400).json({ error:err });
+  const { rows } = await pool.query(
+    "UPDATE alert_rules SET name=$1,condition_type=$2,params=$3,recipients=$4,severity=$5,cooldown_minutes=$6,quiet_start=$7,quiet_end=$8,is_active=$9,auto_incident=$10,updated_at=NOW() WHERE id=$11 RETURNING *",
+    [rule.name, rule.condition_type, JSON.stringify(rule.params), JSON.stringify(rule.recipients), rule.severity, rule.cooldown_minutes, rule.quiet_start||null, rule.quiet_end||null, rule.is_active, rule.auto_incident, req.params.id]
+  );
+  await auditLog("update_alert_rule", "alert_rule", req.params.id, changes, req.currentUser, req.ip, cur[0].society_id, { before:cur[0], after:rows[0] });
+  return res.json(rows[0]);
+});
+app.delete("/api/alert-rules/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows: cur } = await pool.query("SELECT * FROM alert_rules WHERE id=$1", [req.params.id]);
+  if (!cur.length) return res.status(404).json({ error:"Alert rule not found" });
+  if (!hasSocietyAccess(req, cur[0].society_id)) return res.status(403).json({ error:"Forbidden" });
+  await pool.query("DELETE FROM alert_rules WHERE id=$1", [req.params.id]);
+  await auditLog("delete_alert_rule", "alert_rule", req.params.id, { name:cur[0].name }, req.currentUser, req.ip, cur[0].society_id, { before:cur[0] });
+  return res.json({ deleted:true });
+});
+app.get("/api/alert-history", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rule_id, limit=100 } = req.query;
+  const { rows } = await pool.query(
+    "SELECT h.*,r.name as rule_name FROM alert_history h LEFT JOIN alert_rules r ON r.id=h.rule_id WHERE ($1::int[] IS NULL OR h.society_id=ANY($1)) AND ($2::int IS NULL OR h.rule_id=$2) ORDER BY h.fired_at DESC LIMIT $3",
+    [req.societyIds, rule_id||null, parseInt(limit)]
+  );
+  return res.json(rows);
+});
 
-  // Seed default society
-  const { rowCount: socCount } = await pool.query("SELECT 1 FROM societies LIMIT 1");
-  if (socCount === 0) {
-    await pool.query(`INSERT INTO societies (code,name,address) VALUES ('C01','Green Valley Society','Mumbai'),('C02','Sunrise Heights','Mumbai'),('C03','Royal Palms','Mumbai')`);
-    console.log("Default societies seeded");
-  }
-  // Always run: map external IDs and fix historic events
-  await pool.query(`UPDATE societies SET external_id='54321' WHERE code='C01' AND (external_id IS NULL OR external_id='')`);
-  await pool.query(`UPDATE events SET client_id='C01' WHERE client_id='54321'`);
-  await pool.query(`UPDATE events SET client_id='C02' WHERE client_id='54322'`);
-  await pool.query(`UPDATE events SET client_id='C03' WHERE client_id='54323'`);
-  console.log("External ID mapping applied");
-
-  // Seed default users
-  const { rowCount: userCount } = await pool.query("SELECT 1 FROM users WHERE password_hash IS NOT NULL LIMIT 1");
-  if (userCount === 0) {
-    const soc = await pool.query("SELECT id,code FROM societies");
-    const socMap = {};
-    soc.rows.forEach(r => socMap[r.code] = r.id);
-    const users = [
-      { username:"superadmin", password:"Super@Guard2026!", role:"superuser", name:"Raj Mehta",    email: process.env.SUPERADMIN_EMAIL||process.env.ALERT_EMAIL||"superadmin@societyguard.app", society_id: null },
-      { username:"secretary",  password:"GreenValley@2026!", role:"admin",   name:"Priya Sharma", email:"secretary@greenvalley.com", society_id: socMap["C01"] },
-      { username:"chairman",   password:"Sunrise@2026!",     role:"admin",   name:"Vikram Nair",  email:"chairman@sunrise.com",      society_id: socMap["C02"] },
-      { username:"guard1",     password:"Guard@Secure26!",   role:"operator",name:"Suresh Kumar", email:"guard1@greenvalley.com",    society_id: socMap["C01"] },
-    ];
-    for (const u of users) {
-      const hash = await bcrypt.hash(u.password, 12);
-      await pool.query(
-        "INSERT INTO users (username,password_hash,role,name,email,society_id) VALUES ($1,$2,$3,$4,$5,$6)",
-        [u.username, hash, u.role, u.name, u.email, u.society_id]
-      );
-    }
-    console.log("Default users seeded");
+// ── NOTIFICATIONS ──
+function validateNotificationPrefs(prefs) {
+  if (!prefs || typeof prefs!=="object" || Array.isArray(prefs)) return "preferences must be an object keyed by severity";
+  for (const [severity, list] of Object.entries(prefs)) {
+    if (!ALERT_SEVERITIES.includes(severity)) return `Unknown severity "${severity}" (use ${ALERT_SEVERITIES.join(", ")})`;
+    if (!Array.isArray(list) || list.some(ch => !NOTIFY_CHANNELS.includes(ch))) return `preferences.${severity} must be a list of: ${NOTIFY_CHANNELS.join(", ")}`;
+  }
+  return null;
+}
+function notificationSettings(user) {
+  return {
+    phone: user.phone, preferences: user.notification_prefs || {}, severities: ALERT_SEVERITIES,
+    channels: NOTIFY_CHANNELS.filter(ch => ch==="email" || channels[ch]),
+  };
+}
+app.get("/api/me/notifications", requireAuth, async (req, res) => {
+  const { rows } = await pool.query("SELECT phone,notification_prefs FROM users WHERE id=$1", [req.currentUser.id]);
+  return res.json(notificationSettings(rows[0]));
+});
+app.put("/api/me/notifications", requireAuth, async (req, res) => {
+  const { phone, preferences } = req.body;
+  if (phone && !PHONE_RE.test(phone)) return res.status(400).json({ error:"Phone must be a mobile number with country code, e.g. +919812345678" });
+  if (preferences!==undefined) {
+    const err = validateNotificationPrefs(preferences);
+    if (err) return res.status(400).json({ error:err });
   }
-
-  // Seed default cameras
-  // Seed user_societies for existing users that have society_id set
+  const { rows: cur } = await pool.query("SELECT phone,notification_prefs FROM users WHERE id=$1", [req.currentUser.id]);
+  const { rows } = await pool.query("UPDATE users SET phone=CASE WHEN $1::boolean THEN $2 ELSE phone END,notification_prefs=COALESCE($3,notification_prefs) WHERE id=$4 RETURNING phone,notification_prefs",
+    [phone!==undefined, phone||null, preferences ? JSON.stringify(preferences) : null, req.currentUser.id]);
+  await auditLog("update_notification_prefs", "user", req.currentUser.id, {phone, preferences}, req.currentUser, req.ip, null, { before:cur[0], after:rows[0] });
+  return res.json(notificationSettings(rows[0]));
+});
+// Sends a test message to the caller's own phone so they can confirm SMS/WhatsApp delivery
+app.post("/api/me/notifications/test", requireAuth, async (req, res) => {
+  const { channel } = req.body;
+  if (!["sms","whatsapp"].includes(channel)) return res.status(400).json({ error:"channel must be sms or whatsapp" });
+  if (!channels[channel]) return res.status(400).json({ error:`${channel} is not configured on the server` });
   try {
-    const { rows: usersWithSoc } = await pool.query("SELECT id,society_id FROM users WHERE society_id IS NOT NULL");
-    for (const u of usersWithSoc) {
-      await pool.query("INSERT INTO user_societies (user_id,society_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [u.id, u.society_id]);
-    }
-  } catch(e) { console.log("user_societies seed:", e.message); }
-
-  const { rowCount: camCount } = await pool.query("SELECT 1 FROM cameras LIMIT 1");
-  if (camCount === 0) {
-    const { rows: socs } = await pool.query("SELECT id FROM societies WHERE code='C01'");
-    if (socs.length) {
-      await pool.query(`INSERT INTO cameras (camera_uid,name,society_id,location) VALUES
-        ('93518','Main Gate',$1,'Main Entrance'),
-        ('98308','Parking Lot',$1,'Parking Area'),
-        ('93515','Lobby Entrance',$1,'Building Lobby')`, [socs[0].id]);
-    }
-    console.log("Default cameras seeded");
+    const { rows } = await pool.query("SELECT phone FROM users WHERE id=$1", [req.currentUser.id]);
+    if (!rows[0].phone) return res.status(400).json({ error:"Add a phone number first" });
+    const time = new Date().toLocaleString("en-IN",{timeZone:DEFAULT_TIMEZONE});
+    const message = { event:"test", text:`SocietyGuard test message for ${req.currentUser.username} (${time})`,
+      vars:{ severity:"low", rule:"Test", location:"-", message:"Test message", time }, params:["Test", "-", "Test message", time] };
+    const sent = await deliverNotification(channels[channel], rows[0].phone, message, { user_id:req.currentUser.id }, { maxAttempts:1 });
+    return res.status(sent ? 200 : 502).json(sent ? { sent:true } : { error:"Delivery failed — see the delivery log" });
+  } catch (err) {
+    console.error("Test notification error:", err.message);
+    return res.status(500).json({ error:"Failed to send test message" });
   }
-  console.log("Database ready");
-}
+});
 
-// ── EMAIL ──
-// ── EMAIL via SendGrid API ──
-async function sendEmail(to, subject, html) {
-  const apiKey = process.env.SENDGRID_API_KEY || process.env.RESEND_API_KEY;
-  const from   = process.env.EMAIL_FROM || process.env.RESEND_FROM || "SocietyGuard <noreply@cloudcctv.app>";
-  if (!apiKey) { console.warn("No email API key set — email skipped"); return; }
-  // Use SendGrid if SENDGRID_API_KEY set, else fall back to Resend
-  const useSendGrid = !!process.env.SENDGRID_API_KEY;
-  try {
-    let res, data;
-    if (useSendGrid) {
-      res = await fetch("https://api.sendgrid.com/v3/mail/send", {
-        method: "POST",
-        headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-        body: JSON.stringify({
-          personalizations: [{ to: [{ email: to.trim() }] }],
-          from: { email: from.replace(/.*<(.+)>.*/, "$1").trim() || "sandeepsecom@gmail.com", name: "SocietyGuard" },
-          subject, content: [{ type: "text/html", value: html }]
-        })
-      });
-      if (!res.ok) { const t=await res.text(); throw new Error(t); }
-      console.log(`✉️  Email sent via SendGrid to ${to}: ${subject}`);
-    } else {
-      res = await fetch("https://api.resend.com/emails", {
-        method: "POST",
-        headers: { "Authorization": `Bearer ${apiKey}`, "Content-Type": "application/json" },
-        body: JSON.stringify({ from, to: to.trim(), subject, html })
-      });
-      data = await res.json();
-      if (!res.ok) throw new Error(data.message || JSON.stringify(data));
-      console.log(`✉️  Email sent via Resend to ${to}: ${subject} (id: ${data.id})`);
-    }
-  } catch (err) { console.error("Email error:", err.message); }
+// Webhook secrets are only returned in full on create; listings show the last 4 characters
+function maskWebhook(row) {
+  const { secret, ...rest } = row;
+  return { ...rest, secret_hint:`…${String(secret||"").slice(-4)}` };
 }
-
-async function sendInviteEmail(user, token) {
-  const link = `${FRONTEND_URL}?invite=${token}`;
-  const cleanEmail = (user.email||"").trim();
-  if (!cleanEmail || !cleanEmail.includes("@")) {
-    console.error("Invalid email for user:", user.username, JSON.stringify(user.email));
-    return;
-  }
-  await sendEmail(cleanEmail, "You've been invited to SocietyGuard", `
-    <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:560px;margin:0 auto;background:#f8fafc;border-radius:16px;overflow:hidden;box-shadow:0 4px 24px rgba(0,0,0,0.08)"><div style="background:#0f1923;padding:28px 32px;text-align:center;border-bottom:3px solid #38bdf8"><span style="font-size:26px;font-weight:900;color:#38bdf8;letter-spacing:-1px">Society<span style="color:#e2e8f0">Guard</span></span><div style="font-size:10px;color:#64748b;letter-spacing:3px;text-transform:uppercase;margin-top:4px">Security Intelligence Platform</div></div><div style="background:#ffffff;padding:36px 32px">
-        <h2 style="color:#0f1923;font-size:22px;font-weight:800;margin:0 0 8px">Welcome to SocietyGuard! 🏢</h2>
-        <p style="color:#475569;font-size:14px;margin:0 0 24px">You have been invited to join the platform</p>
-        <p style="color:#1e293b;font-size:15px;margin:0 0 8px">Hi <strong>${user.name}</strong>,</p>
-        <p style="color:#475569;font-size:14px;line-height:1.6;margin:0 0 24px">You've been added as <strong style="color:#0ea5e9">${user.role}</strong> on SocietyGuard. Click the button below to set your password and activate your account.</p>
-        <div style="text-align:center;margin:28px 0">
-          <a href="${link}" style="display:inline-block;padding:14px 32px;background:linear-gradient(135deg,#0ea5e9,#38bdf8);color:#0a0c10;border-radius:10px;font-weight:800;font-size:15px;text-decoration:none;letter-spacing:0.3px">Set My Password →</a>
-        </div>
-        <div style="background:#f1f5f9;border-radius:8px;padding:14px 18px;margin-top:24px">
-          <p style="margin:0;font-size:12px;color:#64748b">🔐 Your username: <strong style="color:#0ea5e9;font-size:13px">${user.username}</strong></p>
-          <p style="margin:6px 0 0;font-size:11px;color:#94a3b8">⏰ This link expires in 24 hours. Do not share this email with anyone.</p>
-        </div>
-    </div><div style="background:#0f1923;padding:20px 32px;text-align:center"><p style="margin:0 0 6px;font-size:12px;color:#64748b">Powered by <strong style="color:#38bdf8">Securizen Technologies</strong></p><p style="margin:0;font-size:11px;color:#334155">This is an automated message from SocietyGuard. Please do not reply.</p><p style="margin:8px 0 0;font-size:11px;color:#334155">© 2026 Securizen Technologies. All rights reserved.</p></div></div>`);
-}
-
-async function sendOfflineAlert(event) {
-  if (!process.env.ALERT_EMAIL) return;
-  await sendEmail(process.env.ALERT_EMAIL, `🚨 Camera Offline Alert: ${event.camera_id}`, `
-    <div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:560px;margin:0 auto;background:#f8fafc;border-radius:16px;overflow:hidden;box-shadow:0 4px 24px rgba(0,0,0,0.08)"><div style="background:#0f1923;padding:28px 32px;text-align:center;border-bottom:3px solid #38bdf8"><span style="font-size:26px;font-weight:900;color:#38bdf8;letter-spacing:-1px">Society<span style="color:#e2e8f0">Guard</span></span><div style="font-size:10px;color:#64748b;letter-spacing:3px;text-transform:uppercase;margin-top:4px">Security Intelligence Platform</div></div><div style="background:#ffffff;padding:36px 32px">
-        <div style="display:inline-block;background:#fef2f2;border:1px solid #fecaca;border-radius:8px;padding:8px 16px;margin-bottom:20px">
-          <span style="color:#ef4444;font-weight:700;font-size:13px">🚨 CAMERA OFFLINE</span>
-        </div>
-        <h2 style="color:#0f1923;font-size:20px;font-weight:800;margin:0 0 20px">Immediate Attention Required</h2>
-        <table style="width:100%;border-collapse:collapse">
-          <tr><td style="padding:10px 0;border-bottom:1px solid #e2e8f0;color:#64748b;font-size:13px;width:40%">Camera ID</td><td style="padding:10px 0;border-bottom:1px solid #e2e8f0;color:#0ea5e9;font-weight:700">${event.camera_id}</td></tr>
-          <tr><td style="padding:10px 0;border-bottom:1px solid #e2e8f0;color:#64748b;font-size:13px">Location</td><td style="padding:10px 0;border-bottom:1px solid #e2e8f0;color:#1e293b;font-weight:600">${event.camera_location}</td></tr>
-          <tr><td style="padding:10px 0;color:#64748b;font-size:13px">Time (IST)</td><td style="padding:10px 0;color:#1e293b">${new Date(event.timestamp_ist).toLocaleString("en-IN",{timeZone:"Asia/Kolkata"})}</td></tr>
-        </table>
-        <div style="background:#fef2f2;border-left:4px solid #ef4444;padding:14px 18px;margin-top:24px;border-radius:4px">
-          <p style="margin:0;font-size:13px;color:#991b1b">Please inspect the camera immediately and restore connection.</p>
-        </div>
-    </div><div style="background:#0f1923;padding:20px 32px;text-align:center"><p style="margin:0 0 6px;font-size:12px;color:#64748b">Powered by <strong style="color:#38bdf8">Securizen Technologies</strong></p><p style="margin:0;font-size:11px;color:#334155">This is an automated message from SocietyGuard. Please do not reply.</p><p style="margin:8px 0 0;font-size:11px;color:#334155">© 2026 Securizen Technologies. All rights reserved.</p></div></div>`);
-}
-
-// Daily report at 9 AM IST = 3:30 AM UTC
-async function sendDailyReports() {
-  try {
-    // Get all active admins — join through both society_id and user_societies
-    const { rows: admins } = await pool.query(`
-      SELECT DISTINCT u.email,u.name,s.name as society_name,s.code
-      FROM users u
-      JOIN societies s ON (s.id=u.society_id OR s.id IN (SELECT society_id FROM user_societies WHERE user_id=u.id))
-      WHERE u.role='admin' AND u.is_active=true AND u.email IS NOT NULL
-    `);
-    for (const admin of admins) {
-      const cid = admin.code;
-      const vt = `('person_detected','vehicle_detected','crowd_detected')`;
-      const [todayR, yestR, camsR, downR] = await Promise.all([
-        pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=(NOW()-INTERVAL '5 hours 30 minutes')::date AND client_id=$1`,[cid]),
-        pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=((NOW()-INTERVAL '5 hours 30 minutes')::date-INTERVAL '1 day') AND client_id=$1`,[cid]),
-        pool.query(`SELECT camera_id,camera_location as location,COUNT(*) as count FROM events WHERE timestamp_utc>=NOW()-INTERVAL '1 day' AND client_id=$1 GROUP BY camera_id,camera_location ORDER BY count DESC`,[cid]),
-        pool.query(`SELECT camera_id,COUNT(*) as incidents FROM events WHERE event_type='camera_offline' AND timestamp_utc>=NOW()-INTERVAL '1 day' AND client_id=$1 GROUP BY camera_id`,[cid]),
-      ]);
-      const today = parseInt(todayR.rows[0].v);
-      const yest  = parseInt(yestR.rows[0].v);
-      const delta = today - yest;
-      const camRows = camsR.rows.map(r => `<tr><td style="padding:8px 12px;border-bottom:1px solid #1e293b;color:#e2e8f0">${r.camera_id}</td><td style="padding:8px 12px;border-bottom:1px solid #1e293b;color:#e2e8f0">${r.location}</td><td style="padding:8px 12px;border-bottom:1px solid #1e293b;color:#38bdf8;font-weight:700">${r.count}</td></tr>`).join("");
-      const downRows = downR.rows.length ? downR.rows.map(r => `<tr><td style="padding:8px 12px;color:#e2e8f0">${r.camera_id}</td><td style="padding:8px 12px;color:#f87171;font-weight:700">${r.incidents} incident(s)</td></tr>`).join("") : `<tr><td colspan="2" style="padding:8px 12px;color:#4ade80">All cameras online ✅</td></tr>`;
-      const date = new Date(Date.now()+IST_OFFSET_MS).toLocaleDateString("en-IN",{weekday:"long",year:"numeric",month:"long",day:"numeric"});
-      await sendEmail(admin.email, `📊 Daily Report — ${admin.society_name} — ${date}`, `
-        <div style="font-family:sans-serif;max-width:600px;margin:0 auto">
-          <div style="background:#0f1923;padding:32px;border-radius:12px;color:#e2e8f0">
-            <h2 style="color:#38bdf8;margin:0 0 4px">Daily Security Report</h2>
-            <p style="color:#64748b;margin:0 0 24px">${admin.society_name} · ${date}</p>
-            <div style="display:grid;grid-template-columns:1fr 1fr;gap:16px;margin-bottom:24px">
-              <div style="background:#0a0c10;padding:16px;border-radius:8px;border:1px solid rgba(56,189,248,0.1)">
-                <div style="color:#64748b;font-size:12px;margin-bottom:4px">TODAY'S VISITORS</div>
-                <div style="font-size:32px;font-weight:800;color:#38bdf8">${today}</div>
-                <div style="font-size:12px;color:${delta>=0?"#4ade80":"#f87171"}">${delta>=0?"▲":"▼"} ${Math.abs(delta)} vs yesterday</div>
-              </div>
-              <div style="background:#0a0c10;padding:16px;border-radius:8px;border:1px solid rgba(56,189,248,0.1)">
-                <div style="color:#64748b;font-size:12px;margin-bottom:4px">YESTERDAY</div>
-                <div style="font-size:32px;font-weight:800;color:#818cf8">${yest}</div>
-              </div>
-            </div>
-            <h3 style="color:#e2e8f0;margin:0 0 12px">Camera Activity</h3>
-            <table style="width:100%;border-collapse:collapse;margin-bottom:24px">
-              <thead><tr style="background:#0a0c10"><th style="padding:8px 12px;text-align:left;color:#64748b;font-size:11px">CAMERA</th><th style="padding:8px 12px;text-align:left;color:#64748b;font-size:11px">LOCATION</th><th style="padding:8px 12px;text-align:left;color:#64748b;font-size:11px">EVENTS</th></tr></thead>
-              <tbody>${camRows||"<tr><td colspan='3' style='padding:8px 12px;color:#64748b'>No events today</td></tr>"}</tbody>
-            </table>
-            <h3 style="color:#e2e8f0;margin:0 0 12px">Camera Downtime</h3>
-            <table style="width:100%;border-collapse:collapse">
-              <tbody>${downRows}</tbody>
-            </table>
-            <p style="margin-top:24px;color:#475569;font-size:11px">SocietyGuard Security Platform · Auto-generated daily report</p>
-          </div>
-        </div>`);
-    }
-    console.log(`Daily reports sent to ${admins.length} admin(s)`);
-  } catch (err) { console.error("Daily report error:", err.message); }
-}
-
-// ── WEEKLY AI REPORT (Monday 9 AM IST = 3:30 AM UTC) ──
-async function sendWeeklyAIReport() {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) { console.log("ANTHROPIC_API_KEY not set - skipping weekly AI report"); return; }
-  try {
-    const { rows: admins } = await pool.query(`
-      SELECT DISTINCT u.email,u.name,s.name as society_name,s.code
-      FROM users u
-      JOIN societies s ON (s.id=u.society_id OR s.id IN (SELECT society_id FROM user_societies WHERE user_id=u.id))
-      WHERE u.role='admin' AND u.is_active=true AND u.email IS NOT NULL
-    `);
-    for (const admin of admins) {
-      try {
-      const cid = admin.code;
-      const vt = `('person_detected','vehicle_detected','crowd_detected')`;
-      const [weekR, camsR, downR, hourR] = await Promise.all([
-        pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND timestamp_utc>=NOW()-INTERVAL '7 days' AND client_id=$1`,[cid]),
-        pool.query(`SELECT camera_id,COALESCE(c.name,'Camera '||e.camera_id) as location,COUNT(*) as count FROM events e LEFT JOIN cameras c ON c.camera_uid=e.camera_id WHERE e.timestamp_utc>=NOW()-INTERVAL '7 days' AND e.client_id=$1 GROUP BY e.camera_id,c.name ORDER BY count DESC`,[cid]),
-        pool.query(`SELECT camera_id,COUNT(*) as incidents FROM events WHERE event_type='camera_offline' AND timestamp_utc>=NOW()-INTERVAL '7 days' AND client_id=$1 GROUP BY camera_id`,[cid]),
-        pool.query(`SELECT EXTRACT(HOUR FROM timestamp_utc+INTERVAL '5 hours 30 minutes') as hour, SUM(visitor_count) as v FROM events WHERE event_type IN ${vt} AND timestamp_utc>=NOW()-INTERVAL '7 days' AND client_id=$1 GROUP BY hour ORDER BY hour`,[cid]),
-      ]);
-      const weekV = parseInt(weekR.rows[0].v);
-      const cameraData = camsR.rows.map(r=>({camera:r.location,events:parseInt(r.count)}));
-      const downtimeData = downR.rows.map(r=>({camera:r.camera_id,incidents:parseInt(r.incidents)}));
-      const hourData = {};
-      hourR.rows.forEach(r=>{ hourData[parseInt(r.hour)]=parseInt(r.v); });
-
-      const prompt = `You are a security intelligence AI for ${admin.society_name}, a residential society in India. Analyze the following weekly data and provide actionable insights for the society committee.
-
-WEEKLY DATA (Last 7 days):
-- Total visitors this week: ${weekV}
-- Camera activity: ${JSON.stringify(cameraData)}
-- Camera downtime incidents: ${JSON.stringify(downtimeData)}
-- Visitor count by hour (IST): ${JSON.stringify(hourData)}
-
-Provide exactly 6 insights in this JSON format (respond with ONLY valid JSON):
-{"insights":[{"id":1,"priority":"high|medium|low","category":"Security|Operations|Maintenance|Pattern|Recommendation|Alert","title":"Short title","finding":"What data shows","action":"Specific action for committee","metric":"Key number","metric_label":"Label"}],"summary":"Executive summary paragraph"}`;
-
-      const aiRes = await fetch("https://api.anthropic.com/v1/messages", {
-        method:"POST",
-        headers:{"Content-Type":"application/json","x-api-key":apiKey,"anthropic-version":"2023-06-01"},
-        body: JSON.stringify({ model:"claude-haiku-4-5-20251001", max_tokens:1500, messages:[{role:"user",content:prompt}] })
-      });
-      const aiData = await aiRes.json();
-      const text = aiData.content?.map(c=>c.text||"").join("") || "";
-      const clean = text.replace(/```json|```/g,"").trim();
-      const insights = JSON.parse(clean);
-      const priorityLabel = {high:"🔴 Urgent",medium:"🟡 Watch",low:"🟢 Good"};
-      const priorityColor = {high:"#ef4444",medium:"#f59e0b",low:"#4ade80"};
-      const date = new Date(Date.now()+IST_OFFSET_MS).toLocaleDateString("en-IN",{weekday:"long",year:"numeric",month:"long",day:"numeric"});
-
-      const insightRows = insights.insights.map(ins=>`
-        <div style="margin-bottom:16px;padding:16px;border:1px solid #e2e8f0;border-radius:8px;border-left:4px solid ${priorityColor[ins.priority]||"#38bdf8"}">
-          <div style="display:flex;justify-content:space-between;align-items:flex-start;margin-bottom:8px">
-            <div>
-              <span style="font-size:11px;font-weight:700;color:${priorityColor[ins.priority]}">${priorityLabel[ins.priority]||ins.priority}</span>
-              <span style="font-size:11px;color:#64748b;margin-left:8px">${ins.category}</span>
-            </div>
-            ${ins.metric?`<div style="text-align:right"><div style="font-size:20px;font-weight:900;color:#0ea5e9">${ins.metric}</div><div style="font-size:10px;color:#64748b">${ins.metric_label}</div></div>`:""}
-          </div>
-          <h4 style="margin:0 0 6px;font-size:14px;color:#0f1923">${ins.title}</h4>
-          <p style="margin:0 0 8px;font-size:12px;color:#475569">${ins.finding}</p>
-          <div style="background:#f0f9ff;padding:10px 12px;border-radius:6px">
-            <div style="font-size:10px;font-weight:700;color:#0ea5e9;margin-bottom:4px">RECOMMENDED ACTION</div>
-            <p style="margin:0;font-size:12px;color:#0f1923">${ins.action}</p>
-          </div>
-        </div>`).join("");
-
-      const emailHtml = `<div style="font-family:'Helvetica Neue',Arial,sans-serif;max-width:600px;margin:0 auto;background:#f8fafc;border-radius:16px;overflow:hidden">
-        <div style="background:#0f1923;padding:28px 32px;text-align:center;border-bottom:3px solid #38bdf8">
-          <span style="font-size:26px;font-weight:900;color:#38bdf8">Society<span style="color:#e2e8f0">Guard</span></span>
-          <div style="font-size:10px;color:#64748b;letter-spacing:3px;text-transform:uppercase;margin-top:4px">Weekly AI Security Report</div>
-        </div>
-        <div style="background:#ffffff;padding:32px">
-          <h2 style="color:#0f1923;margin:0 0 4px">${admin.society_name}</h2>
-          <p style="color:#64748b;margin:0 0 20px;font-size:13px">${date} · Weekly Analysis</p>
-          <div style="background:#f0f9ff;border-radius:8px;padding:16px 20px;margin-bottom:24px;border:1px solid #bae6fd">
-            <div style="font-size:11px;font-weight:700;color:#0ea5e9;letter-spacing:2px;text-transform:uppercase;margin-bottom:8px">Executive Summary</div>
-            <p style="margin:0;font-size:13px;color:#1e293b;line-height:1.6">${insights.summary}</p>
-          </div>
-          <h3 style="color:#0f1923;margin:0 0 16px;font-size:14px;text-transform:uppercase;letter-spacing:1px">Security Insights & Recommendations</h3>
-          ${insightRows}
-        </div>
-        <div style="background:#0f1923;padding:20px 32px;text-align:center">
-          <p style="margin:0 0 4px;font-size:12px;color:#64748b">Powered by <strong style="color:#38bdf8">Securizen Technologies</strong></p>
-          <p style="margin:0;font-size:11px;color:#334155">© 2026 Securizen Technologies. All rights reserved.</p>
-        </div>
-      </div>`;
-
-      await sendEmail(admin.email, `🤖 Weekly AI Security Report — ${admin.society_name} — ${date}`, emailHtml);
-      console.log(`Weekly AI report sent to ${admin.email}`);
-      } catch(adminErr) { console.error(`Weekly AI report failed for ${admin.email}:`, adminErr.message); }
-    }
-  } catch(err) { console.error("Weekly AI report error:", err.message); }
-}
-
-// Schedule daily report at 3:30 AM UTC (9 AM IST)
-// ── KEEP-ALIVE PING (prevents Render free tier spin-down) ──
-const SELF_URL = process.env.RENDER_EXTERNAL_URL || "https://societyguard-backend.onrender.com";
-setInterval(async () => {
-  try {
-    await fetch(SELF_URL + "/health");
-    console.log("Keep-alive ping sent");
-  } catch(e) { console.log("Keep-alive ping failed:", e.message); }
-}, 14 * 60 * 1000); // every 14 minutes
-
-function scheduleDailyReport() {
-  const now = new Date();
-  const next = new Date();
-  next.setUTCHours(3,30,0,0);
-  if (next <= now) next.setUTCDate(next.getUTCDate()+1);
-  const ms = next-now;
-  console.log(`Daily report scheduled in ${Math.round(ms/60000)} minutes`);
-  setTimeout(()=>{
-    sendDailyReports();
-    setInterval(()=>{
-      sendDailyReports();
-      // On Mondays (UTC day=1 = Mon 9AM IST), also send weekly AI report
-      if(new Date().getUTCDay()===1){
-        console.log("Monday — sending weekly AI security report");
-        sendWeeklyAIReport();
-      }
-    }, 24*60*60*1000);
-  }, ms);
+// Admin-supplied URLs must resolve to public addresses (see notifications/channels.js)
+async function validateWebhook(w) {
+  if (!w.name) return "Name required";
+  const urlError = await channels.webhook.urlProblem(w.url);
+  if (urlError) return urlError;
+  if (!Array.isArray(w.severities) || !w.severities.length || w.severities.some(s => !ALERT_SEVERITIES.includes(s))) return `severities must be a non-empty list of: ${ALERT_SEVERITIES.join(", ")}`;
+  return null;
 }
+app.get("/api/notification-webhooks", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows } = await pool.query("SELECT w.*,s.name as society_name FROM notification_webhooks w LEFT JOIN societies s ON s.id=w.society_id WHERE ($1::int[] IS NULL OR w.society_id=ANY($1)) ORDER BY w.society_id,w.name", [req.societyIds]);
+  return res.json(rows.map(maskWebhook));
+});
+app.post("/api/notification-webhooks", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const hook = { severities:ALERT_SEVERITIES, ...req.body, society_id:targetSociety(req, req.body.society_id) };
+  if (!hook.society_id) return res.status(400).json({ error:"Society required" });
+  if (!hasSocietyAccess(req, hook.society_id)) return res.status(403).json({ error:"No access to this society" });
+  const err = await validateWebhook(hook);
+  if (err) return res.status(400).json({ error:err });
+  const { rows } = await pool.query("INSERT INTO notification_webhooks (society_id,name,url,secret,severities,created_by) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
+    [hook.society_id, hook.name, hook.url, crypto.randomBytes(32).toString("hex"), JSON.stringify(hook.severities), req.currentUser.id]);
+  await auditLog("create_notification_webhook", "notification_webhook", rows[0].id, {name:hook.name, url:hook.url, severities:hook.severities}, req.currentUser, req.ip, hook.society_id);
+  return res.json(rows[0]);
+});
+app.put("/api/notification-webhooks/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows: cur } = await pool.query("SELECT * FROM notification_webhooks WHERE id=$1", [req.params.id]);
+  if (!cur.length || !hasSocietyAccess(req, cur[0].society_id)) return res.status(404).json({ error:"Webhook not found" });
+  const { name, url, severities, is_active } = req.body;
+  const hook = { ...cur[0], ...(name!==undefined && {name}), ...(url!==undefined && {url}), ...(severities!==undefined && {severities}) };
+  const err = await validateWebhook(hook);
+  if (err) return res.status(400).json({ error:err });
+  const { rows } = await pool.query("UPDATE notification_webhooks SET name=$1,url=$2,severities=$3,is_active=COALESCE($4,is_active) WHERE id=$5 RETURNING *",
+    [hook.name, hook.url, JSON.stringify(hook.severities), is_active, req.params.id]);
+  await auditLog("update_notification_webhook", "notification_webhook", req.params.id, {name, url, severities, is_active}, req.currentUser, req.ip, cur[0].society_id, { before:cur[0], after:rows[0] });
+  return res.json(maskWebhook(rows[0]));
+});
+app.delete("/api/notification-webhooks/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows: cur } = await pool.query("SELECT * FROM notification_webhooks WHERE id=$1", [req.params.id]);
+  if (!cur.length || !hasSocietyAccess(req, cur[0].society_id)) return res.status(404).json({ error:"Webhook not found" });
+  await pool.query("DELETE FROM notification_webhooks WHERE id=$1", [req.params.id]);
+  await auditLog("delete_notification_webhook", "notification_webhook", req.params.id, {name:cur[0].name}, req.currentUser, req.ip, cur[0].society_id, { before:cur[0] });
+  return res.json({ deleted:true });
+});
+// Posts a signed "test" event so the receiver can check its signature verification
+app.post("/api/notification-webhooks/:id/test", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM notification_webhooks WHERE id=$1", [req.params.id]);
+    if (!rows.length || !hasSocietyAccess(req, rows[0].society_id)) return res.status(404).json({ error:"Webhook not found" });
+    const message = { event:"test", payload:{ event:"test", webhook_id:rows[0].id, society_id:rows[0].society_id, sent_at:new Date().toISOString() } };
+    const sent = await deliverNotification(channels.webhook, { url:rows[0].url, secret:rows[0].secret }, message, { society_id:rows[0].society_id, webhook_id:rows[0].id }, { maxAttempts:1 });
+    return res.status(sent ? 200 : 502).json(sent ? { sent:true } : { error:"Delivery failed — see the delivery log" });
+  } catch (err) {
+    console.error("Test webhook error:", err.message);
+    return res.status(500).json({ error:"Failed to send test event" });
+  }
+});
 
-// ── HELPERS ──
-function toIST(utcStr) {
-  const d = new Date(utcStr);
-  if (isNaN(d)) return null;
-  return new Date(d.getTime()+IST_OFFSET_MS).toISOString();
-}
-function mapEventType(type, raw) {
-  if (!type) return "unknown";
-  const t = type.toLowerCase();
-  // Handle Analytic events — check objectsFound for actual type
-  if (t === "analytic" || t.includes("analytic")) {
-    const objects = raw?.data?.objectsFound || raw?.objectsFound || [];
-    const types = objects.map(o => (o.type||"").toLowerCase());
-    if (types.some(x => x.includes("person")||x.includes("people"))) return "person_detected";
-    if (types.some(x => x.includes("vehicle")||x.includes("car")))   return "vehicle_detected";
-    if (types.some(x => x.includes("crowd")))                         return "crowd_detected";
-    if (types.some(x => x.includes("face")))                          return "person_detected";
-    return "analytic"; // keep as analytic if no match
-  }
-  if (t.includes("person")||t.includes("people")) return "person_detected";
-  if (t.includes("motion")) return "motion_detected";
-  if (t.includes("vehicle")||t.includes("car")||t.includes("alpr"))     return "vehicle_detected";
-  if (t.includes("crowd"))    return "crowd_detected";
-  if (t.includes("loiter"))   return "loitering";
-  if (t.includes("offline")||t.includes("disconnect")) return "camera_offline";
-  if (t.includes("online")||t.includes("connect"))     return "camera_online";
-  return t;
-}
-async function getCameraName(cameraUid) {
-  const { rows } = await pool.query("SELECT name FROM cameras WHERE camera_uid=$1", [cameraUid]);
-  return rows[0]?.name || `Camera ${cameraUid}`;
+app.get("/api/notification-deliveries", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { channel, status, alert_id, limit=100 } = req.query;
+  const { rows } = await pool.query(`SELECT d.*,u.username FROM notification_deliveries d LEFT JOIN users u ON u.id=d.user_id
+    WHERE ($1::int[] IS NULL OR d.society_id=ANY($1)) AND ($2::text IS NULL OR d.channel=$2) AND ($3::text IS NULL OR d.status=$3) AND ($4::int IS NULL OR d.alert_id=$4)
+    ORDER BY d.created_at DESC LIMIT $5`, [req.societyIds, channel||null, status||null, alert_id||null, Math.min(parseInt(limit)||100, 500)]);
+  return res.json(rows);
+});
+
+// ── VISITORS ──
+const VISITOR_EARLY_GRACE_MIN = 30;   // a pass may be used this long before its window opens
+// Wrong pass codes / QR scans lock out the guard's device (user + IP) after PASS_CODE_MAX_FAILURES, and the whole
+// society after PASS_CODE_SOCIETY_MAX_FAILURES, within PASS_CODE_WINDOW_MINUTES — so the 10^6 codes cannot be walked
+const PASS_CODE_MAX_FAILURES = 5;
+const PASS_CODE_SOCIETY_MAX_FAILURES = 20;
+const PASS_CODE_WINDOW_MINUTES = 15;
+const PASS_CODE_LOCKED = { status:429, error:`Too many wrong pass codes — try again in ${PASS_CODE_WINDOW_MINUTES} minutes` };
+
+async function passCodeFailureCounts(req, societyId) {
+  const { rows } = await pool.query(`SELECT COUNT(*) FILTER (WHERE user_id=$1 AND ip_address=$2)::int as device,COUNT(*) FILTER (WHERE society_id=$3)::int as society
+    FROM pass_code_failures WHERE created_at>NOW()-$4*INTERVAL '1 minute' AND ((user_id=$1 AND ip_address=$2) OR society_id=$3)`,
+    [req.currentUser.id, req.ip, societyId, PASS_CODE_WINDOW_MINUTES]);
+  return rows[0];
 }
-async function getSocietyCode(integration) {
-  if (!integration) return "C01";
-  const raw = String(integration.clientId || integration.siteId || integration.integrationId || "");
-  if (!raw) return "C01";
-  // Try matching by: code, id, or external_id
-  const { rows } = await pool.query(
-    "SELECT code FROM societies WHERE code=$1 OR id::text=$1 OR external_id=$1 LIMIT 1", [raw]
-  );
-  if (rows[0]) return rows[0].code;
-  // If numeric ID not found in societies, default to first society
-  const { rows: first } = await pool.query("SELECT code FROM societies ORDER BY id LIMIT 1");
-  console.log(`⚠️ getSocietyCode: no match for '${raw}', defaulting to ${first[0]?.code||"C01"}`);
-  return first[0]?.code || "C01";
+async function passCodeLockedOut(req, societyId) {
+  const n = await passCodeFailureCounts(req, societyId);
+  return n.device >= PASS_CODE_MAX_FAILURES || n.society >= PASS_CODE_SOCIETY_MAX_FAILURES;
 }
-async function auditLog(action, entity, entity_id, details, user, ip, society_id) {
-  try {
-    await pool.query(
-      "INSERT INTO audit_logs (user_id,username,role,action,entity,entity_id,details,ip_address,society_id) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)",
-      [user?.id||null, user?.username||"system", user?.role||"system", action, entity||null, entity_id?.toString()||null, JSON.stringify(details||{}), ip||null, society_id||null]
-    );
-  } catch(e) { console.error("Audit log error:", e.message); }
+// Records a wrong code and audits the failure that trips either limit
+async function passCodeFailure(req, societyId) {
+  await pool.query("INSERT INTO pass_code_failures (society_id,user_id,ip_address) VALUES ($1,$2,$3)", [societyId, req.currentUser.id, req.ip]);
+  const n = await passCodeFailureCounts(req, societyId);
+  if (n.device===PASS_CODE_MAX_FAILURES || n.society===PASS_CODE_SOCIETY_MAX_FAILURES)
+    await auditLog("pass_code_locked_out", "visitor_pass", null, { scope:n.society===PASS_CODE_SOCIETY_MAX_FAILURES ? "society" : "device", window_minutes:PASS_CODE_WINDOW_MINUTES }, req.currentUser, req.ip, societyId);
 }
-
-// ── MIDDLEWARE ──
-app.use(express.json({ limit: "10mb" }));
-app.use(cors({ origin: true, methods:["GET","POST","PUT","DELETE"], allowedHeaders:["Content-Type","x-api-key","x-user-id"] }));
-
-function requireApiKey(req, res, next) {
-  if (req.headers["x-api-key"] !== API_KEY) return res.status(401).json({ error:"Unauthorized" });
-  next();
+function visitorPassProblem(pass) {
+  if (pass.status!=="expected") return `Pass already ${pass.status.replace("_"," ")}`;
+  if (Date.now() < new Date(pass.expected_from).getTime() - VISITOR_EARLY_GRACE_MIN*60000) return `Too early — visitor expected from ${new Date(pass.expected_from).toISOString()}`;
+  if (Date.now() > new Date(pass.expected_to).getTime()) return "Pass expired";
+  return null;
 }
-async function requireAuth(req, res, next) {
-  if (req.headers["x-api-key"] !== API_KEY) return res.status(401).json({ error:"Unauthorized" });
-  const uid = req.headers["x-user-id"];
-  if (uid) {
-    const { rows } = await pool.query("SELECT id,username,role,society_id FROM users WHERE id=$1 AND is_active=true", [uid]);
-    if (rows.length) req.currentUser = rows[0];
-  }
-  next();
+// Resolves a pass from { qr } or { pass_code [, society_id] } within the caller's society scope.
+// Every miss counts towards the pass-code lockout, which is checked before the code is looked at.
+async function findVisitorPass(req) {
+  const { qr, pass_code } = req.body;
+  let pass;
+  if (qr) {
+    const m = /^SG1:(\d+):(\d{6})$/.exec(String(qr).trim());
+    if (!m) return { status:400, error:"Unrecognised QR code" };
+    const { rows } = await pool.query("SELECT * FROM visitor_passes WHERE id=$1", [m[1]]);
+    // Another society's pass is treated as missing, and a miss on it counts against this device only —
+    // never against that society's limit, and without telling a right code from a wrong one
+    pass = rows[0] && hasSocietyAccess(req, rows[0].society_id) ? rows[0] : null;
+    const socId = pass?.society_id ?? null;
+    if (await passCodeLockedOut(req, socId)) return PASS_CODE_LOCKED;
+    if (!pass || pass.pass_hash!==visitorPassHash(pass.society_id, m[2])) { await passCodeFailure(req, socId); return { status:404, error:"Pass not found" }; }
+  } else if (pass_code) {
+    const socId = targetSociety(req, req.body.society_id);
+    if (!socId) return { status:400, error:"Society required" };
+    if (!hasSocietyAccess(req, socId)) return { status:403, error:"No access to this society" };
+    if (await passCodeLockedOut(req, socId)) return PASS_CODE_LOCKED;
+    const { rows } = await pool.query("SELECT * FROM visitor_passes WHERE society_id=$1 AND pass_hash=$2 AND status='expected'", [socId, visitorPassHash(socId, String(pass_code).trim())]);
+    pass = rows[0];
+    if (!pass) { await passCodeFailure(req, socId); return { status:404, error:"Pass not found" }; }
+  } else return { status:400, error:"Pass code or QR required" };
+  if (!hasSocietyAccess(req, pass.society_id)) return { status:403, error:"Forbidden" };
+  return { pass };
 }
-function requireRole(...roles) {
-  return (req, res, next) => {
-    if (!req.currentUser) return res.status(401).json({ error:"Not authenticated" });
-    if (!roles.includes(req.currentUser.role)) return res.status(403).json({ error:"Forbidden" });
-    next();
-  };
+function publicPass(pass) {
+  const { pass_hash, ...rest } = pass;
+  return rest;
 }
 
-// ── POST /webhook ──
-app.post("/webhook", async (req, res) => {
-  console.log("📡 Webhook received:", JSON.stringify(req.body).slice(0,200));
-  const rawEvents = Array.isArray(req.body) ? req.body : [req.body];
-  let processed = 0;
-  for (const raw of rawEvents) {
-    const camera_id      = String(raw.deviceId || raw.camera_id || "UNKNOWN");
-    const event_type_raw = raw.type || raw.event_type || "unknown";
-    const event_type     = mapEventType(event_type_raw, raw);
-    const timestamp_utc  = raw.data?.timestampUtc || raw.data?.startTimeUtc || raw.data?.endTimeUtc || raw.timestamp_utc || new Date().toISOString();
-    const client_id      = await getSocietyCode(raw.integration);
-    const thumbnail_url  = raw.data?.thumbnailUrl   || null;
-    const video_url      = raw.data?.sharedVideoUrl || null;
-    const ist            = toIST(timestamp_utc);
-    if (!ist) { console.log("⚠️ Skipping event - invalid timestamp:", timestamp_utc); continue; }
-    const camName        = await getCameraName(camera_id);
-    const visitorTypes   = ["person_detected","vehicle_detected","crowd_detected"];
-    const event_uid      = `${camera_id}-${raw.id||Date.now()}-${Math.random().toString(36).slice(2,6)}`;
-    const objects = raw?.data?.objectsFound || raw?.objectsFound || [];
-    const visitorCount = visitorTypes.includes(event_type) ? Math.max(1, objects.filter(o=>["person","people","face"].includes((o.type||"").toLowerCase())).length) : 0;
-    const event = { event_uid, camera_id, camera_location:camName, event_type, event_type_raw, visitor_count:visitorCount, confidence:raw.confidence||null, client_id, thumbnail_url, video_url, metadata:raw.data||{}, timestamp_utc, timestamp_ist:ist, source_id:String(raw.id||"") };
-    try {
-      await pool.query(
-        `INSERT INTO events (event_uid,camera_id,camera_location,event_type,event_type_raw,visitor_count,confidence,client_id,thumbnail_url,video_url,metadata,timestamp_utc,timestamp_ist,source_id)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14) ON CONFLICT (event_uid) DO NOTHING`,
-        [event.event_uid,event.camera_id,event.camera_location,event.event_type,event.event_type_raw,event.visitor_count,event.confidence,event.client_id,event.thumbnail_url,event.video_url,JSON.stringify(event.metadata),event.timestamp_utc,event.timestamp_ist,event.source_id]
-      );
-      processed++;
-      console.log(`✅ Stored: camera=${camera_id} type=${event_type} client=${client_id} visitors=${visitorCount}`);
-      await auditLog("webhook_event", "event", event_uid, {camera_id, event_type, client_id}, null, null, null);
-      if (event_type==="camera_offline") await sendOfflineAlert(event);
-    } catch (err) { console.error("DB insert error:", err.message, JSON.stringify(event).slice(0,200)); }
+app.get("/api/visitors", requireAuth, async (req, res) => {
+  const { status, date, flat, limit=200 } = req.query;
+  // Residents only ever see passes for their own flat(s)
+  const flatIds = req.currentUser.role==="resident" ? req.currentUser.flat_ids : null;
+  // `date` (YYYY-MM-DD, in each society's timezone) = passes whose expected window touches that day
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error:"date must be YYYY-MM-DD" });
+  try {
+    const { rows } = await pool.query(`
+      SELECT v.*,s.name as society_name,e.thumbnail_url as gate_thumbnail_url FROM visitor_passes v
+      LEFT JOIN societies s ON s.id=v.society_id LEFT JOIN events e ON e.id=v.gate_event_id
+      WHERE ($1::int[] IS NULL OR v.society_id=ANY($1)) AND ($2::text IS NULL OR v.status=$2) AND ($3::text IS NULL OR v.flat=$3)
+        AND ($4::date IS NULL OR (v.expected_from < ($4::date+1)::timestamp AT TIME ZONE s.timezone AND v.expected_to >= $4::date::timestamp AT TIME ZONE s.timezone))
+        AND ($6::int[] IS NULL OR v.flat_id=ANY($6))
+      ORDER BY v.expected_from DESC LIMIT $5
+    `, [req.societyIds, status||null, flat||null, date||null, parseInt(limit), flatIds]);
+    return res.json(rows.map(publicPass));
+  } catch (err) { return dbError(res, err, "Failed to load visitors"); }
+});
+// Pre-register a guest; the pass code / QR payload is only ever returned here
+app.post("/api/visitors", requireAuth, requireRole("superuser","admin","resident"), async (req, res) => {
+  const { guest_name, guest_phone, purpose, expected_from, expected_to, vehicle_plate } = req.body;
+  const societyId = targetSociety(req, req.body.society_id);
+  if (!societyId) return res.status(400).json({ error:"Society required" });
+  if (!hasSocietyAccess(req, societyId)) return res.status(403).json({ error:"No access to this society" });
+  // Residents register guests for their own flat only (defaulting to it when they have just one)
+  let flatId = req.body.flat_id ? parseInt(req.body.flat_id) : null;
+  if (req.currentUser.role==="resident") {
+    if (!flatId && req.currentUser.flat_ids.length===1) flatId = req.currentUser.flat_ids[0];
+    if (!req.currentUser.flat_ids.includes(flatId)) return res.status(403).json({ error:"You can only register guests for your own flat" });
   }
-  return res.status(200).json({ received:processed });
+  try {
+    const flatRow = flatId ? await resolveFlat(societyId, flatId) : null;
+    if (flatId && !flatRow) return res.status(400).json({ error:"Flat not found in this society" });
+    const flat = flatRow?.label || req.body.flat || null;
+    if (!guest_name||!expected_from||!expected_to) return res.status(400).json({ error:"Guest name and expected window required" });
+    const from = new Date(expected_from), to = new Date(expected_to);
+    if (isNaN(from)||isNaN(to)||to<=from) return res.status(400).json({ error:"Invalid expected window" });
+    if (to-from > 7*24*60*60*1000) return res.status(400).json({ error:"Expected window cannot exceed 7 days" });
+    for (let attempt=0; attempt<5; attempt++) {
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+      try {
+        const { rows } = await pool.query(
+          "INSERT INTO visitor_passes (society_id,flat,guest_name,guest_phone,purpose,expected_from,expected_to,pass_hash,created_by,vehicle_plate,flat_id) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *",
+          [societyId, flat, guest_name, guest_phone||null, purpose||null, from, to, visitorPassHash(societyId, code), req.currentUser.id, normalizePlate(vehicle_plate), flatId]
+        );
+        await auditLog("create_visitor_pass", "visitor_pass", rows[0].id, { guest_name, flat, expected_from, expected_to }, req.currentUser, req.ip, societyId);
+        return res.json({ ...publicPass(rows[0]), pass_code:code, qr_payload:visitorQrPayload(rows[0].id, code) });
+      } catch(e) { if (e.code!=="23505") throw e; }
+    }
+    return res.status(503).json({ error:"Could not allocate a unique pass code, try again" });
+  } catch (err) { return dbError(res, err, "Failed to create pass"); }
 });
-
-// ── POST /api/login ──
-app.post("/api/login", async (req, res) => {
-  const { username, password } = req.body;
-  if (!username||!password) return res.status(400).json({ error:"Missing credentials" });
+// Guard checks a pass without using it up
+app.post("/api/visitors/verify", requireAuth, async (req, res) => {
   try {
-    const { rows } = await pool.query(`
-      SELECT u.*,
-        COALESCE(json_agg(json_build_object('id',s.id,'name',s.name,'code',s.code)) FILTER (WHERE s.id IS NOT NULL),'[]') as societies
-      FROM users u
-      LEFT JOIN user_societies us ON us.user_id=u.id
-      LEFT JOIN societies s ON s.id=us.society_id
-      WHERE u.username=$1 AND u.is_active=true
-      GROUP BY u.id
-    `, [username]);
-    if (!rows.length) return res.status(401).json({ error:"Invalid credentials" });
-    const user = rows[0];
-    if (!user.password_hash) return res.status(401).json({ error:"Account not activated. Check your email." });
-    const match = await bcrypt.compare(password, user.password_hash);
-    if (!match) return res.status(401).json({ error:"Invalid credentials" });
-    await pool.query("UPDATE users SET last_login=NOW() WHERE id=$1", [user.id]);
-    await auditLog("login", "user", user.id, { username }, user, req.ip, user.society_id);
-    return res.json({ id:user.id, username:user.username, role:user.role, name:user.name, societies:user.societies||[], client:(user.societies&&user.societies[0]?.code)||user.society_code||null, society_name:(user.societies&&user.societies[0]?.name)||user.society_name||null });
-  } catch (err) { return res.status(500).json({ error:"Login failed" }); }
+    const { pass, status, error } = await findVisitorPass(req);
+    if (error) return res.status(status).json({ error });
+    const problem = visitorPassProblem(pass);
+    return res.json({ valid:!problem, reason:problem, pass:publicPass(pass) });
+  } catch (err) { return dbError(res, err, "Failed to verify pass"); }
 });
-
-// ── POST /api/set-password (invite token) ──
-app.post("/api/set-password", async (req, res) => {
-  const { token, password } = req.body;
-  if (!token||!password) return res.status(400).json({ error:"Missing fields" });
-  const { rows } = await pool.query("SELECT * FROM users WHERE invite_token=$1 AND invite_expires>NOW()", [token]);
-  if (!rows.length) return res.status(400).json({ error:"Invalid or expired invite link" });
-  const hash = await bcrypt.hash(password, 12);
-  await pool.query("UPDATE users SET password_hash=$1,invite_token=NULL,invite_expires=NULL WHERE id=$2", [hash, rows[0].id]);
-  await auditLog("set_password", "user", rows[0].id, {}, rows[0], req.ip, rows[0].society_id);
-  return res.json({ message:"Password set! You can now log in." });
+app.post("/api/visitors/check-in", requireAuth, async (req, res) => {
+  try {
+    const { pass, status, error } = await findVisitorPass(req);
+    if (error) return res.status(status).json({ error });
+    const problem = visitorPassProblem(pass);
+    if (problem) return res.status(409).json({ error:problem });
+    const gate = await nearestGateDetection(pass.society_id, new Date());
+    const { rows } = await pool.query(
+      "UPDATE visitor_passes SET status='checked_in',checked_in_at=NOW(),checked_in_by=$1,gate_event_id=$2 WHERE id=$3 AND status='expected' RETURNING *",
+      [req.currentUser.id, gate?.id||null, pass.id]
+    );
+    if (!rows.length) return res.status(409).json({ error:"Pass was used by another check-in" });
+    await auditLog("visitor_check_in", "visitor_pass", pass.id, { guest_name:pass.guest_name, flat:pass.flat, gate_event_id:gate?.id||null }, req.currentUser, req.ip, pass.society_id, { before:pass, after:rows[0] });
+    return res.json({ ...publicPass(rows[0]), gate_event:gate });
+  } catch (err) { return dbError(res, err, "Failed to check in visitor"); }
+});
+// Unannounced visitor logged by the guard at the gate
+app.post("/api/visitors/walk-in", requireAuth, async (req, res) => {
+  const { guest_name, guest_phone, purpose } = req.body;
+  const societyId = targetSociety(req, req.body.society_id);
+  if (!societyId) return res.status(400).json({ error:"Society required" });
+  if (!hasSocietyAccess(req, societyId)) return res.status(403).json({ error:"No access to this society" });
+  if (!guest_name) return res.status(400).json({ error:"Guest name required" });
+  try {
+    const flatRow = req.body.flat_id ? await resolveFlat(societyId, req.body.flat_id) : null;
+    if (req.body.flat_id && !flatRow) return res.status(400).json({ error:"Flat not found in this society" });
+    const flat = flatRow?.label || req.body.flat || null;
+    const gate = await nearestGateDetection(societyId, new Date());
+    const { rows } = await pool.query(
+      `INSERT INTO visitor_passes (society_id,flat,guest_name,guest_phone,purpose,source,expected_from,expected_to,status,created_by,checked_in_at,checked_in_by,gate_event_id,flat_id)
+       VALUES ($1,$2,$3,$4,$5,'walk_in',NOW(),NOW(),'checked_in',$6,NOW(),$6,$7,$8) RETURNING *`,
+      [societyId, flat, guest_name, guest_phone||null, purpose||null, req.currentUser.id, gate?.id||null, flatRow?.id||null]
+    );
+    await auditLog("visitor_walk_in", "visitor_pass", rows[0].id, { guest_name, flat, gate_event_id:gate?.id||null }, req.currentUser, req.ip, societyId);
+    return res.json({ ...publicPass(rows[0]), gate_event:gate });
+  } catch (err) { return dbError(res, err, "Failed to log walk-in"); }
+});
+app.post("/api/visitors/:id/check-out", requireAuth, async (req, res) => {
+  try {
+    const { rows: cur } = await pool.query("SELECT * FROM visitor_passes WHERE id=$1", [req.params.id]);
+    const pass = cur[0];
+    if (!pass) return res.status(404).json({ error:"Visitor not found" });
+    if (!hasSocietyAccess(req, pass.society_id)) return res.status(403).json({ error:"Forbidden" });
+    if (pass.status!=="checked_in") return res.status(409).json({ error:"Visitor is not checked in" });
+    // Detections can arrive after the check-in call — try the match again if none was found then
+    const gateId = pass.gate_event_id || (await nearestGateDetection(pass.society_id, pass.checked_in_at))?.id || null;
+    const { rows } = await pool.query("UPDATE visitor_passes SET status='checked_out',checked_out_at=NOW(),checked_out_by=$1,gate_event_id=$2 WHERE id=$3 RETURNING *", [req.currentUser.id, gateId, pass.id]);
+    await auditLog("visitor_check_out", "visitor_pass", pass.id, { guest_name:pass.guest_name }, req.currentUser, req.ip, pass.society_id, { before:pass, after:rows[0] });
+    return res.json(publicPass(rows[0]));
+  } catch (err) { return dbError(res, err, "Failed to check out visitor"); }
+});
+app.delete("/api/visitors/:id", requireAuth, requireRole("superuser","admin","resident"), async (req, res) => {
+  try {
+    const { rows: cur } = await pool.query("SELECT * FROM visitor_passes WHERE id=$1", [req.params.id]);
+    const pass = cur[0];
+    if (!pass) return res.status(404).json({ error:"Visitor not found" });
+    if (!hasSocietyAccess(req, pass.society_id)) return res.status(403).json({ error:"Forbidden" });
+    if (req.currentUser.role==="resident" && !req.currentUser.flat_ids.includes(pass.flat_id)) return res.status(403).json({ error:"Forbidden" });
+    if (pass.status!=="expected") return res.status(409).json({ error:`Pass already ${pass.status.replace("_"," ")}` });
+    const { rows } = await pool.query("UPDATE visitor_passes SET status='cancelled' WHERE id=$1 RETURNING *", [pass.id]);
+    await auditLog("cancel_visitor_pass", "visitor_pass", pass.id, { guest_name:pass.guest_name }, req.currentUser, req.ip, pass.society_id, { before:pass, after:rows[0] });
+    return res.json({ cancelled:true });
+  } catch (err) { return dbError(res, err, "Failed to cancel pass"); }
 });
 
-// ── SOCIETIES ──
-app.get("/api/societies", requireAuth, async (req, res) => {
-  let filter = "";
-  const params = [];
-  if (req.currentUser?.role === "admin" && req.currentUser.society_id) {
-    params.push(req.currentUser.society_id);
-    filter = `WHERE s.id=$${params.length}`;
-  }
-  const { rows } = await pool.query(`SELECT s.*,COUNT(DISTINCT u.id) as user_count,COUNT(DISTINCT c.id) as camera_count FROM societies s LEFT JOIN users u ON u.society_id=s.id LEFT JOIN cameras c ON c.society_id=s.id ${filter} GROUP BY s.id ORDER BY s.name`, params);
-  return res.json(rows);
+// ── VEHICLES ──
+async function getScopedVehicle(req, id) {
+  const { rows } = await pool.query("SELECT * FROM vehicles WHERE id=$1", [id]);
+  if (!rows.length) return { status:404, error:"Vehicle not found" };
+  if (!hasSocietyAccess(req, rows[0].society_id)) return { status:403, error:"Forbidden" };
+  return { vehicle:rows[0] };
+}
+app.get("/api/vehicles", requireAuth, async (req, res) => {
+  const { list_type, q } = req.query;
+  // Residents see their own flat's vehicles, never the blocklist
+  const resident = req.currentUser.role==="resident";
+  try {
+    const { rows } = await pool.query(`
+      SELECT v.*,w.name as wing_name,s.name as society_name FROM vehicles v
+      LEFT JOIN wings w ON w.id=v.wing_id LEFT JOIN societies s ON s.id=v.society_id
+      WHERE ($1::int[] IS NULL OR v.society_id=ANY($1)) AND ($2::text IS NULL OR v.list_type=$2) AND ($3::text IS NULL OR v.plate LIKE '%'||$3||'%')
+        AND ($4::int[] IS NULL OR (v.flat_id=ANY($4) AND v.list_type<>'blocked'))
+      ORDER BY v.plate
+    `, [req.societyIds, list_type||null, normalizePlate(q), resident ? req.currentUser.flat_ids : null]);
+    return res.json(rows);
+  } catch (err) { return dbError(res, err, "Failed to load vehicles"); }
 });
-app.post("/api/societies", requireAuth, requireRole("superuser"), async (req, res) => {
-  const { code, name, address } = req.body;
-  if (!code||!name) return res.status(400).json({ error:"Code and name required" });
+app.post("/api/vehicles", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { list_type="resident", owner_name, vehicle_type, notes, valid_until } = req.body;
+  const plate = normalizePlate(req.body.plate);
+  const societyId = targetSociety(req, req.body.society_id);
+  if (!societyId) return res.status(400).json({ error:"Society required" });
+  if (!hasSocietyAccess(req, societyId)) return res.status(403).json({ error:"No access to this society" });
+  try {
+    const flatRow = req.body.flat_id ? await resolveFlat(societyId, req.body.flat_id) : null;
+    if (req.body.flat_id && !flatRow) return res.status(400).json({ error:"Flat not found in this society" });
+    const wing_id = flatRow?.wing_id || req.body.wing_id || null;
+    const flat = flatRow?.label || req.body.flat || null;
+    if (!plate) return res.status(400).json({ error:"Plate required" });
+    if (!VEHICLE_LIST_TYPES.includes(list_type)) return res.status(400).json({ error:`list_type must be one of: ${VEHICLE_LIST_TYPES.join(", ")}` });
+    const { rows } = await pool.query(
+      "INSERT INTO vehicles (society_id,plate,list_type,wing_id,flat,flat_id,owner_name,vehicle_type,notes,valid_until,created_by) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *",
+      [societyId, plate, list_type, wing_id, flat, flatRow?.id||null, owner_name||null, vehicle_type||null, notes||null, valid_until||null, req.currentUser.id]
+    );
+    await auditLog("create_vehicle", "vehicle", rows[0].id, { plate, list_type, flat }, req.currentUser, req.ip, societyId);
+    return res.json(rows[0]);
+  } catch (err) { return dbError(res, err, "Failed to register vehicle", `Plate ${plate} is already registered for this society`); }
+});
+app.put("/api/vehicles/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
   try {
-    const { rows } = await pool.query("INSERT INTO societies (code,name,address) VALUES ($1,$2,$3) RETURNING *", [code.toUpperCase(), name, address||""]);
-    await auditLog("create_society", "society", rows[0].id, {code, name}, req.currentUser, req.ip, rows[0].id);
+    const { vehicle, status, error } = await getScopedVehicle(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    const { list_type, owner_name, vehicle_type, notes, valid_until } = req.body;
+    if (list_type && !VEHICLE_LIST_TYPES.includes(list_type)) return res.status(400).json({ error:`list_type must be one of: ${VEHICLE_LIST_TYPES.join(", ")}` });
+    const flatRow = req.body.flat_id ? await resolveFlat(vehicle.society_id, req.body.flat_id) : null;
+    if (req.body.flat_id && !flatRow) return res.status(400).json({ error:"Flat not found in this society" });
+    const { rows } = await pool.query(
+      "UPDATE vehicles SET list_type=COALESCE($1,list_type),wing_id=COALESCE($2,wing_id),flat=COALESCE($3,flat),owner_name=COALESCE($4,owner_name),vehicle_type=COALESCE($5,vehicle_type),notes=COALESCE($6,notes),valid_until=COALESCE($7,valid_until),flat_id=COALESCE($8,flat_id) WHERE id=$9 RETURNING *",
+      [list_type, flatRow?.wing_id||req.body.wing_id, flatRow?.label||req.body.flat, owner_name, vehicle_type, notes, valid_until, flatRow?.id, vehicle.id]
+    );
+    await auditLog("update_vehicle", "vehicle", vehicle.id, { plate:vehicle.plate, ...req.body }, req.currentUser, req.ip, vehicle.society_id, { before:vehicle, after:rows[0] });
     return res.json(rows[0]);
-  } catch(e) { return res.status(400).json({ error:"Society code already exists" }); }
+  } catch (err) { return dbError(res, err, "Failed to update vehicle"); }
 });
-app.put("/api/societies/:id", requireAuth, requireRole("superuser"), async (req, res) => {
-  const { name, address, logo_url, is_active } = req.body;
-  const { rows } = await pool.query("UPDATE societies SET name=COALESCE($1,name),address=COALESCE($2,address),logo_url=COALESCE($3,logo_url),is_active=COALESCE($4,is_active) WHERE id=$5 RETURNING *", [name, address, logo_url, is_active, req.params.id]);
-  await auditLog("update_society", "society", req.params.id, req.body, req.currentUser, req.ip, req.params.id);
-  return res.json(rows[0]);
+app.delete("/api/vehicles/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const { vehicle, status, error } = await getScopedVehicle(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    await pool.query("DELETE FROM vehicles WHERE id=$1", [vehicle.id]);
+    await auditLog("delete_vehicle", "vehicle", vehicle.id, { plate:vehicle.plate, list_type:vehicle.list_type }, req.currentUser, req.ip, vehicle.society_id, { before:vehicle });
+    return res.json({ deleted:true });
+  } catch (err) { return dbError(res, err, "Failed to delete vehicle"); }
 });
-app.delete("/api/societies/:id", requireAuth, requireRole("superuser"), async (req, res) => {
-  await pool.query("DELETE FROM societies WHERE id=$1", [req.params.id]);
-  await auditLog("delete_society", "society", req.params.id, {}, req.currentUser, req.ip, req.params.id);
-  return res.json({ deleted:true });
+// Past sightings of a plate, newest first
+app.get("/api/vehicles/:plate/history", requireAuth, async (req, res) => {
+  const plate = normalizePlate(req.params.plate);
+  if (!plate) return res.status(400).json({ error:"Invalid plate" });
+  const { from, to, limit=200 } = req.query;
+  try {
+    const { rows } = await pool.query(`
+      SELECT e.id,e.event_uid,e.camera_id,e.camera_location,e.client_id,e.vehicle_class,e.thumbnail_url,e.video_url,e.timestamp_utc
+      FROM events e JOIN societies s ON s.code=e.client_id
+      WHERE e.plate_number=$1 AND ($2::int[] IS NULL OR s.id=ANY($2)) AND ($3::timestamptz IS NULL OR e.timestamp_utc>=$3) AND ($4::timestamptz IS NULL OR e.timestamp_utc<=$4)
+      ORDER BY e.timestamp_utc DESC LIMIT $5
+    `, [plate, req.societyIds, from||null, to||null, parseInt(limit)]);
+    const { rows: reg } = await pool.query("SELECT * FROM vehicles WHERE plate=$1 AND ($2::int[] IS NULL OR society_id=ANY($2))", [plate, req.societyIds]);
+    return res.json({ plate, registrations:reg, total:rows.length, sightings:rows });
+  } catch (err) { return dbError(res, err, "Failed to load plate history"); }
 });
 
-// ── WINGS ──
-app.get("/api/wings", requireAuth, async (req, res) => {
-  const { society_id } = req.query;
-  const { rows } = await pool.query("SELECT * FROM wings WHERE ($1::int IS NULL OR society_id=$1) ORDER BY name", [society_id||null]);
-  return res.json(rows);
+// ── INCIDENTS ──
+async function getScopedIncident(req, id) {
+  const { rows } = await pool.query("SELECT * FROM incidents WHERE id=$1", [id]);
+  if (!rows.length) return { status:404, error:"Incident not found" };
+  if (!hasSocietyAccess(req, rows[0].society_id)) return { status:403, error:"Forbidden" };
+  return { incident:rows[0] };
+}
+async function canAccessSociety(userId, societyId) {
+  const { rowCount } = await pool.query(
+    "SELECT 1 FROM users u WHERE u.id=$1 AND u.is_active=true AND (u.role='superuser' OR u.society_id=$2 OR EXISTS (SELECT 1 FROM user_societies us WHERE us.user_id=u.id AND us.society_id=$2))",
+    [userId, societyId]
+  );
+  return rowCount > 0;
+}
+async function societyEventIds(societyId, eventIds) {
+  if (!eventIds.length) return [];
+  const { rows } = await pool.query("SELECT e.id FROM events e JOIN societies s ON s.code=e.client_id WHERE s.id=$1 AND e.id=ANY($2::int[])", [societyId, eventIds]);
+  return rows.map(r => r.id);
+}
+
+app.get("/api/incidents", requireAuth, async (req, res) => {
+  const { status, assignee_id, limit=100 } = req.query;
+  try {
+    const { rows } = await pool.query(`
+      SELECT i.*,u.name as assignee_name,s.name as society_name,(SELECT COUNT(*) FROM incident_events ie WHERE ie.incident_id=i.id) as event_count
+      FROM incidents i LEFT JOIN users u ON u.id=i.assignee_id LEFT JOIN societies s ON s.id=i.society_id
+      WHERE ($1::int[] IS NULL OR i.society_id=ANY($1)) AND ($2::text IS NULL OR i.status=$2) AND ($3::int IS NULL OR i.assignee_id=$3)
+      ORDER BY i.created_at DESC LIMIT $4
+    `, [req.societyIds, status||null, assignee_id||null, parseInt(limit)]);
+    return res.json(rows.map(r => withSla({ ...r, event_count:parseInt(r.event_count) })));
+  } catch (err) { return dbError(res, err, "Failed to load incidents"); }
 });
-app.post("/api/wings", requireAuth, requireRole("superuser"), async (req, res) => {
-  const { society_id, name, description } = req.body;
-  const { rows } = await pool.query("INSERT INTO wings (society_id,name,description) VALUES ($1,$2,$3) RETURNING *", [society_id, name, description||""]);
-  await auditLog("create_wing", "wing", rows[0].id, {name, society_id}, req.currentUser, req.ip, society_id);
-  return res.json(rows[0]);
+app.get("/api/incidents/:id", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    const [notes, events] = await Promise.all([
+      pool.query("SELECT * FROM incident_notes WHERE incident_id=$1 ORDER BY created_at", [incident.id]),
+      pool.query("SELECT e.* FROM incident_events ie JOIN events e ON e.id=ie.event_id WHERE ie.incident_id=$1 ORDER BY e.timestamp_utc", [incident.id]),
+    ]);
+    return res.json({ ...withSla(incident), notes:notes.rows, events:events.rows });
+  } catch (err) { return dbError(res, err, "Failed to load incident"); }
 });
-app.delete("/api/wings/:id", requireAuth, requireRole("superuser"), async (req, res) => {
-  await pool.query("DELETE FROM wings WHERE id=$1", [req.params.id]);
-  return res.json({ deleted:true });
+// Create from event IDs and/or an alert firing; the society comes from them unless given explicitly
+app.post("/api/incidents", requireAuth, async (req, res) => {
+  const { title, severity, alert_id, assignee_id, sla_minutes, note } = req.body;
+  const eventIds = Array.isArray(req.body.event_ids) ? req.body.event_ids.map(Number).filter(Boolean) : [];
+  let societyId = req.body.society_id ? parseInt(req.body.society_id) : null;
+  let alert = null;
+  try {
+    if (alert_id) {
+      const { rows } = await pool.query("SELECT * FROM alert_history WHERE id=$1", [alert_id]);
+      // Another society's alert answers exactly like a missing one
+      if (!rows.length || !hasSocietyAccess(req, rows[0].society_id)) return res.status(404).json({ error:"Alert not found" });
+      alert = rows[0];
+      societyId = societyId || alert.society_id;
+    }
+    if (!societyId && eventIds.length) {
+      const { rows } = await pool.query("SELECT s.id FROM events e JOIN societies s ON s.code=e.client_id WHERE e.id=$1", [eventIds[0]]);
+      societyId = rows[0]?.id || null;
+    }
+    societyId = societyId || targetSociety(req, null);
+    if (!societyId) return res.status(400).json({ error:"Society required" });
+    if (!hasSocietyAccess(req, societyId)) return res.status(403).json({ error:"Forbidden" });
+    if (alert && alert.society_id!==societyId) return res.status(404).json({ error:"Alert not found" });
+    const validIds = await societyEventIds(societyId, eventIds);
+    if (validIds.length!==eventIds.length) return res.status(400).json({ error:"Some events do not exist or belong to another society" });
+    if (assignee_id && !(await canAccessSociety(assignee_id, societyId))) return res.status(400).json({ error:"Assignee has no access to this society" });
+    const incident = await createIncident({
+      society_id:societyId, title:title || alert?.message || "Security incident", severity:severity || alert?.severity,
+      source:alert ? "alert" : (eventIds.length ? "event" : "manual"), alert_id, event_ids:validIds, assignee_id, sla_minutes:parseInt(sla_minutes)||null,
+    }, req.currentUser, req.ip);
+    if (note) await pool.query("INSERT INTO incident_notes (incident_id,user_id,username,note) VALUES ($1,$2,$3,$4)", [incident.id, req.currentUser.id, req.currentUser.username, note]);
+    return res.json(withSla(incident));
+  } catch (err) { return dbError(res, err, "Failed to create incident"); }
 });
-
-// ── CAMERAS ──
-app.get("/api/cameras", requireAuth, async (req, res) => {
-  const { society_id } = req.query;
-  // Admins see only their own society's cameras
-  const effectiveSocId = req.currentUser?.role === "admin"
-    ? req.currentUser.society_id
-    : (society_id ? parseInt(society_id) : null);
-  const { rows } = await pool.query("SELECT c.*,s.name as society_name,w.name as wing_name FROM cameras c LEFT JOIN societies s ON c.society_id=s.id LEFT JOIN wings w ON c.wing_id=w.id WHERE ($1::int IS NULL OR c.society_id=$1) ORDER BY c.name", [effectiveSocId]);
-  return res.json(rows);
+app.put("/api/incidents/:id", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    const { title, severity, sla_minutes } = req.body;
+    if (severity && !ALERT_SEVERITIES.includes(severity)) return res.status(400).json({ error:`severity must be one of: ${ALERT_SEVERITIES.join(", ")}` });
+    const { rows } = await pool.query(
+      "UPDATE incidents SET title=COALESCE($1,title),severity=COALESCE($2,severity),sla_minutes=COALESCE($3,sla_minutes),due_at=created_at+COALESCE($3,sla_minutes)*INTERVAL '1 minute',updated_at=NOW() WHERE id=$4 RETURNING *",
+      [title, severity, parseInt(sla_minutes)||null, incident.id]
+    );
+    await auditLog("update_incident", "incident", incident.id, { title, severity, sla_minutes }, req.currentUser, req.ip, incident.society_id, { before:incident, after:rows[0] });
+    return res.json(withSla(rows[0]));
+  } catch (err) { return dbError(res, err, "Failed to update incident"); }
 });
-app.post("/api/cameras", requireAuth, requireRole("superuser"), async (req, res) => {
-  const { camera_uid, name, society_id, wing_id, location } = req.body;
-  if (!camera_uid||!name) return res.status(400).json({ error:"UID and name required" });
+app.post("/api/incidents/:id/acknowledge", requireAuth, async (req, res) => {
   try {
-    const { rows } = await pool.query("INSERT INTO cameras (camera_uid,name,society_id,wing_id,location) VALUES ($1,$2,$3,$4,$5) RETURNING *", [camera_uid, name, society_id||null, wing_id||null, location||""]);
-    await auditLog("create_camera", "camera", rows[0].id, {camera_uid, name, society_id}, req.currentUser, req.ip, society_id);
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    if (incident.status!=="open") return res.status(409).json({ error:`Incident is already ${incident.status}` });
+    const { rows } = await pool.query(
+      "UPDATE incidents SET status='acknowledged',acknowledged_at=NOW(),acknowledged_by=$1,assignee_id=COALESCE(assignee_id,$1),updated_at=NOW() WHERE id=$2 RETURNING *",
+      [req.currentUser.id, incident.id]
+    );
+    await auditLog("acknowledge_incident", "incident", incident.id, {}, req.currentUser, req.ip, incident.society_id, { before:incident, after:rows[0] });
+    return res.json(withSla(rows[0]));
+  } catch (err) { return dbError(res, err, "Failed to acknowledge incident"); }
+});
+app.post("/api/incidents/:id/assign", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    const { assignee_id } = req.body;
+    if (assignee_id && !(await canAccessSociety(assignee_id, incident.society_id))) return res.status(400).json({ error:"Assignee has no access to this society" });
+    const { rows } = await pool.query("UPDATE incidents SET assignee_id=$1,updated_at=NOW() WHERE id=$2 RETURNING *", [assignee_id||null, incident.id]);
+    await auditLog("assign_incident", "incident", incident.id, { assignee_id:assignee_id||null }, req.currentUser, req.ip, incident.society_id, { before:incident, after:rows[0] });
+    return res.json(withSla(rows[0]));
+  } catch (err) { return dbError(res, err, "Failed to assign incident"); }
+});
+app.post("/api/incidents/:id/resolve", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    if (incident.status==="resolved") return res.status(409).json({ error:"Incident is already resolved" });
+    const { resolution } = req.body;
+    const { rows } = await pool.query(
+      "UPDATE incidents SET status='resolved',resolved_at=NOW(),resolved_by=$1,resolution=$2,updated_at=NOW() WHERE id=$3 RETURNING *",
+      [req.currentUser.id, resolution||null, incident.id]
+    );
+    await auditLog("resolve_incident", "incident", incident.id, { resolution }, req.currentUser, req.ip, incident.society_id, { before:incident, after:rows[0] });
+    return res.json(withSla(rows[0]));
+  } catch (err) { return dbError(res, err, "Failed to resolve incident"); }
+});
+app.post("/api/incidents/:id/reopen", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    if (incident.status!=="resolved") return res.status(409).json({ error:"Only resolved incidents can be reopened" });
+    const { rows } = await pool.query("UPDATE incidents SET status='open',resolved_at=NULL,resolved_by=NULL,updated_at=NOW() WHERE id=$1 RETURNING *", [incident.id]);
+    await auditLog("reopen_incident", "incident", incident.id, { reason:req.body.reason }, req.currentUser, req.ip, incident.society_id, { before:incident, after:rows[0] });
+    return res.json(withSla(rows[0]));
+  } catch (err) { return dbError(res, err, "Failed to reopen incident"); }
+});
+app.post("/api/incidents/:id/notes", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    const { note } = req.body;
+    if (!note) return res.status(400).json({ error:"Note required" });
+    const { rows } = await pool.query("INSERT INTO incident_notes (incident_id,user_id,username,note) VALUES ($1,$2,$3,$4) RETURNING *", [incident.id, req.currentUser.id, req.currentUser.username, note]);
+    await pool.query("UPDATE incidents SET updated_at=NOW() WHERE id=$1", [incident.id]);
+    await auditLog("add_incident_note", "incident", incident.id, { note_id:rows[0].id }, req.currentUser, req.ip, incident.society_id);
     return res.json(rows[0]);
-  } catch(e) { return res.status(400).json({ error:"Camera UID already exists" }); }
+  } catch (err) { return dbError(res, err, "Failed to add note"); }
 });
-app.put("/api/cameras/:id", requireAuth, requireRole("superuser"), async (req, res) => {
-  const { name, society_id, wing_id, location, is_active } = req.body;
-  const { rows } = await pool.query("UPDATE cameras SET name=COALESCE($1,name),society_id=COALESCE($2,society_id),wing_id=COALESCE($3,wing_id),location=COALESCE($4,location),is_active=COALESCE($5,is_active) WHERE id=$6 RETURNING *", [name,society_id,wing_id,location,is_active,req.params.id]);
-  await auditLog("update_camera", "camera", req.params.id, req.body, req.currentUser, req.ip, society_id);
+app.post("/api/incidents/:id/events", requireAuth, async (req, res) => {
+  try {
+    const { incident, status, error } = await getScopedIncident(req, req.params.id);
+    if (error) return res.status(status).json({ error });
+    const eventIds = Array.isArray(req.body.event_ids) ? req.body.event_ids.map(Number).filter(Boolean) : [];
+    if (!eventIds.length) return res.status(400).json({ error:"event_ids required" });
+    const validIds = await societyEventIds(incident.society_id, eventIds);
+    if (validIds.length!==eventIds.length) return res.status(400).json({ error:"Some events do not exist or belong to another society" });
+    for (const eid of validIds) await pool.query("INSERT INTO incident_events (incident_id,event_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [incident.id, eid]);
+    await pool.query("UPDATE incidents SET updated_at=NOW() WHERE id=$1", [incident.id]);
+    await auditLog("attach_incident_events", "incident", incident.id, { event_ids:validIds }, req.currentUser, req.ip, incident.society_id);
+    return res.json({ attached:validIds.length });
+  } catch (err) { return dbError(res, err, "Failed to attach events"); }
+});
+
+// ── JOBS ──
+// Superusers see every job (system jobs have no society); admins see and trigger their societies' report jobs
+app.get("/api/jobs", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const runs = Math.min(parseInt(req.query.runs)||10, 100);
+  try {
+    const { rows } = await pool.query(`
+      SELECT j.*,s.code as society_code,s.name as society_name,
+        COALESCE((SELECT json_agg(r) FROM (SELECT * FROM job_runs WHERE job_id=j.id ORDER BY started_at DESC LIMIT $2) r),'[]') as runs
+      FROM jobs j LEFT JOIN societies s ON s.id=j.society_id
+      WHERE ($1::int[] IS NULL OR j.society_id=ANY($1))
+      ORDER BY j.society_id NULLS FIRST,j.name`, [req.societyIds, runs]);
+    return res.json(rows);
+  } catch (err) { return dbError(res, err, "Failed to load jobs"); }
+});
+// Runs the job now on this instance (409 while another run holds the lease); the schedule is unchanged
+app.post("/api/jobs/:id/run", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  try {
+    const { rows } = await pool.query("SELECT * FROM jobs WHERE id=$1", [req.params.id]);
+    const job = rows[0];
+    if (!job || (job.society_id ? !hasSocietyAccess(req, job.society_id) : req.currentUser.role!=="superuser")) return res.status(404).json({ error:"Job not found" });
+    const leased = await claimJob(job.id);
+    if (!leased) return res.status(409).json({ error:"Job is already running" });
+    const run = await runJob(leased, { manual:true, user:req.currentUser });
+    await auditLog("run_job", "job", job.id, {name:job.name, status:run.status}, req.currentUser, req.ip, job.society_id);
+    return res.json(run);
+  } catch (err) { return dbError(res, err, "Failed to run job"); }
+});
+
+// ── EMAILS (outbox) ──
+app.get("/api/emails", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { status="all", to, limit=100 } = req.query;
+  const { rows } = await pool.query(`SELECT id,to_address,subject,template,society_id,status,attempts,max_attempts,next_attempt_at,transport,provider_id,last_error,created_at,sent_at
+    FROM email_outbox WHERE ($1::text='all' OR status=$1) AND ($2::text IS NULL OR to_address ILIKE $2) AND ($3::int[] IS NULL OR society_id=ANY($3))
+    ORDER BY created_at DESC LIMIT $4`, [status, to ? `%${to}%` : null, req.societyIds, Math.min(parseInt(limit)||100, 500)]);
+  return res.json(rows);
+});
+app.get("/api/emails/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("SELECT * FROM email_outbox WHERE id=$1", [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"Email not found" });
   return res.json(rows[0]);
 });
-app.delete("/api/cameras/:id", requireAuth, requireRole("superuser"), async (req, res) => {
-  await pool.query("DELETE FROM cameras WHERE id=$1", [req.params.id]);
-  return res.json({ deleted:true });
+// Puts a failed email back in the queue with a fresh set of attempts
+app.post("/api/emails/:id/retry", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows: cur } = await pool.query("SELECT id,to_address,subject,status,attempts,last_error,sent_at FROM email_outbox WHERE id=$1", [req.params.id]);
+  const { rowCount } = await pool.query("UPDATE email_outbox SET status='pending',attempts=0,next_attempt_at=NOW(),last_error=NULL WHERE id=$1 AND status='failed'", [req.params.id]);
+  if (!rowCount) return res.status(404).json({ error:"Failed email not found" });
+  await deliverEmails(parseInt(req.params.id));
+  const { rows } = await pool.query("SELECT id,to_address,subject,status,attempts,last_error,sent_at FROM email_outbox WHERE id=$1", [req.params.id]);
+  await auditLog("retry_email", "email_outbox", req.params.id, {to:rows[0].to_address, status:rows[0].status}, req.currentUser, req.ip, null, { before:cur[0], after:rows[0] });
+  return res.json(rows[0]);
+});
+
+// ── UNMAPPED EVENT TYPES (vendor types adapters don't know yet) ──
+app.get("/api/unmapped-event-types", requireAuth, requireRole("superuser"), async (req, res) => {
+  const { rows } = await pool.query("SELECT * FROM unmapped_event_types ORDER BY last_seen DESC");
+  return res.json(rows);
 });
 
 // ── USERS ──
@@ -726,12 +3198,11 @@ app.post("/api/users", requireAuth, requireRole("superuser"), async (req, res) =
       }
     }
   } catch(e) { console.error("Pre-check error:", e.message); }
-  const token = crypto.randomBytes(32).toString("hex");
-  const expires = new Date(Date.now()+24*60*60*1000);
+  const invite = newInvite();
   try {
     const { rows } = await pool.query(
-      "INSERT INTO users (username,role,name,email,invite_token,invite_expires) VALUES ($1,$2,$3,$4,$5,$6) RETURNING *",
-      [username, role, name, email, token, expires]
+      "INSERT INTO users (username,role,name,email,invite_token_hash,invite_expires) VALUES ($1,$2,$3,$4,$5,$6) RETURNING id,username,role,name,email,society_id,is_active,invite_expires,created_at",
+      [username, role, name, email, invite.hash, invite.expires]
     );
     const newUser = rows[0];
     // Insert all society access
@@ -739,7 +3210,7 @@ app.post("/api/users", requireAuth, requireRole("superuser"), async (req, res) =
     for (const sid of sids) {
       await pool.query("INSERT INTO user_societies (user_id,society_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [newUser.id, sid]);
     }
-    await sendInviteEmail(newUser, token);
+    await sendInviteEmail(newUser, invite.token);
     await auditLog("create_user", "user", newUser.id, {username, role, name, email}, req.currentUser, req.ip, sids[0]||null);
     return res.json({ ...newUser, message:`Invite sent to ${email}` });
   } catch(e) {
@@ -747,8 +3218,17 @@ app.post("/api/users", requireAuth, requireRole("superuser"), async (req, res) =
     return res.status(400).json({ error: e.detail || e.message || "Failed to create user" });
   }
 });
+// The audited view of a user: profile fields and society access, no credentials
+async function userSnapshot(id) {
+  const { rows } = await pool.query(`SELECT u.id,u.username,u.role,u.name,u.email,u.is_active,
+    COALESCE(array_agg(us.society_id ORDER BY us.society_id) FILTER (WHERE us.society_id IS NOT NULL),'{}') as society_ids
+    FROM users u LEFT JOIN user_societies us ON us.user_id=u.id WHERE u.id=$1 GROUP BY u.id`, [parseInt(id)||0]);
+  return rows[0] || null;
+}
 app.put("/api/users/:id", requireAuth, requireRole("superuser"), async (req, res) => {
   const { name, role, email, society_ids, is_active } = req.body;
+  const before = await userSnapshot(req.params.id);
+  if (!before) return res.status(404).json({ error:"User not found" });
   const { rows } = await pool.query(
     "UPDATE users SET name=COALESCE($1,name),role=COALESCE($2,role),email=COALESCE($3,email),is_active=COALESCE($4,is_active) WHERE id=$5 RETURNING id,username,role,name,email,is_active",
     [name,role,email,is_active,req.params.id]
@@ -759,20 +3239,32 @@ app.put("/api/users/:id", requireAuth, requireRole("superuser"), async (req, res
       await pool.query("INSERT INTO user_societies (user_id,society_id) VALUES ($1,$2) ON CONFLICT DO NOTHING", [req.params.id, sid]);
     }
   }
-  await auditLog("update_user", "user", req.params.id, req.body, req.currentUser, req.ip, null);
+  await auditLog("update_user", "user", req.params.id, req.body, req.currentUser, req.ip, null, { before, after:await userSnapshot(req.params.id) });
   return res.json(rows[0]);
 });
 app.delete("/api/users/:id", requireAuth, requireRole("superuser"), async (req, res) => {
+  const before = await userSnapshot(req.params.id);
+  if (!before) return res.status(404).json({ error:"User not found" });
   await pool.query("UPDATE users SET is_active=false WHERE id=$1", [req.params.id]);
-  await auditLog("deactivate_user", "user", req.params.id, {}, req.currentUser, req.ip, null);
+  await revokeUserSessions(req.params.id);
+  await auditLog("deactivate_user", "user", req.params.id, { username:before.username }, req.currentUser, req.ip, null, { before, after:{ ...before, is_active:false } });
   return res.json({ deactivated:true });
 });
+app.post("/api/users/:id/2fa/reset", requireAuth, requireRole("superuser"), async (req, res) => {
+  if (String(req.params.id)===String(req.currentUser.id)) return res.status(400).json({ error:"Use your recovery codes to regain access to your own account" });
+  const { rows: cur } = await pool.query("SELECT totp_enabled,totp_enabled_at FROM users WHERE id=$1", [req.params.id]);
+  const { rows } = await pool.query("UPDATE users SET totp_enabled=false,totp_secret=NULL,totp_pending_secret=NULL,totp_last_step=NULL,totp_recovery_hashes='[]',totp_enabled_at=NULL WHERE id=$1 RETURNING id,username,society_id,totp_enabled,totp_enabled_at", [req.params.id]);
+  if (!rows.length) return res.status(404).json({ error:"User not found" });
+  await revokeUserSessions(rows[0].id);
+  await auditLog("2fa_reset", "user", rows[0].id, { username:rows[0].username }, req.currentUser, req.ip, rows[0].society_id, { before:cur[0], after:twoFactorState(rows[0]) });
+  return res.json({ reset:true });
+});
 app.post("/api/users/:id/resend-invite", requireAuth, requireRole("superuser"), async (req, res) => {
-  const token = crypto.randomBytes(32).toString("hex");
-  const expires = new Date(Date.now()+24*60*60*1000);
-  const { rows } = await pool.query("UPDATE users SET invite_token=$1,invite_expires=$2 WHERE id=$3 RETURNING *", [token, expires, req.params.id]);
+  const invite = newInvite();
+  const { rows } = await pool.query("UPDATE users SET invite_token_hash=$1,invite_expires=$2 WHERE id=$3 RETURNING *", [invite.hash, invite.expires, req.params.id]);
   if (!rows.length) return res.status(404).json({ error:"User not found" });
-  await sendInviteEmail(rows[0], token);
+  await sendInviteEmail(rows[0], invite.token);
+  await auditLog("resend_invite", "user", rows[0].id, { username:rows[0].username, email:rows[0].email }, req.currentUser, req.ip, rows[0].society_id);
   return res.json({ message:"Invite resent" });
 });
 
@@ -785,18 +3277,40 @@ app.get("/api/settings", requireApiKey, async (req, res) => {
 });
 app.post("/api/settings", requireAuth, requireRole("superuser"), async (req, res) => {
   const { key, value } = req.body;
+  const { rows: cur } = await pool.query("SELECT value FROM app_settings WHERE key=$1", [key]);
   await pool.query("INSERT INTO app_settings (key,value) VALUES ($1,$2) ON CONFLICT (key) DO UPDATE SET value=$2,updated_at=NOW()", [key, value]);
-  await auditLog("update_setting", "setting", key, {key, value: key==="logo_url"?"[image]":value}, req.currentUser, req.ip, null);
+  const shown = v => key==="logo_url" ? "[image]" : v;
+  await auditLog("update_setting", "setting", key, {key, value:shown(value)}, req.currentUser, req.ip, null,
+    { before:cur.length ? { value:shown(cur[0].value) } : null, after:{ value:shown(value) } });
   return res.json({ key, value });
 });
 
 // ── AUDIT LOGS ──
-app.get("/api/logs", requireAuth, async (req, res) => {
-  const { limit=100, offset=0, society_id, action } = req.query;
-  let where=[]; let params=[];
-  if (req.currentUser?.role==="admin") { params.push(req.currentUser.society_id); where.push(`society_id=$${params.length}`); }
-  else if (society_id) { params.push(society_id); where.push(`society_id=$${params.length}`); }
+// WHERE terms for the /api/logs filters (shared with the export); pushes their values onto params
+// user = id or username; q = free text over action, user, entity id, details and the before / after snapshots
+function logFilters(req, params) {
+  const { action, user, entity, entity_id, from, to, q } = req.query;
+  const where = [];
+  if (req.societyIds) { params.push(req.societyIds); where.push(`society_id=ANY($${params.length})`); }
   if (action) { params.push(action); where.push(`action=$${params.length}`); }
+  if (user) {
+    if (/^\d+$/.test(user)) { params.push(parseInt(user)); where.push(`user_id=$${params.length}`); }
+    else { params.push(user); where.push(`username=$${params.length}`); }
+  }
+  if (entity) { params.push(entity); where.push(`entity=$${params.length}`); }
+  if (entity_id) { params.push(String(entity_id)); where.push(`entity_id=$${params.length}`); }
+  if (from) { params.push(from); where.push(`created_at>=$${params.length}`); }
+  if (to)   { params.push(to);   where.push(`created_at<=$${params.length}`); }
+  if (q) {
+    params.push(`%${String(q).replace(/[\\%_]/g, "\\$&")}%`);
+    const n = params.length;
+    where.push(`(action ILIKE $${n} OR username ILIKE $${n} OR entity_id ILIKE $${n} OR details::text ILIKE $${n} OR before::text ILIKE $${n} OR after::text ILIKE $${n})`);
+  }
+  return where;
+}
+app.get("/api/logs", requireAuth, async (req, res) => {
+  const { limit=100, offset=0 } = req.query;
+  const params=[], where=logFilters(req, params);
   params.push(parseInt(limit)); params.push(parseInt(offset));
   const sql = `SELECT * FROM audit_logs ${where.length?"WHERE "+where.join(" AND "):""} ORDER BY created_at DESC LIMIT $${params.length-1} OFFSET $${params.length}`;
   const { rows } = await pool.query(sql, params);
@@ -805,117 +3319,405 @@ app.get("/api/logs", requireAuth, async (req, res) => {
   const { rows:cnt } = await pool.query(`SELECT COUNT(*) as total FROM audit_logs ${where.length?"WHERE "+where.join(" AND "):""}`, countParams);
   return res.json({ total:parseInt(cnt[0]?.total||0), logs:rows });
 });
+app.get("/api/logs/verify", requireAuth, requireRole("superuser"), async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+    await auditLog("verify_audit_log", "audit_log", null, { ok:result.ok, checked:result.checked, broken_at:result.broken_at||null }, req.currentUser, req.ip, null);
+    return res.json(result);
+  } catch(e) { console.error("Audit verify error:", e.message); return res.status(500).json({ error:"Verification failed" }); }
+});
 
 // ── EVENTS ──
+// WHERE terms for the /api/events filters (shared with the export); pushes their values onto params
+function eventFilters(req, params) {
+  const { event_type, camera_id, session_id, from, to } = req.query;
+  const where = [];
+  if (req.societyCodes) { params.push(req.societyCodes); where.push(`e.client_id=ANY($${params.length})`); }
+  if (event_type) { params.push(event_type); where.push(`e.event_type=$${params.length}`); }
+  if (camera_id) { params.push(camera_id); where.push(`e.camera_id=$${params.length}`); }
+  if (session_id) { params.push(parseInt(session_id)); where.push(`e.session_id=$${params.length}`); }
+  if (from) { params.push(from); where.push(`e.timestamp_utc>=$${params.length}`); }
+  if (to)   { params.push(to);   where.push(`e.timestamp_utc<=$${params.length}`); }
+  return where;
+}
+// Sessions overlapping [from, to]; event_type matches sessions that contain that type
+function sessionFilters(req, params) {
+  const { event_type, camera_id, from, to } = req.query;
+  const where = [];
+  if (req.societyCodes) { params.push(req.societyCodes); where.push(`a.society_code=ANY($${params.length})`); }
+  if (event_type) { params.push(event_type); where.push(`a.event_types ? $${params.length}`); }
+  if (camera_id) { params.push(camera_id); where.push(`a.camera_id=$${params.length}`); }
+  if (from) { params.push(from); where.push(`a.ended_at>=$${params.length}`); }
+  if (to)   { params.push(to);   where.push(`a.started_at<=$${params.length}`); }
+  return where;
+}
+// ?group=session lists activity sessions instead of single events (drill down with ?session_id=)
 app.get("/api/events", requireAuth, async (req, res) => {
-  const { client_id, event_type, camera_id, from, to, limit=200 } = req.query;
-  let where=[]; let params=[];
-  // Admins are scoped to their own society's code
-  const effectiveCid = req.currentUser?.role==="admin"
-    ? (await pool.query("SELECT code FROM societies WHERE id=$1",[req.currentUser.society_id])).rows[0]?.code
-    : client_id||null;
-  if (effectiveCid) { params.push(effectiveCid); where.push(`client_id=$${params.length}`); }
-  else if (client_id) { params.push(client_id); where.push(`client_id=$${params.length}`); }
-  if (event_type) { params.push(event_type); where.push(`event_type=$${params.length}`); }
-  if (camera_id) { params.push(camera_id); where.push(`camera_id=$${params.length}`); }
-  if (from) { params.push(from); where.push(`timestamp_utc>=$${params.length}`); }
-  if (to)   { params.push(to);   where.push(`timestamp_utc<=$${params.length}`); }
+  const { limit=200, group } = req.query;
+  if (group && group!=="session") return res.status(400).json({ error:"group must be session" });
+  if (group==="session") {
+    const params=[DEFAULT_TIMEZONE], where=sessionFilters(req, params);
+    params.push(parseInt(limit));
+    const local = col => `to_char(${col} AT TIME ZONE COALESCE(s.timezone,$1),'YYYY-MM-DD"T"HH24:MI:SS')`;
+    const { rows } = await pool.query(`
+      SELECT a.*,COALESCE(c.name,'Camera '||a.camera_id) as camera_location,s.timezone,${local("a.started_at")} as started_local,${local("a.ended_at")} as ended_local,
+        EXTRACT(EPOCH FROM a.ended_at-a.started_at)::int as duration_s
+      FROM activity_sessions a LEFT JOIN societies s ON s.code=a.society_code LEFT JOIN cameras c ON c.camera_uid=a.camera_id
+      ${where.length?"WHERE "+where.join(" AND "):""} ORDER BY a.started_at DESC LIMIT $${params.length}`, params);
+    return res.json({ total:rows.length, sessions:rows });
+  }
+  const params=[DEFAULT_TIMEZONE], where=eventFilters(req, params);
   params.push(parseInt(limit));
-  const { rows } = await pool.query(`SELECT * FROM events ${where.length?"WHERE "+where.join(" AND "):""} ORDER BY timestamp_utc DESC LIMIT $${params.length}`, params);
+  // Local time is derived on read from the owning society's timezone
+  const { rows } = await pool.query(`
+    SELECT e.*,s.timezone,to_char(e.timestamp_utc AT TIME ZONE COALESCE(s.timezone,$1),'YYYY-MM-DD"T"HH24:MI:SS') as timestamp_local
+    FROM events e LEFT JOIN societies s ON s.code=e.client_id
+    ${where.length?"WHERE "+where.join(" AND "):""} ORDER BY e.timestamp_utc DESC LIMIT $${params.length}`, params);
   return res.json({ total:rows.length, events:rows });
 });
 
+// ── EXPORTS (CSV / NDJSON) ──
+// Same filters and scoping as the list endpoints, without their row limit. Rows are read in id order one
+// page at a time and written as the client drains them, so a year of events never sits in memory.
+const EXPORT_BATCH = 1000;
+const EVENT_EXPORT_COLUMNS = ["id","event_uid","timestamp_utc","timestamp_local","timezone","client_id","camera_id","camera_location","event_type","event_type_raw",
+  "visitor_count","confidence","plate_number","vehicle_class","thumbnail_url","video_url","source_id","integration_id","session_id","received_at","metadata"];
+const LOG_EXPORT_COLUMNS = ["id","created_at","username","role","action","entity","entity_id","society_id","ip_address","details","before","after","prev_hash","hash"];
+
+// Quoted when needed; text starting like a formula is prefixed with ' so spreadsheets show it as text
+function csvCell(value) {
+  if (value==null) return "";
+  let s = value instanceof Date ? value.toISOString() : typeof value==="object" ? JSON.stringify(value) : String(value);
+  if (typeof value==="string" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => { res.off("drain", done); res.off("close", done); resolve(); };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+}
+// fetchPage(afterId, limit) -> rows ordered by id. Returns the number of rows written.
+// Once the first byte is out an error can only be signalled by cutting the response short.
+async function streamExport(req, res, { name, columns, fetchPage }) {
+  const format = req.query.format || "csv";
+  res.setHeader("Content-Type", format==="csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+  res.setHeader("Content-Disposition", `attachment; filename="${name}-${new Date().toISOString().slice(0,10)}.${format}"`);
+  let lastId = 0, count = 0;
+  try {
+    if (format==="csv") res.write("\ufeff" + columns.join(",") + "\r\n");    // BOM so Excel reads UTF-8
+    for (;;) {
+      const rows = await fetchPage(lastId, EXPORT_BATCH);
+      for (const row of rows) {
+        const line = format==="csv" ? columns.map(c => csvCell(row[c])).join(",") + "\r\n" : JSON.stringify(row) + "\n";
+        if (!res.write(line)) await drained(res);
+        if (res.destroyed) return count;
+      }
+      count += rows.length;
+      if (rows.length < EXPORT_BATCH) break;
+      lastId = rows[rows.length-1].id;
+    }
+    res.end();
+  } catch (err) {
+    console.error(`${name} export error:`, err.message);
+    res.destroy(err);
+  }
+  return count;
+}
+function exportFormatError(req) {
+  return ["csv","ndjson"].includes(req.query.format || "csv") ? null : "format must be csv or ndjson";
+}
+
+app.get("/api/events/export", requireAuth, async (req, res) => {
+  const invalid = exportFormatError(req);
+  if (invalid) return res.status(400).json({ error:invalid });
+  const params = [DEFAULT_TIMEZONE], where = eventFilters(req, params);
+  const rows = await streamExport(req, res, { name:"events", columns:EVENT_EXPORT_COLUMNS, fetchPage:async (afterId, limit) => (await pool.query(`
+    SELECT e.*,s.timezone,to_char(e.timestamp_utc AT TIME ZONE COALESCE(s.timezone,$1),'YYYY-MM-DD"T"HH24:MI:SS') as timestamp_local
+    FROM events e LEFT JOIN societies s ON s.code=e.client_id
+    WHERE ${[...where, `e.id>$${params.length+1}`].join(" AND ")} ORDER BY e.id LIMIT $${params.length+2}`, [...params, afterId, limit])).rows });
+  await auditLog("export_events", "event", null, { format:req.query.format||"csv", filters:req.query, rows }, req.currentUser, req.ip, req.societyIds?.length===1 ? req.societyIds[0] : null);
+});
+app.get("/api/logs/export", requireAuth, async (req, res) => {
+  const invalid = exportFormatError(req);
+  if (invalid) return res.status(400).json({ error:invalid });
+  const params = [], where = logFilters(req, params);
+  const rows = await streamExport(req, res, { name:"audit-logs", columns:LOG_EXPORT_COLUMNS, fetchPage:async (afterId, limit) => (await pool.query(
+    `SELECT * FROM audit_logs WHERE ${[...where, `id>$${params.length+1}`].join(" AND ")} ORDER BY id LIMIT $${params.length+2}`, [...params, afterId, limit])).rows });
+  await auditLog("export_logs", "audit_log", null, { format:req.query.format||"csv", filters:req.query, rows }, req.currentUser, req.ip, req.societyIds?.length===1 ? req.societyIds[0] : null);
+});
+
+// ── REPORTS (download) ──
+// The scheduled report content for one society (?society=id|code, optional for single-society users)
+// as a PDF (default) or standalone HTML page: ?format=pdf|html
+async function reportSociety(req, res) {
+  if (!req.societyIds || req.societyIds.length!==1) { res.status(400).json({ error:"Choose a society with ?society=" }); return null; }
+  const { rows } = await pool.query("SELECT * FROM societies WHERE id=$1", [req.societyIds[0]]);
+  return rows[0];
+}
+function sendReport(res, format, filename, message, pdf) {
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
+  if (format==="html") return res.type("html").send(`<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(message.subject)}</title></head><body style="background:#e2e8f0;padding:24px">${message.html}</body></html>`);
+  return res.type("application/pdf").send(pdf());
+}
+// ?date=YYYY-MM-DD for a past local day; without it, the last 24 hours exactly as emailed
+app.get("/api/reports/daily", requireAuth, async (req, res) => {
+  const { date, format="pdf" } = req.query;
+  if (!["pdf","html"].includes(format)) return res.status(400).json({ error:"format must be pdf or html" });
+  if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) return res.status(400).json({ error:"date must be YYYY-MM-DD" });
+  const society = await reportSociety(req, res);
+  if (!society) return;
+  if (date && date > localStamp(society.timezone).slice(0,10)) return res.status(400).json({ error:"date is in the future" });
+  try {
+    const data = await dailyReportData(society, date || null);
+    return sendReport(res, format, `daily-report-${society.code}-${date || localStamp(society.timezone).slice(0,10)}`, dailyReportEmail(data), () => dailyReportPdf(data));
+  } catch (err) {
+    console.error("Daily report error:", err.message);
+    return res.status(500).json({ error:"Report failed" });
+  }
+});
+// ?month=YYYY-MM, default the last complete month
+app.get("/api/reports/monthly", requireAuth, async (req, res) => {
+  const { format="pdf" } = req.query;
+  if (!["pdf","html"].includes(format)) return res.status(400).json({ error:"format must be pdf or html" });
+  if (req.query.month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(req.query.month)) return res.status(400).json({ error:"month must be YYYY-MM" });
+  const society = await reportSociety(req, res);
+  if (!society) return;
+  const thisMonth = localStamp(society.timezone).slice(0,7);
+  const month = req.query.month || shiftDays(`${thisMonth}-01`, -1).slice(0,7);
+  if (month > thisMonth) return res.status(400).json({ error:"month is in the future" });
+  try {
+    const data = await monthlyReportData(society, month);
+    return sendReport(res, format, `monthly-report-${society.code}-${month}`, monthlyReportEmail(data), () => monthlyReportPdf(data));
+  } catch (err) {
+    console.error("Monthly report error:", err.message);
+    return res.status(500).json({ error:"Report failed" });
+  }
+});
+
+// ── EVIDENCE (event media) ──
+app.get("/api/events/:id/media", requireAuth, async (req, res) => {
+  const { rows: ev } = await pool.query("SELECT id FROM events WHERE id=$1 AND ($2::text[] IS NULL OR client_id=ANY($2))", [parseInt(req.params.id)||0, req.societyCodes]);
+  if (!ev.length) return res.status(404).json({ error:"Event not found" });
+  const { rows } = await pool.query("SELECT * FROM event_media WHERE event_id=$1 ORDER BY kind,id", [ev[0].id]);
+  return res.json({ event_id:ev[0].id, expires_in:MEDIA_URL_TTL_S, media:rows.map(m => ({
+    id:m.id, kind:m.kind, status:m.status, content_type:m.content_type, bytes:m.bytes==null ? null : parseInt(m.bytes), sha256:m.sha256,
+    retention_tag:m.retention_tag, retain_until:m.retain_until, stored_at:m.stored_at, url:mediaUrl(m),
+    ...(m.status==="stored" ? {} : { source_url:m.source_url, last_error:m.last_error }),
+  })) });
+});
+// Legal hold and release; scoped to the caller's societies
+app.put("/api/event-media/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { retention_tag } = req.body;
+  if (!MEDIA_TAGS.includes(retention_tag)) return res.status(400).json({ error:`retention_tag must be one of: ${MEDIA_TAGS.join(", ")}` });
+  const { rows: cur } = await pool.query("SELECT retention_tag,retain_until FROM event_media WHERE id=$1", [parseInt(req.params.id)||0]);
+  const { rows } = await pool.query("UPDATE event_media SET retention_tag=$1 WHERE id=$2 AND ($3::text[] IS NULL OR society_code=ANY($3)) RETURNING id,event_id,society_code,retention_tag,retain_until",
+    [retention_tag, parseInt(req.params.id)||0, req.societyCodes]);
+  if (!rows.length) return res.status(404).json({ error:"Media not found" });
+  const { rows: soc } = await pool.query("SELECT id FROM societies WHERE code=$1", [rows[0].society_code]);
+  await auditLog("update_media_retention", "event_media", rows[0].id, { event_id:rows[0].event_id, retention_tag }, req.currentUser, req.ip, soc[0]?.id||null,
+    { before:cur[0], after:{ retention_tag:rows[0].retention_tag, retain_until:rows[0].retain_until } });
+  return res.json(rows[0]);
+});
+// Target of the signed URLs handed out for local storage — the signature is the only credential
+app.get("/media/:id", async (req, res) => {
+  const expires = parseInt(req.query.expires), sig = String(req.query.signature||"");
+  const expected = mediaSignature(req.params.id, expires);
+  if (!expires || expires*1000 < Date.now() || sig.length!==expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected)))
+    return res.status(403).json({ error:"Link expired or invalid" });
+  const { rows } = await pool.query("SELECT * FROM event_media WHERE id=$1 AND status='stored'", [parseInt(req.params.id)||0]);
+  if (!rows.length || rows[0].storage!==storage.name || !storage.read) return res.status(404).json({ error:"Media not found" });
+  const m = rows[0];
+  res.set({ "Content-Type":m.content_type, "Content-Length":m.bytes, "Cache-Control":`private, max-age=${MEDIA_URL_TTL_S}`,
+    "X-Content-Type-Options":"nosniff", "Content-Disposition":`inline; filename="${path.basename(m.object_key)}"` });
+  storage.read(m.object_key).on("error", e => { console.error("Media read error:", e.message); res.destroy(e); }).pipe(res);
+});
+
+// ── GET /api/stream (Server-Sent Events) ──
+// Same scoping as /api/events: non-superusers only receive their own societies' items.
+// The stream closes when the access token expires; clients reconnect with a fresh token and Last-Event-ID.
+app.get("/api/stream", tokenFromQuery, requireAuth, async (req, res) => {
+  const societyCodes = req.societyCodes;
+  const lastId = parseInt(req.headers["last-event-id"] || req.query.last_event_id) || 0;
+  res.writeHead(200, { "Content-Type":"text/event-stream", "Cache-Control":"no-cache", "Connection":"keep-alive", "X-Accel-Buffering":"no" });
+  res.write("retry: 5000\n\n");
+  // Buffer live items while replaying so nothing is lost or sent twice around the resume point
+  const client = { res, societyCodes, buffer:[] };
+  streamClients.add(client);
+  let sent = lastId;
+  try {
+    if (lastId) {
+      const { rows } = await pool.query("SELECT * FROM stream_events WHERE id>$1 AND ($2::text[] IS NULL OR society_code=ANY($2)) ORDER BY id LIMIT 1000", [lastId, societyCodes]);
+      for (const row of rows) { res.write(formatStreamEvent(row)); sent = parseInt(row.id); }
+    }
+  } catch(e) { console.error("Stream replay error:", e.message); }
+  const buffered = client.buffer;
+  client.buffer = null;
+  for (const row of buffered) if (parseInt(row.id) > sent) writeStreamEvent(client, row);
+  const ping = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+  const expire = setTimeout(() => res.end(), Math.max(req.tokenExpiresAt - Date.now(), 0));
+  req.on("close", () => { clearInterval(ping); clearTimeout(expire); streamClients.delete(client); });
+});
+
+// ── ANALYTICS ──
+// ?from=&to= local dates/times (to exclusive; default the last 7 days), granularity=hour|day|week|month,
+// group_by=society,camera,event_type, event_types=a,b, tz=IANA zone, society=id|code
+app.get("/api/analytics", requireAuth, async (req, res) => {
+  const { granularity="day" } = req.query;
+  const tz = req.query.tz || await defaultTimezone(req.societyCodes);
+  const list = v => String(v||"").split(",").map(x => x.trim()).filter(Boolean);
+  const groupBy = list(req.query.group_by);
+  const eventTypes = list(req.query.event_types);
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) return res.status(400).json({ error:`granularity must be one of: ${ANALYTICS_GRANULARITIES.join(", ")}` });
+  if (!isTimeZone(tz)) return res.status(400).json({ error:"Unknown timezone" });
+  const badGroup = groupBy.find(g => !ANALYTICS_GROUPS[g]);
+  if (badGroup) return res.status(400).json({ error:`Cannot group by ${badGroup}; use ${Object.keys(ANALYTICS_GROUPS).join(", ")}` });
+  const today = localStamp(tz).slice(0,10);
+  const from = req.query.from || shiftDays(today, -6);
+  const to = req.query.to || shiftDays(today, 1);
+  if (!LOCAL_TS_RE.test(from) || !LOCAL_TS_RE.test(to)) return res.status(400).json({ error:"from/to must be YYYY-MM-DD or YYYY-MM-DDTHH:MM" });
+  if (new Date(`${to.slice(0,10)}T00:00:00Z`) - new Date(`${from.slice(0,10)}T00:00:00Z`) > 366*24*60*60*1000) return res.status(400).json({ error:"Range cannot exceed 366 days" });
+  if (from >= to) return res.status(400).json({ error:"from must be before to" });
+  try {
+    const series = await queryAnalytics({ codes:req.societyCodes, from, to, granularity, groupBy, eventTypes:eventTypes.length ? eventTypes : null, tz });
+    const totals = series.reduce((t, r) => ({ events:t.events+r.events, visitors:t.visitors+r.visitors }), { events:0, visitors:0 });
+    return res.json({ timezone:tz, granularity, from, to, group_by:groupBy, event_types:eventTypes, totals, series });
+  } catch (err) {
+    console.error("Analytics error:", err.message);
+    return res.status(500).json({ error:"Analytics query failed" });
+  }
+});
+
 // ── STATS ──
 app.get("/api/stats", requireAuth, async (req, res) => {
-  const { client_id } = req.query;
-  // If admin, always scope to their society code regardless of query param
-  let resolvedCid = client_id ? String(client_id).replace(/[^A-Za-z0-9_-]/g,"") : null;
-  if (req.currentUser?.role === "admin" && req.currentUser.society_id) {
-    const { rows: socRows } = await pool.query("SELECT code FROM societies WHERE id=$1", [req.currentUser.society_id]);
-    if (socRows[0]) resolvedCid = socRows[0].code;
-  }
-  const cid = resolvedCid ? `AND client_id='${resolvedCid}'` : "";
-  const vt  = `('person_detected','vehicle_detected','crowd_detected')`;
-  try {
-    const [todayR,yestR,weekR,camsR,downR,countR] = await Promise.all([
-      pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=(NOW()-INTERVAL '5 hours 30 minutes')::date ${cid}`),
-      pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=((NOW()-INTERVAL '5 hours 30 minutes')::date-INTERVAL '1 day') ${cid}`),
-      pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND timestamp_utc>=NOW()-INTERVAL '7 days' ${cid}`),
-      pool.query(`SELECT e.camera_id,COALESCE(c.name,'Camera '||e.camera_id) as location,COUNT(*) as count FROM events e LEFT JOIN cameras c ON c.camera_uid=e.camera_id WHERE e.timestamp_utc>=NOW()-INTERVAL '7 days' ${cid} GROUP BY e.camera_id,c.name ORDER BY count DESC`),
-      pool.query(`SELECT e.camera_id,COALESCE(c.name,'Camera '||e.camera_id) as location,COUNT(*) as incidents,COUNT(*)*30 as downtime_minutes FROM events e LEFT JOIN cameras c ON c.camera_uid=e.camera_id WHERE e.event_type='camera_offline' ${cid} GROUP BY e.camera_id,c.name`),
-      pool.query("SELECT COUNT(*) as total FROM events"),
+  const codes = req.societyCodes;
+  const tz = await defaultTimezone(codes);
+  const today = localStamp(tz).slice(0,10), yesterday = shiftDays(today, -1), tomorrow = shiftDays(today, 1);
+  try {
+    const [hourlyR, dailyR, camsR, downR, countR] = await Promise.all([
+      queryAnalytics({ codes, from:yesterday, to:tomorrow, granularity:"hour", eventTypes:VISITOR_EVENT_TYPES, tz }),
+      queryAnalytics({ codes, from:shiftDays(today, -6), to:tomorrow, granularity:"day", eventTypes:VISITOR_EVENT_TYPES, tz }),
+      queryAnalytics({ codes, from:shiftDays(today, -6), to:tomorrow, granularity:"day", groupBy:["camera"], tz }),
+      getDowntime(7, codes),
+      pool.query("SELECT COUNT(*) as total FROM events WHERE ($1::text[] IS NULL OR client_id=ANY($1))", [codes]),
     ]);
+    const byHour = {}, byDay = {};
+    hourlyR.forEach(r => byHour[r.bucket] = r.visitors);
+    dailyR.forEach(r => byDay[r.bucket.slice(0,10)] = r.visitors);
     const hourly=[];
     for (let h=5;h<=22;h++) {
-      const [t,y]=await Promise.all([
-        pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND EXTRACT(HOUR FROM (timestamp_utc+INTERVAL '5 hours 30 minutes'))=$1 AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=(NOW()-INTERVAL '5 hours 30 minutes')::date ${cid}`,[h]),
-        pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND EXTRACT(HOUR FROM (timestamp_utc+INTERVAL '5 hours 30 minutes'))=$1 AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=((NOW()-INTERVAL '5 hours 30 minutes')::date-INTERVAL '1 day') ${cid}`,[h]),
-      ]);
-      hourly.push({hour:h,label:`${h}:00`,today:parseInt(t.rows[0].v),yesterday:parseInt(y.rows[0].v)});
+      const hh = String(h).padStart(2,"0");
+      hourly.push({hour:h,label:`${h}:00`,today:byHour[`${today}T${hh}:00:00`]||0,yesterday:byHour[`${yesterday}T${hh}:00:00`]||0});
     }
     const weekly=[];
     for (let i=6;i>=0;i--) {
-      const {rows}=await pool.query(`SELECT COALESCE(SUM(visitor_count),0) as v FROM events WHERE event_type IN ${vt} AND (timestamp_utc+INTERVAL '5 hours 30 minutes')::date=((NOW()-INTERVAL '5 hours 30 minutes')::date-($1*INTERVAL '1 day')::interval) ${cid}`,[i]);
-      const d=new Date(Date.now()+IST_OFFSET_MS); d.setDate(d.getDate()-i);
-      weekly.push({label:d.toLocaleDateString("en-IN",{weekday:"short",day:"numeric"}),visitors:parseInt(rows[0]?.v||0)});
+      const day = shiftDays(today, -i);
+      weekly.push({label:new Date(`${day}T00:00:00Z`).toLocaleDateString("en-IN",{weekday:"short",day:"numeric",timeZone:"UTC"}),visitors:byDay[day]||0});
     }
     return res.json({
-      generated_at_ist:toIST(new Date().toISOString()),
-      visitors:{today:parseInt(todayR.rows[0].v),yesterday:parseInt(yestR.rows[0].v),week:parseInt(weekR.rows[0].v)},
-      camera_activity:camsR.rows.map(r=>({...r,count:parseInt(r.count)})),
-      downtime:downR.rows.map(r=>({...r,incidents:parseInt(r.incidents),downtime_minutes:parseInt(r.downtime_minutes)})),
+      generated_at:new Date().toISOString(), timezone:tz,
+      visitors:{today:byDay[today]||0,yesterday:byDay[yesterday]||0,week:dailyR.reduce((n,r)=>n+r.visitors,0)},
+      camera_activity:await cameraActivity(camsR),
+      downtime:downR.map(r=>({...r,uptime_pct:uptimePct(r.downtime_minutes,7)})),
       trends:{hourly,weekly},
       total_events_stored:parseInt(countR.rows[0].total),
     });
   } catch (err) { return res.status(500).json({ error:err.message }); }
 });
 
-app.delete("/api/events", requireAuth, requireRole("superuser"), async (req,res) => {
-  const {rows}=await pool.query("SELECT COUNT(*) as total FROM events");
-  await pool.query("DELETE FROM events");
-  return res.json({ cleared:parseInt(rows[0].total) });
-});
-
-// ── POST /api/ai-insights ──
-app.post("/api/ai-insights", requireAuth, async (req, res) => {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return res.status(503).json({ error: "AI insights not configured. Add ANTHROPIC_API_KEY to environment." });
-  try {
-    const { prompt } = req.body;
-    if (!prompt) return res.status(400).json({ error: "Missing prompt" });
-    const response = await fetch("https://api.anthropic.com/v1/messages", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-api-key": apiKey,
-        "anthropic-version": "2023-06-01"
-      },
-      body: JSON.stringify({
-        model: "claude-haiku-4-5-20251001",
-        max_tokens: 1500,
-        messages: [{ role: "user", content: prompt }]
-      })
-    });
-    const data = await response.json();
-    if (!response.ok) throw new Error(data.error?.message || JSON.stringify(data));
-    const text = data.content?.map(c => c.text || "").join("") || "";
-    return res.json({ result: text });
+// ── POST /api/events/purge ──
+// Scoped like /api/events (?society=). Body: from, to (ISO timestamps), event_types[], archive (default: on when
+// RETENTION_ARCHIVE_DIR is set). Without confirm_token (or with dry_run) nothing is deleted: the answer carries the
+// counts and a confirm_token valid for these exact filters, to be sent back to run the purge.
+app.post("/api/events/purge", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { from=null, to=null, event_types=null, dry_run, confirm_token } = req.body;
+  const archive = req.body.archive ?? !!RETENTION_ARCHIVE_DIR;
+  if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) return res.status(400).json({ error:"from/to must be ISO timestamps" });
+  if (from && to && Date.parse(from) >= Date.parse(to)) return res.status(400).json({ error:"from must be before to" });
+  if (event_types!==null && (!Array.isArray(event_types) || !event_types.length)) return res.status(400).json({ error:"event_types must be a non-empty list" });
+  if (archive && !RETENTION_ARCHIVE_DIR) return res.status(400).json({ error:"Archiving needs RETENTION_ARCHIVE_DIR to be configured" });
+  const filter = { codes:req.societyCodes, event_types, from, to };
+  const digest = hashToken(JSON.stringify({ ...filter, archive:!!archive }));
+  try {
+    if (dry_run || !confirm_token) {
+      const counts = await countPurge(filter);
+      const confirm = signToken({ sub:req.currentUser.id, purge:digest, exp:Math.floor(Date.now()/1000)+PURGE_CONFIRM_TTL_S });
+      return res.json({ dry_run:true, ...counts, archive:!!archive, confirm_token:confirm, expires_in:PURGE_CONFIRM_TTL_S });
+    }
+    const claims = verifySignedToken(confirm_token);
+    if (!claims || claims.sub!==req.currentUser.id || claims.purge!==digest)
+      return res.status(400).json({ error:"Confirmation expired or does not match these filters — run a dry run again" });
+    const archiveFile = archive ? archivePath(req.societyCodes?.length===1 ? req.societyCodes[0] : "multi") : null;
+    const deleted = await purgeEvents(filter, archiveFile);
+    await auditLog("purge_events", "event", null, { societies:req.societyCodes||"all", event_types, from, to, deleted, archive_file:deleted ? archiveFile : null },
+      req.currentUser, req.ip, req.societyIds?.length===1 ? req.societyIds[0] : null);
+    return res.json({ deleted, archive_file:deleted ? archiveFile : null });
+  } catch (err) {
+    console.error("Event purge error:", err.message);
+    return res.status(500).json({ error:"Purge failed" });
+  }
+});
+// Replaced by the scoped, confirmed purge above
+app.delete("/api/events", requireAuth, (req, res) => res.status(410).json({ error:"Use POST /api/events/purge (dry run first, then confirm)" }));
+
+// ── AI INSIGHTS ──
+// History for one society (?society=, optional for single-society users), newest first, with this month's usage
+app.get("/api/ai-insights", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const society = await reportSociety(req, res);
+  if (!society) return;
+  const { limit=20 } = req.query;
+  const { rows } = await pool.query(`
+    SELECT i.id,i.kind,i.status,i.period_from,i.period_to,i.provider,i.model,i.summary,i.insights,i.attempts,i.input_tokens,i.output_tokens,i.error,i.created_at,u.username as requested_by
+    FROM ai_insights i LEFT JOIN users u ON u.id=i.requested_by
+    WHERE i.society_id=$1 ORDER BY i.created_at DESC LIMIT $2`, [society.id, Math.min(parseInt(limit)||20, 200)]);
+  return res.json({ society:society.code, usage:await aiUsage(society), insights:rows });
+});
+// One run including the exact context the model was given
+app.get("/api/ai-insights/:id", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  const { rows } = await pool.query("SELECT * FROM ai_insights WHERE id=$1", [req.params.id]);
+  if (!rows.length || !hasSocietyAccess(req, rows[0].society_id)) return res.status(404).json({ error:"Insight set not found" });
+  return res.json(rows[0]);
+});
+// Generates a new insight set from the last `days` days (default 7) of the society's data
+app.post("/api/ai-insights", requireAuth, requireRole("superuser","admin"), async (req, res) => {
+  if (!aiProvider) return res.status(503).json({ error:"AI insights not configured. Set AI_PROVIDER or ANTHROPIC_API_KEY." });
+  if (req.body.prompt!==undefined) return res.status(400).json({ error:"Prompts are no longer accepted — insights are built from the society's data" });
+  const days = parseInt(req.body.days || 7);
+  if (!(days>=1 && days<=AI_MAX_DAYS)) return res.status(400).json({ error:`days must be 1-${AI_MAX_DAYS}` });
+  const society = await reportSociety(req, res);
+  if (!society) return;
+  try {
+    const usage = await aiUsage(society);
+    if (usage.used >= usage.limit) return res.status(429).json({ error:`Monthly AI insight quota reached (${usage.limit})`, usage });
+    const run = await generateInsights(society, { kind:"on_demand", days, user:req.currentUser });
+    await auditLog("generate_ai_insights", "ai_insights", run.id, {days, status:run.status, attempts:run.attempts}, req.currentUser, req.ip, society.id);
+    if (run.status!=="ok") return res.status(502).json({ error:"The AI provider did not return valid insights", id:run.id, detail:run.error });
+    return res.json(run);
   } catch (err) {
     console.error("AI insights error:", err.message);
-    return res.status(500).json({ error: err.message });
+    return res.status(500).json({ error:"Failed to generate insights" });
   }
 });
 
 app.get("/health", async (_,res) => {
   const {rows}=await pool.query("SELECT COUNT(*) as total FROM events");
-  return res.json({ status:"ok", events_stored:parseInt(rows[0].total), time_ist:toIST(new Date().toISOString()), database:"PostgreSQL", email_alerts:(process.env.SENDGRID_API_KEY||process.env.RESEND_API_KEY)?"enabled":"disabled" });
+  return res.json({ status:"ok", events_stored:parseInt(rows[0].total), time_utc:new Date().toISOString(), database:"PostgreSQL", email_transport:mailer.name, media_storage:storage.name, ai_provider:aiProvider?.name || null });
 });
 
 // ── START ──
-initDB().then(()=>{
-  scheduleDailyReport();
+// Required as a module (tests) this only builds the app; `node server.js` also checks migrations, runs the scheduler and listens
+if (require.main===module) initDB().then(async ()=>{
+  await syncJobs();
+  setInterval(() => runDueJobs().catch(e => console.log("Job scheduler tick failed:", e.message)), JOB_TICK_MS);
+  listenForStreamEvents();
+  startKeepAlive();
   app.listen(PORT,()=>{
     console.log(`SocietyGuard v3 running on port ${PORT}`);
-    console.log(`Email: ${process.env.SENDGRID_API_KEY?"enabled (SendGrid)":process.env.RESEND_API_KEY?"enabled (Resend)":"disabled"}`);
+    console.log(`Email transport: ${mailer.name}`);
+    console.log(`Evidence storage: ${storage.name}`);
+    console.log(`AI insights: ${aiProvider ? `${aiProvider.name} (${aiProvider.model})` : "off"}`);
   });
-}).catch(err=>{ console.error("DB init failed:",err.message); process.exit(1); });
+}).catch(err=>{ console.error("Startup failed:",err.message); process.exit(1); });
+
+module.exports = { app, signAccessToken, deliverNotification, parseCron, nextCronRun };
@@ -0,0 +1,118 @@
+/**
+ * SocietyGuard - evidence storage backends
+ *
+ * A backend is { name, put(key, body, contentType), remove(key), read(key) | presign(key, ttlSeconds, opts) }.
+ *   local   files under MEDIA_DIR; read() returns a stream and the app serves it behind its own signed URL
+ *   s3      any S3-compatible store (AWS S3, MinIO, R2 …) via SigV4; presign() returns a time-limited GET URL
+ * MEDIA_STORAGE picks one explicitly; otherwise s3 when S3_BUCKET is set, else local.
+ * S3 settings: S3_BUCKET, S3_REGION (default us-east-1), S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_ENDPOINT
+ * (e.g. http://minio:9000; default AWS) and S3_FORCE_PATH_STYLE (default true when S3_ENDPOINT is set).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+function localStorage(env) {
+  const root = path.resolve(env.MEDIA_DIR || path.join(os.tmpdir(), "societyguard-media"));
+  // Keys are generated by the app, but never let one climb out of the media directory
+  const file = key => {
+    const p = path.resolve(root, key);
+    if (!p.startsWith(root + path.sep)) throw new Error(`Invalid media key "${key}"`);
+    return p;
+  };
+  return {
+    name: "local",
+    async put(key, body) {
+      await fs.promises.mkdir(path.dirname(file(key)), { recursive:true });
+      await fs.promises.writeFile(file(key), body);
+    },
+    async remove(key) {
+      await fs.promises.rm(file(key), { force:true });
+    },
+    read(key) {
+      return fs.createReadStream(file(key));
+    },
+  };
+}
+
+const sha256 = data => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+// RFC 3986 encoding as SigV4 wants it; "/" is kept inside object keys
+function encode(s, keepSlash=false) {
+  const e = encodeURIComponent(s).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+  return keepSlash ? e.replace(/%2F/g, "/") : e;
+}
+
+function s3Storage(env) {
+  const region = env.S3_REGION || "us-east-1";
+  const bucket = env.S3_BUCKET;
+  const endpoint = new URL(env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "true" : !!env.S3_ENDPOINT;
+  const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const objectPath = key => `${endpoint.pathname.replace(/\/$/, "")}${pathStyle ? `/${bucket}` : ""}/${encode(key, true)}`;
+
+  // Signature for a canonical request; query is a plain object, headers must include host
+  function sign({ method, pathname, query, headers, payloadHash, amzDate }) {
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const canonicalQuery = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join("&");
+    const canonical = [method, pathname, canonicalQuery, names.map(n => `${n}:${lower[n]}\n`).join(""), names.join(";"), payloadHash].join("\n");
+    const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join("\n");
+    const key = ["s3", "aws4_request"].reduce(hmac, hmac(hmac(`AWS4${env.S3_SECRET_ACCESS_KEY}`, day), region));
+    return { scope, signedHeaders:names.join(";"), signature:crypto.createHmac("sha256", key).update(toSign).digest("hex") };
+  }
+  const stamp = (now=new Date()) => now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+  async function request(method, key, body=null, extraHeaders={}) {
+    const amzDate = stamp(), payloadHash = sha256(body || "");
+    const headers = { host, "x-amz-date":amzDate, "x-amz-content-sha256":payloadHash, ...extraHeaders };
+    const { scope, signedHeaders, signature } = sign({ method, pathname:objectPath(key), query:{}, headers, payloadHash, amzDate });
+    const { host: _, ...sent } = headers;
+    const res = await fetch(`${endpoint.protocol}//${host}${objectPath(key)}`, {
+      method, body, signal:AbortSignal.timeout(60*1000),
+      headers: { ...sent, Authorization:`AWS4-HMAC-SHA256 Credential=${env.S3_ACCESS_KEY_ID}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}` },
+    });
+    if (!res.ok && !(method==="DELETE" && res.status===404)) throw new Error(`S3 ${method} ${res.status}: ${(await res.text()).slice(0, 300)}`);
+    return res;
+  }
+
+  return {
+    name: "s3",
+    async put(key, body, contentType) {
+      await request("PUT", key, body, { "content-type":contentType || "application/octet-stream" });
+    },
+    async remove(key) {
+      await request("DELETE", key);
+    },
+    // Query-string signed GET; filename sets the download name via response-content-disposition
+    presign(key, ttlSeconds, { filename=null, now=new Date() }={}) {
+      const amzDate = stamp(now);
+      const query = {
+        "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+        "X-Amz-Credential": `${env.S3_ACCESS_KEY_ID}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+        "X-Amz-Date": amzDate,
+        "X-Amz-Expires": String(ttlSeconds),
+        "X-Amz-SignedHeaders": "host",
+        ...(filename ? { "response-content-disposition":`inline; filename="${filename}"` } : {}),
+      };
+      const { signature } = sign({ method:"GET", pathname:objectPath(key), query, headers:{ host }, payloadHash:"UNSIGNED-PAYLOAD", amzDate });
+      const qs = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join("&");
+      return `${endpoint.protocol}//${host}${objectPath(key)}?${qs}&X-Amz-Signature=${signature}`;
+    },
+  };
+}
+
+const BACKENDS = { local:localStorage, s3:s3Storage };
+
+function selectStorage(env=process.env) {
+  const name = (env.MEDIA_STORAGE || (env.S3_BUCKET ? "s3" : "local")).toLowerCase();
+  if (!BACKENDS[name]) throw new Error(`Unknown MEDIA_STORAGE "${name}" (use ${Object.keys(BACKENDS).join(", ")})`);
+  if (name==="s3" && !(env.S3_BUCKET && env.S3_ACCESS_KEY_ID && env.S3_SECRET_ACCESS_KEY)) throw new Error("S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY");
+  return BACKENDS[name](env);
+}
+
+module.exports = { selectStorage };
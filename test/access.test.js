@@ -0,0 +1,216 @@
+// Who can reach which route (user-011 society scoping, role checks, resident deny-by-default)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { app, db, start, stop, addUser, installAuth, request } = require("./support/server");
+const { signAccessToken } = require("../server");
+
+// s = superuser, a = admin, g = any other staff role (guard), r = resident; "public" = no session needed
+const ACCESS = {
+  "POST /webhook":                              "public",
+  "POST /webhook/:vendor":                      "public",
+  "POST /api/login":                            "public",
+  "POST /api/login/2fa":                        "public",
+  "POST /api/token/refresh":                    "public",
+  "POST /api/logout":                           "sagr",
+  "GET /api/me":                                "sagr",
+  "POST /api/set-password":                     "public",
+  "POST /api/forgot-password":                  "public",
+  "POST /api/reset-password":                   "public",
+  "POST /api/change-password":                  "sagr",
+  "GET /api/2fa":                               "sa",
+  "POST /api/2fa/enroll":                       "sa",
+  "POST /api/2fa/verify":                       "sa",
+  "POST /api/2fa/recovery-codes":               "sa",
+  "POST /api/2fa/disable":                      "sa",
+  "GET /api/societies":                         "sag",
+  "POST /api/societies":                        "s",
+  "PUT /api/societies/:id":                     "s",
+  "DELETE /api/societies/:id":                  "s",
+  "GET /api/wings":                             "sag",
+  "POST /api/wings":                            "sa",
+  "PUT /api/wings/:id":                         "sa",
+  "DELETE /api/wings/:id":                      "sa",
+  "GET /api/flats":                             "sa",
+  "POST /api/flats":                            "sa",
+  "PUT /api/flats/:id":                         "sa",
+  "DELETE /api/flats/:id":                      "sa",
+  "GET /api/residents":                         "sa",
+  "POST /api/residents":                        "sa",
+  "POST /api/residents/:id/invite":             "sa",
+  "PUT /api/residents/:id":                     "sa",
+  "DELETE /api/residents/:id":                  "sa",
+  "GET /api/notices":                           "sagr",
+  "POST /api/notices":                          "sa",
+  "DELETE /api/notices/:id":                    "sa",
+  "GET /api/cameras":                           "sag",
+  "GET /api/cameras/:id/health":                "sag",
+  "POST /api/cameras":                          "s",
+  "PUT /api/cameras/:id":                       "s",
+  "DELETE /api/cameras/:id":                    "s",
+  "GET /api/integrations":                      "s",
+  "POST /api/integrations":                     "s",
+  "PUT /api/integrations/:id":                  "s",
+  "POST /api/integrations/:id/rotate-secret":   "s",
+  "DELETE /api/integrations/:id":               "s",
+  "GET /api/quarantine":                        "s",
+  "POST /api/quarantine/:id/release":           "s",
+  "POST /api/quarantine/:id/dismiss":           "s",
+  "GET /api/ingest-log":                        "sa",
+  "GET /api/alert-rules":                       "sa",
+  "POST /api/alert-rules":                      "sa",
+  "PUT /api/alert-rules/:id":                   "sa",
+  "DELETE /api/alert-rules/:id":                "sa",
+  "GET /api/alert-history":                     "sa",
+  "GET /api/me/notifications":                  "sag",
+  "PUT /api/me/notifications":                  "sag",
+  "POST /api/me/notifications/test":            "sag",
+  "GET /api/notification-webhooks":             "sa",
+  "POST /api/notification-webhooks":            "sa",
+  "PUT /api/notification-webhooks/:id":         "sa",
+  "DELETE /api/notification-webhooks/:id":      "sa",
+  "POST /api/notification-webhooks/:id/test":   "sa",
+  "GET /api/notification-deliveries":           "sa",
+  "GET /api/visitors":                          "sagr",
+  "POST /api/visitors":                         "sar",
+  "POST /api/visitors/verify":                  "sag",
+  "POST /api/visitors/check-in":                "sag",
+  "POST /api/visitors/walk-in":                 "sag",
+  "POST /api/visitors/:id/check-out":           "sag",
+  "DELETE /api/visitors/:id":                   "sar",
+  "GET /api/vehicles":                          "sagr",
+  "POST /api/vehicles":                         "sa",
+  "PUT /api/vehicles/:id":                      "sa",
+  "DELETE /api/vehicles/:id":                   "sa",
+  "GET /api/vehicles/:plate/history":           "sag",
+  "GET /api/incidents":                         "sag",
+  "GET /api/incidents/:id":                     "sag",
+  "POST /api/incidents":                        "sag",
+  "PUT /api/incidents/:id":                     "sag",
+  "POST /api/incidents/:id/acknowledge":        "sag",
+  "POST /api/incidents/:id/assign":             "sag",
+  "POST /api/incidents/:id/resolve":            "sag",
+  "POST /api/incidents/:id/reopen":             "sag",
+  "POST /api/incidents/:id/notes":              "sag",
+  "POST /api/incidents/:id/events":             "sag",
+  "GET /api/jobs":                              "sa",
+  "POST /api/jobs/:id/run":                     "sa",
+  "GET /api/emails":                            "s",
+  "GET /api/emails/:id":                        "s",
+  "POST /api/emails/:id/retry":                 "s",
+  "GET /api/unmapped-event-types":              "s",
+  "GET /api/users":                             "s",
+  "POST /api/users":                            "s",
+  "PUT /api/users/:id":                         "s",
+  "DELETE /api/users/:id":                      "s",
+  "POST /api/users/:id/2fa/reset":              "s",
+  "POST /api/users/:id/resend-invite":          "s",
+  "GET /api/settings":                          "api-key",
+  "POST /api/settings":                         "s",
+  "GET /api/logs":                              "sag",
+  "GET /api/logs/verify":                       "s",
+  "GET /api/events":                            "sag",
+  "GET /api/events/export":                     "sag",
+  "GET /api/logs/export":                       "sag",
+  "GET /api/reports/daily":                     "sag",
+  "GET /api/reports/monthly":                   "sag",
+  "GET /api/events/:id/media":                  "sag",
+  "PUT /api/event-media/:id":                   "sa",
+  "GET /media/:id":                             "public",
+  "GET /api/stream":                            "sag",
+  "GET /api/analytics":                         "sag",
+  "GET /api/stats":                             "sag",
+  "POST /api/events/purge":                     "sa",
+  "DELETE /api/events":                         "sag",
+  "GET /api/ai-insights":                       "sa",
+  "GET /api/ai-insights/:id":                   "sa",
+  "POST /api/ai-insights":                      "sa",
+  "GET /health":                                "public",
+};
+
+const superuser = addUser({ id:1, role:"superuser" });
+const admin     = addUser({ id:2, role:"admin", society_ids:[1] });
+const guard     = addUser({ id:3, role:"guard", society_ids:[1] });
+const resident  = addUser({ id:4, role:"resident", society_ids:[1], flat_ids:[10] });
+const newSuper  = addUser({ id:5, role:"superuser", totp_enabled:false });
+const ROLES = { s:superuser, a:admin, g:guard, r:resident };
+
+const routes = app._router.stack.filter(l => l.route).map(l => ({
+  key: `${Object.keys(l.route.methods)[0].toUpperCase()} ${l.route.path}`,
+  path: l.route.path.replace(/:\w+/g, "1"),
+  guards: l.route.stack.slice(0, -1).map(s => s.handle),
+}));
+// Runs a route's middleware (everything before its handler); "next" when the handler would be reached
+async function gate(route, user, { headers={} }={}) {
+  const req = { method:route.key.split(" ")[0], path:route.path, url:route.path, query:{}, body:{}, ip:"127.0.0.1",
+    headers:{ ...(user && { authorization:`Bearer ${signAccessToken(user, `sess-${user.id}`)}` }), ...headers } };
+  for (const handle of route.guards) {
+    const outcome = await new Promise(resolve => {
+      const res = { statusCode:200, status(c) { this.statusCode = c; return this; }, json() { resolve(this.statusCode); } };
+      handle(req, res, () => resolve("next"));
+    });
+    if (outcome!=="next") return outcome;
+  }
+  return "next";
+}
+
+test.before(async () => { installAuth(); await start(); });
+test.after(() => stop());
+
+test("every route has an access entry", () => {
+  assert.deepEqual(routes.map(r => r.key).filter(k => !(k in ACCESS)), []);
+  assert.deepEqual(Object.keys(ACCESS).filter(k => !routes.some(r => r.key===k)), []);
+});
+
+test("each role reaches exactly the routes granted to it", async () => {
+  for (const route of routes) {
+    const expected = ACCESS[route.key];
+    if (expected==="public") {
+      assert.equal(await gate(route, null), "next", `${route.key} should be public`);
+      continue;
+    }
+    if (expected==="api-key") {
+      assert.equal(await gate(route, superuser), 401, `${route.key} must not accept a session`);
+      assert.equal(await gate(route, null, { headers:{ "x-api-key":process.env.API_KEY || "sg-mysociety-2026" } }), "next");
+      continue;
+    }
+    assert.equal(await gate(route, null), 401, `${route.key} without a session`);
+    for (const [letter, user] of Object.entries(ROLES)) {
+      const outcome = await gate(route, user);
+      assert.equal(outcome, expected.includes(letter) ? "next" : 403, `${route.key} as ${user.role}`);
+    }
+  }
+});
+
+test("a superuser without two-factor only reaches enrollment routes", async () => {
+  for (const route of routes.filter(r => !["public","api-key"].includes(ACCESS[r.key]))) {
+    const enrollment = /^(GET|POST) \/api\/(me|logout|2fa|2fa\/enroll|2fa\/verify)$/.test(route.key);
+    assert.equal(await gate(route, newSuper), enrollment ? "next" : 403, route.key);
+  }
+});
+
+test("an admin of one society gets 403 for another society", async () => {
+  for (const path of ["/api/events?society=2", "/api/events?society=C02", "/api/wings?society_id=2", "/api/stats?client_id=C02",
+    "/api/analytics?society=2", "/api/logs?society=2", "/api/ai-insights?society=2", "/api/reports/daily?society=2"]) {
+    assert.equal((await request("GET", path, { user:admin })).status, 403, path);
+  }
+  assert.equal((await request("GET", "/api/events?society=1", { user:admin })).status, 200);
+  assert.equal((await request("GET", "/api/events?society=C01", { user:admin })).status, 200);
+  assert.equal((await request("POST", "/api/wings", { user:admin, body:{ society_id:2, name:"B" } })).status, 403);
+  assert.equal((await request("POST", "/api/notices", { user:admin, body:{ society_id:2, title:"Water cut" } })).status, 403);
+  assert.equal((await request("POST", "/api/alert-rules", { user:admin, body:{ society_id:2, name:"x" } })).status, 403);
+  assert.equal((await request("PUT", "/api/societies/2", { user:admin, body:{ name:"Mine now" } })).status, 403);
+});
+
+test("rows of another society are invisible to an admin", async () => {
+  db.on(/^SELECT \* FROM wings WHERE id=\$1/, ([id]) => [{ id, society_id:id===8 ? 1 : 2, name:"B" }]);
+  db.on(/^SELECT \* FROM alert_rules WHERE id=\$1/, ([id]) => [{ id, society_id:2, name:"x" }]);
+  assert.equal((await request("PUT", "/api/wings/7", { user:admin, body:{ name:"C" } })).status, 404);
+  assert.equal((await request("DELETE", "/api/wings/7", { user:admin })).status, 404);
+  assert.equal((await request("DELETE", "/api/alert-rules/7", { user:admin })).status, 403);
+  assert.equal(db.ran(/^(UPDATE wings|DELETE FROM wings|DELETE FROM alert_rules)/).length, 0);
+  assert.equal((await request("DELETE", "/api/wings/8", { user:admin })).status, 200);
+  assert.deepEqual(db.ran(/^DELETE FROM wings/).map(q => q.params), [[8]]);
+  // The superuser is not confined
+  assert.equal((await request("GET", "/api/events?society=2", { user:superuser })).status, 200);
+  assert.equal((await request("GET", "/api/events?society=99", { user:superuser })).status, 403);
+});
@@ -0,0 +1,104 @@
+// Vendor adapters against captured-style webhook bodies in test/fixtures/webhooks
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EVENT_TYPES, getAdapter, listVendors } = require("../adapters");
+
+const fixture = vendor => require(`./fixtures/webhooks/${vendor}.json`);
+const normalizeAll = (vendor, body) => getAdapter(vendor).splitEvents(body).map(raw => getAdapter(vendor).normalize(raw));
+
+test("every registered vendor has a fixture and maps only to known event types", () => {
+  assert.deepEqual(listVendors().sort(), ["3deye", "dahua", "hikvision", "onvif"]);
+  for (const vendor of listVendors()) {
+    for (const ev of normalizeAll(vendor, fixture(vendor)).filter(Boolean)) {
+      assert.ok(ev.event_type===null || EVENT_TYPES.includes(ev.event_type), `${vendor}: ${ev.event_type}`);
+    }
+  }
+});
+
+test("vendor lookup is case-insensitive and unknown vendors return null", () => {
+  assert.equal(getAdapter("HikVision").vendor, "hikvision");
+  assert.equal(getAdapter("milestone"), null);
+});
+
+test("3deye", () => {
+  const body = fixture("3deye"), a = getAdapter("3deye");
+  assert.equal(a.splitEvents(body).length, 3);
+  assert.deepEqual(a.splitEvents(body[0]), [body[0]]);
+  assert.equal(a.integrationRef(body), "54321");
+  assert.equal(a.integrationRef({ type:"Motion" }), "");
+  const [person, car, unmapped] = normalizeAll("3deye", body);
+  assert.deepEqual(person, {
+    camera_id:"CAM-GATE-1", event_type:"person_detected", event_type_raw:"Analytic", timestamp_utc:"2026-03-01T10:15:00.000Z",
+    object_count:2, confidence:0.91, thumbnail_url:"https://media.3deye.me/t/1001.jpg", video_url:"https://media.3deye.me/v/1001.mp4",
+    metadata:body[0].data, plate:null, source_id:"evt-1001",
+  });
+  assert.equal(car.event_type, "vehicle_detected");
+  assert.equal(car.timestamp_utc, "2026-03-01T10:16:30.000Z");
+  assert.equal(car.plate, "MH12AB1234");
+  assert.equal(car.object_count, 0);
+  assert.equal(unmapped.event_type, null);
+  assert.equal(unmapped.event_type_raw, "SomethingNew");
+});
+
+test("hikvision", () => {
+  const body = fixture("hikvision"), a = getAdapter("hikvision");
+  assert.equal(a.splitEvents(body).length, 4);
+  assert.equal(a.integrationRef(body), "HIK-NVR-01");
+  assert.equal(a.integrationRef({ EventNotificationAlert:{ macAddress:"aa:bb" } }), "aa:bb");
+  const [line, anpr, motionEnded, videoBack] = normalizeAll("hikvision", body);
+  assert.deepEqual(line, {
+    camera_id:"HIK-NVR-01-3", event_type:"person_detected", event_type_raw:"linedetection", timestamp_utc:"2026-03-01T10:15:00.000Z",
+    object_count:2, confidence:null, thumbnail_url:"http://192.168.1.64/pic/5001.jpg", video_url:null,
+    metadata:body[0].EventNotificationAlert, plate:null, source_id:"hik-5001",
+  });
+  assert.equal(anpr.event_type, "vehicle_detected");
+  assert.equal(anpr.plate, "KA01MJ2020");
+  assert.equal(anpr.thumbnail_url, "http://192.168.1.64/pic/5002.jpg");
+  assert.equal(motionEnded, null);
+  assert.equal(videoBack.event_type, "camera_online");
+  assert.equal(videoBack.camera_id, "HIK-NVR-01-4");
+});
+
+test("dahua", () => {
+  const body = fixture("dahua"), a = getAdapter("dahua");
+  assert.equal(a.splitEvents(body).length, 4);
+  assert.deepEqual(a.splitEvents(body.Events[0]), [body.Events[0]]);
+  assert.equal(a.integrationRef(body), "DH-NVR-7");
+  assert.equal(a.integrationRef({ SerialNo:"SN-1" }), "SN-1");
+  const [human, traffic, motionStop, netBack] = normalizeAll("dahua", body);
+  assert.deepEqual(human, {
+    camera_id:"DH-NVR-7-1", event_type:"person_detected", event_type_raw:"CrossLineDetection", timestamp_utc:"2026-03-01T10:00:00.000Z",
+    object_count:1, confidence:0.87, thumbnail_url:"http://10.0.0.7/snap/9001.jpg", video_url:null,
+    metadata:body.Events[0].Data, plate:null, source_id:"9001",
+  });
+  assert.equal(traffic.camera_id, "DH-NVR-7-2");
+  assert.equal(traffic.event_type, "vehicle_detected");
+  assert.equal(traffic.timestamp_utc, "2026-03-01T10:01:00.000Z");
+  assert.equal(traffic.plate, "DL3CAF0001");
+  assert.equal(motionStop, null);
+  assert.equal(netBack.event_type, "camera_online");
+  assert.equal(netBack.source_id, "9004");
+});
+
+test("onvif", () => {
+  const body = fixture("onvif"), a = getAdapter("onvif");
+  assert.equal(a.splitEvents(body).length, 3);
+  assert.equal(a.integrationRef(body), "ONVIF-SITE-3");
+  assert.equal(a.integrationRef({ device:"cam-9" }), "cam-9");
+  const [vehicle, motionOff, signalBack] = normalizeAll("onvif", body);
+  assert.deepEqual(vehicle, {
+    camera_id:"onvif-cam-12-VS_1", event_type:"vehicle_detected", event_type_raw:"tns1:RuleEngine/ObjectDetection/Object", timestamp_utc:"2026-03-01T08:00:00.000Z",
+    object_count:1, confidence:0.8, thumbnail_url:"http://10.1.1.12/snapshot.jpg", video_url:null,
+    metadata:{ topic:"tns1:RuleEngine/ObjectDetection/Object", source:{ VideoSourceToken:"VS_1" }, ...body.events[0].data }, plate:"GJ05XY7777", source_id:"msg-77",
+  });
+  assert.equal(motionOff, null);
+  assert.equal(signalBack.camera_id, "onvif-cam-13-VSC_2");
+  assert.equal(signalBack.event_type, "camera_online");
+});
+
+test("a missing vendor time is left null for the server to stamp", () => {
+  assert.equal(getAdapter("3deye").normalize({ id:"x", type:"Motion", deviceId:"C1", data:{} }).timestamp_utc, null);
+  assert.equal(getAdapter("hikvision").normalize({ EventNotificationAlert:{ deviceID:"H", eventType:"VMD" } }).timestamp_utc, null);
+  assert.equal(getAdapter("dahua").normalize({ Code:"VideoMotion", DeviceID:"D" }).timestamp_utc, null);
+  assert.equal(getAdapter("onvif").normalize({ device:"o", topic:"tns1:RuleEngine/CellMotionDetector/Motion", data:{ IsMotion:true } }).timestamp_utc, null);
+});
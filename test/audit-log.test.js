@@ -0,0 +1,64 @@
+// The audit trail is hash-chained: verify notices an edited, a deleted or a reordered row (user-025)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+const root = addUser({ id:1, role:"superuser" });
+const integration = { id:7, vendor:"3deye", external_id:"54321", society_id:1, name:"Gate cameras", secret:"old-secret", is_active:true };
+
+// audit_logs as Postgres would keep it: JSONB columns come back parsed, ids ascend
+let logs;
+const jsonb = v => v==null ? null : JSON.parse(v);
+test.before(async () => {
+  installAuth();
+  db.on(/INSERT INTO audit_logs/, p => {
+    logs.push({ id:logs.length + 1, created_at:p[0], user_id:p[1], username:p[2], role:p[3], action:p[4], entity:p[5], entity_id:p[6], details:jsonb(p[7]),
+      before:jsonb(p[8]), after:jsonb(p[9]), ip_address:p[10], society_id:p[11], prev_hash:p[12], hash:p[13] });
+    return [];
+  });
+  db.on(/SELECT hash FROM audit_logs WHERE hash IS NOT NULL ORDER BY id DESC/, () => logs.slice(-1));
+  db.on(/COUNT\(\*\) FILTER \(WHERE hash IS NULL\)/, () => [{ unchained:0, unhashed_in_chain:0 }]);
+  db.on(/SELECT \* FROM audit_logs WHERE hash IS NOT NULL AND id>\$1/, ([after]) => [...logs].sort((a, b) => a.id - b.id).filter(r => r.id > after));
+  db.on(/SELECT \* FROM integrations WHERE id=\$1/, () => [integration]);
+  db.on(/UPDATE integrations SET secret=\$1/, ([secret]) => [{ ...integration, secret }]);
+  await start();
+});
+test.after(() => stop());
+test.beforeEach(async () => {
+  logs = [];
+  for (let i = 0; i < 3; i++) assert.equal((await request("POST", "/api/integrations/7/rotate-secret", { user:root })).status, 200);
+});
+const verify = async () => (await request("GET", "/api/logs/verify", { user:root })).body;
+
+test("an untouched chain verifies", async () => {
+  const result = await verify();
+  assert.equal(result.ok, true);
+  assert.equal(result.checked, 3);
+  assert.equal(result.head_hash, logs[2].hash);
+  assert.equal(logs[1].prev_hash, logs[0].hash);
+});
+
+test("an edited row breaks the chain at that row", async () => {
+  logs[1].details = { note:"nothing to see" };
+  assert.deepEqual(await verify(), { ok:false, checked:1, unchained:0, broken_at:2, reason:"row content was altered" });
+});
+
+test("a deleted row breaks the chain at the row after it", async () => {
+  logs.splice(1, 1);
+  assert.deepEqual(await verify(), { ok:false, checked:1, unchained:0, broken_at:3, reason:"the row before it was deleted or altered" });
+});
+
+test("reordered rows break the chain", async () => {
+  [logs[1].id, logs[2].id] = [logs[2].id, logs[1].id];
+  const result = await verify();
+  assert.equal(result.ok, false);
+  assert.equal(result.broken_at, 2);
+});
+
+test("snapshots mask credentials and keep everything else", async () => {
+  const { before, after } = logs[0];
+  assert.equal(before.secret, "[redacted]");
+  assert.equal(after.secret, "[redacted]");
+  assert.deepEqual({ ...after, secret:undefined }, { ...integration, secret:undefined });
+  assert.ok(!JSON.stringify(logs).includes("old-secret"));
+});
@@ -0,0 +1,145 @@
+// SMS, WhatsApp and webhook channels against a local mock provider: success, 4xx and retry paths
+process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = "true";   // the mock receiver listens on 127.0.0.1
+process.env.NOTIFY_RETRY_BASE_MS = "5";
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createChannels, signPayload, ChannelError } = require("../notifications/channels");
+const { mockServer } = require("./support/mock-http");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+test.before(async () => { installAuth(); await start(); });
+test.after(() => stop());
+
+const message = { event:"alert.fired", text:"High alert at Gate 1", vars:{ rule:"Gate 1", time:"10:15" }, params:["Gate 1", "10:15"], payload:{ event:"alert.fired", alert_id:5 } };
+const retryable = e => e instanceof ChannelError && e.retryable;
+const permanent = e => e instanceof ChannelError && e.retryable===false;
+
+test("msg91 posts the flow with the auth key and returns the request id", async () => {
+  const mock = await mockServer(() => [200, { type:"success", message:"req-123" }]);
+  const { sms } = createChannels({ MSG91_AUTH_KEY:"key-1", MSG91_FLOW_ID:"flow-9", MSG91_API_URL:mock.url });
+  assert.deepEqual(await sms.send("98765 43210", message), { status:200, id:"req-123" });
+  const [call] = mock.calls;
+  assert.equal(call.url, "/api/v5/flow/");
+  assert.equal(call.headers.authkey, "key-1");
+  assert.deepEqual(JSON.parse(call.body), { template_id:"flow-9", short_url:"0", recipients:[{ mobiles:"919876543210", rule:"Gate 1", time:"10:15" }] });
+  await mock.close();
+});
+
+test("msg91 failures: an error reply is permanent, 4xx is permanent, 5xx and 429 are retryable", async () => {
+  const replies = [[200, { type:"error", message:"Invalid flow" }], [401, { type:"error" }], [503, "down"], [429, "slow down"]];
+  const mock = await mockServer((call, n) => replies[n-1]);
+  const { sms } = createChannels({ MSG91_AUTH_KEY:"k", MSG91_FLOW_ID:"f", MSG91_API_URL:mock.url });
+  await assert.rejects(sms.send("9876543210", message), e => permanent(e) && e.message==="Invalid flow");
+  await assert.rejects(sms.send("9876543210", message), e => permanent(e) && e.status===401);
+  await assert.rejects(sms.send("9876543210", message), e => retryable(e) && e.status===503);
+  await assert.rejects(sms.send("9876543210", message), e => retryable(e) && e.status===429);
+  await mock.close();
+});
+
+test("twilio posts a form with basic auth; 4xx is permanent and 5xx retryable", async () => {
+  const replies = [[201, { sid:"SM1" }], [400, { code:21211 }], [500, "oops"]];
+  const mock = await mockServer((call, n) => replies[n-1]);
+  const { sms } = createChannels({ SMS_PROVIDER:"twilio", TWILIO_ACCOUNT_SID:"AC1", TWILIO_AUTH_TOKEN:"tok", TWILIO_FROM:"+15550001", TWILIO_API_URL:mock.url });
+  assert.deepEqual(await sms.send("+91 98765 43210", message), { status:201, id:"SM1" });
+  const [call] = mock.calls;
+  assert.equal(call.url, "/2010-04-01/Accounts/AC1/Messages.json");
+  assert.equal(call.headers.authorization, `Basic ${Buffer.from("AC1:tok").toString("base64")}`);
+  assert.deepEqual(Object.fromEntries(new URLSearchParams(call.body)), { To:"+919876543210", From:"+15550001", Body:message.text });
+  await assert.rejects(sms.send("9876543210", message), e => permanent(e) && e.status===400);
+  await assert.rejects(sms.send("9876543210", message), e => retryable(e) && e.status===500);
+  await mock.close();
+});
+
+test("whatsapp sends the template with positional params; 4xx is permanent and 5xx retryable", async () => {
+  const replies = [[200, { messages:[{ id:"wamid.1" }] }], [403, { error:{ code:10 } }], [502, ""]];
+  const mock = await mockServer((call, n) => replies[n-1]);
+  const { whatsapp } = createChannels({ WHATSAPP_TOKEN:"wa-tok", WHATSAPP_PHONE_NUMBER_ID:"555", WHATSAPP_API_URL:mock.url });
+  assert.deepEqual(await whatsapp.send("9876543210", message), { status:200, id:"wamid.1" });
+  const [call] = mock.calls;
+  assert.equal(call.url, "/555/messages");
+  assert.equal(call.headers.authorization, "Bearer wa-tok");
+  const sent = JSON.parse(call.body);
+  assert.equal(sent.to, "919876543210");
+  assert.equal(sent.template.name, "security_alert");
+  assert.deepEqual(sent.template.components[0].parameters, [{ type:"text", text:"Gate 1" }, { type:"text", text:"10:15" }]);
+  await assert.rejects(whatsapp.send("9876543210", message), e => permanent(e) && e.status===403);
+  await assert.rejects(whatsapp.send("9876543210", message), e => retryable(e) && e.status===502);
+  await mock.close();
+});
+
+test("an unreachable provider is retryable", async () => {
+  const mock = await mockServer(() => [200, {}]);
+  await mock.close();
+  const { whatsapp } = createChannels({ WHATSAPP_TOKEN:"t", WHATSAPP_PHONE_NUMBER_ID:"1", WHATSAPP_API_URL:mock.url });
+  await assert.rejects(whatsapp.send("9876543210", message), e => retryable(e) && e.status===null);
+});
+
+test("webhooks are signed over the timestamp and raw body, and only status codes come back", async () => {
+  const replies = [[200, { secret:"internal data" }], [410, "gone"], [500, "retry me"], [302, ""]];
+  const mock = await mockServer((call, n) => replies[n-1]);
+  const { webhook } = createChannels({ WEBHOOK_ALLOW_PRIVATE_NETWORKS:"true" });
+  const target = { url:`${mock.url}/hooks/sg`, secret:"whsec" };
+  assert.deepEqual(await webhook.send(target, message), { status:200, id:null });
+  const [call] = mock.calls;
+  assert.equal(call.url, "/hooks/sg");
+  assert.equal(call.headers["x-sg-event"], "alert.fired");
+  assert.equal(call.headers["x-sg-signature"], signPayload("whsec", call.headers["x-sg-timestamp"], call.body));
+  assert.equal(call.headers["x-sg-signature"], "sha256=" + crypto.createHmac("sha256", "whsec").update(`${call.headers["x-sg-timestamp"]}.${call.body}`).digest("hex"));
+  assert.deepEqual(JSON.parse(call.body), message.payload);
+  await assert.rejects(webhook.send(target, message), e => permanent(e) && e.status===410);
+  await assert.rejects(webhook.send(target, message), e => retryable(e) && e.status===500);
+  await assert.rejects(webhook.send(target, message), e => permanent(e) && e.status===302);
+  await mock.close();
+});
+
+// The server's delivery loop: retryable failures are tried again up to three times, permanent ones are not
+const { deliverNotification } = require("../server");
+const admin = addUser({ id:2, role:"admin", society_ids:[1] });
+const deliveryLog = () => db.ran(/INSERT INTO notification_deliveries/).map(q => ({ status:q.params[3], attempt:q.params[4], code:q.params[5] }));
+async function testDelivery(replies, send) {
+  const mock = await mockServer((call, n) => replies[Math.min(n, replies.length)-1]);
+  db.queries.length = 0;
+  const result = await send({ url:`${mock.url}/hook`, secret:"s" });
+  await mock.close();
+  return { result, log:deliveryLog(), calls:mock.calls.length };
+}
+const alertDelivery = replies => testDelivery(replies, target => deliverNotification(createChannels().webhook, target, message, { society_id:1, alert_id:5 }));
+
+test("delivery retries a 5xx and logs every attempt", async () => {
+  const { result, log, calls } = await alertDelivery([[503, ""], [200, {}]]);
+  assert.equal(result, true);
+  assert.equal(calls, 2);
+  assert.deepEqual(log, [{ status:"failed", attempt:1, code:503 }, { status:"sent", attempt:2, code:200 }]);
+});
+
+test("delivery gives up after three retryable failures", async () => {
+  const { result, log, calls } = await alertDelivery([[500, ""]]);
+  assert.equal(result, false);
+  assert.equal(calls, 3);
+  assert.deepEqual(log.map(l => l.attempt), [1, 2, 3]);
+});
+
+test("delivery does not retry a 4xx", async () => {
+  const { result, log, calls } = await alertDelivery([[404, ""]]);
+  assert.equal(result, false);
+  assert.equal(calls, 1);
+  assert.deepEqual(log, [{ status:"failed", attempt:1, code:404 }]);
+});
+
+test("a test send makes one attempt and answers straight away", async () => {
+  const { result: res, log, calls } = await testDelivery([[503, ""], [200, {}]], async ({ url }) => {
+    db.on(/SELECT \* FROM notification_webhooks WHERE id=\$1/, () => [{ id:4, society_id:1, url, secret:"s" }]);
+    return request("POST", "/api/notification-webhooks/4/test", { user:admin });
+  });
+  assert.equal(res.status, 502);
+  assert.equal(calls, 1);
+  assert.deepEqual(log, [{ status:"failed", attempt:1, code:503 }]);
+});
+
+test("a failing test send is a 500", async () => {
+  db.on(/SELECT \* FROM notification_webhooks WHERE id=\$1/, () => { throw new Error("connection terminated"); });
+  const res = await request("POST", "/api/notification-webhooks/4/test", { user:admin });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error:"Failed to send test event" });
+});
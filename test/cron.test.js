@@ -0,0 +1,56 @@
+// Job schedules: cron fields, the either-day-field rule and local wall-clock times across DST (user-014)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+require("./support/server");
+const { parseCron, nextCronRun } = require("../server");
+
+const next = (expr, tz, after) => nextCronRun(expr, tz, new Date(after)).toISOString();
+
+test("steps, ranges and lists", () => {
+  assert.deepEqual([...parseCron("5/20 * * * *")[0].values], [5, 25, 45]);
+  assert.deepEqual([...parseCron("0 */6 * * *")[1].values], [0, 6, 12, 18]);
+  assert.deepEqual([...parseCron("0 0 1,15 1-3 *")[2].values], [1, 15]);
+  assert.deepEqual([...parseCron("0 0 1,15 1-3 *")[3].values], [1, 2, 3]);
+  assert.equal(next("0 8,20 * * *", "UTC", "2026-03-02T08:00:00Z"), "2026-03-02T20:00:00.000Z");
+  // Weekday office hours: Saturday jumps to Monday 09:00, and the last slot of the day rolls to the next morning
+  assert.equal(next("*/15 9-17 * * 1-5", "UTC", "2026-03-07T10:00:00Z"), "2026-03-09T09:00:00.000Z");
+  assert.equal(next("*/15 9-17 * * 1-5", "UTC", "2026-03-09T17:45:00Z"), "2026-03-10T09:00:00.000Z");
+});
+
+test("7 is Sunday, like 0", () => {
+  assert.deepEqual([...parseCron("0 0 * * 7")[4].values], [0]);
+  assert.deepEqual([...parseCron("0 0 * * 0,7")[4].values], [0]);
+  assert.equal(next("30 6 * * 7", "UTC", "2026-03-04T00:00:00Z"), "2026-03-08T06:30:00.000Z");
+});
+
+test("with both day fields restricted, a match on either one is enough", () => {
+  // The 13th or any Friday: Friday 6 March comes first, then Monday 13 April after Friday 10 April
+  assert.equal(next("0 9 13 * 5", "UTC", "2026-03-01T00:00:00Z"), "2026-03-06T09:00:00.000Z");
+  assert.equal(next("0 9 13 * 5", "UTC", "2026-04-10T09:00:00Z"), "2026-04-13T09:00:00.000Z");
+  // With day-of-week left as *, only the 13th counts
+  assert.equal(next("0 9 13 * *", "UTC", "2026-03-01T00:00:00Z"), "2026-03-13T09:00:00.000Z");
+});
+
+test("schedules follow the society's wall clock", () => {
+  assert.equal(next("0 7 * * *", "Asia/Kolkata", "2026-03-01T00:00:00Z"), "2026-03-01T01:30:00.000Z");
+  assert.equal(next("0 7 * * *", "Asia/Kolkata", "2026-03-01T01:30:00Z"), "2026-03-02T01:30:00.000Z");
+  // 09:00 London is 09:00 GMT the day before the clocks go forward and 08:00 UTC the day after
+  assert.equal(next("0 9 * * *", "Europe/London", "2026-03-27T12:00:00Z"), "2026-03-28T09:00:00.000Z");
+  assert.equal(next("0 9 * * *", "Europe/London", "2026-03-28T12:00:00Z"), "2026-03-29T08:00:00.000Z");
+});
+
+test("a time skipped by the clocks going forward runs just after the change, and a repeated one runs once", () => {
+  // New York skips 02:00-03:00 on 8 March 2026: 02:30 runs at 03:30 EDT, not 01:30 EST
+  assert.equal(next("30 2 * * *", "America/New_York", "2026-03-07T12:00:00Z"), "2026-03-08T07:30:00.000Z");
+  assert.equal(next("30 1 * * *", "Europe/London", "2026-03-28T12:00:00Z"), "2026-03-29T01:30:00.000Z");
+  // 01:30 happens twice on 1 November 2026; the second pass does not run it again
+  assert.equal(next("30 1 * * *", "America/New_York", "2026-11-01T04:00:00Z"), "2026-11-01T05:30:00.000Z");
+  assert.equal(next("30 1 * * *", "America/New_York", "2026-11-01T05:30:00Z"), "2026-11-02T06:30:00.000Z");
+});
+
+test("bad and impossible expressions throw", () => {
+  assert.throws(() => parseCron("* * * *"), /must have 5 fields/);
+  for (const expr of ["60 * * * *", "5-1 * * * *", "*/0 * * * *"]) assert.throws(() => parseCron(expr), /out of range/, expr);
+  assert.throws(() => parseCron("a * * * *"), /Bad cron field/);
+  assert.throws(() => nextCronRun("0 0 31 2 *", "UTC", new Date("2026-03-01T00:00:00Z")), /never matches/);
+});
@@ -0,0 +1,81 @@
+// Routes answer database failures as JSON: 409 for a duplicate, 400 for a bad value, 500 otherwise
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+const admin = addUser({ id:2, role:"admin", society_ids:[1] });
+const pgError = (code, column) => () => { throw Object.assign(new Error(`pg ${code}`), { code, column }); };
+// Each [method, path, failing query, error] must answer exactly { error } with a 500
+async function failsWith500(cases) {
+  for (const [method, path, query, error] of cases) {
+    db.on(query, () => { throw new Error("connection terminated unexpectedly"); });
+    const res = await request(method, path, { user:admin, body:method==="GET" ? undefined : { note:"Checked the gate" } });
+    assert.equal(res.status, 500, path);
+    assert.deepEqual(res.body, { error }, path);
+  }
+}
+
+test.before(async () => {
+  installAuth();
+  db.on(/SELECT \* FROM wings WHERE id=\$1/, () => [{ id:8, society_id:1, name:"A" }]);
+  db.on(/SELECT \* FROM flats WHERE id=\$1/, () => [{ id:3, society_id:1, wing_id:8, number:"101" }]);
+  await start();
+});
+test.after(() => stop());
+
+test("a duplicate flat is a 409 with the route's own message", async () => {
+  db.on(/INSERT INTO flats/, pgError("23505"));
+  const res = await request("POST", "/api/flats", { user:admin, body:{ wing_id:8, number:"101" } });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, "Flat 101 already exists in this wing");
+});
+
+test("missing and malformed values are a 400", async () => {
+  db.on(/INSERT INTO wings/, pgError("23502", "name"));
+  assert.deepEqual(await request("POST", "/api/wings", { user:admin, body:{ society_id:1, name:"B" } }).then(r => [r.status, r.body.error]), [400, "A required value is missing (name)"]);
+  db.on(/INSERT INTO notices/, pgError("22007"));
+  assert.equal((await request("POST", "/api/notices", { user:admin, body:{ society_id:1, title:"Water cut", expires_at:"next week" } })).status, 400);
+});
+
+test("anything else is a 500 that does not leak the database message", async () => {
+  await failsWith500([
+    ["GET", "/api/wings", /FROM wings w LEFT JOIN flats/, "Failed to load wings"],
+    ["GET", "/api/residents", /FROM residents r JOIN flats/, "Failed to load residents"],
+    ["DELETE", "/api/flats/3", /DELETE FROM flats/, "Failed to delete flat"],
+  ]);
+});
+
+test("vehicles: a duplicate plate is a 409 and a failed list a 500", async () => {
+  db.on(/INSERT INTO vehicles/, pgError("23505"));
+  const dup = await request("POST", "/api/vehicles", { user:admin, body:{ society_id:1, plate:"MH12AB1234", list_type:"resident" } });
+  assert.equal(dup.status, 409);
+  assert.match(dup.body.error, /MH12AB1234 is already registered/);
+  await failsWith500([["GET", "/api/vehicles", /FROM vehicles v/, "Failed to load vehicles"]]);
+});
+
+test("incidents: a dangling assignee is a 400 and other failures a 500", async () => {
+  db.on(/SELECT \* FROM incidents WHERE id=\$1/, () => [{ id:5, society_id:1, status:"open" }]);
+  db.on(/UPDATE incidents SET assignee_id/, pgError("23503"));
+  db.on(/SELECT 1 FROM users u WHERE u.id=\$1/, () => [{ "?column?":1 }]);
+  const res = await request("POST", "/api/incidents/5/assign", { user:admin, body:{ assignee_id:77 } });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "A referenced record does not exist");
+  await failsWith500([
+    ["GET", "/api/incidents", /FROM incidents i LEFT JOIN users/, "Failed to load incidents"],
+    ["POST", "/api/incidents/5/notes", /INSERT INTO incident_notes/, "Failed to add note"],
+  ]);
+});
+
+test("jobs: failures are a 500", async () => {
+  await failsWith500([
+    ["GET", "/api/jobs", /FROM jobs j LEFT JOIN societies/, "Failed to load jobs"],
+    ["POST", "/api/jobs/4/run", /SELECT \* FROM jobs WHERE id=\$1/, "Failed to run job"],
+  ]);
+});
+
+test("profile and logout: failures are a 500", async () => {
+  await failsWith500([
+    ["GET", "/api/me", /FROM users u\s+LEFT JOIN/, "Failed to load profile"],
+    ["POST", "/api/logout", /UPDATE user_sessions SET revoked_at=NOW\(\) WHERE id=\$1/, "Failed to log out"],
+  ]);
+});
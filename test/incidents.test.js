@@ -0,0 +1,41 @@
+// Incidents: an alert from another society can neither seed an incident nor be probed for
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+const admin = addUser({ id:2, role:"admin", society_ids:[1] });
+const alerts = { 40:{ id:40, society_id:1, message:"Loitering at gate", severity:"high" }, 41:{ id:41, society_id:2, message:"Society 2 secret", severity:"critical" } };
+
+test.before(async () => {
+  installAuth();
+  db.on(/SELECT \* FROM alert_history WHERE id=\$1/, ([id]) => alerts[id] ? [alerts[id]] : []);
+  db.on(/INSERT INTO incidents/, p => [{ id:9, society_id:p[0], title:p[1], severity:p[2], source:p[3], alert_id:p[4], status:"open" }]);
+  await start();
+});
+test.after(() => stop());
+test.beforeEach(() => { db.queries.length = 0; });
+
+test("an incident from the caller's own alert copies its message and severity", async () => {
+  const res = await request("POST", "/api/incidents", { user:admin, body:{ alert_id:40 } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.title, "Loitering at gate");
+  assert.equal(res.body.severity, "high");
+  assert.equal(res.body.alert_id, 40);
+});
+
+test("another society's alert is a 404, with or without the caller's own society_id", async () => {
+  for (const body of [{ alert_id:41 }, { alert_id:41, society_id:1 }, { alert_id:41, society_id:2 }]) {
+    const res = await request("POST", "/api/incidents", { user:admin, body });
+    assert.equal(res.status, 404, JSON.stringify(body));
+    assert.deepEqual(res.body, { error:"Alert not found" });
+  }
+  assert.deepEqual((await request("POST", "/api/incidents", { user:admin, body:{ alert_id:999 } })).body, { error:"Alert not found" });
+  assert.equal(db.ran(/INSERT INTO incidents/).length, 0);
+});
+
+test("an alert of one society cannot be filed under another the caller can see", async () => {
+  const multi = addUser({ id:6, role:"admin", society_ids:[1, 2] });
+  const res = await request("POST", "/api/incidents", { user:multi, body:{ alert_id:41, society_id:1 } });
+  assert.equal(res.status, 404);
+  assert.equal(db.ran(/INSERT INTO incidents/).length, 0);
+});
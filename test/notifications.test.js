@@ -0,0 +1,38 @@
+// Outbound webhooks may only reach public addresses, checked both when saved and when sent
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createChannels, isPublicAddress, ChannelError } = require("../notifications/channels");
+const { mockServer } = require("./support/mock-http");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+test.before(async () => { installAuth(); await start(); });
+test.after(() => stop());
+
+test("loopback, private, link-local and mapped addresses are not public", () => {
+  for (const a of ["127.0.0.1", "10.0.0.5", "172.16.4.4", "192.168.1.10", "169.254.169.254", "100.64.0.1", "0.0.0.0", "::1", "fd12::1", "fe80::1", "::ffff:127.0.0.1", "::ffff:a9fe:a9fe"]) {
+    assert.equal(isPublicAddress(a), false, a);
+  }
+  for (const a of ["8.8.8.8", "1.1.1.1", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) assert.equal(isPublicAddress(a), true, a);
+});
+
+test("the webhook channel refuses non-public targets before connecting", async () => {
+  const mock = await mockServer(() => [200, {}]);
+  const { webhook } = createChannels({});
+  for (const url of [mock.url, "http://localhost:9/hook", "http://169.254.169.254/latest/meta-data/", "http://[::1]:9/", "ftp://example.com/"]) {
+    await assert.rejects(webhook.send({ url, secret:"s" }, { event:"test", payload:{} }), e => e instanceof ChannelError && e.retryable===false, url);
+    assert.ok(await webhook.urlProblem(url), url);
+  }
+  assert.equal(mock.calls.length, 0);
+  await mock.close();
+});
+
+test("admins cannot register webhooks pointing at internal addresses", async () => {
+  const admin = addUser({ id:2, role:"admin", society_ids:[1] });
+  db.on(/INSERT INTO notification_webhooks/, () => [{ id:1 }]);
+  for (const url of ["http://127.0.0.1:8080/", "http://169.254.169.254/latest/meta-data/iam/", "http://localhost/", "http://10.0.0.8/hook", "http://[fd00::1]/"]) {
+    const r = await request("POST", "/api/notification-webhooks", { user:admin, body:{ society_id:1, name:"Ops", url } });
+    assert.equal(r.status, 400, url);
+    assert.match(r.body.error, /public address/);
+  }
+  assert.equal(db.ran(/INSERT INTO notification_webhooks/).length, 0);
+});
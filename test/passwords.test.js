@@ -0,0 +1,83 @@
+// Password routes: invite links store only the token hash, look it up by hash and expire; database failures answer 500 JSON
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+const sha256 = t => crypto.createHash("sha256").update(t).digest("hex");
+const root = addUser({ id:1, role:"superuser", society_ids:[1] });
+const admin = addUser({ id:2, role:"admin", society_ids:[1] });
+// Token from the most recent invite email
+const emailedToken = () => db.ran(/INSERT INTO email_outbox/).at(-1).params[2].match(/invite=([0-9a-f]+)/)[1];
+
+test.before(async () => {
+  installAuth();
+  db.on(/INSERT INTO email_outbox/, () => [{ id:1 }]);
+  db.on(/COUNT\(\*\)::int as n FROM auth_attempts/, () => [{ n:0 }]);
+  await start();
+});
+test.after(() => stop());
+test.beforeEach(() => { db.queries.length = 0; });
+
+test("a new user's invite stores the token hash with a 24 hour expiry", async () => {
+  db.on(/INSERT INTO users/, p => [{ id:9, username:p[0], role:p[1], name:p[2], email:p[3], is_active:true, invite_expires:p[5] }]);
+  const res = await request("POST", "/api/users", { user:root, body:{ username:"guard9", role:"guard", name:"Gate Guard", email:"guard9@example.com", society_ids:[1] } });
+  assert.equal(res.status, 200);
+  const [insert] = db.ran(/INSERT INTO users/);
+  const token = emailedToken();
+  assert.match(insert.sql, /invite_token_hash/);
+  assert.equal(insert.params[4], sha256(token));
+  assert.ok(!insert.params.includes(token));
+  assert.ok(Math.abs(insert.params[5] - Date.now() - 24*3600*1000) < 60*1000);
+  assert.ok(!res.text.includes(token) && !res.text.includes(sha256(token)));
+});
+
+test("resent and resident invites store only the hash", async () => {
+  db.on(/UPDATE users SET invite_token_hash=\$1,invite_expires=\$2 WHERE id=\$3/, ([, , id]) => [{ id, username:"guard9", name:"Gate Guard", role:"guard", email:"guard9@example.com" }]);
+  assert.equal((await request("POST", "/api/users/9/resend-invite", { user:root })).status, 200);
+  assert.equal(db.ran(/UPDATE users SET invite_token_hash/)[0].params[0], sha256(emailedToken()));
+
+  db.on(/SELECT \* FROM residents WHERE id=\$1/, () => [{ id:4, society_id:1, flat_id:3, name:"Asha", email:"asha@example.com", user_id:null, is_active:true }]);
+  db.on(/INSERT INTO users/, p => [{ id:10, username:p[0], role:"resident", name:p[1], email:p[2], society_id:p[3] }]);
+  const res = await request("POST", "/api/residents/4/invite", { user:admin, body:{} });
+  assert.equal(res.status, 200);
+  const insert = db.ran(/INSERT INTO users/).at(-1);
+  assert.equal(insert.params[4], sha256(emailedToken()));
+  assert.ok(!insert.params.includes(emailedToken()));
+});
+
+test("set-password looks the invite up by hash, only while unexpired, and uses it once", async () => {
+  const token = "a1".repeat(32);
+  db.on(/SELECT \* FROM users WHERE invite_token_hash=\$1 AND invite_expires>NOW\(\)/, ([hash]) => hash===sha256(token) ? [{ id:9, username:"guard9", name:"Gate Guard", email:"guard9@example.com" }] : []);
+  db.on(/UPDATE users SET password_hash=\$1,password_changed_at=NOW\(\),invite_token_hash=NULL/, ([, , hash]) => ({ rows:[], rowCount:hash===sha256(token) ? 1 : 0 }));
+  const bad = await request("POST", "/api/set-password", { body:{ token:sha256(token), password:"Blue-Ocean-Tide-42!" } });
+  assert.equal(bad.status, 400);
+  assert.equal(db.ran(/UPDATE users SET password_hash/).length, 0);
+  const ok = await request("POST", "/api/set-password", { body:{ token, password:"Blue-Ocean-Tide-42!" } });
+  assert.equal(ok.status, 200, ok.text);
+  assert.ok(db.queries.every(q => !q.params.includes(token)));
+});
+
+test("an invite used by a concurrent request is refused", async () => {
+  const token = "b2".repeat(32);
+  db.on(/SELECT \* FROM users WHERE invite_token_hash=\$1/, () => [{ id:9, username:"guard9", name:"Gate Guard", email:"guard9@example.com" }]);
+  db.on(/UPDATE users SET password_hash=\$1,password_changed_at=NOW\(\),invite_token_hash=NULL/, () => ({ rows:[], rowCount:0 }));
+  const res = await request("POST", "/api/set-password", { body:{ token, password:"Blue-Ocean-Tide-42!" } });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /Invalid or expired/);
+});
+
+test("a database failure in the password routes answers 500 JSON", async () => {
+  db.on(/^SELECT \* FROM users WHERE/, () => { throw new Error("connection terminated"); });
+  const cases = [
+    ["/api/set-password", { token:"c3".repeat(32), password:"Blue-Ocean-Tide-42!" }, null],
+    ["/api/forgot-password", { username:"guard9" }, null],
+    ["/api/reset-password", { token:"d4".repeat(32), password:"Blue-Ocean-Tide-42!" }, null],
+    ["/api/change-password", { current_password:"old-Password-1!", new_password:"Blue-Ocean-Tide-42!" }, admin],
+  ];
+  for (const [path, body, user] of cases) {
+    const res = await request("POST", path, { user, body });
+    assert.equal(res.status, 500, path);
+    assert.match(res.body.error, /^Failed to /, path);
+  }
+});
@@ -0,0 +1,21 @@
+// Local HTTP server standing in for an SMS/WhatsApp provider or a webhook receiver.
+// handler(call, n) returns [status, body] for the n-th request; every request is kept in calls.
+const http = require("http");
+
+async function mockServer(handler) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body += chunk);
+    req.on("end", () => {
+      const call = { method:req.method, url:req.url, headers:req.headers, body };
+      calls.push(call);
+      const [status, out] = handler(call, calls.length);
+      res.writeHead(status, { "content-type":"application/json" }).end(typeof out==="string" ? out : JSON.stringify(out));
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  return { url:`http://127.0.0.1:${server.address().port}`, calls, close:() => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = { mockServer };
@@ -0,0 +1,70 @@
+// Boots server.js on a random port over an in-memory stand-in for Postgres.
+// db.on(pattern, fn) answers queries whose SQL matches pattern; fn(params, sql) returns rows or { rows, rowCount }.
+// Later handlers win, so a test can override the defaults; unmatched queries return no rows.
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || "test-session-secret";
+process.env.AI_PROVIDER = process.env.AI_PROVIDER || "stub";
+process.env.EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || "console";
+// The server narrates every request and every handled failure; keep test output to the runner's own (TEST_VERBOSE=1 to see it)
+if (!process.env.TEST_VERBOSE) console.log = console.warn = console.error = () => {};
+
+function createFakeDb() {
+  let handlers = [];
+  const db = {
+    queries: [],
+    on(pattern, fn) { handlers.unshift({ pattern, fn }); return db; },
+    reset() { handlers = []; db.queries.length = 0; },
+    async query(sql, params=[]) {
+      const text = typeof sql==="string" ? sql : sql.text;
+      db.queries.push({ sql:text, params });
+      const h = handlers.find(h => h.pattern.test(text));
+      const out = h ? await h.fn(params, text) : [];
+      return Array.isArray(out) ? { rows:out, rowCount:out.length } : { rowCount:out.rows?.length || 0, ...out };
+    },
+    async connect() { return { query:db.query, release() {} }; },
+    // SQL of every query matching pattern, in order
+    ran(pattern) { return db.queries.filter(q => pattern.test(q.sql)); },
+  };
+  return db;
+}
+
+const db = createFakeDb();
+require("../../db/pool").createPool = () => db;
+const { app, signAccessToken } = require("../../server");
+
+let server, base;
+async function start() {
+  if (!server) await new Promise(resolve => { server = app.listen(0, "127.0.0.1", resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  return base;
+}
+function stop() {
+  return new Promise(resolve => server ? server.close(() => { server = null; resolve(); }) : resolve());
+}
+
+// Users the session check will accept: { id, role, society_ids, flat_ids? }
+const users = new Map();
+function addUser(user) {
+  users.set(user.id, { username:`user${user.id}`, totp_enabled:user.role==="superuser", society_id:null, ...user });
+  return user;
+}
+function installAuth() {
+  db.on(/JOIN user_sessions s ON s.user_id=u.id/, ([id]) => users.has(id) ? [users.get(id)] : []);
+  db.on(/SELECT s\.id,s\.code FROM societies s/, ([id]) => (users.get(id)?.society_ids || []).map(sid => ({ id:sid, code:`C0${sid}` })));
+  db.on(/SELECT DISTINCT flat_id FROM residents/, ([id]) => (users.get(id)?.flat_ids || []).map(flat_id => ({ flat_id })));
+  db.on(/^SELECT id,code FROM societies$/, () => [1, 2, 3].map(id => ({ id, code:`C0${id}` })));
+}
+
+async function request(method, path, { user, body, headers={} }={}) {
+  const res = await fetch(base + path, {
+    method,
+    headers: { ...(body!==undefined && { "content-type":"application/json" }), ...(user && { authorization:`Bearer ${signAccessToken(user, `sess-${user.id}`)}` }), ...headers },
+    body: body===undefined ? undefined : JSON.stringify(body),
+    signal: AbortSignal.timeout(5000),
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = JSON.parse(text); } catch(e) {}
+  return { status:res.status, body:json, text, headers:res.headers };
+}
+
+module.exports = { app, db, start, stop, addUser, installAuth, request, users };
@@ -0,0 +1,62 @@
+// auth/totp.js against the RFC 6238 vectors, plus the drift window and the replay guard (user-018)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const totp = require("../auth/totp");
+
+// RFC 6238 appendix B, SHA1: the secret is ASCII "12345678901234567890"; our codes are the last 6 of its 8 digits
+const RFC_SECRET = totp.base32Encode(Buffer.from("12345678901234567890"));
+const RFC_VECTORS = [[59, "287082"], [1111111109, "081804"], [1111111111, "050471"], [1234567890, "005924"], [2000000000, "279037"], [20000000000, "353130"]];
+const at = s => s * 1000;
+
+test("base32 round-trips and ignores case, spaces and padding", () => {
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(totp.base32Decode("gezd gnbv gy3t qojq gezd gnbv gy3t qojq====").toString(), "12345678901234567890");
+  assert.throws(() => totp.base32Decode("GEZD1"), /Invalid base32/);
+  const secret = totp.generateSecret();
+  assert.equal(totp.base32Decode(secret).length, 20);
+  assert.equal(totp.base32Encode(totp.base32Decode(secret)), secret);
+});
+
+test("codes match the RFC 6238 SHA1 vectors", () => {
+  for (const [t, code] of RFC_VECTORS) {
+    assert.equal(totp.totpCode(RFC_SECRET, totp.currentStep(at(t))), code, `T=${t}`);
+    assert.equal(totp.verifyTotp(RFC_SECRET, code, { now:at(t) }), totp.currentStep(at(t)), `T=${t}`);
+  }
+});
+
+test("a code is accepted one step either side of now, and not two", () => {
+  const now = at(1111111111), step = totp.currentStep(now);
+  for (const drift of [-1, 0, 1]) assert.equal(totp.verifyTotp(RFC_SECRET, totp.totpCode(RFC_SECRET, step + drift), { now }), step + drift, `drift ${drift}`);
+  for (const drift of [-2, 2]) assert.equal(totp.verifyTotp(RFC_SECRET, totp.totpCode(RFC_SECRET, step + drift), { now }), null, `drift ${drift}`);
+  assert.equal(totp.verifyTotp(RFC_SECRET, totp.totpCode(RFC_SECRET, step + 2), { now, window:2 }), step + 2);
+});
+
+test("steps at or before lastStep are refused as replays", () => {
+  const now = at(1111111111), step = totp.currentStep(now), code = totp.totpCode(RFC_SECRET, step);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, { now, lastStep:step - 1 }), step);
+  assert.equal(totp.verifyTotp(RFC_SECRET, code, { now, lastStep:step }), null);
+  // An older code still inside the window is no good once a newer one was used
+  assert.equal(totp.verifyTotp(RFC_SECRET, totp.totpCode(RFC_SECRET, step - 1), { now, lastStep:step }), null);
+});
+
+test("malformed codes are refused without comparing", () => {
+  const now = at(59);
+  assert.equal(totp.verifyTotp(RFC_SECRET, " 287 082 ", { now }), 1);
+  for (const code of ["", null, "28708", "2870822", "28708a", "94287082"]) assert.equal(totp.verifyTotp(RFC_SECRET, code, { now }), null, String(code));
+});
+
+test("otpauth URIs carry the secret and the parameters apps expect", () => {
+  const uri = new URL(totp.otpauthUri({ issuer:"SocietyGuard", account:"asha", secret:RFC_SECRET }));
+  assert.equal(uri.protocol, "otpauth:");
+  assert.equal(uri.host, "totp");
+  assert.equal(decodeURIComponent(uri.pathname), "/SocietyGuard:asha");
+  assert.deepEqual(Object.fromEntries(uri.searchParams), { secret:RFC_SECRET, issuer:"SocietyGuard", algorithm:"SHA1", digits:"6", period:"30" });
+});
+
+test("recovery codes are distinct and normalise from what a user types", () => {
+  const codes = totp.generateRecoveryCodes();
+  assert.equal(codes.length, 10);
+  assert.equal(new Set(codes).size, 10);
+  for (const c of codes) assert.match(c, /^[0-9a-f]{4}-[0-9a-f]{4}$/);
+  assert.equal(totp.normalizeRecoveryCode(" A1B2-c3d4 "), "a1b2c3d4");
+});
@@ -0,0 +1,111 @@
+// Two-factor login through the routes: password, then a single-use TOTP or recovery code; failures answer 500 JSON
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const totp = require("../auth/totp");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+const { signAccessToken } = require("../server");
+
+const admin = addUser({ id:2, role:"admin", society_ids:[1] });
+let user;   // the users row the 2FA routes read for the signed-in admin
+
+// The account signing in: an admin with 2FA on, one recovery code left unused
+const SECRET = totp.generateSecret();
+const RECOVERY = "a1b2-c3d4";
+let asha;
+const sha256 = t => crypto.createHash("sha256").update(t).digest("hex");
+
+test.before(async () => {
+  installAuth();
+  db.on(/^SELECT \* FROM users WHERE id=\$1$/, () => [user]);
+  db.on(/COUNT\(\*\)::int as n FROM auth_attempts/, () => [{ n:0 }]);
+  db.on(/WHERE u\.username=\$1 AND u\.is_active=true/, ([username]) => username===asha.username ? [{ ...asha, societies:[] }] : []);
+  db.on(/SELECT \* FROM users WHERE id=\$1 AND is_active=true AND totp_enabled=true/, ([id]) => id===asha.id ? [{ ...asha }] : []);
+  db.on(/WHERE u\.id=\$1 AND u\.is_active=true\s+GROUP BY u\.id/, () => [{ id:asha.id, username:asha.username, role:asha.role, society_id:1, totp_enabled:true, societies:[] }]);
+  // The two guarded UPDATEs behave as Postgres would: only a newer step, only a code still in the list
+  db.on(/UPDATE users SET totp_last_step=\$1 WHERE id=\$2 AND/, ([step]) => {
+    if (asha.totp_last_step!=null && asha.totp_last_step>=step) return { rows:[], rowCount:0 };
+    asha.totp_last_step = step;
+    return { rows:[], rowCount:1 };
+  });
+  db.on(/SET totp_recovery_hashes=totp_recovery_hashes-\$1::text/, ([hash]) => {
+    if (!asha.totp_recovery_hashes.includes(hash)) return { rows:[], rowCount:0 };
+    asha.totp_recovery_hashes = asha.totp_recovery_hashes.filter(h => h!==hash);
+    return { rows:[], rowCount:1 };
+  });
+  db.on(/INSERT INTO user_sessions/, () => [{ id:31 }]);
+  await start();
+});
+const password = async () => (await request("POST", "/api/login", { body:{ username:"asha", password:"correct horse" } })).body;
+const secondStep = body => request("POST", "/api/login/2fa", { body });
+test.after(() => stop());
+test.beforeEach(() => {
+  user = { id:2, username:"user2", role:"admin", totp_enabled:false, totp_recovery_hashes:[] };
+  asha = { id:3, username:"asha", role:"admin", society_id:1, is_active:true, password_hash:bcrypt.hashSync("correct horse", 4), failed_logins:0, locked_until:null,
+    totp_enabled:true, totp_secret:SECRET, totp_last_step:null, totp_recovery_hashes:[sha256(totp.normalizeRecoveryCode(RECOVERY))] };
+  db.queries.length = 0;
+});
+
+test("a correct password only earns an mfa_token, which is no session", async () => {
+  const body = await password();
+  assert.equal(body.mfa_required, true);
+  assert.deepEqual(body.methods, ["totp", "recovery_code"]);
+  assert.equal(body.access_token, undefined);
+  assert.equal((await request("GET", "/api/me", { headers:{ authorization:`Bearer ${body.mfa_token}` } })).status, 401);
+  assert.equal(db.ran(/INSERT INTO user_sessions/).length, 0);
+});
+
+test("the current TOTP code completes the login once; replaying it is refused", async () => {
+  const { mfa_token } = await password();
+  const step = totp.currentStep(), code = totp.totpCode(SECRET, step);
+  const res = await secondStep({ mfa_token, code });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.access_token && res.body.refresh_token);
+  assert.equal(asha.totp_last_step, step);
+  const replay = await secondStep({ mfa_token, code });
+  assert.equal(replay.status, 401);
+  assert.deepEqual(replay.body, { error:"Invalid code" });
+  assert.equal(db.ran(/INSERT INTO user_sessions/).length, 1);
+});
+
+test("a wrong code or a token that is not an mfa_token is refused", async () => {
+  const { mfa_token } = await password();
+  const wrong = String((parseInt(totp.totpCode(SECRET, totp.currentStep())) + 1) % 1000000).padStart(6, "0");
+  assert.equal((await secondStep({ mfa_token, code:wrong })).status, 401);
+  assert.ok(db.ran(/UPDATE users SET\s+locked_until=/).length, "counts towards the account lock");
+  // An access token is signed with the same key but is not an mfa_token
+  assert.equal((await secondStep({ mfa_token:signAccessToken(asha, 31), code:totp.totpCode(SECRET, totp.currentStep()) })).status, 401);
+  assert.equal((await secondStep({ mfa_token })).status, 400);
+});
+
+test("a recovery code works once, however it is typed", async () => {
+  const { mfa_token } = await password();
+  const res = await secondStep({ mfa_token, recovery_code:" A1B2 C3D4 " });
+  assert.equal(res.status, 200);
+  assert.deepEqual(asha.totp_recovery_hashes, []);
+  assert.equal((await secondStep({ mfa_token, recovery_code:RECOVERY })).status, 401);
+});
+
+test("a sealed secret without TOTP_ENCRYPTION_KEY is a 500, not a crash", async () => {
+  user.totp_pending_secret = "enc:aXY=:dGFn:Y3Q=";
+  const res = await request("POST", "/api/2fa/verify", { user:admin, body:{ code:"123456" } });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error:"Failed to enable two-factor authentication" });
+});
+
+test("database failures in the 2FA routes are 500 JSON", async () => {
+  db.on(/^SELECT [^(]* FROM users WHERE id=\$1/, () => { throw new Error("connection terminated"); });
+  const cases = [
+    ["GET", "/api/2fa", "Failed to load two-factor status"],
+    ["POST", "/api/2fa/enroll", "Failed to start enrolment"],
+    ["POST", "/api/2fa/verify", "Failed to enable two-factor authentication"],
+    ["POST", "/api/2fa/recovery-codes", "Failed to issue recovery codes"],
+    ["POST", "/api/2fa/disable", "Failed to disable two-factor authentication"],
+  ];
+  for (const [method, path, error] of cases) {
+    const res = await request(method, path, { user:admin, body:method==="GET" ? undefined : { code:"123456", password:"pw" } });
+    assert.equal(res.status, 500, path);
+    assert.deepEqual(res.body, { error }, path);
+  }
+});
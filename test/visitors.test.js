@@ -0,0 +1,85 @@
+// Visitor pass codes: wrong codes lock out the guard's device and then the society, and failures answer JSON
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { db, start, stop, addUser, installAuth, request } = require("./support/server");
+
+const guard = addUser({ id:3, role:"guard", society_ids:[1] });
+const guard2 = addUser({ id:4, role:"guard", society_ids:[1] });
+const otherGuard = addUser({ id:5, role:"guard", society_ids:[2] });
+const sha256 = t => crypto.createHash("sha256").update(t).digest("hex");
+const pass = { id:11, society_id:1, status:"expected", guest_name:"Ravi", flat:"A-101", pass_hash:sha256("1:123456"),
+  expected_from:new Date(Date.now()-3600e3).toISOString(), expected_to:new Date(Date.now()+3600e3).toISOString() };
+
+// pass_code_failures kept in memory: { society_id, user_id, ip_address }
+let failures = [];
+test.before(async () => {
+  installAuth();
+  db.on(/INSERT INTO pass_code_failures/, ([society_id, user_id, ip_address]) => { failures.push({ society_id, user_id, ip_address }); return []; });
+  db.on(/FROM pass_code_failures/, ([userId, ip, societyId]) => [{
+    device:failures.filter(f => f.user_id===userId && f.ip_address===ip).length,
+    society:failures.filter(f => f.society_id===societyId).length,
+  }]);
+  db.on(/SELECT \* FROM visitor_passes WHERE society_id=\$1 AND pass_hash=\$2/, ([sid, hash]) => sid===1 && hash===pass.pass_hash ? [pass] : []);
+  db.on(/SELECT \* FROM visitor_passes WHERE id=\$1/, ([id]) => String(id)==="11" ? [pass] : []);
+  await start();
+});
+test.after(() => stop());
+test.beforeEach(() => { failures = []; db.queries.length = 0; });
+
+const verify = (user, body) => request("POST", "/api/visitors/verify", { user, body:{ society_id:user.society_ids[0], ...body } });
+
+test("the right code verifies and a wrong one is a 404 that is recorded", async () => {
+  const ok = await verify(guard, { pass_code:"123456" });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.body.valid, true);
+  assert.equal(ok.body.pass.pass_hash, undefined);
+  assert.equal((await verify(guard, { pass_code:"000001" })).status, 404);
+  assert.deepEqual(failures, [{ society_id:1, user_id:3, ip_address:failures[0].ip_address }]);
+});
+
+test("a device is locked out after five wrong codes, even for the right code", async () => {
+  for (let i=0; i<5; i++) assert.equal((await verify(guard, { pass_code:String(100000+i) })).status, 404);
+  const locked = await verify(guard, { pass_code:"123456" });
+  assert.equal(locked.status, 429);
+  assert.match(locked.body.error, /Too many wrong pass codes/);
+  assert.equal((await request("POST", "/api/visitors/check-in", { user:guard, body:{ society_id:1, pass_code:"123456" } })).status, 429);
+  assert.equal(failures.length, 5, "locked attempts are refused before the code is looked at");
+  assert.equal(db.ran(/INSERT INTO audit_logs/).filter(q => q.params.includes("pass_code_locked_out")).length, 1);
+  // another guard's device in the same society is not affected yet
+  assert.equal((await verify(guard2, { pass_code:"123456" })).status, 200);
+});
+
+test("wrong QR codes count too", async () => {
+  for (let i=0; i<5; i++) assert.equal((await verify(guard, { qr:`SG1:11:${String(200000+i)}` })).status, 404);
+  assert.equal((await verify(guard, { qr:"SG1:11:123456" })).status, 429);
+});
+
+test("the society is locked out once its devices together reach the limit", async () => {
+  failures = Array.from({ length:20 }, (_, i) => ({ society_id:1, user_id:100+i, ip_address:`10.0.0.${i}` }));
+  assert.equal((await verify(guard2, { pass_code:"123456" })).status, 429);
+  // a guard of another society is not affected
+  assert.equal((await verify(otherGuard, { pass_code:"123456" })).status, 404);
+});
+
+test("visitor routes answer 500 JSON when the database fails", async () => {
+  db.on(/FROM visitor_passes v/, () => { throw new Error("connection terminated"); });
+  assert.deepEqual((await request("GET", "/api/visitors", { user:guard })).body, { error:"Failed to load visitors" });
+  db.on(/SELECT \* FROM visitor_passes WHERE society_id=\$1 AND pass_hash=\$2/, () => { throw new Error("connection terminated"); });
+  const res = await verify(guard, { pass_code:"123456" });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error:"Failed to verify pass" });
+});
+
+test("another society's QR is a 404 counted against the scanning device only", async () => {
+  // the right code for society 1's pass, scanned by a guard of society 2
+  const res = await verify(otherGuard, { qr:"SG1:11:123456" });
+  assert.equal(res.status, 404);
+  assert.deepEqual(res.body, { error:"Pass not found" });
+  assert.equal((await verify(otherGuard, { qr:"SG1:11:654321" })).status, 404);
+  assert.deepEqual(failures.map(f => [f.society_id, f.user_id]), [[null, 5], [null, 5]]);
+  for (let i=0; i<3; i++) await verify(otherGuard, { qr:`SG1:11:${String(300000+i)}` });
+  assert.equal((await verify(otherGuard, { qr:"SG1:11:123456" })).status, 429);
+  // society 1's gate keeps working
+  assert.equal((await verify(guard, { qr:"SG1:11:123456" })).status, 200);
+});
@@ -0,0 +1,64 @@
+// Signed webhook deliveries: vendor retries are answered as duplicates, not rejected (user-022)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { db, start, stop, request } = require("./support/server");
+
+const SECRET = "integration-secret";
+const integration = { id:7, vendor:"3deye", external_id:"54321", society_id:1, society_code:"C01", society_timezone:"Asia/Kolkata", secret:SECRET, is_active:true };
+
+function signed(body, ts=Math.floor(Date.now()/1000)) {
+  const raw = JSON.stringify(body);
+  const sig = crypto.createHmac("sha256", SECRET).update(`${ts}.${raw}`).digest("hex");
+  return { body, headers:{ "x-sg-timestamp":String(ts), "x-sg-signature":`sha256=${sig}` } };
+}
+const deliver = ({ body, headers }) => request("POST", "/webhook/3deye", { body, headers });
+
+let signatures, keys, events;
+test.before(() => start());
+test.after(() => stop());
+test.beforeEach(() => {
+  db.reset();
+  signatures = new Set(); keys = new Set(); events = [];
+  db.on(/FROM integrations i JOIN societies s/, () => [integration]);
+  db.on(/^INSERT INTO webhook_signatures/, ([sig]) => signatures.has(sig) ? [] : (signatures.add(sig), [{}]));
+  db.on(/INSERT INTO ingest_keys/, ([id, key]) => keys.has(`${id}|${key}`) ? [] : (keys.add(`${id}|${key}`), [{}]));
+  db.on(/INSERT INTO events/, params => (events.push(params), [{ id:events.length }]));
+  db.on(/INSERT INTO stream_events/, () => [{ id:1 }]);
+  db.on(/INSERT INTO activity_sessions/, () => [{ id:1 }]);
+});
+
+const motion = (extra={}) => ({ type:"Motion", deviceId:"CAM-1", integration:{ clientId:"54321" }, data:{}, ...extra });
+
+test("a retried delivery (same body and signature) gets the duplicate 200", async () => {
+  const delivery = signed([motion({ id:"evt-1" }), motion({ id:"evt-2" })]);
+  assert.deepEqual((await deliver(delivery)).body, { received:2, duplicates:0 });
+  const retry = await deliver(delivery);
+  assert.equal(retry.status, 200);
+  assert.deepEqual(retry.body, { received:0, duplicates:2 });
+  assert.equal(events.length, 2);
+});
+
+test("events without an id are deduped across retries of the same delivery only", async () => {
+  const delivery = signed([motion(), motion()]);
+  assert.deepEqual((await deliver(delivery)).body, { received:2, duplicates:0 });
+  assert.deepEqual((await deliver(delivery)).body, { received:0, duplicates:2 });
+  // The same readings in a new delivery are new events
+  assert.deepEqual((await deliver(signed([motion()], Math.floor(Date.now()/1000) - 1))).body, { received:1, duplicates:0 });
+  assert.equal(events.length, 3);
+});
+
+test("two distinct events from one camera in the same second are both stored", async () => {
+  const at = { data:{ timestampUtc:"2026-03-01T10:15:00.000Z" } };
+  const delivery = signed([motion(at), motion(at)]);
+  assert.deepEqual((await deliver(delivery)).body, { received:2, duplicates:0 });
+  assert.deepEqual((await deliver(delivery)).body, { received:0, duplicates:2 });
+  assert.equal(events.length, 2);
+});
+
+test("bad and stale signatures are still rejected", async () => {
+  const delivery = signed([motion({ id:"evt-9" })]);
+  assert.equal((await deliver({ ...delivery, headers:{ ...delivery.headers, "x-sg-signature":"sha256=" + "0".repeat(64) } })).status, 401);
+  assert.equal((await deliver(signed([motion({ id:"evt-9" })], Math.floor(Date.now()/1000) - 3600))).status, 401);
+  assert.equal(events.length, 0);
+});